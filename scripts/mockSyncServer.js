@@ -0,0 +1,133 @@
+// Local stand-in for the office's timesheet endpoint, for trying out the outbox without a real
+// server. It keeps submissions in memory and can be told to fail, to test retries and conflicts.
+//
+//   npm run mock-sync-server            # listens on http://localhost:4010/timesheets
+//   PORT=5000 FAIL_FIRST=3 npm run mock-sync-server
+//
+// POST /timesheets       store a submission (see src/outbox.js for the protocol)
+// GET /timesheets        list the stored submissions
+// POST /__control        change behaviour: { failNext: 2, failStatus: 503, delayMs: 0 }
+// POST /__reset          forget everything
+
+const http = require('http');
+
+const sendJson = (response, status, body) => {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readJson = (request) => new Promise((resolve, reject) => {
+    let data = '';
+    request.on('data', chunk => {
+        data += chunk;
+    });
+    request.on('end', () => {
+        try {
+            resolve(data ? JSON.parse(data) : {});
+        } catch (error) {
+            reject(error);
+        }
+    });
+    request.on('error', reject);
+});
+
+// Options: failNext (requests to fail before succeeding), failStatus, delayMs, authToken
+// (require this Bearer token). Returns the http.Server, not yet listening, with its state.
+const createMockSyncServer = (options = {}) => {
+    const state = {
+        failNext: options.failNext || 0,
+        failStatus: options.failStatus || 503,
+        delayMs: options.delayMs || 0,
+        authToken: options.authToken || '',
+        periods: new Map(), // `${employeeId}_${startDate}_${endDate}` -> { version, submissionId, submission }
+        requests: [],
+    };
+
+    const handleSubmission = (request, response, submission) => {
+        if (state.authToken && request.headers.authorization !== `Bearer ${state.authToken}`) {
+            sendJson(response, 401, { error: 'Missing or wrong token' });
+            return;
+        }
+        if (state.failNext > 0) {
+            state.failNext -= 1;
+            sendJson(response, state.failStatus, { error: 'Mock server failure' });
+            return;
+        }
+        if (!submission.employee?.id || !submission.period?.startDate || !submission.period?.endDate) {
+            sendJson(response, 400, { error: 'Submission needs employee.id and period dates' });
+            return;
+        }
+
+        const key = `${submission.employee.id}_${submission.period.startDate}_${submission.period.endDate}`;
+        const existing = state.periods.get(key);
+        // The same submission again (its earlier response was lost): answer as before
+        if (existing && existing.submissionId === submission.submissionId) {
+            sendJson(response, 200, { version: existing.version });
+            return;
+        }
+        if (existing && !submission.force && submission.baseVersion !== existing.version) {
+            sendJson(response, 409, { error: `The server already has version ${existing.version} of this period from ${existing.submission.submittedAt}.`, version: existing.version });
+            return;
+        }
+        const version = (existing?.version || 0) + 1;
+        state.periods.set(key, { version, submissionId: submission.submissionId, submission });
+        sendJson(response, 201, { version });
+    };
+
+    const server = http.createServer(async (request, response) => {
+        state.requests.push({ method: request.method, url: request.url });
+        if (request.method === 'OPTIONS') {
+            sendJson(response, 204);
+            return;
+        }
+        let body;
+        try {
+            body = request.method === 'POST' ? await readJson(request) : {};
+        } catch (error) {
+            sendJson(response, 400, { error: 'Body is not valid JSON' });
+            return;
+        }
+        if (state.delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, state.delayMs));
+        }
+
+        if (request.method === 'POST' && request.url === '/timesheets') {
+            handleSubmission(request, response, body);
+        } else if (request.method === 'GET' && request.url === '/timesheets') {
+            sendJson(response, 200, [...state.periods.values()].map(({ version, submission }) => ({ version, ...submission })));
+        } else if (request.method === 'POST' && request.url === '/__control') {
+            ['failNext', 'failStatus', 'delayMs', 'authToken'].forEach(option => {
+                if (body[option] !== undefined) state[option] = body[option];
+            });
+            sendJson(response, 200, { failNext: state.failNext, failStatus: state.failStatus, delayMs: state.delayMs });
+        } else if (request.method === 'POST' && request.url === '/__reset') {
+            state.periods.clear();
+            state.requests = [];
+            state.failNext = 0;
+            sendJson(response, 200, {});
+        } else {
+            sendJson(response, 404, { error: 'Not found' });
+        }
+    });
+    server.state = state;
+    return server;
+};
+
+module.exports = { createMockSyncServer };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 4010;
+    const server = createMockSyncServer({
+        failNext: Number(process.env.FAIL_FIRST) || 0,
+        failStatus: Number(process.env.FAIL_STATUS) || 503,
+        authToken: process.env.AUTH_TOKEN || '',
+    });
+    server.listen(port, () => {
+        console.log(`Mock timesheet endpoint listening on http://localhost:${port}/timesheets`);
+    });
+}
@@ -0,0 +1,122 @@
+// Local SMTP server that accepts every message and keeps it in memory, for trying out report
+// emails without a real mail relay. It speaks just enough SMTP for nodemailer: no TLS, and any
+// user name and password are accepted.
+//
+//   npm run smtp-sink                      # listens on localhost:2525 and prints each message
+//   SMTP_HOST=localhost SMTP_PORT=2525 ADMIN_TOKEN=... npm start
+//
+// Each received message is { from, to: [addresses], data: raw message text }.
+
+const net = require('net');
+
+// Returns the net.Server, not yet listening, with its received messages
+const createSmtpSink = ({ onMessage } = {}) => {
+    const messages = [];
+
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let envelope = { from: '', to: [] };
+        let dataLines = null; // Lines of the message while reading DATA
+        let authStep = null; // Prompts still to answer for AUTH LOGIN
+
+        const reply = (line) => socket.write(`${line}\r\n`);
+
+        const handleCommand = (line) => {
+            if (authStep !== null) {
+                authStep -= 1;
+                reply(authStep > 0 ? '334 UGFzc3dvcmQ6' : '235 Accepted');
+                if (authStep === 0) authStep = null;
+                return;
+            }
+            const [verb] = line.split(' ');
+            switch (verb.toUpperCase()) {
+                case 'EHLO':
+                    reply('250-smtp-sink');
+                    reply('250-AUTH PLAIN LOGIN');
+                    reply('250 8BITMIME');
+                    break;
+                case 'HELO':
+                    reply('250 smtp-sink');
+                    break;
+                case 'AUTH':
+                    if (/^AUTH LOGIN$/i.test(line)) {
+                        authStep = 2;
+                        reply('334 VXNlcm5hbWU6');
+                    } else {
+                        reply('235 Accepted');
+                    }
+                    break;
+                case 'MAIL':
+                    envelope = { from: (/<(.*)>/.exec(line) || [])[1] || '', to: [] };
+                    reply('250 OK');
+                    break;
+                case 'RCPT':
+                    envelope.to.push((/<(.*)>/.exec(line) || [])[1] || '');
+                    reply('250 OK');
+                    break;
+                case 'DATA':
+                    dataLines = [];
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                    break;
+                case 'RSET':
+                    envelope = { from: '', to: [] };
+                    reply('250 OK');
+                    break;
+                case 'NOOP':
+                    reply('250 OK');
+                    break;
+                case 'QUIT':
+                    reply('221 Bye');
+                    socket.end();
+                    break;
+                default:
+                    reply('502 Command not implemented');
+            }
+        };
+
+        const handleLine = (line) => {
+            if (dataLines === null) {
+                handleCommand(line);
+            } else if (line === '.') {
+                const message = { ...envelope, data: dataLines.join('\r\n') };
+                messages.push(message);
+                if (onMessage) onMessage(message);
+                dataLines = null;
+                reply('250 OK: queued');
+            } else {
+                // Lines starting with a dot were dot-stuffed by the sender
+                dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+            }
+        };
+
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let end = buffer.indexOf('\r\n');
+            while (end !== -1) {
+                handleLine(buffer.slice(0, end));
+                buffer = buffer.slice(end + 2);
+                end = buffer.indexOf('\r\n');
+            }
+        });
+        socket.on('error', () => {});
+        reply('220 smtp-sink ready');
+    });
+    server.messages = messages;
+    return server;
+};
+
+module.exports = { createSmtpSink };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 2525;
+    const server = createSmtpSink({
+        onMessage: ({ from, to, data }) => {
+            const subject = (/^Subject: (.*)$/m.exec(data) || [])[1] || '';
+            console.log(`${new Date().toISOString()} from ${from} to ${to.join(', ')}: ${subject} (${data.length} bytes)`);
+        },
+    });
+    server.listen(port, () => {
+        console.log(`SMTP sink listening on localhost:${port}`);
+    });
+}
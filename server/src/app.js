@@ -0,0 +1,178 @@
+// The timesheet server's REST API. Request and response bodies are JSON; days and jobs use the
+// app's shapes (see timesheetShapes.js). Every route except /api/health needs a Bearer token
+// (see auth.js).
+//
+// GET    /api/health                                   is the server up
+// GET    /api/me                                       the token's employee
+// GET    /api/employees                                list employees (admin sees all)
+// POST   /api/employees                                admin: { id?, name, defaultTruck } -> { employee, token }
+// GET    /api/employees/:id                            one employee
+// PATCH  /api/employees/:id                            change { name, defaultTruck }
+// POST   /api/employees/:id/token                      admin: replace the employee's token -> { token }
+// GET    /api/employees/:id/days?from=&to=             the employee's weeklyData
+// PUT    /api/employees/:id/days                       save { days: weeklyData }; other dates are kept
+// GET    /api/employees/:id/days/:date                 one day
+// PUT    /api/employees/:id/days/:date                 replace one day and its jobs
+// DELETE /api/employees/:id/days/:date                 remove one day
+// POST   /api/employees/:id/days/:date/jobs            add a job row
+// PUT    /api/employees/:id/days/:date/jobs/:jobId     change a job row
+// DELETE /api/employees/:id/days/:date/jobs/:jobId     remove a job row
+// GET    /api/days?from=&to=                           admin: every employee's days { [employeeId]: weeklyData }
+// POST   /api/reports/email                            email a report through the SMTP relay (see mailer.js);
+//                                                      employees only to the report addresses
+
+const http = require('http');
+const { HttpError } = require('./httpError');
+const { authenticate, requireAdmin, requireEmployeeAccess } = require('./auth');
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// An oversized body is rejected as soon as it passes the limit; the rest is read and dropped
+// rather than cutting the connection, so the client still gets the 413
+const readJson = (request) => new Promise((resolve, reject) => {
+    let data = '';
+    let tooLarge = false;
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+        if (tooLarge) return;
+        data += chunk;
+        if (data.length > MAX_BODY_BYTES) {
+            tooLarge = true;
+            data = '';
+            reject(new HttpError(413, 'The request body is too large.'));
+        }
+    });
+    request.on('end', () => {
+        if (tooLarge) return;
+        try {
+            resolve(data ? JSON.parse(data) : {});
+        } catch (error) {
+            reject(new HttpError(400, 'The request body is not valid JSON.'));
+        }
+    });
+    request.on('error', reject);
+});
+
+const ROUTES = [
+    ['GET', /^\/api\/me$/, ({ auth }) => auth.employee || { admin: true }],
+    ['GET', /^\/api\/employees$/, ({ auth, store }) => (auth.isAdmin ? store.listEmployees() : [auth.employee])],
+    ['POST', /^\/api\/employees$/, ({ auth, store, body }) => {
+        requireAdmin(auth);
+        return [201, store.createEmployee(body)];
+    }],
+    ['GET', /^\/api\/employees\/([^/]+)$/, ({ auth, store, params: [employeeId] }) => {
+        requireEmployeeAccess(auth, employeeId);
+        return store.getEmployee(employeeId);
+    }],
+    ['PATCH', /^\/api\/employees\/([^/]+)$/, ({ auth, store, params: [employeeId], body }) => {
+        requireEmployeeAccess(auth, employeeId);
+        return store.updateEmployee(employeeId, body);
+    }],
+    ['POST', /^\/api\/employees\/([^/]+)\/token$/, ({ auth, store, params: [employeeId] }) => {
+        requireAdmin(auth);
+        return { token: store.rotateToken(employeeId) };
+    }],
+    ['GET', /^\/api\/employees\/([^/]+)\/days$/, ({ auth, store, params: [employeeId], query }) => {
+        requireEmployeeAccess(auth, employeeId);
+        return store.getDays(employeeId, { from: query.get('from'), to: query.get('to') });
+    }],
+    ['PUT', /^\/api\/employees\/([^/]+)\/days$/, ({ auth, store, params: [employeeId], body }) => {
+        requireEmployeeAccess(auth, employeeId);
+        return { saved: store.saveDays(employeeId, body.days) };
+    }],
+    ['GET', /^\/api\/employees\/([^/]+)\/days\/([^/]+)$/, ({ auth, store, params: [employeeId, date] }) => {
+        requireEmployeeAccess(auth, employeeId);
+        return store.getDay(employeeId, date);
+    }],
+    ['PUT', /^\/api\/employees\/([^/]+)\/days\/([^/]+)$/, ({ auth, store, params: [employeeId, date], body }) => {
+        requireEmployeeAccess(auth, employeeId);
+        return store.saveDay(employeeId, date, body);
+    }],
+    ['DELETE', /^\/api\/employees\/([^/]+)\/days\/([^/]+)$/, ({ auth, store, params: [employeeId, date] }) => {
+        requireEmployeeAccess(auth, employeeId);
+        store.deleteDay(employeeId, date);
+        return [204];
+    }],
+    ['POST', /^\/api\/employees\/([^/]+)\/days\/([^/]+)\/jobs$/, ({ auth, store, params: [employeeId, date], body }) => {
+        requireEmployeeAccess(auth, employeeId);
+        return [201, store.addJob(employeeId, date, body)];
+    }],
+    ['PUT', /^\/api\/employees\/([^/]+)\/days\/([^/]+)\/jobs\/([^/]+)$/, ({ auth, store, params: [employeeId, date, jobId], body }) => {
+        requireEmployeeAccess(auth, employeeId);
+        return store.updateJob(employeeId, date, jobId, body);
+    }],
+    ['DELETE', /^\/api\/employees\/([^/]+)\/days\/([^/]+)\/jobs\/([^/]+)$/, ({ auth, store, params: [employeeId, date, jobId] }) => {
+        requireEmployeeAccess(auth, employeeId);
+        store.deleteJob(employeeId, date, jobId);
+        return [204];
+    }],
+    ['GET', /^\/api\/days$/, ({ auth, store, query }) => {
+        requireAdmin(auth);
+        return store.getAllDays({ from: query.get('from'), to: query.get('to') });
+    }],
+    ['POST', /^\/api\/reports\/email$/, ({ auth, mailer, body }) => {
+        if (!mailer) throw new HttpError(503, 'Email is not set up on the timesheet server.');
+        return mailer.sendReportEmail(body, { anyRecipient: auth.isAdmin });
+    }],
+];
+
+// Options: store (createTimesheetStore), mailer (createMailer, or null when email is not set
+// up), adminToken, corsOrigin (origin allowed to call the API from a browser, '*' by default).
+// Returns the http.Server, not yet listening.
+const createServer = ({ store, mailer = null, adminToken = '', corsOrigin = '*' }) => {
+    const send = (response, status, body, headers = {}) => {
+        response.writeHead(status, {
+            ...headers,
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': corsOrigin,
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+        });
+        response.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    return http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        if (request.method === 'OPTIONS') {
+            send(response, 204);
+            return;
+        }
+        try {
+            if (request.method === 'GET' && url.pathname === '/api/health') {
+                send(response, 200, { ok: true });
+                return;
+            }
+
+            const matches = ROUTES
+                .map(([method, pattern, handler]) => ({ method, match: pattern.exec(url.pathname), handler }))
+                .filter(route => route.match);
+            if (matches.length === 0) throw new HttpError(404, 'Not found.');
+            const route = matches.find(candidate => candidate.method === request.method);
+            if (!route) throw new HttpError(405, `${request.method} is not allowed here.`);
+
+            const auth = authenticate(request, { store, adminToken });
+            const body = ['POST', 'PUT', 'PATCH'].includes(request.method) ? await readJson(request) : {};
+            const result = await route.handler({
+                auth,
+                store,
+                mailer,
+                body,
+                query: url.searchParams,
+                params: route.match.slice(1).map(decodeURIComponent),
+            });
+            // Handlers return a body, or [status, body] for anything other than 200
+            const [status, responseBody] = Array.isArray(result) && typeof result[0] === 'number' ? result : [200, result];
+            send(response, status, responseBody);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                // Don't keep a connection open for a client sending more than the server reads
+                send(response, error.status, { error: error.message }, error.status === 413 ? { Connection: 'close' } : {});
+            } else {
+                console.error(error);
+                send(response, 500, { error: 'The server could not handle the request.' });
+            }
+        }
+    });
+};
+
+module.exports = { createServer };
@@ -0,0 +1,40 @@
+// Who is making a request, from its `Authorization: Bearer <token>` header.
+// The admin token (the office, dashboards, payroll exports) can read and change every
+// employee's records; an employee's token only their own.
+
+const { timingSafeEqual, createHash } = require('crypto');
+const { HttpError } = require('./httpError');
+
+const readBearerToken = (request) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization || '');
+    return match ? match[1] : '';
+};
+
+// Compare without leaking through timing how much of the token matched
+const isSameToken = (token, expected) => {
+    const digest = (value) => createHash('sha256').update(value).digest();
+    return !!expected && timingSafeEqual(digest(token), digest(expected));
+};
+
+// { isAdmin, employee } for the request's token, or a 401 when it has none or an unknown one
+const authenticate = (request, { store, adminToken }) => {
+    const token = readBearerToken(request);
+    if (!token) throw new HttpError(401, 'Sign in with an access token.');
+    if (isSameToken(token, adminToken)) return { isAdmin: true, employee: null };
+    const employee = store.findEmployeeByToken(token);
+    if (!employee) throw new HttpError(401, 'The access token is not valid.');
+    return { isAdmin: false, employee };
+};
+
+const requireAdmin = (auth) => {
+    if (!auth.isAdmin) throw new HttpError(403, 'Only the office can do this.');
+};
+
+// Employees may only reach their own records
+const requireEmployeeAccess = (auth, employeeId) => {
+    if (!auth.isAdmin && auth.employee.id !== employeeId) {
+        throw new HttpError(403, 'This token cannot reach another employee\'s timesheets.');
+    }
+};
+
+module.exports = { authenticate, readBearerToken, requireAdmin, requireEmployeeAccess };
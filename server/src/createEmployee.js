@@ -0,0 +1,23 @@
+// Add an employee from the command line and print their access token, e.g. to set up the
+// office's first employees before the admin token is handed out.
+//
+//   npm run create-employee -- "Sam Lee" T-12
+//   npm run create-employee -- "Sam Lee" T-12 <id>    # keep the id the app already uses
+
+const { openStore } = require('./index');
+
+const [name, defaultTruck = '', id] = process.argv.slice(2);
+if (!name) {
+    console.error('Usage: npm run create-employee -- "<name>" [default truck] [id]');
+    process.exit(1);
+}
+
+try {
+    const { employee, token } = openStore().createEmployee({ id, name, defaultTruck });
+    console.log(`Employee: ${employee.name} (${employee.id})`);
+    console.log(`Token:    ${token}`);
+    console.log('The token is not shown again. Enter it in the app under Settings > Timesheet Server.');
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,70 @@
+// SQLite storage for the timesheet server.
+// Tables mirror the app's records: an employee per roster entry, a day per employee and date
+// (the app's weeklyData[date]) and its job rows (createInitialJob). Schema changes are added
+// to MIGRATIONS and applied in order, tracked with SQLite's user_version.
+
+const Database = require('better-sqlite3');
+
+const MIGRATIONS = [
+    `
+    CREATE TABLE employees (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL DEFAULT '',
+        default_truck TEXT NOT NULL DEFAULT '',
+        token_hash TEXT UNIQUE,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE days (
+        employee_id TEXT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+        date TEXT NOT NULL,
+        day_of_week TEXT NOT NULL DEFAULT '',
+        is_on_call INTEGER NOT NULL DEFAULT 0,
+        total_hours INTEGER NOT NULL DEFAULT 0, -- Minutes, like the app's totalHours
+        net_hours INTEGER NOT NULL DEFAULT 0, -- Minutes, like the app's netHours
+        carried_in_minutes INTEGER NOT NULL DEFAULT 0,
+        applied_deductions TEXT NOT NULL DEFAULT '[]', -- JSON array
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (employee_id, date)
+    );
+
+    CREATE TABLE jobs (
+        employee_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        job_number TEXT NOT NULL DEFAULT '',
+        job_location TEXT NOT NULL DEFAULT '',
+        travel_start_time TEXT NOT NULL DEFAULT '',
+        work_start_time TEXT NOT NULL DEFAULT '',
+        work_finish_time TEXT NOT NULL DEFAULT '',
+        travel_home_time TEXT NOT NULL DEFAULT '',
+        total_time_worked_minutes INTEGER NOT NULL DEFAULT 0,
+        next_day_fields TEXT NOT NULL DEFAULT '[]', -- JSON array of time field names
+        PRIMARY KEY (employee_id, date, id),
+        FOREIGN KEY (employee_id, date) REFERENCES days(employee_id, date) ON DELETE CASCADE
+    );
+
+    CREATE INDEX jobs_by_job_number ON jobs(job_number);
+    `,
+];
+
+// Open (or create) the database file and bring its schema up to date.
+// Pass ':memory:' for a throwaway database, e.g. in tests.
+const openDatabase = (filename) => {
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    const currentVersion = db.pragma('user_version', { simple: true });
+    MIGRATIONS.slice(currentVersion).forEach((migration, index) => {
+        db.transaction(() => {
+            db.exec(migration);
+            db.pragma(`user_version = ${currentVersion + index + 1}`);
+        })();
+    });
+    return db;
+};
+
+module.exports = { openDatabase };
@@ -0,0 +1,10 @@
+// Error with the HTTP status to answer with; anything else thrown by a route is a 500
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,56 @@
+// Timesheet server: one place for every employee's timesheets, for the office dashboard and
+// payroll exports. The app pushes and pulls its days here (Settings > Timesheet Server).
+//
+//   ADMIN_TOKEN=some-long-secret npm start        # listens on http://localhost:4020/api
+//   npm run create-employee -- "Sam Lee" T-12     # prints the employee's id and token
+//
+// Environment:
+//   PORT            port to listen on (4020)
+//   DATABASE_FILE   SQLite file (data/timesheets.sqlite)
+//   ADMIN_TOKEN     token for the office; without it only employee tokens work
+//   CORS_ORIGIN     origin the app is served from ('*')
+//   SMTP_HOST       mail relay for report emails; without it emailing reports is turned off
+//   SMTP_PORT       relay port (587, or 465 with SMTP_SECURE)
+//   SMTP_SECURE     'true' to connect with TLS from the start
+//   SMTP_USER, SMTP_PASSWORD   relay login, if it needs one
+//   MAIL_FROM       sender of report emails (Timesheets <timesheets@SMTP_HOST>)
+//   REPORT_RECIPIENTS  comma-separated addresses (or @domain) employees may email reports to
+
+const fs = require('fs');
+const path = require('path');
+const { openDatabase } = require('./database');
+const { createTimesheetStore } = require('./timesheetStore');
+const { createServer } = require('./app');
+const { createMailer, readMailSettings } = require('./mailer');
+
+const DEFAULT_DATABASE_FILE = path.join(__dirname, '..', 'data', 'timesheets.sqlite');
+
+// Open the database named by DATABASE_FILE, creating its folder on first use
+const openStore = () => {
+    const filename = process.env.DATABASE_FILE || DEFAULT_DATABASE_FILE;
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    return createTimesheetStore(openDatabase(filename));
+};
+
+module.exports = { openStore };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 4020;
+    const adminToken = process.env.ADMIN_TOKEN || '';
+    if (!adminToken) {
+        console.warn('ADMIN_TOKEN is not set: only employee tokens will work.');
+    }
+    const mailSettings = readMailSettings(process.env);
+    if (!mailSettings) {
+        console.warn('SMTP_HOST is not set: reports cannot be emailed.');
+    }
+    const server = createServer({
+        store: openStore(),
+        mailer: mailSettings && createMailer(mailSettings),
+        adminToken,
+        corsOrigin: process.env.CORS_ORIGIN || '*',
+    });
+    server.listen(port, () => {
+        console.log(`Timesheet server listening on http://localhost:${port}/api`);
+    });
+}
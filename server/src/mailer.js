@@ -0,0 +1,120 @@
+// Sending report emails through the office's SMTP relay, so reports arrive whole with their
+// CSV and PDF attached instead of squeezed into a mailto: link. The relay is set with the
+// SMTP_* environment variables (see index.js); `npm run smtp-sink` runs a local one for testing.
+//
+// A report email from the app is { to: [address], cc: [address], subject, text,
+// attachments: [{ filename, contentType, content }] } with each attachment's content in base64.
+// Employees may only send to the office's report addresses (REPORT_RECIPIENTS), so the
+// server cannot be used to mail anything to anyone; the admin token may send anywhere.
+
+const nodemailer = require('nodemailer');
+const { HttpError } = require('./httpError');
+
+const EMAIL_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const MAX_RECIPIENTS = 20;
+const MAX_ATTACHMENTS = 5;
+
+// The relay settings from the environment, or null when SMTP_HOST is not set
+const readMailSettings = (env) => {
+    if (!env.SMTP_HOST) return null;
+    const secure = env.SMTP_SECURE === 'true';
+    return {
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+        secure,
+        user: env.SMTP_USER || '',
+        password: env.SMTP_PASSWORD || '',
+        from: env.MAIL_FROM || `Timesheets <timesheets@${env.SMTP_HOST}>`,
+        recipients: (env.REPORT_RECIPIENTS || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean),
+    };
+};
+
+// Whether an address is one of the report addresses; an entry like '@office.example.com'
+// allows the whole domain
+const isReportRecipient = (address, recipients) => {
+    const lowerAddress = address.toLowerCase();
+    return recipients.some(entry => (entry.startsWith('@') ? lowerAddress.endsWith(entry) : lowerAddress === entry));
+};
+
+const readAddresses = (value, label) => {
+    const addresses = value === undefined ? [] : value;
+    if (!Array.isArray(addresses)) throw new HttpError(400, `${label} must be a list of email addresses.`);
+    addresses.forEach(address => {
+        if (typeof address !== 'string' || !EMAIL_PATTERN.test(address)) {
+            throw new HttpError(400, `"${address}" is not an email address.`);
+        }
+    });
+    return addresses;
+};
+
+// Check a report email from a request; anything invalid is answered with a 400
+const normalizeReportEmail = (input) => {
+    const to = readAddresses(input.to, 'to');
+    const cc = readAddresses(input.cc, 'cc');
+    if (to.length === 0) throw new HttpError(400, 'Add at least one recipient.');
+    if (to.length + cc.length > MAX_RECIPIENTS) throw new HttpError(400, `Send to at most ${MAX_RECIPIENTS} addresses.`);
+    if (typeof input.subject !== 'string' || !input.subject.trim()) throw new HttpError(400, 'The email needs a subject.');
+    if (typeof input.text !== 'string') throw new HttpError(400, 'The email needs a text body.');
+
+    const attachments = input.attachments === undefined ? [] : input.attachments;
+    if (!Array.isArray(attachments)) throw new HttpError(400, 'attachments must be a list.');
+    if (attachments.length > MAX_ATTACHMENTS) throw new HttpError(400, `Attach at most ${MAX_ATTACHMENTS} files.`);
+    attachments.forEach(attachment => {
+        if (!attachment || typeof attachment.filename !== 'string' || !attachment.filename || /[/\\]/.test(attachment.filename)) {
+            throw new HttpError(400, 'Each attachment needs a file name.');
+        }
+        if (typeof attachment.content !== 'string' || !BASE64_PATTERN.test(attachment.content)) {
+            throw new HttpError(400, `The content of ${attachment.filename} must be base64.`);
+        }
+    });
+
+    return {
+        to,
+        cc,
+        subject: input.subject.trim(),
+        text: input.text,
+        attachments: attachments.map(({ filename, contentType, content }) => ({
+            filename,
+            contentType: typeof contentType === 'string' && contentType ? contentType : 'application/octet-stream',
+            content,
+            encoding: 'base64',
+        })),
+    };
+};
+
+// Returns { sendReportEmail(input, { anyRecipient }) }; sending resolves to
+// { messageId, sentAt, accepted, rejected }. Without anyRecipient, addresses that are not report
+// addresses are refused with a 403.
+const createMailer = (settings) => {
+    const transport = nodemailer.createTransport({
+        host: settings.host,
+        port: settings.port,
+        secure: settings.secure,
+        auth: settings.user ? { user: settings.user, pass: settings.password } : undefined,
+    });
+
+    const sendReportEmail = async (input, { anyRecipient = false } = {}) => {
+        const email = normalizeReportEmail(input);
+        const refused = anyRecipient ? [] : [...email.to, ...email.cc].filter(address => !isReportRecipient(address, settings.recipients));
+        if (refused.length > 0) {
+            throw new HttpError(403, `Reports can only be emailed to the office's report addresses, not to ${refused.join(', ')}.`);
+        }
+        let info;
+        try {
+            info = await transport.sendMail({ from: settings.from, ...email });
+        } catch (error) {
+            throw new HttpError(502, `The mail relay did not take the email: ${error.message}`);
+        }
+        return {
+            messageId: info.messageId,
+            sentAt: new Date().toISOString(),
+            accepted: info.accepted,
+            rejected: info.rejected,
+        };
+    };
+
+    return { sendReportEmail };
+};
+
+module.exports = { createMailer, normalizeReportEmail, readMailSettings };
@@ -0,0 +1,117 @@
+// Day and job records in the shapes the app uses, so the app can push and pull its weeklyData
+// unchanged. A job matches createInitialJob and a day matches createEmptyDay in the app's
+// src/timesheetModel.js. Incoming records are checked here and filled in with the same
+// defaults; anything invalid is answered with a 400.
+//
+// Totals (totalTimeWorkedMinutes, totalHours, netHours) are stored as the app calculated
+// them. The app recalculates them itself after pulling days.
+
+const { randomUUID } = require('crypto');
+const { HttpError } = require('./httpError');
+
+const JOB_TIME_FIELDS = ['travelStartTime', 'workStartTime', 'workFinishTime', 'travelHomeTime'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_JOBS_PER_DAY = 50;
+
+// Whether a string is a real calendar date written as YYYY-MM-DD
+const isValidDateKey = (value) => {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const checkDate = (date) => {
+    if (!isValidDateKey(date)) {
+        throw new HttpError(400, `"${date}" is not a valid YYYY-MM-DD date.`);
+    }
+    return date;
+};
+
+const readString = (value, label) => {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'string') throw new HttpError(400, `${label} must be text.`);
+    return value;
+};
+
+const readMinutes = (value, label) => {
+    if (value === undefined || value === null) return 0;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new HttpError(400, `${label} must be a number of minutes.`);
+    }
+    return Math.round(value);
+};
+
+const createInitialJob = () => ({
+    id: randomUUID(),
+    jobNumber: '',
+    jobLocation: '',
+    travelStartTime: '',
+    workStartTime: '',
+    workFinishTime: '',
+    travelHomeTime: '',
+    totalTimeWorkedMinutes: 0,
+    nextDayFields: [],
+});
+
+// A job from a request, with defaults for missing fields. `label` names it in error messages.
+const normalizeJob = (input, label = 'Job') => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new HttpError(400, `${label} must be an object.`);
+    }
+    const job = createInitialJob();
+    if (input.id !== undefined) {
+        job.id = readString(input.id, `${label} id`) || job.id;
+    }
+    job.jobNumber = readString(input.jobNumber, `${label} jobNumber`);
+    job.jobLocation = readString(input.jobLocation, `${label} jobLocation`);
+    JOB_TIME_FIELDS.forEach(field => {
+        const value = readString(input[field], `${label} ${field}`);
+        if (value && !TIME_PATTERN.test(value)) {
+            throw new HttpError(400, `${label} ${field} "${value}" is not a valid HH:MM time.`);
+        }
+        job[field] = value;
+    });
+    job.totalTimeWorkedMinutes = readMinutes(input.totalTimeWorkedMinutes, `${label} totalTimeWorkedMinutes`);
+    const nextDayFields = input.nextDayFields === undefined ? [] : input.nextDayFields;
+    if (!Array.isArray(nextDayFields) || nextDayFields.some(field => !JOB_TIME_FIELDS.includes(field))) {
+        throw new HttpError(400, `${label} nextDayFields must list time fields (${JOB_TIME_FIELDS.join(', ')}).`);
+    }
+    job.nextDayFields = [...new Set(nextDayFields)];
+    return job;
+};
+
+// A day from a request, with defaults for missing fields
+const normalizeDay = (input, date) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new HttpError(400, `The day ${date} must be an object.`);
+    }
+    const jobs = input.jobs === undefined ? [] : input.jobs;
+    if (!Array.isArray(jobs)) throw new HttpError(400, `The jobs of ${date} must be a list.`);
+    if (jobs.length > MAX_JOBS_PER_DAY) throw new HttpError(400, `${date} has more than ${MAX_JOBS_PER_DAY} jobs.`);
+    const normalizedJobs = jobs.map((job, index) => normalizeJob(job, `${date} job ${index + 1}`));
+    if (new Set(normalizedJobs.map(job => job.id)).size !== normalizedJobs.length) {
+        throw new HttpError(400, `Two jobs on ${date} have the same id.`);
+    }
+    const appliedDeductions = input.appliedDeductions === undefined ? [] : input.appliedDeductions;
+    if (!Array.isArray(appliedDeductions)) throw new HttpError(400, `appliedDeductions of ${date} must be a list.`);
+
+    return {
+        jobs: normalizedJobs,
+        dayOfWeek: readString(input.dayOfWeek, `dayOfWeek of ${date}`),
+        totalHours: readMinutes(input.totalHours, `totalHours of ${date}`),
+        netHours: readMinutes(input.netHours, `netHours of ${date}`),
+        isOnCall: !!input.isOnCall,
+        carriedInMinutes: readMinutes(input.carriedInMinutes, `carriedInMinutes of ${date}`),
+        appliedDeductions,
+    };
+};
+
+module.exports = {
+    JOB_TIME_FIELDS,
+    checkDate,
+    createInitialJob,
+    isValidDateKey,
+    normalizeDay,
+    normalizeJob,
+};
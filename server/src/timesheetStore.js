@@ -0,0 +1,285 @@
+// Reading and writing employees, days and jobs in the SQLite database. Days come back in the
+// app's weeklyData shape ({ [date]: day }) with their jobs in row order.
+//
+// Each employee has one access token. Only its SHA-256 hash is stored, so a token is shown
+// once, when the employee is created or the token is replaced.
+
+const { createHash, randomBytes, randomUUID } = require('crypto');
+const { HttpError } = require('./httpError');
+const { checkDate, normalizeDay, normalizeJob } = require('./timesheetShapes');
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const createToken = () => randomBytes(32).toString('base64url');
+
+const toEmployee = (row) => ({
+    id: row.id,
+    name: row.name,
+    defaultTruck: row.default_truck,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+});
+
+const toJob = (row) => ({
+    id: row.id,
+    jobNumber: row.job_number,
+    jobLocation: row.job_location,
+    travelStartTime: row.travel_start_time,
+    workStartTime: row.work_start_time,
+    workFinishTime: row.work_finish_time,
+    travelHomeTime: row.travel_home_time,
+    totalTimeWorkedMinutes: row.total_time_worked_minutes,
+    nextDayFields: JSON.parse(row.next_day_fields),
+});
+
+const toDay = (row, jobs) => ({
+    jobs,
+    dayOfWeek: row.day_of_week,
+    totalHours: row.total_hours,
+    netHours: row.net_hours,
+    isOnCall: !!row.is_on_call,
+    carriedInMinutes: row.carried_in_minutes,
+    appliedDeductions: JSON.parse(row.applied_deductions),
+});
+
+// Optional date range of a query; either end may be left open
+const checkRange = ({ from, to } = {}) => {
+    if (from) checkDate(from);
+    if (to) checkDate(to);
+    if (from && to && from > to) throw new HttpError(400, 'The from date is after the to date.');
+    return { from: from || '0000-01-01', to: to || '9999-12-31' };
+};
+
+const createTimesheetStore = (db) => {
+    const now = () => new Date().toISOString();
+
+    const statements = {
+        insertEmployee: db.prepare('INSERT INTO employees (id, name, default_truck, token_hash, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)'),
+        listEmployees: db.prepare('SELECT * FROM employees ORDER BY name COLLATE NOCASE, id'),
+        getEmployee: db.prepare('SELECT * FROM employees WHERE id = ?'),
+        updateEmployee: db.prepare('UPDATE employees SET name = ?, default_truck = ?, updated_at = ? WHERE id = ?'),
+        setToken: db.prepare('UPDATE employees SET token_hash = ?, updated_at = ? WHERE id = ?'),
+        findByToken: db.prepare('SELECT * FROM employees WHERE token_hash = ?'),
+        getDay: db.prepare('SELECT * FROM days WHERE employee_id = ? AND date = ?'),
+        getDays: db.prepare('SELECT * FROM days WHERE employee_id = ? AND date BETWEEN ? AND ? ORDER BY date'),
+        getAllDays: db.prepare('SELECT * FROM days WHERE date BETWEEN ? AND ? ORDER BY employee_id, date'),
+        upsertDay: db.prepare(`
+            INSERT INTO days (employee_id, date, day_of_week, is_on_call, total_hours, net_hours, carried_in_minutes, applied_deductions, updated_at)
+            VALUES (@employeeId, @date, @dayOfWeek, @isOnCall, @totalHours, @netHours, @carriedInMinutes, @appliedDeductions, @updatedAt)
+            ON CONFLICT (employee_id, date) DO UPDATE SET
+                day_of_week = excluded.day_of_week,
+                is_on_call = excluded.is_on_call,
+                total_hours = excluded.total_hours,
+                net_hours = excluded.net_hours,
+                carried_in_minutes = excluded.carried_in_minutes,
+                applied_deductions = excluded.applied_deductions,
+                updated_at = excluded.updated_at
+        `),
+        touchDay: db.prepare('UPDATE days SET updated_at = ? WHERE employee_id = ? AND date = ?'),
+        deleteDay: db.prepare('DELETE FROM days WHERE employee_id = ? AND date = ?'),
+        getJobs: db.prepare('SELECT * FROM jobs WHERE employee_id = ? AND date = ? ORDER BY position'),
+        getJob: db.prepare('SELECT * FROM jobs WHERE employee_id = ? AND date = ? AND id = ?'),
+        deleteJobs: db.prepare('DELETE FROM jobs WHERE employee_id = ? AND date = ?'),
+        deleteJob: db.prepare('DELETE FROM jobs WHERE employee_id = ? AND date = ? AND id = ?'),
+        nextJobPosition: db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS position FROM jobs WHERE employee_id = ? AND date = ?'),
+        insertJob: db.prepare(`
+            INSERT INTO jobs (employee_id, date, id, position, job_number, job_location, travel_start_time, work_start_time, work_finish_time, travel_home_time, total_time_worked_minutes, next_day_fields)
+            VALUES (@employeeId, @date, @id, @position, @jobNumber, @jobLocation, @travelStartTime, @workStartTime, @workFinishTime, @travelHomeTime, @totalTimeWorkedMinutes, @nextDayFields)
+        `),
+        updateJob: db.prepare(`
+            UPDATE jobs SET job_number = @jobNumber, job_location = @jobLocation, travel_start_time = @travelStartTime,
+                work_start_time = @workStartTime, work_finish_time = @workFinishTime, travel_home_time = @travelHomeTime,
+                total_time_worked_minutes = @totalTimeWorkedMinutes, next_day_fields = @nextDayFields
+            WHERE employee_id = @employeeId AND date = @date AND id = @id
+        `),
+    };
+
+    const requireEmployee = (employeeId) => {
+        const row = statements.getEmployee.get(employeeId);
+        if (!row) throw new HttpError(404, `No employee with id "${employeeId}".`);
+        return row;
+    };
+
+    const jobParams = (employeeId, date, job, position) => ({
+        ...job,
+        employeeId,
+        date,
+        position,
+        nextDayFields: JSON.stringify(job.nextDayFields),
+    });
+
+    const readDay = (row) => toDay(row, statements.getJobs.all(row.employee_id, row.date).map(toJob));
+
+    // Employees
+
+    const createEmployee = ({ id, name = '', defaultTruck = '' } = {}) => {
+        const employeeId = id || randomUUID();
+        if (statements.getEmployee.get(employeeId)) {
+            throw new HttpError(409, `An employee with id "${employeeId}" already exists.`);
+        }
+        const token = createToken();
+        const createdAt = now();
+        statements.insertEmployee.run(employeeId, String(name).trim(), String(defaultTruck).trim(), hashToken(token), createdAt, createdAt);
+        return { employee: getEmployee(employeeId), token };
+    };
+
+    const listEmployees = () => statements.listEmployees.all().map(toEmployee);
+
+    const getEmployee = (employeeId) => toEmployee(requireEmployee(employeeId));
+
+    const updateEmployee = (employeeId, changes) => {
+        const row = requireEmployee(employeeId);
+        const name = changes.name === undefined ? row.name : String(changes.name).trim();
+        const defaultTruck = changes.defaultTruck === undefined ? row.default_truck : String(changes.defaultTruck).trim();
+        statements.updateEmployee.run(name, defaultTruck, now(), employeeId);
+        return getEmployee(employeeId);
+    };
+
+    // Replace an employee's token, e.g. when a phone is lost. The old token stops working.
+    const rotateToken = (employeeId) => {
+        requireEmployee(employeeId);
+        const token = createToken();
+        statements.setToken.run(hashToken(token), now(), employeeId);
+        return token;
+    };
+
+    const findEmployeeByToken = (token) => {
+        if (!token) return null;
+        const row = statements.findByToken.get(hashToken(token));
+        return row ? toEmployee(row) : null;
+    };
+
+    // Days
+
+    const getDays = (employeeId, range) => {
+        requireEmployee(employeeId);
+        const { from, to } = checkRange(range);
+        return Object.fromEntries(statements.getDays.all(employeeId, from, to).map(row => [row.date, readDay(row)]));
+    };
+
+    // Every employee's days in the range: { [employeeId]: weeklyData }, for dashboards and payroll
+    const getAllDays = (range) => {
+        const { from, to } = checkRange(range);
+        const result = {};
+        statements.getAllDays.all(from, to).forEach(row => {
+            result[row.employee_id] = result[row.employee_id] || {};
+            result[row.employee_id][row.date] = readDay(row);
+        });
+        return result;
+    };
+
+    const getDay = (employeeId, date) => {
+        requireEmployee(employeeId);
+        const row = statements.getDay.get(employeeId, checkDate(date));
+        if (!row) throw new HttpError(404, `No timesheet for ${date}.`);
+        return readDay(row);
+    };
+
+    const writeDay = (employeeId, date, day) => {
+        statements.upsertDay.run({
+            employeeId,
+            date,
+            dayOfWeek: day.dayOfWeek,
+            isOnCall: day.isOnCall ? 1 : 0,
+            totalHours: day.totalHours,
+            netHours: day.netHours,
+            carriedInMinutes: day.carriedInMinutes,
+            appliedDeductions: JSON.stringify(day.appliedDeductions),
+            updatedAt: now(),
+        });
+        statements.deleteJobs.run(employeeId, date);
+        day.jobs.forEach((job, position) => statements.insertJob.run(jobParams(employeeId, date, job, position)));
+    };
+
+    // Replace a day and all its jobs
+    const saveDay = (employeeId, date, input) => {
+        requireEmployee(employeeId);
+        checkDate(date);
+        const day = normalizeDay(input, date);
+        db.transaction(() => writeDay(employeeId, date, day))();
+        return getDay(employeeId, date);
+    };
+
+    // Replace several days at once, e.g. the app's whole weeklyData. Either every day is saved or
+    // none is. Days not in `weeklyData` are left alone.
+    const saveDays = (employeeId, weeklyData) => {
+        requireEmployee(employeeId);
+        if (!weeklyData || typeof weeklyData !== 'object' || Array.isArray(weeklyData)) {
+            throw new HttpError(400, 'days must be an object of dates to days.');
+        }
+        const days = Object.entries(weeklyData).map(([date, input]) => [checkDate(date), normalizeDay(input, date)]);
+        db.transaction(() => days.forEach(([date, day]) => writeDay(employeeId, date, day)))();
+        return days.length;
+    };
+
+    const deleteDay = (employeeId, date) => {
+        requireEmployee(employeeId);
+        const { changes } = statements.deleteDay.run(employeeId, checkDate(date));
+        if (changes === 0) throw new HttpError(404, `No timesheet for ${date}.`);
+    };
+
+    // Jobs
+
+    const addJob = (employeeId, date, input) => {
+        requireEmployee(employeeId);
+        checkDate(date);
+        const job = normalizeJob(input);
+        if (statements.getJob.get(employeeId, date, job.id)) {
+            throw new HttpError(409, `${date} already has a job with id "${job.id}".`);
+        }
+        db.transaction(() => {
+            // A job on a date with no timesheet yet starts that day
+            if (!statements.getDay.get(employeeId, date)) {
+                writeDay(employeeId, date, normalizeDay({ jobs: [] }, date));
+            }
+            const { position } = statements.nextJobPosition.get(employeeId, date);
+            statements.insertJob.run(jobParams(employeeId, date, job, position));
+            statements.touchDay.run(now(), employeeId, date);
+        })();
+        return job;
+    };
+
+    // Change some of a job's fields
+    const updateJob = (employeeId, date, jobId, changes) => {
+        requireEmployee(employeeId);
+        checkDate(date);
+        const row = statements.getJob.get(employeeId, date, jobId);
+        if (!row) throw new HttpError(404, `No job "${jobId}" on ${date}.`);
+        const job = normalizeJob({ ...toJob(row), ...changes, id: jobId });
+        db.transaction(() => {
+            statements.updateJob.run(jobParams(employeeId, date, job, row.position));
+            statements.touchDay.run(now(), employeeId, date);
+        })();
+        return job;
+    };
+
+    const deleteJob = (employeeId, date, jobId) => {
+        requireEmployee(employeeId);
+        checkDate(date);
+        db.transaction(() => {
+            const { changes } = statements.deleteJob.run(employeeId, date, jobId);
+            if (changes === 0) throw new HttpError(404, `No job "${jobId}" on ${date}.`);
+            statements.touchDay.run(now(), employeeId, date);
+        })();
+    };
+
+    return {
+        createEmployee,
+        listEmployees,
+        getEmployee,
+        updateEmployee,
+        rotateToken,
+        findEmployeeByToken,
+        getDays,
+        getAllDays,
+        getDay,
+        saveDay,
+        saveDays,
+        deleteDay,
+        addJob,
+        updateJob,
+        deleteJob,
+    };
+};
+
+module.exports = { createTimesheetStore, hashToken };
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../src/database');
+const { createTimesheetStore } = require('../src/timesheetStore');
+const { createServer } = require('../src/app');
+
+const ADMIN_TOKEN = 'office-secret';
+
+// A server on a free port with a throwaway database, and a helper to call it
+const startServer = async (t) => {
+    const store = createTimesheetStore(openDatabase(':memory:'));
+    const server = createServer({ store, adminToken: ADMIN_TOKEN });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const call = async (method, path, { token, body } = {}) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    };
+    return { store, call };
+};
+
+const weeklyData = {
+    '2024-01-08': {
+        jobs: [{ id: 'job-1', jobNumber: 'J-100', jobLocation: 'Depot', travelStartTime: '06:30', workStartTime: '07:00', workFinishTime: '12:00', travelHomeTime: '12:30', totalTimeWorkedMinutes: 360, nextDayFields: [] }],
+        dayOfWeek: 'Monday',
+        totalHours: 360,
+        netHours: 330,
+        isOnCall: false,
+        carriedInMinutes: 0,
+        appliedDeductions: [],
+    },
+};
+
+test('the office creates employees and employees push and pull their own days', async (t) => {
+    const { call } = await startServer(t);
+
+    const created = await call('POST', '/api/employees', { token: ADMIN_TOKEN, body: { id: 'emp-1', name: 'Sam Lee', defaultTruck: 'T-12' } });
+    assert.equal(created.status, 201);
+    const { token } = created.body;
+
+    const me = await call('GET', '/api/me', { token });
+    assert.deepEqual([me.body.id, me.body.name, me.body.defaultTruck], ['emp-1', 'Sam Lee', 'T-12']);
+    // The admin token is no employee; the app refuses it for syncing on this answer
+    assert.deepEqual((await call('GET', '/api/me', { token: ADMIN_TOKEN })).body, { admin: true });
+
+    const pushed = await call('PUT', '/api/employees/emp-1/days', { token, body: { days: weeklyData } });
+    assert.deepEqual(pushed.body, { saved: 1 });
+
+    const pulled = await call('GET', '/api/employees/emp-1/days?from=2024-01-01&to=2024-01-14', { token });
+    assert.deepEqual(pulled.body, weeklyData);
+
+    const added = await call('POST', '/api/employees/emp-1/days/2024-01-08/jobs', { token, body: { jobNumber: 'J-101' } });
+    assert.equal(added.status, 201);
+    const changed = await call('PUT', `/api/employees/emp-1/days/2024-01-08/jobs/${added.body.id}`, { token, body: { workStartTime: '13:00' } });
+    assert.equal(changed.body.workStartTime, '13:00');
+
+    const allDays = await call('GET', '/api/days?from=2024-01-08&to=2024-01-08', { token: ADMIN_TOKEN });
+    assert.deepEqual(allDays.body['emp-1']['2024-01-08'].jobs.map(job => job.jobNumber), ['J-100', 'J-101']);
+
+    assert.equal((await call('DELETE', '/api/employees/emp-1/days/2024-01-08', { token })).status, 204);
+    assert.equal((await call('GET', '/api/employees/emp-1/days/2024-01-08', { token })).status, 404);
+});
+
+test('tokens only reach their own employee\'s records', async (t) => {
+    const { store, call } = await startServer(t);
+    const { token } = store.createEmployee({ id: 'emp-1' });
+    store.createEmployee({ id: 'emp-2' });
+
+    assert.equal((await call('GET', '/api/employees/emp-1/days')).status, 401);
+    assert.equal((await call('GET', '/api/employees/emp-1/days', { token: 'wrong' })).status, 401);
+    assert.equal((await call('GET', '/api/employees/emp-2/days', { token })).status, 403);
+    assert.equal((await call('PUT', '/api/employees/emp-2/days', { token, body: { days: weeklyData } })).status, 403);
+    assert.equal((await call('GET', '/api/days', { token })).status, 403);
+    assert.equal((await call('POST', '/api/employees', { token, body: { name: 'Someone' } })).status, 403);
+    assert.deepEqual((await call('GET', '/api/employees', { token })).body.map(employee => employee.id), ['emp-1']);
+    assert.equal((await call('GET', '/api/employees', { token: ADMIN_TOKEN })).body.length, 2);
+});
+
+test('answers bad requests with a status and an error message', async (t) => {
+    const { store, call } = await startServer(t);
+    const { token } = store.createEmployee({ id: 'emp-1' });
+
+    const badTime = await call('PUT', '/api/employees/emp-1/days/2024-01-08', { token, body: { jobs: [{ workStartTime: '25:00' }] } });
+    assert.equal(badTime.status, 400);
+    assert.match(badTime.body.error, /not a valid HH:MM time/);
+
+    assert.equal((await call('GET', '/api/nowhere', { token })).status, 404);
+    assert.equal((await call('POST', '/api/me', { token })).status, 405);
+    assert.equal((await call('GET', '/api/health')).status, 200);
+});
+
+test('answers an oversized body with a 413 instead of dropping the connection', async (t) => {
+    const { store, call } = await startServer(t);
+    const { token } = store.createEmployee({ id: 'emp-1' });
+
+    const tooLarge = await call('PUT', '/api/employees/emp-1/days', { token, body: { days: {}, padding: 'x'.repeat(6 * 1024 * 1024) } });
+    assert.equal(tooLarge.status, 413);
+    assert.deepEqual(tooLarge.body, { error: 'The request body is too large.' });
+    assert.equal(tooLarge.headers.get('connection'), 'close');
+    assert.deepEqual(store.getDays('emp-1', {}), {});
+
+    // The server carries on answering
+    assert.equal((await call('GET', '/api/me', { token })).status, 200);
+});
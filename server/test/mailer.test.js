@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSmtpSink } = require('../scripts/smtpSink');
+const { createMailer, readMailSettings } = require('../src/mailer');
+const { openDatabase } = require('../src/database');
+const { createTimesheetStore } = require('../src/timesheetStore');
+const { createServer } = require('../src/app');
+
+const listen = async (t, server) => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return server.address().port;
+};
+
+const startMailer = async (t, env = {}) => {
+    const sink = createSmtpSink();
+    const port = await listen(t, sink);
+    const mailer = createMailer(readMailSettings({
+        SMTP_HOST: '127.0.0.1', SMTP_PORT: String(port), MAIL_FROM: 'Timesheets <timesheets@office.example.com>', REPORT_RECIPIENTS: 'Payroll@office.example.com, @office.example.com', ...env,
+    }));
+    return { sink, mailer };
+};
+
+const reportEmail = {
+    to: ['payroll@office.example.com', 'office@office.example.com'],
+    cc: ['supervisor@office.example.com'],
+    subject: 'Weekly Timesheet Report - Sam Lee - 2024-01-08 to 2024-01-14',
+    text: 'Total hours: 40.00',
+    attachments: [
+        { filename: 'Sam_Lee_Timesheet.csv', contentType: 'text/csv', content: Buffer.from('Date,Hours\r\n2024-01-08,8.00\r\n').toString('base64') },
+        { filename: 'Sam_Lee_Timesheet.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF-1.4').toString('base64') },
+    ],
+};
+
+test('sends the report with its attachments to every recipient and the CC', async (t) => {
+    const { sink, mailer } = await startMailer(t, { SMTP_USER: 'timesheets', SMTP_PASSWORD: 'secret' });
+
+    const result = await mailer.sendReportEmail(reportEmail);
+
+    assert.deepEqual(result.accepted, [...reportEmail.to, ...reportEmail.cc]);
+    assert.equal(sink.messages.length, 1);
+    const [message] = sink.messages;
+    assert.equal(message.from, 'timesheets@office.example.com');
+    assert.deepEqual(message.to, [...reportEmail.to, ...reportEmail.cc]);
+    assert.match(message.data, /^Cc: supervisor@office\.example\.com$/m);
+    assert.match(message.data, /^Subject: Weekly Timesheet Report - Sam Lee/m);
+    assert.match(message.data, /filename=Sam_Lee_Timesheet\.csv/);
+    assert.match(message.data, /filename=Sam_Lee_Timesheet\.pdf/);
+    assert.ok(message.data.includes(reportEmail.attachments[0].content));
+});
+
+test('refuses emails without recipients or with bad addresses or attachments', async (t) => {
+    const { sink, mailer } = await startMailer(t);
+
+    await assert.rejects(mailer.sendReportEmail({ ...reportEmail, to: [] }), { status: 400, message: 'Add at least one recipient.' });
+    await assert.rejects(mailer.sendReportEmail({ ...reportEmail, cc: ['not an address'] }), { status: 400 });
+    await assert.rejects(mailer.sendReportEmail({ ...reportEmail, attachments: [{ filename: 'a.csv', content: 'not base64!' }] }), { status: 400 });
+    await assert.rejects(mailer.sendReportEmail({ ...reportEmail, attachments: [{ filename: '../a.csv', content: '' }] }), { status: 400 });
+    assert.equal(sink.messages.length, 0);
+});
+
+test('only sends to the report addresses unless any recipient is allowed', async (t) => {
+    const { sink, mailer } = await startMailer(t, { REPORT_RECIPIENTS: 'payroll@office.example.com' });
+
+    await assert.rejects(mailer.sendReportEmail(reportEmail), {
+        status: 403,
+        message: 'Reports can only be emailed to the office\'s report addresses, not to office@office.example.com, supervisor@office.example.com.',
+    });
+    await assert.rejects(mailer.sendReportEmail({ ...reportEmail, to: ['payroll@office.example.com.evil.test'], cc: [] }), { status: 403 });
+    assert.equal(sink.messages.length, 0);
+
+    await mailer.sendReportEmail({ ...reportEmail, to: ['PAYROLL@office.example.com'], cc: [] });
+    await mailer.sendReportEmail(reportEmail, { anyRecipient: true });
+    assert.equal(sink.messages.length, 2);
+
+    const { mailer: unconfigured } = await startMailer(t, { REPORT_RECIPIENTS: '' });
+    await assert.rejects(unconfigured.sendReportEmail(reportEmail), { status: 403 });
+});
+
+test('reports an unreachable relay as a 502', async (t) => {
+    const sink = createSmtpSink();
+    const port = await listen(t, sink);
+    await new Promise(resolve => sink.close(resolve));
+    const mailer = createMailer(readMailSettings({ SMTP_HOST: '127.0.0.1', SMTP_PORT: String(port), REPORT_RECIPIENTS: '@office.example.com' }));
+
+    await assert.rejects(mailer.sendReportEmail(reportEmail), { status: 502, message: /The mail relay did not take the email/ });
+});
+
+test('emails a report through the API', async (t) => {
+    const { sink, mailer } = await startMailer(t);
+    const store = createTimesheetStore(openDatabase(':memory:'));
+    const { token } = store.createEmployee({ id: 'emp-1', name: 'Sam Lee' });
+    const port = await listen(t, createServer({ store, mailer, adminToken: 'office-secret' }));
+    const withoutMail = await listen(t, createServer({ store }));
+
+    const send = (serverPort, email = reportEmail, bearer = token) => fetch(`http://127.0.0.1:${serverPort}/api/reports/email`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${bearer}` },
+        body: JSON.stringify(email),
+    });
+
+    const response = await send(port);
+    assert.equal(response.status, 200);
+    assert.match((await response.json()).sentAt, /^\d{4}-\d{2}-\d{2}T/);
+    assert.equal(sink.messages.length, 1);
+
+    assert.equal((await send(withoutMail)).status, 503);
+
+    // An employee token cannot relay mail to outside addresses; the office can
+    const outside = { ...reportEmail, to: ['someone@elsewhere.example.com'], cc: [] };
+    const refused = await send(port, outside);
+    assert.equal(refused.status, 403);
+    assert.match((await refused.json()).error, /not to someone@elsewhere\.example\.com/);
+    assert.equal(sink.messages.length, 1);
+    assert.equal((await send(port, outside, 'office-secret')).status, 200);
+    assert.equal(sink.messages.length, 2);
+});
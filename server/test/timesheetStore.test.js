@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../src/database');
+const { createTimesheetStore } = require('../src/timesheetStore');
+
+const createStore = () => createTimesheetStore(openDatabase(':memory:'));
+
+const job = (fields) => ({
+    id: fields.id || `job-${fields.jobNumber}`,
+    jobNumber: '',
+    jobLocation: '',
+    travelStartTime: '',
+    workStartTime: '',
+    workFinishTime: '',
+    travelHomeTime: '',
+    totalTimeWorkedMinutes: 0,
+    nextDayFields: [],
+    ...fields,
+});
+
+const day = (jobs, fields = {}) => ({
+    jobs,
+    dayOfWeek: 'Monday',
+    totalHours: 540,
+    netHours: 450,
+    isOnCall: false,
+    carriedInMinutes: 0,
+    appliedDeductions: [{ id: 'lunch', minutes: 30 }],
+    ...fields,
+});
+
+test('stores days and jobs in the app\'s weeklyData shape', () => {
+    const store = createStore();
+    const { employee } = store.createEmployee({ id: 'emp-1', name: 'Sam Lee', defaultTruck: 'T-12' });
+    const weeklyData = {
+        '2024-01-08': day([
+            job({ jobNumber: 'J-100', workStartTime: '07:00', workFinishTime: '12:00', totalTimeWorkedMinutes: 300 }),
+            job({ jobNumber: 'J-101', workStartTime: '22:00', travelHomeTime: '01:00', nextDayFields: ['travelHomeTime'] }),
+        ], { isOnCall: true }),
+        '2024-01-09': day([], { dayOfWeek: 'Tuesday', totalHours: 0, netHours: 0, appliedDeductions: [] }),
+    };
+
+    assert.equal(store.saveDays(employee.id, weeklyData), 2);
+
+    assert.deepEqual(store.getDays('emp-1'), weeklyData);
+    assert.deepEqual(Object.keys(store.getDays('emp-1', { from: '2024-01-09' })), ['2024-01-09']);
+    assert.deepEqual(store.getAllDays({ to: '2024-01-08' }), { 'emp-1': { '2024-01-08': weeklyData['2024-01-08'] } });
+});
+
+test('replacing a day replaces its jobs and keeps the other days', () => {
+    const store = createStore();
+    store.createEmployee({ id: 'emp-1' });
+    store.saveDays('emp-1', {
+        '2024-01-08': day([job({ jobNumber: 'J-100' }), job({ jobNumber: 'J-101' })]),
+        '2024-01-09': day([job({ jobNumber: 'J-200' })]),
+    });
+
+    store.saveDay('emp-1', '2024-01-08', day([job({ jobNumber: 'J-102' })]));
+
+    const days = store.getDays('emp-1');
+    assert.deepEqual(days['2024-01-08'].jobs.map(saved => saved.jobNumber), ['J-102']);
+    assert.deepEqual(days['2024-01-09'].jobs.map(saved => saved.jobNumber), ['J-200']);
+});
+
+test('adds, changes and removes single jobs in row order', () => {
+    const store = createStore();
+    store.createEmployee({ id: 'emp-1' });
+
+    const first = store.addJob('emp-1', '2024-01-08', { jobNumber: 'J-100' });
+    store.addJob('emp-1', '2024-01-08', { jobNumber: 'J-101' });
+    store.updateJob('emp-1', '2024-01-08', first.id, { workStartTime: '07:15' });
+
+    let saved = store.getDay('emp-1', '2024-01-08');
+    assert.deepEqual(saved.jobs.map(({ jobNumber, workStartTime }) => [jobNumber, workStartTime]), [['J-100', '07:15'], ['J-101', '']]);
+
+    store.deleteJob('emp-1', '2024-01-08', first.id);
+    saved = store.getDay('emp-1', '2024-01-08');
+    assert.deepEqual(saved.jobs.map(remaining => remaining.jobNumber), ['J-101']);
+    assert.throws(() => store.deleteJob('emp-1', '2024-01-08', first.id), { status: 404 });
+});
+
+test('rejects days and jobs that do not fit the app\'s shapes', () => {
+    const store = createStore();
+    store.createEmployee({ id: 'emp-1' });
+
+    assert.throws(() => store.saveDay('emp-1', '2024-02-30', day([])), { status: 400, message: /not a valid YYYY-MM-DD date/ });
+    assert.throws(() => store.saveDay('emp-1', '2024-01-08', day([job({ workStartTime: '7am' })])), { status: 400, message: /not a valid HH:MM time/ });
+    assert.throws(() => store.saveDay('emp-1', '2024-01-08', day([job({ nextDayFields: ['jobNumber'] })])), { status: 400 });
+    assert.throws(() => store.saveDay('emp-1', '2024-01-08', day([job({ id: 'a' }), job({ id: 'a' })])), { status: 400, message: /same id/ });
+    // Nothing from a rejected batch is saved
+    assert.throws(() => store.saveDays('emp-1', { '2024-01-08': day([]), bad: day([]) }), { status: 400 });
+    assert.deepEqual(store.getDays('emp-1'), {});
+});
+
+test('tokens are stored hashed and can be replaced', () => {
+    const store = createStore();
+    const { employee, token } = store.createEmployee({ name: 'Sam Lee' });
+
+    assert.equal(store.findEmployeeByToken(token).id, employee.id);
+    assert.equal(store.findEmployeeByToken('not-a-token'), null);
+
+    const newToken = store.rotateToken(employee.id);
+    assert.equal(store.findEmployeeByToken(token), null);
+    assert.equal(store.findEmployeeByToken(newToken).name, 'Sam Lee');
+    assert.throws(() => store.createEmployee({ id: employee.id }), { status: 409 });
+});
@@ -0,0 +1,411 @@
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from './App';
+
+// Each test drives the whole app, which takes a few seconds and more on a busy CI machine
+jest.setTimeout(15000);
+
+// Value shown beside a label in the Daily Summary, e.g. "9.00 Hrs"
+const getSummaryValue = (label) => screen.getByLabelText(label).textContent;
+
+// Time inputs are filled the way the browser's time picker does: the whole value at once
+const setTime = (label, value) => fireEvent.change(screen.getByLabelText(label), { target: { value } });
+
+// Settings and addresses are pasted in rather than typed key by key: every keystroke renders
+// the whole app, and typing is not what these tests are about
+const pasteText = async (label, text) => {
+    await userEvent.click(screen.getByLabelText(label));
+    await userEvent.paste(text);
+};
+
+const renderApp = async () => {
+    const view = render(<App />);
+    // Adding crew members is enabled once the saved data has loaded
+    await waitFor(() => expect(screen.getByRole('button', { name: '+ Add Crew Member' })).toBeEnabled());
+    return view;
+};
+
+const fillTwoJobs = async () => {
+    await userEvent.type(screen.getByLabelText('Job 1 Job Number'), 'J-100');
+    setTime('Job 1 Travel Start', '07:00');
+    setTime('Job 1 Travel Home Arrival', '12:00');
+    await userEvent.type(screen.getByLabelText('Job 2 Job Number'), 'J-101');
+    setTime('Job 2 Travel Start', '12:30');
+    setTime('Job 2 Travel Home Arrival', '16:30');
+};
+
+const chooseGemini = async () => {
+    await userEvent.click(screen.getByRole('button', { name: /Settings/ }));
+    await userEvent.click(screen.getByLabelText('Google Gemini'));
+    await pasteText('API Key', 'test-key');
+    await userEvent.click(screen.getByRole('button', { name: 'Close Settings' }));
+};
+
+beforeEach(() => {
+    window.localStorage.clear();
+    window.confirm = jest.fn(() => true);
+    global.fetch = jest.fn();
+});
+
+afterEach(() => {
+    delete global.fetch;
+});
+
+describe('saved data', () => {
+    test('keeps saving switched off when the saved data cannot be loaded', async () => {
+        const savedRoster = JSON.stringify([{ id: 'sam', name: 'Sam Lee', defaultTruck: 'T-7' }]);
+        window.localStorage.setItem('pro-air-timesheet:meta:roster', savedRoster);
+        const getItem = jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+            throw new Error('The stored data is unreadable');
+        });
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        render(<App />);
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('Saved data could not be loaded: The stored data is unreadable');
+        await userEvent.type(screen.getByLabelText('Job 1 Job Number'), 'J-100');
+        getItem.mockRestore();
+        consoleError.mockRestore();
+
+        expect(screen.getByRole('button', { name: '+ Add Crew Member' })).toBeDisabled();
+        expect(window.localStorage.getItem('pro-air-timesheet:meta:roster')).toBe(savedRoster);
+        expect(Object.keys(window.localStorage).filter(key => key.includes(':day:'))).toEqual([]);
+    });
+
+    test('keeps the crew roster\'s payroll ids and labour rates after a reload', async () => {
+        window.localStorage.setItem('pro-air-timesheet:meta:roster', JSON.stringify([{ id: 'sam', name: 'Sam Lee', defaultTruck: 'T-7' }]));
+        const { unmount } = await renderApp();
+        await userEvent.click(screen.getByRole('button', { name: /Settings/ }));
+        await pasteText('Payroll ID for Sam Lee', '001234');
+        await pasteText('Labour rate for Sam Lee', '42.5');
+        await waitFor(() => expect(JSON.parse(window.localStorage.getItem('pro-air-timesheet:meta:roster'))[0]).toMatchObject({ payrollId: '001234', labourRate: 42.5 }));
+        unmount();
+
+        await renderApp();
+        await userEvent.click(screen.getByRole('button', { name: /Settings/ }));
+        expect(screen.getByLabelText('Payroll ID for Sam Lee')).toHaveValue('001234');
+        expect(screen.getByLabelText('Labour rate for Sam Lee')).toHaveValue(42.5);
+    });
+});
+
+describe('Daily Summary', () => {
+    test('totals the job rows and takes the travel and lunch deductions', async () => {
+        await renderApp();
+        await fillTwoJobs();
+
+        expect(within(screen.getByRole('row', { name: 'Job 1' })).getByText('5.00')).toBeInTheDocument();
+        expect(getSummaryValue('Total Hours for All Jobs:')).toBe('9.00 Hrs');
+        expect(getSummaryValue('Net Working Hours:')).toBe('7.50 Hrs');
+        expect(screen.getByText('Travel -1.00, Lunch -0.50')).toBeInTheDocument();
+    });
+
+    test('does not take the travel deduction on an on-call day', async () => {
+        await renderApp();
+        await fillTwoJobs();
+        await userEvent.click(screen.getByLabelText('On-Call Day'));
+
+        expect(getSummaryValue('Total Hours for All Jobs:')).toBe('9.00 Hrs');
+        expect(getSummaryValue('Net Working Hours:')).toBe('8.50 Hrs');
+    });
+
+    test('counts only the hours before midnight of an overnight job', async () => {
+        await renderApp();
+        setTime('Job 1 Travel Start', '22:00');
+        setTime('Job 1 Travel Home Arrival', '02:00');
+
+        expect(within(screen.getByRole('row', { name: 'Job 1' })).getByText('4.00')).toBeInTheDocument();
+        expect(getSummaryValue('Total Hours for All Jobs:')).toBe('2.00 Hrs');
+        expect(getSummaryValue('Net Working Hours:')).toBe('2.00 Hrs');
+    });
+});
+
+describe('daily report', () => {
+    test('sends the day to Gemini and shows the reply', async () => {
+        global.fetch.mockResolvedValue({
+            ok: true,
+            status: 200,
+            json: async () => ({ candidates: [{ content: { parts: [{ text: 'Mocked daily report' }] } }] }),
+        });
+        await renderApp();
+        await chooseGemini();
+        await fillTwoJobs();
+        await userEvent.click(screen.getByRole('button', { name: /Generate Daily Report/ }));
+
+        expect(await screen.findByText('Mocked daily report')).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toMatch(/:generateContent$/);
+        expect(options.headers['x-goog-api-key']).toBe('test-key');
+        const prompt = JSON.parse(options.body).contents[0].parts[0].text;
+        expect(prompt).toContain('J-100');
+        expect(prompt).toContain('7.50');
+    });
+
+    test('falls back to the built-in template when the request fails', async () => {
+        global.fetch.mockRejectedValue(new Error('Network down'));
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        await renderApp();
+        await chooseGemini();
+        await fillTwoJobs();
+        await userEvent.click(screen.getByRole('button', { name: /Generate Daily Report/ }));
+
+        expect(await screen.findByText(/Could not generate the daily report with the selected provider \(Network down\)/)).toBeInTheDocument();
+        expect(screen.getByLabelText('Generated Daily Report:')).toHaveTextContent('J-100');
+        expect(consoleError).toHaveBeenCalledWith('Error generating daily report:', expect.any(Error));
+        consoleError.mockRestore();
+    });
+});
+
+describe('approval', () => {
+    test('locks the days of an approved period until it is unlocked with a reason', async () => {
+        await renderApp();
+        await fillTwoJobs();
+
+        await userEvent.click(screen.getByRole('button', { name: 'Submit for Approval' }));
+        await userEvent.type(screen.getByLabelText('Reviewer Name'), 'Pat Supervisor');
+        await userEvent.click(screen.getByRole('button', { name: 'Approve' }));
+
+        expect(screen.getByText(/This day is in the pay period .* approved by Pat Supervisor/)).toBeInTheDocument();
+        expect(screen.getByLabelText('Job 1 Job Number')).toBeDisabled();
+        expect(screen.getByRole('button', { name: 'Add Job Row for Current Day' })).toBeDisabled();
+        expect(screen.getByLabelText('On-Call Day')).toBeDisabled();
+
+        await userEvent.click(screen.getByRole('button', { name: /Unlock for Correction/ }));
+        expect(screen.getByText('Enter the reason for unlocking the approved period.')).toBeInTheDocument();
+        expect(screen.getByLabelText('Job 1 Job Number')).toBeDisabled();
+
+        await userEvent.type(screen.getByLabelText('Reason for Unlocking'), 'Wrong job number');
+        await userEvent.click(screen.getByRole('button', { name: /Unlock for Correction/ }));
+        expect(screen.getByLabelText('Job 1 Job Number')).toBeEnabled();
+        expect(screen.getByText(/Unlocked by Pat Supervisor - "Wrong job number"/)).toBeInTheDocument();
+        expect(getSummaryValue('Net Working Hours:')).toBe('7.50 Hrs');
+    });
+});
+
+describe('change history', () => {
+    test('records each change to the day and can revert one', async () => {
+        await renderApp();
+        await fillTwoJobs();
+        setTime('Job 1 Travel Start', '07:15');
+
+        await userEvent.click(screen.getByText(/Change History for This Day/));
+        const change = screen.getByRole('listitem', { name: 'Travel Start: 07:00 -> 07:15' });
+        expect(screen.getByText('Job Number: (blank) -> J-100')).toBeInTheDocument();
+        expect(getSummaryValue('Total Hours for All Jobs:')).toBe('8.75 Hrs');
+
+        await userEvent.click(within(change).getByRole('button', { name: 'Revert' }));
+        expect(screen.getByLabelText('Job 1 Travel Start')).toHaveValue('07:00');
+        expect(screen.getByText('Reverted: Travel Start: 07:15 -> 07:00')).toBeInTheDocument();
+        expect(within(change).getByText('Reverted')).toBeInTheDocument();
+        expect(getSummaryValue('Total Hours for All Jobs:')).toBe('9.00 Hrs');
+    });
+
+    test('puts a removed job row back', async () => {
+        await renderApp();
+        await fillTwoJobs();
+        await userEvent.click(screen.getAllByRole('button', { name: 'Remove' })[1]);
+        expect(getSummaryValue('Total Hours for All Jobs:')).toBe('5.00 Hrs');
+
+        await userEvent.click(screen.getByText(/Change History for This Day/));
+        const removal = screen.getByRole('listitem', { name: 'Removed Job Row (J-101)' });
+        await userEvent.click(within(removal).getByRole('button', { name: 'Revert' }));
+        expect(screen.getByLabelText('Job 2 Job Number')).toHaveValue('J-101');
+        expect(getSummaryValue('Total Hours for All Jobs:')).toBe('9.00 Hrs');
+    });
+});
+
+describe('change history retention', () => {
+    test('removes changes past the retention period only after they are downloaded', async () => {
+        const entry = (id, at) => ({ id, at, employeeId: 'sam', date: at.slice(0, 10), action: 'edit', jobId: 'a', jobNumber: 'J-100', field: 'jobNumber', oldValue: '', newValue: 'J-100', index: null, revertOf: null });
+        const recent = entry('recent', new Date().toISOString());
+        window.localStorage.setItem('pro-air-timesheet:meta:roster', JSON.stringify([{ id: 'sam', name: 'Sam Lee', defaultTruck: 'T-7' }]));
+        window.localStorage.setItem('pro-air-timesheet:meta:auditLog', JSON.stringify([entry('old', '2020-01-06T16:00:00.000Z'), recent]));
+        window.localStorage.setItem('pro-air-timesheet:meta:auditSettings', JSON.stringify({ retentionDays: 30 }));
+        URL.createObjectURL = jest.fn(() => 'blob:change-history');
+        URL.revokeObjectURL = jest.fn();
+        // jsdom cannot follow the download link
+        const clickLink = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        await renderApp();
+        await userEvent.click(screen.getByRole('button', { name: /Settings/ }));
+
+        expect(screen.getByText(/1 change is older than 30 days/)).toBeInTheDocument();
+        const removeButton = screen.getByRole('button', { name: 'Remove Old Changes' });
+        expect(removeButton).toBeDisabled();
+
+        await userEvent.click(screen.getByRole('button', { name: /Download Old Changes as CSV/ }));
+        expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+        const archive = await new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.readAsText(URL.createObjectURL.mock.calls[0][0]);
+        });
+        expect(archive).toContain('Sam Lee,2020-01-06');
+        expect(archive).not.toContain(recent.date);
+
+        await userEvent.click(removeButton);
+        expect(window.confirm).toHaveBeenCalled();
+        expect(screen.queryByText(/older than 30 days/)).not.toBeInTheDocument();
+        await waitFor(() => expect(JSON.parse(window.localStorage.getItem('pro-air-timesheet:meta:auditLog'))).toEqual([recent]));
+        clickLink.mockRestore();
+    });
+});
+
+describe('undo and day templates', () => {
+    test('undoes a removed job row with the button and redoes it with the keyboard', async () => {
+        await renderApp();
+        await fillTwoJobs();
+        await userEvent.click(screen.getAllByRole('button', { name: 'Remove' })[0]);
+        expect(screen.getByLabelText('Job 1 Job Number')).toHaveValue('J-101');
+
+        await userEvent.click(screen.getByRole('button', { name: /Undo/ }));
+        expect(screen.getByLabelText('Job 1 Job Number')).toHaveValue('J-100');
+        expect(getSummaryValue('Total Hours for All Jobs:')).toBe('9.00 Hrs');
+
+        await userEvent.keyboard('{Control>}{Shift>}z{/Shift}{/Control}');
+        expect(screen.getByLabelText('Job 1 Job Number')).toHaveValue('J-101');
+        await userEvent.keyboard('{Control>}z{/Control}');
+        expect(screen.getByLabelText('Job 1 Job Number')).toHaveValue('J-100');
+    });
+
+    test('copies the previous day\'s jobs without their times', async () => {
+        await renderApp();
+        await fillTwoJobs();
+        const firstDate = screen.getByLabelText('Date').value;
+        fireEvent.change(screen.getByLabelText('Date'), { target: { value: '2030-01-02' } });
+        expect(screen.getByLabelText('Job 1 Job Number')).toHaveValue('');
+
+        await userEvent.click(screen.getByText('Copy a Day or Use a Day Template'));
+        expect(screen.getByLabelText('Copy Jobs From')).toHaveValue(firstDate);
+        await userEvent.click(screen.getByLabelText('Include times'));
+        await userEvent.click(screen.getByRole('button', { name: 'Copy onto 2030-01-02' }));
+        expect(screen.getByLabelText('Job 1 Job Number')).toHaveValue('J-100');
+        expect(screen.getByLabelText('Job 2 Job Number')).toHaveValue('J-101');
+        expect(screen.getByLabelText('Job 1 Travel Start')).toHaveValue('');
+    });
+
+    test('saves the day as a template and fills another day from it', async () => {
+        await renderApp();
+        await fillTwoJobs();
+        await userEvent.click(screen.getByText('Copy a Day or Use a Day Template'));
+        await userEvent.type(screen.getByLabelText('New Template Name'), 'Tuesday maintenance route');
+        await userEvent.click(screen.getByRole('button', { name: 'Save This Day as Template' }));
+
+        fireEvent.change(screen.getByLabelText('Date'), { target: { value: '2030-01-02' } });
+        await userEvent.click(screen.getByText('Copy a Day or Use a Day Template'));
+        expect(screen.getByLabelText('Day Template')).toHaveDisplayValue('Tuesday maintenance route (2 jobs)');
+        await userEvent.click(screen.getByRole('button', { name: 'Fill Day from Template' }));
+        expect(screen.getByLabelText('Job 2 Job Number')).toHaveValue('J-101');
+        expect(screen.getByLabelText('Job 2 Travel Start')).toHaveValue('');
+    });
+});
+
+describe('outbox', () => {
+    test('sends a submitted period to the endpoint set in Settings', async () => {
+        global.fetch.mockResolvedValue({ ok: true, status: 201, json: () => Promise.resolve({ version: 1 }) });
+        await renderApp();
+        await userEvent.click(screen.getByRole('button', { name: /Settings/ }));
+        await pasteText('Timesheet Endpoint URL', 'http://localhost:4010/timesheets');
+        await userEvent.click(screen.getByRole('button', { name: 'Close Settings' }));
+        await fillTwoJobs();
+
+        await userEvent.click(screen.getByRole('button', { name: 'Submit for Approval' }));
+        expect(await screen.findByText(/Nothing waiting to be sent. Last sent: /)).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        const [url, request] = global.fetch.mock.calls[0];
+        expect(url).toBe('http://localhost:4010/timesheets');
+        expect(JSON.parse(request.body).days.map(day => day.jobs[0].jobNumber)).toEqual(['J-100']);
+    });
+
+    test('keeps the item with its error when sending breaks unexpectedly', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        // A response without a body to read makes sending throw instead of recording a server error
+        global.fetch.mockResolvedValue(undefined);
+        await renderApp();
+        await userEvent.click(screen.getByRole('button', { name: /Settings/ }));
+        await pasteText('Timesheet Endpoint URL', 'http://localhost:4010/timesheets');
+        await userEvent.click(screen.getByRole('button', { name: 'Close Settings' }));
+        await fillTwoJobs();
+
+        await userEvent.click(screen.getByRole('button', { name: 'Submit for Approval' }));
+        expect(await screen.findByText('Failed')).toBeInTheDocument();
+        expect(screen.getByText(/Cannot read properties of undefined/)).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        consoleError.mockRestore();
+    });
+});
+
+describe('timesheet server', () => {
+    test('pulls the crew member\'s days from the server', async () => {
+        const serverDays = {
+            '2024-01-08': {
+                jobs: [{ id: 'server-job', jobNumber: 'J-300', jobLocation: 'Depot', travelStartTime: '', workStartTime: '08:00', workFinishTime: '12:00', travelHomeTime: '', totalTimeWorkedMinutes: 240, nextDayFields: [] }],
+                dayOfWeek: 'Monday',
+                totalHours: 240,
+                netHours: 240,
+                isOnCall: false,
+                carriedInMinutes: 0,
+                appliedDeductions: [],
+            },
+        };
+        global.fetch
+            .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ id: 'emp-1', name: 'Sam Lee', defaultTruck: 'T-12' }) })
+            .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve(serverDays) });
+        await renderApp();
+        await userEvent.click(screen.getByRole('button', { name: /Settings/ }));
+        await pasteText('Server URL', 'https://office.example.com');
+        await pasteText('Server Token for this crew member', 'sam-token');
+        await userEvent.click(screen.getByRole('button', { name: 'Close Settings' }));
+
+        await userEvent.click(screen.getByRole('button', { name: 'Pull from Server' }));
+        await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Pulled 1 day for Sam Lee.'));
+        expect(global.fetch.mock.calls[1][0]).toBe('https://office.example.com/api/employees/emp-1/days');
+
+        fireEvent.change(screen.getByLabelText('Date'), { target: { value: '2024-01-08' } });
+        expect(screen.getByLabelText('Job 1 Job Number')).toHaveValue('J-300');
+    });
+});
+
+describe('report email', () => {
+    test('emails the daily report with its CSV and PDF and logs it on the pay period', async () => {
+        global.fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ sentAt: new Date().toISOString() }) });
+        await renderApp();
+        await userEvent.click(screen.getByRole('button', { name: /Settings/ }));
+        await pasteText('Server URL', 'https://office.example.com');
+        await pasteText('Server Token for this crew member', 'sam-token');
+        await userEvent.click(screen.getByRole('button', { name: 'Close Settings' }));
+        await fillTwoJobs();
+        await userEvent.click(screen.getByRole('button', { name: /Generate Daily Report/ }));
+        await screen.findByText('Generated Daily Report:');
+
+        await pasteText('Email To', 'payroll@office.com, office@office.com');
+        await userEvent.type(screen.getByLabelText('CC (Supervisor)'), 'pat');
+        await userEvent.click(screen.getByRole('button', { name: /Send Email with CSV and PDF/ }));
+        expect(screen.getByText('These are not email addresses: pat')).toBeInTheDocument();
+
+        await userEvent.type(screen.getByLabelText('CC (Supervisor)'), '@office.com');
+        await userEvent.click(screen.getByRole('button', { name: /Send Email with CSV and PDF/ }));
+        expect(await screen.findByText('Sent to payroll@office.com, office@office.com, pat@office.com.')).toBeInTheDocument();
+
+        const [url, request] = global.fetch.mock.calls[0];
+        expect(url).toBe('https://office.example.com/api/reports/email');
+        const email = JSON.parse(request.body);
+        expect(email.cc).toEqual(['pat@office.com']);
+        expect(email.text).toContain('J-100');
+        expect(email.attachments.map(attachment => attachment.contentType)).toEqual(['text/csv', 'application/pdf']);
+        expect(screen.getByText('Reports Emailed (1)')).toBeInTheDocument();
+    });
+});
+
+describe('job costing', () => {
+    test('lists the day\'s jobs by job number and narrows them with the search', async () => {
+        await renderApp();
+        await fillTwoJobs();
+
+        const table = screen.getByRole('region', { name: 'Job Costing by Job Number' });
+        expect(within(table).getByRole('cell', { name: 'J-100' })).toBeInTheDocument();
+        expect(within(table).getByRole('cell', { name: 'J-101' })).toBeInTheDocument();
+
+        fireEvent.change(screen.getByLabelText('Job Number or Location'), { target: { value: 'J-101' } });
+        expect(within(table).queryByRole('cell', { name: 'J-100' })).not.toBeInTheDocument();
+        expect(within(table).getByRole('cell', { name: 'J-101' })).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,110 @@
+// Supervisor approval of pay periods.
+// Each employee's pay period moves from draft to submitted, and then to approved or rejected
+// with the reviewer's comment. Days inside an approved period are read-only. Correcting one
+// needs an explicit unlock, which is recorded with its reason and puts the period back to draft.
+// Records are kept per employee and keyed by the period's dates:
+// { [employeeId]: { [periodKey]: { startDate, endDate, status, reviewedBy, reviewedAt, comment, history, emails } } }
+
+import { formatDateTime } from './dateUtils';
+
+export const APPROVAL_STATUS_LABELS = {
+    draft: 'Draft',
+    submitted: 'Submitted',
+    approved: 'Approved',
+    rejected: 'Rejected',
+};
+
+// What each action does: the statuses it can be taken from, the status it moves to, and
+// whether it needs the reviewer's name and a comment
+const APPROVAL_ACTIONS = {
+    submit: { from: ['draft', 'rejected'], to: 'submitted', label: 'submitted' },
+    approve: { from: ['submitted'], to: 'approved', label: 'approved', needsName: true },
+    reject: { from: ['submitted'], to: 'rejected', label: 'rejected', needsName: true, commentMessage: 'Enter a comment saying what needs to be corrected.' },
+    unlock: { from: ['approved'], to: 'draft', label: 'unlocked', needsName: true, commentMessage: 'Enter the reason for unlocking the approved period.' },
+};
+
+export const getPeriodKey = (startDate, endDate) => `${startDate}_${endDate}`;
+
+export const createApproval = (startDate, endDate) => ({
+    startDate,
+    endDate,
+    status: 'draft',
+    reviewedBy: '', // Who approved or rejected the period, cleared when it is resubmitted or unlocked
+    reviewedAt: '',
+    comment: '',
+    history: [], // Every action taken: { action, status, by, comment, at }
+    emails: [], // Reports emailed for the period: { kind, to, cc, subject, sentAt }
+});
+
+// The record for an employee's period, or a new draft if nothing has been done yet
+export const getApproval = (approvals, employeeId, startDate, endDate) => {
+    return approvals[employeeId]?.[getPeriodKey(startDate, endDate)] || createApproval(startDate, endDate);
+};
+
+// Store a period's record back into the approvals of all employees
+export const setApproval = (approvals, employeeId, approval) => ({
+    ...approvals,
+    [employeeId]: {
+        ...approvals[employeeId],
+        [getPeriodKey(approval.startDate, approval.endDate)]: approval,
+    },
+});
+
+// Whether an action can be taken from the record's current status
+export const canApplyApprovalAction = (approval, action) => {
+    return !!APPROVAL_ACTIONS[action] && APPROVAL_ACTIONS[action].from.includes(approval.status);
+};
+
+// Take an action on a period's record and return the updated record.
+// Throws an Error with a message for the user when the action is not allowed.
+export const applyApprovalAction = (approval, action, { by = '', comment = '', at = new Date().toISOString() } = {}) => {
+    const rule = APPROVAL_ACTIONS[action];
+    if (!rule) {
+        throw new Error(`Unknown approval action "${action}".`);
+    }
+    if (!rule.from.includes(approval.status)) {
+        throw new Error(`A period that is ${APPROVAL_STATUS_LABELS[approval.status].toLowerCase()} cannot be ${rule.label}.`);
+    }
+    if (rule.needsName && !by.trim()) {
+        throw new Error('Enter the reviewer name first.');
+    }
+    if (rule.commentMessage && !comment.trim()) {
+        throw new Error(rule.commentMessage);
+    }
+
+    const entry = { action, status: rule.to, by: by.trim(), comment: comment.trim(), at };
+    const isReview = action === 'approve' || action === 'reject';
+    return {
+        ...approval,
+        status: rule.to,
+        reviewedBy: isReview ? entry.by : '',
+        reviewedAt: isReview ? at : '',
+        comment: isReview ? entry.comment : '',
+        history: [...approval.history, entry],
+    };
+};
+
+// Log a report email sent for the period. Records saved before emailing existed have no list yet.
+export const recordReportEmail = (approval, { kind, to, cc, subject, sentAt = new Date().toISOString() }) => ({
+    ...approval,
+    emails: [...(approval.emails || []), { kind, to, cc, subject, sentAt }],
+});
+
+// The approved period that locks a date for an employee, or null if the date can be edited
+export const findLockingApproval = (employeeApprovals, date) => {
+    return Object.values(employeeApprovals || {}).find(approval => (
+        approval.status === 'approved' && date >= approval.startDate && date <= approval.endDate
+    )) || null;
+};
+
+// Rows describing the approval for reports, e.g. [['Approval Status:', 'Approved'], ['Approved By:', '...']]
+export const describeApproval = (approval) => {
+    const rows = [['Approval Status:', APPROVAL_STATUS_LABELS[approval.status]]];
+    if (approval.status === 'approved' || approval.status === 'rejected') {
+        rows.push([`${APPROVAL_STATUS_LABELS[approval.status]} By:`, `${approval.reviewedBy} on ${formatDateTime(approval.reviewedAt)}`]);
+        if (approval.comment) {
+            rows.push(['Reviewer Comment:', approval.comment]);
+        }
+    }
+    return rows;
+};
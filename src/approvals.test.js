@@ -0,0 +1,91 @@
+import {
+    applyApprovalAction,
+    canApplyApprovalAction,
+    createApproval,
+    describeApproval,
+    findLockingApproval,
+    getApproval,
+    recordReportEmail,
+    setApproval,
+} from './approvals';
+
+const at = '2024-06-17T16:00:00.000Z';
+const draft = createApproval('2024-06-10', '2024-06-16');
+const submitted = applyApprovalAction(draft, 'submit', { by: 'Sam', at });
+const approved = applyApprovalAction(submitted, 'approve', { by: 'Pat', comment: 'Looks good', at });
+
+describe('approval workflow', () => {
+    test('moves from draft to submitted to approved', () => {
+        expect(submitted.status).toBe('submitted');
+        expect(approved).toMatchObject({ status: 'approved', reviewedBy: 'Pat', reviewedAt: at, comment: 'Looks good' });
+        expect(approved.history.map(entry => entry.action)).toEqual(['submit', 'approve']);
+    });
+
+    test('needs a comment to reject, and a rejected period can be resubmitted', () => {
+        expect(() => applyApprovalAction(submitted, 'reject', { by: 'Pat' })).toThrow('Enter a comment saying what needs to be corrected.');
+        const rejected = applyApprovalAction(submitted, 'reject', { by: 'Pat', comment: 'Job 2 is missing its location', at });
+        expect(rejected).toMatchObject({ status: 'rejected', reviewedBy: 'Pat', comment: 'Job 2 is missing its location' });
+        const resubmitted = applyApprovalAction(rejected, 'submit', { by: 'Sam', at });
+        expect(resubmitted).toMatchObject({ status: 'submitted', reviewedBy: '', comment: '' });
+        expect(resubmitted.history).toHaveLength(3);
+    });
+
+    test('needs the reviewer name to approve', () => {
+        expect(() => applyApprovalAction(submitted, 'approve', { by: '  ' })).toThrow('Enter the reviewer name first.');
+    });
+
+    test('only allows actions from the right status', () => {
+        expect(canApplyApprovalAction(draft, 'approve')).toBe(false);
+        expect(canApplyApprovalAction(approved, 'unlock')).toBe(true);
+        expect(() => applyApprovalAction(draft, 'approve', { by: 'Pat' })).toThrow('A period that is draft cannot be approved.');
+        expect(() => applyApprovalAction(approved, 'submit')).toThrow('A period that is approved cannot be submitted.');
+    });
+
+    test('records an unlock with its reason and returns the period to draft', () => {
+        expect(() => applyApprovalAction(approved, 'unlock', { by: 'Pat' })).toThrow('Enter the reason for unlocking the approved period.');
+        const unlocked = applyApprovalAction(approved, 'unlock', { by: 'Pat', comment: 'Wrong job number on Tuesday', at });
+        expect(unlocked).toMatchObject({ status: 'draft', reviewedBy: '' });
+        expect(unlocked.history[2]).toEqual({ action: 'unlock', status: 'draft', by: 'Pat', comment: 'Wrong job number on Tuesday', at });
+    });
+});
+
+describe('locked dates', () => {
+    const nextWeek = applyApprovalAction(createApproval('2024-06-17', '2024-06-23'), 'submit', { by: 'Sam', at });
+    const approvals = setApproval(setApproval({}, 'emp-1', approved), 'emp-1', nextWeek);
+
+    test('are the dates inside an approved period', () => {
+        expect(findLockingApproval(approvals['emp-1'], '2024-06-10')).toBe(approved);
+        expect(findLockingApproval(approvals['emp-1'], '2024-06-16')).toBe(approved);
+        expect(findLockingApproval(approvals['emp-1'], '2024-06-18')).toBeNull();
+        expect(findLockingApproval(approvals['emp-2'], '2024-06-12')).toBeNull();
+    });
+
+    test('are looked up per employee and period', () => {
+        expect(getApproval(approvals, 'emp-1', '2024-06-10', '2024-06-16')).toBe(approved);
+        expect(getApproval(approvals, 'emp-2', '2024-06-10', '2024-06-16')).toEqual(draft);
+    });
+});
+
+describe('describeApproval', () => {
+    test('lists the status, reviewer and comment', () => {
+        expect(describeApproval(draft)).toEqual([['Approval Status:', 'Draft']]);
+        expect(describeApproval(approved)).toEqual([
+            ['Approval Status:', 'Approved'],
+            ['Approved By:', 'Pat on 2024-06-17 09:00'],
+            ['Reviewer Comment:', 'Looks good'],
+        ]);
+    });
+});
+
+describe('recordReportEmail', () => {
+    test('logs each report emailed for the period, also on records saved before emails were logged', () => {
+        const { emails, ...olderRecord } = approved;
+        const email = { kind: 'weekly', to: ['payroll@office.example.com'], cc: ['pat@office.example.com'], subject: 'Weekly Timesheet Report', sentAt: at };
+
+        const logged = recordReportEmail(recordReportEmail(olderRecord, email), { ...email, kind: 'daily' });
+
+        expect(logged.emails.map(entry => entry.kind)).toEqual(['weekly', 'daily']);
+        expect(logged.emails[0]).toEqual(email);
+        expect(logged.status).toBe('approved');
+    });
+});
@@ -0,0 +1,207 @@
+// Audit trail of timesheet edits, so a disputed time can be checked weeks later.
+// Every change to a job field, every added or removed job and every on-call toggle is logged as
+// { id, at, employeeId, date, action, jobId, jobNumber, field, oldValue, newValue }, where
+// action is 'edit', 'addJob' or 'removeJob'. A removed job keeps its data in oldValue (and its
+// row position in index) so it can be put back. Reverting a change logs the opposite change
+// with revertOf set to the reverted entry's id.
+// Nothing is dropped on its own. With a retention period set in Settings, entries older than
+// it can be downloaded as CSV and then removed by hand.
+
+import { calculateJobTotal } from './timeCalculations';
+
+// Typing into a field logs one entry per keystroke; edits to the same field within this
+// long of each other are folded into one entry
+const MERGE_WINDOW_MS = 60 * 1000;
+
+// retentionDays: how long changes are kept before they are offered for removal; 0 keeps them all
+export const DEFAULT_AUDIT_SETTINGS = {
+    retentionDays: 0,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const AUDIT_FIELD_LABELS = {
+    jobNumber: 'Job Number',
+    jobLocation: 'Job Location',
+    travelStartTime: 'Travel Start',
+    workStartTime: 'Work Start',
+    workFinishTime: 'Work Finish',
+    travelHomeTime: 'Travel Home Arrival',
+    nextDayFields: 'Next-Day Times',
+    isOnCall: 'On-Call Day',
+};
+
+export const AUDIT_ACTION_LABELS = {
+    edit: 'Edited',
+    addJob: 'Added Job Row',
+    removeJob: 'Removed Job Row',
+};
+
+export const createAuditEntry = ({ employeeId, date, action = 'edit', jobId = null, jobNumber = '', field = null, oldValue = null, newValue = null, index = null, revertOf = null, at = new Date().toISOString() }) => ({
+    id: crypto.randomUUID(),
+    at,
+    employeeId,
+    date,
+    action,
+    jobId,
+    jobNumber,
+    field,
+    oldValue,
+    newValue,
+    index,
+    revertOf,
+});
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const isBlankValue = (value) => value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Whether two entries are plain edits of the same job (or the same day's on-call flag)
+const isSameJobEdit = (a, b) => (
+    a.action === 'edit' && b.action === 'edit' && !a.revertOf && !b.revertOf
+    && a.employeeId === b.employeeId && a.date === b.date && a.jobId === b.jobId
+);
+
+// Add an entry to the log. Edits that change nothing are skipped, and quick successive edits
+// of the same field are merged, keeping the value from before the first one. Edits to other
+// fields of the same job in between (such as a location filled in from the job number) do not
+// stop the merge.
+export const appendAuditEntry = (log, entry) => {
+    if (entry.action === 'edit' && isSameValue(entry.oldValue, entry.newValue)) return log;
+
+    let mergeIndex = -1;
+    for (let i = log.length - 1; i >= 0 && isSameJobEdit(log[i], entry); i--) {
+        if (log[i].field === entry.field) {
+            mergeIndex = i;
+            break;
+        }
+    }
+    if (mergeIndex === -1 || Date.parse(entry.at) - Date.parse(log[mergeIndex].at) >= MERGE_WINDOW_MS) {
+        return [...log, entry];
+    }
+
+    const merged = { ...log[mergeIndex], at: entry.at, jobNumber: entry.jobNumber, newValue: entry.newValue };
+    const otherEntries = log.filter((_, index) => index !== mergeIndex);
+    return isSameValue(merged.oldValue, merged.newValue) ? otherEntries : [...otherEntries, merged];
+};
+
+// One employee's entries for one date, newest first
+export const getDayAuditEntries = (log, employeeId, date) => {
+    return log.filter(entry => entry.employeeId === employeeId && entry.date === date).reverse();
+};
+
+// One employee's entries for the dates in a range, oldest first
+export const getRangeAuditEntries = (log, employeeId, startDate, endDate) => {
+    return log.filter(entry => entry.employeeId === employeeId && entry.date >= startDate && entry.date <= endDate);
+};
+
+// Entries logged longer ago than the retention period, oldest first; none when it is 0
+export const getExpiredAuditEntries = (log, retentionDays, now = Date.now()) => {
+    if (!(retentionDays > 0)) return [];
+    const cutoff = now - retentionDays * DAY_MS;
+    return log.filter(entry => Date.parse(entry.at) < cutoff);
+};
+
+// The log without the given entries
+export const removeAuditEntries = (log, entries) => {
+    const ids = new Set(entries.map(entry => entry.id));
+    return log.filter(entry => !ids.has(entry.id));
+};
+
+// Ids of the entries that have already been reverted
+export const getRevertedEntryIds = (log) => log.filter(entry => entry.revertOf).map(entry => entry.revertOf);
+
+// Undo an entry's change on a day's data and return the updated day.
+// Throws an Error with a message for the user when the change can no longer be undone.
+export const revertAuditEntry = (dayData, entry) => {
+    const jobs = dayData.jobs || [];
+    const job = jobs.find(j => j.id === entry.jobId);
+
+    if (entry.action === 'addJob') {
+        if (!job) throw new Error('That job row has already been removed.');
+        return { ...dayData, jobs: jobs.filter(j => j.id !== entry.jobId) };
+    }
+    if (entry.action === 'removeJob') {
+        if (job) throw new Error('That job row is already on the timesheet.');
+        const restoredJobs = [...jobs];
+        restoredJobs.splice(Math.min(entry.index ?? jobs.length, jobs.length), 0, entry.oldValue);
+        return { ...dayData, jobs: restoredJobs };
+    }
+    if (entry.field === 'isOnCall') {
+        return { ...dayData, isOnCall: !!entry.oldValue };
+    }
+    if (!job) throw new Error('That job row has since been removed. Revert its removal first.');
+    return {
+        ...dayData,
+        jobs: jobs.map(j => {
+            if (j.id !== entry.jobId) return j;
+            const revertedJob = { ...j, [entry.field]: entry.oldValue };
+            return { ...revertedJob, totalTimeWorkedMinutes: calculateJobTotal(revertedJob) };
+        }),
+    };
+};
+
+// The entry recording a revert: the opposite of the reverted change
+export const createRevertEntry = (entry, dayData, at = new Date().toISOString()) => {
+    const base = { employeeId: entry.employeeId, date: entry.date, jobId: entry.jobId, jobNumber: entry.jobNumber, revertOf: entry.id, at };
+    if (entry.action === 'addJob') {
+        const jobs = dayData.jobs || [];
+        const index = jobs.findIndex(j => j.id === entry.jobId);
+        return createAuditEntry({ ...base, action: 'removeJob', oldValue: jobs[index], index });
+    }
+    if (entry.action === 'removeJob') {
+        return createAuditEntry({ ...base, action: 'addJob' });
+    }
+    return createAuditEntry({ ...base, action: 'edit', field: entry.field, oldValue: entry.newValue, newValue: entry.oldValue });
+};
+
+const JOB_FIELDS = Object.keys(AUDIT_FIELD_LABELS).filter(field => field !== 'isOnCall');
+
+// The changes from one version of a day to another, for logging changes made to the whole
+// day at once (undo, redo, copying a day or applying a template). Added rows are logged with
+// their filled-in fields so the values they brought in are on record.
+export const getDayChanges = (beforeDay, afterDay) => {
+    const changes = [];
+    const beforeJobs = beforeDay.jobs || [];
+    const afterJobs = afterDay.jobs || [];
+
+    if (!!beforeDay.isOnCall !== !!afterDay.isOnCall) {
+        changes.push({ field: 'isOnCall', oldValue: !!beforeDay.isOnCall, newValue: !!afterDay.isOnCall });
+    }
+    beforeJobs.forEach((job, index) => {
+        if (!afterJobs.some(afterJob => afterJob.id === job.id)) {
+            changes.push({ action: 'removeJob', jobId: job.id, jobNumber: job.jobNumber, oldValue: job, index });
+        }
+    });
+    afterJobs.forEach(job => {
+        const beforeJob = beforeJobs.find(otherJob => otherJob.id === job.id);
+        if (!beforeJob) {
+            changes.push({ action: 'addJob', jobId: job.id, jobNumber: job.jobNumber });
+        }
+        JOB_FIELDS.forEach(field => {
+            const oldValue = beforeJob ? beforeJob[field] ?? null : (field === 'nextDayFields' ? [] : '');
+            const newValue = job[field] ?? null;
+            if (!isSameValue(oldValue, newValue) && !(beforeJob === undefined && isBlankValue(newValue))) {
+                changes.push({ jobId: job.id, jobNumber: job.jobNumber, field, oldValue, newValue });
+            }
+        });
+    });
+    return changes;
+};
+
+// A logged value as text
+export const formatAuditValue = (field, value) => {
+    if (field === 'isOnCall') return value ? 'Yes' : 'No';
+    if (field === 'nextDayFields') return (value || []).map(f => AUDIT_FIELD_LABELS[f] || f).join(', ') || 'None';
+    return value === null || value === undefined || value === '' ? '(blank)' : String(value);
+};
+
+// What an entry changed, e.g. 'Work Start: 07:00 -> 07:15'
+export const describeAuditEntry = (entry) => {
+    const prefix = entry.revertOf ? 'Reverted: ' : '';
+    if (entry.action !== 'edit') {
+        return `${prefix}${AUDIT_ACTION_LABELS[entry.action]}${entry.jobNumber ? ` (${entry.jobNumber})` : ''}`;
+    }
+    const label = AUDIT_FIELD_LABELS[entry.field] || entry.field;
+    return `${prefix}${label}: ${formatAuditValue(entry.field, entry.oldValue)} -> ${formatAuditValue(entry.field, entry.newValue)}`;
+};
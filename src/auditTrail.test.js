@@ -0,0 +1,160 @@
+import {
+    appendAuditEntry,
+    createAuditEntry,
+    createRevertEntry,
+    describeAuditEntry,
+    getDayChanges,
+    getDayAuditEntries,
+    getExpiredAuditEntries,
+    getRangeAuditEntries,
+    getRevertedEntryIds,
+    removeAuditEntries,
+    revertAuditEntry,
+} from './auditTrail';
+import { makeDay, makeJob } from './testFixtures';
+
+const job = (id, fields = {}) => makeJob({
+    id, jobNumber: 'J-100', jobLocation: 'Depot', travelStartTime: '07:00', travelHomeTime: '12:00', totalTimeWorkedMinutes: 300, ...fields,
+});
+
+const day = makeDay([job('a'), job('b', { jobNumber: 'J-101' })], { dayOfWeek: 'Monday' });
+
+const edit = (field, oldValue, newValue, at, overrides = {}) => createAuditEntry({
+    employeeId: 'e1', date: '2024-06-10', jobId: 'a', jobNumber: 'J-100', field, oldValue, newValue, at, ...overrides,
+});
+
+describe('appendAuditEntry', () => {
+    test('merges quick edits of the same field, keeping the first old value', () => {
+        let log = appendAuditEntry([], edit('travelStartTime', '07:00', '07:1', '2024-06-10T15:00:00.000Z'));
+        log = appendAuditEntry(log, edit('travelStartTime', '07:1', '07:15', '2024-06-10T15:00:02.000Z'));
+        expect(log).toHaveLength(1);
+        expect(log[0]).toMatchObject({ oldValue: '07:00', newValue: '07:15', at: '2024-06-10T15:00:02.000Z' });
+    });
+
+    test('merges across edits to other fields of the same job', () => {
+        let log = appendAuditEntry([], edit('jobNumber', '', 'J-1', '2024-06-10T15:00:00.000Z'));
+        log = appendAuditEntry(log, edit('jobLocation', '', 'Depot', '2024-06-10T15:00:01.000Z'));
+        log = appendAuditEntry(log, edit('jobNumber', 'J-1', 'J-100', '2024-06-10T15:00:02.000Z'));
+        expect(log.map(entry => [entry.field, entry.oldValue, entry.newValue])).toEqual([
+            ['jobLocation', '', 'Depot'],
+            ['jobNumber', '', 'J-100'],
+        ]);
+    });
+
+    test('keeps edits apart when they are a while apart or on another job', () => {
+        let log = appendAuditEntry([], edit('travelStartTime', '07:00', '07:15', '2024-06-10T15:00:00.000Z'));
+        log = appendAuditEntry(log, edit('travelStartTime', '07:15', '07:30', '2024-06-10T15:05:00.000Z'));
+        log = appendAuditEntry(log, edit('travelStartTime', '', '08:00', '2024-06-10T15:05:01.000Z', { jobId: 'b' }));
+        expect(log).toHaveLength(3);
+    });
+
+    test('drops edits that end where they started', () => {
+        let log = appendAuditEntry([], edit('jobNumber', 'J-100', 'J-10', '2024-06-10T15:00:00.000Z'));
+        expect(appendAuditEntry(log, edit('jobNumber', 'J-10', 'J-100', '2024-06-10T15:00:01.000Z'))).toEqual([]);
+        expect(appendAuditEntry([], edit('jobNumber', 'J-100', 'J-100'))).toEqual([]);
+    });
+});
+
+describe('retention', () => {
+    const log = [
+        edit('jobNumber', '', 'J-100', '2024-03-01T15:00:00.000Z'),
+        edit('jobNumber', '', 'J-200', '2024-05-11T15:00:00.000Z', { jobId: 'b' }),
+        edit('jobNumber', '', 'J-300', '2024-06-10T15:00:00.000Z', { jobId: 'c' }),
+    ];
+    const now = Date.parse('2024-06-11T15:00:00.000Z');
+
+    test('finds the entries older than the retention period', () => {
+        expect(getExpiredAuditEntries(log, 30, now)).toEqual([log[0], log[1]]);
+        expect(getExpiredAuditEntries(log, 31, now)).toEqual([log[0]]);
+    });
+
+    test('keeps every entry without a retention period', () => {
+        expect(getExpiredAuditEntries(log, 0, now)).toEqual([]);
+        expect(getExpiredAuditEntries(log, undefined, now)).toEqual([]);
+    });
+
+    test('removes only the given entries', () => {
+        expect(removeAuditEntries(log, [log[0]])).toEqual([log[1], log[2]]);
+        expect(appendAuditEntry(log, edit('jobNumber', '', 'J-400', '2024-06-11T15:00:00.000Z', { jobId: 'd' }))).toHaveLength(4);
+    });
+});
+
+describe('filtering', () => {
+    const log = [
+        edit('jobNumber', '', 'J-100', '2024-06-10T15:00:00.000Z'),
+        edit('jobNumber', '', 'J-200', '2024-06-11T15:00:00.000Z', { date: '2024-06-11' }),
+        edit('jobNumber', '', 'J-300', '2024-06-10T16:00:00.000Z', { employeeId: 'e2' }),
+        edit('jobLocation', '', 'Depot', '2024-06-10T17:00:00.000Z'),
+    ];
+
+    test('lists one employee\'s day newest first', () => {
+        expect(getDayAuditEntries(log, 'e1', '2024-06-10').map(entry => entry.field)).toEqual(['jobLocation', 'jobNumber']);
+    });
+
+    test('lists one employee\'s range oldest first', () => {
+        expect(getRangeAuditEntries(log, 'e1', '2024-06-10', '2024-06-11').map(entry => entry.newValue)).toEqual(['J-100', 'J-200', 'Depot']);
+    });
+});
+
+describe('reverting', () => {
+    test('puts a field back and recalculates the job total', () => {
+        const entry = edit('travelStartTime', '08:00', '07:00');
+        const reverted = revertAuditEntry(day, entry);
+        expect(reverted.jobs[0]).toMatchObject({ travelStartTime: '08:00', totalTimeWorkedMinutes: 240 });
+        expect(reverted.jobs[1]).toBe(day.jobs[1]);
+        expect(createRevertEntry(entry, day)).toMatchObject({ action: 'edit', field: 'travelStartTime', oldValue: '07:00', newValue: '08:00', revertOf: entry.id });
+    });
+
+    test('turns the on-call flag back', () => {
+        const entry = edit('isOnCall', false, true, undefined, { jobId: null, jobNumber: '' });
+        expect(revertAuditEntry({ ...day, isOnCall: true }, entry).isOnCall).toBe(false);
+    });
+
+    test('takes an added job row off again', () => {
+        const entry = createAuditEntry({ employeeId: 'e1', date: '2024-06-10', action: 'addJob', jobId: 'b' });
+        expect(revertAuditEntry(day, entry).jobs.map(j => j.id)).toEqual(['a']);
+        expect(createRevertEntry(entry, day)).toMatchObject({ action: 'removeJob', jobId: 'b', index: 1, oldValue: day.jobs[1] });
+        expect(() => revertAuditEntry({ ...day, jobs: [day.jobs[0]] }, entry)).toThrow('That job row has already been removed.');
+    });
+
+    test('puts a removed job row back where it was', () => {
+        const removed = job('c', { jobNumber: 'J-102' });
+        const entry = createAuditEntry({ employeeId: 'e1', date: '2024-06-10', action: 'removeJob', jobId: 'c', jobNumber: 'J-102', oldValue: removed, index: 1 });
+        expect(revertAuditEntry(day, entry).jobs.map(j => j.id)).toEqual(['a', 'c', 'b']);
+        expect(describeAuditEntry(entry)).toBe('Removed Job Row (J-102)');
+    });
+
+    test('cannot change a field of a job that has been removed', () => {
+        expect(() => revertAuditEntry(day, edit('jobNumber', '', 'J-100', undefined, { jobId: 'gone' }))).toThrow('That job row has since been removed. Revert its removal first.');
+    });
+
+    test('lists the reverted entries', () => {
+        const entry = edit('travelStartTime', '08:00', '07:00');
+        expect(getRevertedEntryIds([entry, createRevertEntry(entry, day)])).toEqual([entry.id]);
+    });
+});
+
+describe('describeAuditEntry', () => {
+    test('shows the field with its old and new value', () => {
+        expect(describeAuditEntry(edit('workStartTime', '07:00', '07:15'))).toBe('Work Start: 07:00 -> 07:15');
+        expect(describeAuditEntry(edit('jobLocation', '', 'Depot'))).toBe('Job Location: (blank) -> Depot');
+        expect(describeAuditEntry(edit('isOnCall', false, true))).toBe('On-Call Day: No -> Yes');
+        expect(describeAuditEntry(edit('nextDayFields', [], ['travelHomeTime'], undefined, { revertOf: 'x' }))).toBe('Reverted: Next-Day Times: None -> Travel Home Arrival');
+    });
+});
+
+describe('getDayChanges', () => {
+    test('lists the edits, removed rows and added rows between two versions of a day', () => {
+        const added = job('c', { jobNumber: 'J-102', jobLocation: '', travelHomeTime: '' });
+        const after = { ...day, isOnCall: true, jobs: [job('a', { travelStartTime: '07:30' }), added] };
+        expect(getDayChanges(day, after)).toEqual([
+            { field: 'isOnCall', oldValue: false, newValue: true },
+            { action: 'removeJob', jobId: 'b', jobNumber: 'J-101', oldValue: day.jobs[1], index: 1 },
+            { jobId: 'a', jobNumber: 'J-100', field: 'travelStartTime', oldValue: '07:00', newValue: '07:30' },
+            { action: 'addJob', jobId: 'c', jobNumber: 'J-102' },
+            { jobId: 'c', jobNumber: 'J-102', field: 'jobNumber', oldValue: '', newValue: 'J-102' },
+            { jobId: 'c', jobNumber: 'J-102', field: 'travelStartTime', oldValue: '', newValue: '07:00' },
+        ]);
+        expect(getDayChanges(day, day)).toEqual([]);
+    });
+});
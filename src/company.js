@@ -0,0 +1,2 @@
+// Company details printed on timesheets and exports
+export const COMPANY_NAME = 'Pro-Air Mechanical';
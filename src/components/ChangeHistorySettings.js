@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+
+// Settings section for how long the change history is kept. Old changes are never removed on
+// their own: they are listed here, and can only be removed once they have been downloaded.
+const ChangeHistorySettings = ({ settings, expiredCount, onChange, onDownloadExpired, onRemoveExpired }) => {
+    // How many old changes were in the last download, so removal waits for a fresh one
+    const [downloadedCount, setDownloadedCount] = useState(null);
+
+    const download = () => {
+        onDownloadExpired();
+        setDownloadedCount(expiredCount);
+    };
+
+    const remove = () => {
+        if (onRemoveExpired()) setDownloadedCount(null);
+    };
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Change History</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Every change to the crew's timesheets is kept so disputed times can be checked later. Set a retention period to clear out old changes: they are downloaded as CSV, to keep as the archive, before they can be removed.
+            </p>
+            <div className="flex flex-col max-w-xs">
+                <label htmlFor="auditRetentionDays" className="text-sm font-medium text-gray-700 mb-1">Keep Changes For (Days, 0 = Always)</label>
+                <input
+                    type="number"
+                    id="auditRetentionDays"
+                    min="0"
+                    step="1"
+                    className="p-2 border border-gray-300 rounded-md"
+                    value={settings.retentionDays}
+                    onChange={(e) => onChange({ ...settings, retentionDays: Math.max(0, Math.floor(Number(e.target.value) || 0)) })}
+                />
+            </div>
+            {expiredCount > 0 && (
+                <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-gray-700">
+                    <p className="mb-2">
+                        {expiredCount} change{expiredCount === 1 ? ' is' : 's are'} older than {settings.retentionDays} days. Download them before removing them; removed changes cannot be brought back.
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                        <button
+                            type="button"
+                            onClick={download}
+                            className="bg-green-700 hover:bg-green-800 text-white font-bold py-1 px-3 rounded-md text-sm"
+                        >
+                            ⬇️ Download Old Changes as CSV
+                        </button>
+                        <button
+                            type="button"
+                            onClick={remove}
+                            disabled={downloadedCount !== expiredCount}
+                            className="bg-red-500 hover:bg-red-600 text-white font-bold py-1 px-3 rounded-md text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                            Remove Old Changes
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ChangeHistorySettings;
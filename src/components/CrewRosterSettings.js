@@ -0,0 +1,99 @@
+import React from 'react';
+import { createEmployee } from '../timesheetModel';
+import { getEmployeeLabel } from '../crewSummary';
+
+// Settings section for the crew roster: each employee's name, default truck, payroll ID and labour rate
+const CrewRosterSettings = ({ roster, onChange, onRemove }) => {
+    const updateEmployee = (employeeId, changes) => {
+        onChange(roster.map(employee => (employee.id === employeeId ? { ...employee, ...changes } : employee)));
+    };
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Crew Roster</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Each crew member keeps their own timesheet. Switch between them with the Crew Member selector at the top of the page.
+            </p>
+            <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Name</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Default Truck</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Payroll ID</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Labour Rate ($/hr)</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider"></th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {roster.map((employee, index) => (
+                            <tr key={employee.id}>
+                                <td className="px-3 py-2">
+                                    <input
+                                        type="text"
+                                        className="w-48 p-1 border border-gray-300 rounded-md"
+                                        value={employee.name}
+                                        placeholder={getEmployeeLabel(employee, index)}
+                                        onChange={(e) => updateEmployee(employee.id, { name: e.target.value })}
+                                    />
+                                </td>
+                                <td className="px-3 py-2">
+                                    <input
+                                        type="text"
+                                        className="w-32 p-1 border border-gray-300 rounded-md"
+                                        value={employee.defaultTruck}
+                                        placeholder="TRK-123"
+                                        onChange={(e) => updateEmployee(employee.id, { defaultTruck: e.target.value })}
+                                    />
+                                </td>
+                                <td className="px-3 py-2">
+                                    <input
+                                        type="text"
+                                        aria-label={`Payroll ID for ${getEmployeeLabel(employee, index)}`}
+                                        className="w-28 p-1 border border-gray-300 rounded-md"
+                                        value={employee.payrollId || ''}
+                                        placeholder="001234"
+                                        onChange={(e) => updateEmployee(employee.id, { payrollId: e.target.value })}
+                                    />
+                                </td>
+                                <td className="px-3 py-2">
+                                    <input
+                                        type="number"
+                                        aria-label={`Labour rate for ${getEmployeeLabel(employee, index)}`}
+                                        min="0"
+                                        step="0.01"
+                                        className="w-24 p-1 border border-gray-300 rounded-md"
+                                        value={employee.labourRate || ''}
+                                        placeholder="0.00"
+                                        onChange={(e) => updateEmployee(employee.id, { labourRate: Math.max(0, Number(e.target.value) || 0) })}
+                                    />
+                                </td>
+                                <td className="px-3 py-2">
+                                    <button
+                                        type="button"
+                                        onClick={() => onRemove(employee.id)}
+                                        disabled={roster.length === 1}
+                                        className="bg-red-500 hover:bg-red-600 text-white font-bold py-1 px-2 rounded-md text-xs disabled:opacity-40 disabled:cursor-not-allowed"
+                                    >
+                                        Remove
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="mt-3">
+                <button
+                    type="button"
+                    onClick={() => onChange([...roster, createEmployee()])}
+                    className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-md text-sm"
+                >
+                    Add Crew Member
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default CrewRosterSettings;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { PAY_CATEGORIES } from '../payCalculations';
+import { formatDecimalHours } from '../timeCalculations';
+import LocationMismatchList from './LocationMismatchList';
+import TimesheetWarningList from './TimesheetWarningList';
+
+// Crew-level section of the Weekly Summary: every roster member's hours for the report range
+const CrewWeeklySummary = ({ crew, startDate, endDate, locationMismatches, warnings, generatedReport, isGeneratingReport, onGenerateReport, onDownloadCsv }) => {
+    return (
+        <div className="mt-6 pt-4 border-t border-gray-200">
+            <h3 className="text-lg font-semibold text-green-700 mb-2">Crew Summary for {startDate} to {endDate}</h3>
+            <div className="overflow-x-auto border border-gray-200 rounded-lg mb-4">
+                <table className="min-w-full divide-y divide-gray-200 text-sm bg-white">
+                    <thead className="bg-green-100">
+                        <tr>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Employee</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Truck</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Days Worked</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Total Hrs</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Net Hrs</th>
+                            {PAY_CATEGORIES.map(category => (
+                                <th key={category.key} className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">{category.label}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        {crew.members.map(member => (
+                            <tr key={member.employeeId}>
+                                <td className="px-3 py-2">{member.employeeName}</td>
+                                <td className="px-3 py-2">{member.truckNumber || 'N/A'}</td>
+                                <td className="px-3 py-2">{member.daysWorked}</td>
+                                <td className="px-3 py-2">{formatDecimalHours(member.totalMinutes)}</td>
+                                <td className="px-3 py-2">{formatDecimalHours(member.netMinutes)}</td>
+                                {PAY_CATEGORIES.map(category => (
+                                    <td key={category.key} className="px-3 py-2">{formatDecimalHours(member.weeklyPay.totals[category.key])}</td>
+                                ))}
+                            </tr>
+                        ))}
+                        <tr className="bg-green-50 font-bold">
+                            <td className="px-3 py-2">Crew Total</td>
+                            <td className="px-3 py-2"></td>
+                            <td className="px-3 py-2">{crew.totals.daysWorked}</td>
+                            <td className="px-3 py-2">{formatDecimalHours(crew.totals.totalMinutes)}</td>
+                            <td className="px-3 py-2">{formatDecimalHours(crew.totals.netMinutes)}</td>
+                            {PAY_CATEGORIES.map(category => (
+                                <td key={category.key} className="px-3 py-2">{formatDecimalHours(crew.totals.pay[category.key])}</td>
+                            ))}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+            <TimesheetWarningList warnings={warnings} />
+            <LocationMismatchList mismatches={locationMismatches} />
+            <div className="flex flex-col sm:flex-row justify-center gap-3">
+                <button
+                    type="button"
+                    onClick={onGenerateReport}
+                    disabled={isGeneratingReport}
+                    className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg shadow-md text-sm disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+                >
+                    {isGeneratingReport ? 'Generating Crew Report...' : '👷 Generate Crew Report'}
+                </button>
+                <button
+                    type="button"
+                    onClick={onDownloadCsv}
+                    className="bg-green-700 hover:bg-green-800 text-white font-bold py-2 px-4 rounded-lg shadow-md text-sm w-full sm:w-auto"
+                >
+                    ⬇️ Download Crew Summary as CSV
+                </button>
+            </div>
+            {generatedReport && (
+                <div className="mt-4 bg-white p-4 rounded-md shadow-sm border border-gray-200">
+                    <h3 className="text-lg font-semibold text-gray-800 mb-2">Generated Crew Report:</h3>
+                    <p className="text-gray-700 whitespace-pre-wrap">{generatedReport}</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CrewWeeklySummary;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { describeAuditEntry } from '../auditTrail';
+import { formatDateTime } from '../dateUtils';
+
+// Change history of the selected day, newest first, with a revert button on each change.
+// `revertedIds` holds the entries that have already been reverted.
+const DayHistoryPanel = ({ entries, jobs, revertedIds, isLocked, onRevert }) => {
+    const [error, setError] = useState('');
+
+    const revert = (entry) => {
+        try {
+            onRevert(entry);
+            setError('');
+        } catch (revertError) {
+            setError(revertError.message);
+        }
+    };
+
+    // "Job 2" for rows still on the day, so an entry can be matched to the table
+    const getJobLabel = (entry) => {
+        const index = jobs.findIndex(job => job.id === entry.jobId);
+        return index === -1 ? 'Removed job' : `Job ${index + 1}`;
+    };
+
+    return (
+        <details className="mb-8 p-4 bg-white rounded-lg shadow-sm border border-gray-200 text-sm text-gray-700">
+            <summary className="cursor-pointer font-semibold text-gray-800">Change History for This Day ({entries.length})</summary>
+            {entries.length === 0 ? (
+                <p className="mt-2 text-gray-600">No changes recorded for this day yet.</p>
+            ) : (
+                <ul className="mt-2 divide-y divide-gray-100">
+                    {entries.map(entry => (
+                        <li key={entry.id} aria-label={describeAuditEntry(entry)} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                            <span>
+                                <span className="text-gray-500">{formatDateTime(entry.at)}</span>
+                                {entry.jobId && <span className="font-medium"> {getJobLabel(entry)}:</span>}
+                                {' '}{describeAuditEntry(entry)}
+                            </span>
+                            {revertedIds.includes(entry.id) ? (
+                                <span className="text-xs text-gray-500 italic">Reverted</span>
+                            ) : (
+                                <button
+                                    type="button"
+                                    onClick={() => revert(entry)}
+                                    disabled={isLocked}
+                                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-2 rounded-md text-xs disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    Revert
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {isLocked && <p className="mt-2 text-gray-600">This day is in an approved period; unlock it to revert changes.</p>}
+            {error && <p className="mt-2 text-red-700">{error}</p>}
+        </details>
+    );
+};
+
+export default DayHistoryPanel;
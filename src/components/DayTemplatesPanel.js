@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+
+// Fill the selected day's job rows from an earlier day or a saved day template, and save the
+// selected day's rows as a new template
+const DayTemplatesPanel = ({ selectedDate, previousWorkedDate, templates, isLocked, onCopyDay, onApplyTemplate, onSaveTemplate, onDeleteTemplate }) => {
+    const [sourceDate, setSourceDate] = useState(previousWorkedDate || '');
+    const [copyTimes, setCopyTimes] = useState(true);
+    const [templateId, setTemplateId] = useState('');
+    const [templateName, setTemplateName] = useState('');
+    const [templateTimes, setTemplateTimes] = useState(false);
+
+    const selectedTemplate = templates.find(template => template.id === templateId) || templates[0];
+
+    const saveTemplate = () => {
+        if (!templateName.trim()) return;
+        onSaveTemplate(templateName, templateTimes);
+        setTemplateName('');
+    };
+
+    return (
+        <details className="mb-8 p-4 bg-white rounded-lg shadow-sm border border-gray-200 text-sm text-gray-700">
+            <summary className="cursor-pointer font-semibold text-gray-800">Copy a Day or Use a Day Template</summary>
+            <div className="mt-3 space-y-4">
+                <div className="flex flex-wrap items-end gap-3">
+                    <div className="flex flex-col">
+                        <label htmlFor="copySourceDate" className="text-sm font-medium text-gray-700 mb-1">Copy Jobs From</label>
+                        <input
+                            type="date"
+                            id="copySourceDate"
+                            className="p-2 border border-gray-300 rounded-md"
+                            value={sourceDate}
+                            max={selectedDate}
+                            onChange={(e) => setSourceDate(e.target.value)}
+                        />
+                    </div>
+                    <label className="flex items-center gap-2 py-2 cursor-pointer">
+                        <input type="checkbox" checked={copyTimes} onChange={(e) => setCopyTimes(e.target.checked)} />
+                        Include times
+                    </label>
+                    <button
+                        type="button"
+                        onClick={() => onCopyDay(sourceDate, copyTimes)}
+                        disabled={isLocked || !sourceDate || sourceDate === selectedDate}
+                        className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Copy onto {selectedDate}
+                    </button>
+                </div>
+
+                <div className="flex flex-wrap items-end gap-3">
+                    <div className="flex flex-col">
+                        <label htmlFor="dayTemplate" className="text-sm font-medium text-gray-700 mb-1">Day Template</label>
+                        <select
+                            id="dayTemplate"
+                            className="p-2 border border-gray-300 rounded-md"
+                            value={selectedTemplate?.id || ''}
+                            onChange={(e) => setTemplateId(e.target.value)}
+                        >
+                            {templates.length === 0 && <option value="">No templates saved yet</option>}
+                            {templates.map(template => (
+                                <option key={template.id} value={template.id}>
+                                    {template.name} ({template.jobs.length} job{template.jobs.length === 1 ? '' : 's'}{template.includeTimes ? ', with times' : ''})
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={() => onApplyTemplate(selectedTemplate)}
+                        disabled={isLocked || !selectedTemplate}
+                        className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Fill Day from Template
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => onDeleteTemplate(selectedTemplate.id)}
+                        disabled={!selectedTemplate}
+                        className="bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-4 rounded-md text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Delete Template
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-3 mt-4 pt-4 border-t border-gray-200">
+                <div className="flex flex-col">
+                    <label htmlFor="dayTemplateName" className="text-sm font-medium text-gray-700 mb-1">New Template Name</label>
+                    <input
+                        type="text"
+                        id="dayTemplateName"
+                        className="p-2 border border-gray-300 rounded-md"
+                        placeholder="e.g. Tuesday maintenance route"
+                        value={templateName}
+                        onChange={(e) => setTemplateName(e.target.value)}
+                    />
+                </div>
+                <label className="flex items-center gap-2 py-2 cursor-pointer">
+                    <input type="checkbox" checked={templateTimes} onChange={(e) => setTemplateTimes(e.target.checked)} />
+                    Save times too
+                </label>
+                <button
+                    type="button"
+                    onClick={saveTemplate}
+                    disabled={!templateName.trim()}
+                    className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-md text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    Save This Day as Template
+                </button>
+            </div>
+        </details>
+    );
+};
+
+export default DayTemplatesPanel;
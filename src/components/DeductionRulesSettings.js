@@ -0,0 +1,183 @@
+import React from 'react';
+import {
+    createDeductionRule,
+    DEFAULT_DEDUCTION_RULES,
+    describeDeductionRule,
+    sortDeductionRules,
+} from '../deductionRules';
+
+const ON_CALL_LABELS = { any: 'Any day', only: 'On-call only', exclude: 'Not on-call' };
+const WEEKEND_LABELS = { any: 'Any day', only: 'Weekends only', exclude: 'Weekdays only' };
+
+// Settings section for editing the payroll deduction rules
+const DeductionRulesSettings = ({ rules, onChange }) => {
+    const sortedRules = sortDeductionRules(rules);
+
+    // Re-number rules so `order` always matches their position in the list
+    const commit = (orderedRules) => {
+        onChange(orderedRules.map((rule, index) => ({ ...rule, order: index + 1 })));
+    };
+
+    const updateRule = (ruleId, changes) => {
+        commit(sortedRules.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule)));
+    };
+
+    const updateCondition = (rule, condition, value) => {
+        updateRule(rule.id, { conditions: { ...rule.conditions, [condition]: value } });
+    };
+
+    const moveRule = (index, direction) => {
+        const target = index + direction;
+        if (target < 0 || target >= sortedRules.length) return;
+        const reordered = [...sortedRules];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        commit(reordered);
+    };
+
+    const removeRule = (ruleId) => {
+        commit(sortedRules.filter(rule => rule.id !== ruleId));
+    };
+
+    const addRule = () => {
+        commit([...sortedRules, createDeductionRule(sortedRules.length + 1)]);
+    };
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Deduction Rules</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Rules are applied top to bottom to a day's total hours to get Net Working Hours. Changes apply to days edited from now on; days already entered keep the deductions they were saved with.
+            </p>
+            <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">On</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Name</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">When Day Exceeds (Hrs)</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Deduct (Min)</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">On-Call</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Weekend</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Order</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {sortedRules.map((rule, index) => (
+                            <tr key={rule.id}>
+                                <td className="px-3 py-2">
+                                    <input
+                                        type="checkbox"
+                                        className="h-4 w-4"
+                                        checked={rule.enabled}
+                                        onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                                        aria-label={`Enable ${rule.label}`}
+                                    />
+                                </td>
+                                <td className="px-3 py-2">
+                                    <input
+                                        type="text"
+                                        className="w-32 p-1 border border-gray-300 rounded-md"
+                                        value={rule.label}
+                                        onChange={(e) => updateRule(rule.id, { label: e.target.value })}
+                                    />
+                                </td>
+                                <td className="px-3 py-2">
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.25"
+                                        className="w-20 p-1 border border-gray-300 rounded-md"
+                                        value={rule.thresholdMinutes / 60}
+                                        onChange={(e) => updateRule(rule.id, { thresholdMinutes: Math.round((Number(e.target.value) || 0) * 60) })}
+                                    />
+                                </td>
+                                <td className="px-3 py-2">
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="5"
+                                        className="w-20 p-1 border border-gray-300 rounded-md"
+                                        value={rule.amountMinutes}
+                                        onChange={(e) => updateRule(rule.id, { amountMinutes: Math.max(0, Number(e.target.value) || 0) })}
+                                    />
+                                </td>
+                                <td className="px-3 py-2">
+                                    <select
+                                        className="p-1 border border-gray-300 rounded-md"
+                                        value={rule.conditions?.onCall || 'any'}
+                                        onChange={(e) => updateCondition(rule, 'onCall', e.target.value)}
+                                    >
+                                        {Object.entries(ON_CALL_LABELS).map(([value, label]) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                </td>
+                                <td className="px-3 py-2">
+                                    <select
+                                        className="p-1 border border-gray-300 rounded-md"
+                                        value={rule.conditions?.weekend || 'any'}
+                                        onChange={(e) => updateCondition(rule, 'weekend', e.target.value)}
+                                    >
+                                        {Object.entries(WEEKEND_LABELS).map(([value, label]) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                </td>
+                                <td className="px-3 py-2 whitespace-nowrap">
+                                    <button
+                                        type="button"
+                                        onClick={() => moveRule(index, -1)}
+                                        disabled={index === 0}
+                                        className="px-2 py-1 border border-gray-300 rounded-md text-xs disabled:opacity-40"
+                                        aria-label={`Move ${rule.label} up`}
+                                    >
+                                        ▲
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => moveRule(index, 1)}
+                                        disabled={index === sortedRules.length - 1}
+                                        className="ml-1 px-2 py-1 border border-gray-300 rounded-md text-xs disabled:opacity-40"
+                                        aria-label={`Move ${rule.label} down`}
+                                    >
+                                        ▼
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => removeRule(rule.id)}
+                                        className="ml-2 bg-red-500 hover:bg-red-600 text-white font-bold py-1 px-2 rounded-md text-xs"
+                                    >
+                                        Remove
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <ul className="mt-3 text-xs text-gray-600 list-disc list-inside">
+                {sortedRules.filter(rule => rule.enabled).map(rule => (
+                    <li key={rule.id}>{describeDeductionRule(rule)}</li>
+                ))}
+            </ul>
+            <div className="mt-3 flex gap-2">
+                <button
+                    type="button"
+                    onClick={addRule}
+                    className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-md text-sm"
+                >
+                    Add Rule
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onChange(DEFAULT_DEDUCTION_RULES)}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded-md text-sm"
+                >
+                    Restore Defaults
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default DeductionRulesSettings;
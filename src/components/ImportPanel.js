@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { buildImportPreview, parseImportFile } from '../timesheetImport';
+
+// Import section: pick a CSV or JSON backup, preview the affected days, then merge or replace
+const ImportPanel = ({ weeklyData, onApply, onDownloadBackup }) => {
+    const [importResult, setImportResult] = useState(null);
+    const [importFilename, setImportFilename] = useState('');
+    const [mode, setMode] = useState('merge');
+    const [fileInputKey, setFileInputKey] = useState(0);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+        try {
+            const text = await file.text();
+            setImportResult(parseImportFile(text, file.name));
+        } catch (error) {
+            console.error("Failed to read import file:", error);
+            setImportResult({ days: {}, errors: [`Could not read the file: ${error.message}`] });
+        }
+        setImportFilename(file.name);
+    };
+
+    const resetImport = () => {
+        setImportResult(null);
+        setImportFilename('');
+        setFileInputKey(key => key + 1); // Clear the file input so the same file can be picked again
+    };
+
+    const handleApply = () => {
+        onApply(importResult.days, mode, importResult.profile || {});
+        resetImport();
+    };
+
+    const preview = importResult ? buildImportPreview(weeklyData, importResult.days, mode) : [];
+
+    return (
+        <div className="bg-gray-50 p-6 rounded-lg shadow-inner border border-gray-200 mt-8">
+            <h2 className="text-xl font-bold text-gray-700 mb-4">Import & Backup</h2>
+            <p className="text-sm text-gray-600 mb-4">
+                Restore days from a weekly CSV, a one-row-per-job CSV or a full JSON backup downloaded from this app.
+            </p>
+            <div className="flex flex-col sm:flex-row gap-3 items-start sm:items-center mb-4">
+                <input
+                    key={fileInputKey}
+                    type="file"
+                    accept=".csv,.json,text/csv,application/json"
+                    onChange={handleFileChange}
+                    className="text-sm"
+                    aria-label="Timesheet file to import"
+                />
+                <button
+                    type="button"
+                    onClick={onDownloadBackup}
+                    className="bg-gray-700 hover:bg-gray-800 text-white font-bold py-2 px-4 rounded-lg shadow-md text-sm w-full sm:w-auto"
+                >
+                    ⬇️ Download Full Backup (JSON)
+                </button>
+            </div>
+
+            {importResult && (
+                <div className="bg-white p-4 rounded-md shadow-sm border border-gray-200">
+                    <h3 className="text-lg font-semibold text-gray-800 mb-2">Import Preview: {importFilename}</h3>
+
+                    {importResult.errors.length > 0 && (
+                        <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded" role="alert">
+                            <strong className="font-bold">These rows will be skipped:</strong>
+                            <ul className="list-disc list-inside text-sm mt-1">
+                                {importResult.errors.map((message, index) => <li key={index}>{message}</li>)}
+                            </ul>
+                        </div>
+                    )}
+
+                    {preview.length === 0 ? (
+                        <p className="text-sm text-gray-600">No days to import.</p>
+                    ) : (
+                        <>
+                            <div className="flex gap-4 mb-3 text-sm">
+                                <label className="flex items-center">
+                                    <input type="radio" name="importMode" className="mr-1" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                                    Merge job by job
+                                </label>
+                                <label className="flex items-center">
+                                    <input type="radio" name="importMode" className="mr-1" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                                    Replace whole days
+                                </label>
+                            </div>
+                            <table className="min-w-full divide-y divide-gray-200 text-sm mb-4">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Date</th>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Jobs in File</th>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Effect</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200">
+                                    {preview.map(day => (
+                                        <tr key={day.date} className={day.isExistingDay ? 'bg-yellow-50' : ''}>
+                                            <td className="px-3 py-2">{day.date}</td>
+                                            <td className="px-3 py-2">{day.importedJobCount}</td>
+                                            <td className="px-3 py-2">
+                                                {!day.isExistingDay && 'New day'}
+                                                {day.isExistingDay && mode === 'merge' && `Overwrites ${day.updatedJobCount} of ${day.existingJobCount} existing job(s), adds ${day.addedJobCount}`}
+                                                {day.isExistingDay && mode === 'replace' && `Replaces ${day.removedJobCount} existing job(s)`}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </>
+                    )}
+
+                    <div className="flex gap-2">
+                        <button
+                            type="button"
+                            onClick={handleApply}
+                            disabled={preview.length === 0}
+                            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow-md text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Import {preview.length} Day(s)
+                        </button>
+                        <button
+                            type="button"
+                            onClick={resetImport}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg text-sm"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ImportPanel;
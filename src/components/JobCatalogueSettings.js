@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { parseJobList } from '../jobCatalogue';
+
+// Settings section for the imported job list that feeds the job catalogue
+const JobCatalogueSettings = ({ entries, catalogue, onChange }) => {
+    const [listText, setListText] = useState('');
+    const [errors, setErrors] = useState([]);
+    const [fileInputKey, setFileInputKey] = useState(0);
+
+    // Add parsed entries, replacing any imported entry with the same job number
+    const addEntries = (text) => {
+        const result = parseJobList(text);
+        setErrors(result.errors);
+        if (result.entries.length === 0) return;
+        const importedNumbers = new Set(result.entries.map(entry => entry.jobNumber.toLowerCase()));
+        onChange([
+            ...entries.filter(entry => !importedNumbers.has(entry.jobNumber.toLowerCase())),
+            ...result.entries,
+        ]);
+        setListText('');
+    };
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+        try {
+            addEntries(await file.text());
+        } catch (error) {
+            console.error("Failed to read job list:", error);
+            setErrors([`Could not read the file: ${error.message}`]);
+        }
+        setFileInputKey(key => key + 1);
+    };
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Job Catalogue</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Job numbers and locations autocomplete from every job entered so far ({catalogue.jobNumbers.length} job numbers, {catalogue.locations.length} locations). Import a job list to add jobs that haven't been worked yet; an imported location is treated as the correct one for its job number.
+            </p>
+            <label htmlFor="jobListText" className="text-sm font-medium text-gray-700">Paste a job list (job number, location per line)</label>
+            <textarea
+                id="jobListText"
+                rows={4}
+                className="w-full p-2 border border-gray-300 rounded-md font-mono text-xs mt-1"
+                value={listText}
+                onChange={(e) => setListText(e.target.value)}
+                placeholder={'J-1001,"Unit 4, Rear Building"\nJ-1002,Main Plant'}
+            />
+            <div className="mt-2 flex flex-col sm:flex-row gap-2 sm:items-center">
+                <button
+                    type="button"
+                    onClick={() => addEntries(listText)}
+                    disabled={!listText.trim()}
+                    className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-md text-sm disabled:opacity-50"
+                >
+                    Add to Catalogue
+                </button>
+                <input
+                    key={fileInputKey}
+                    type="file"
+                    accept=".csv,.txt,text/csv,text/plain"
+                    onChange={handleFileChange}
+                    className="text-sm"
+                    aria-label="Job list file"
+                />
+                <button
+                    type="button"
+                    onClick={() => onChange([])}
+                    disabled={entries.length === 0}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded-md text-sm disabled:opacity-50"
+                >
+                    Clear Imported Jobs ({entries.length})
+                </button>
+            </div>
+            {errors.length > 0 && (
+                <ul className="mt-2 text-xs text-red-700 list-disc list-inside">
+                    {errors.map((message, index) => <li key={index}>{message}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default JobCatalogueSettings;
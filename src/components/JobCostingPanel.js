@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { filterJobCosting, formatCost, getTechsWithoutRate, sumJobCosting } from '../jobCosting';
+import { formatDecimalHours } from '../timeCalculations';
+
+const HEADER_CLASS = 'px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider';
+
+// Job costing section: hours and labour cost per job number for any date range, across the crew
+const JobCostingPanel = ({ startDate, endDate, onRangeChange, report, onDownloadCsv }) => {
+    const [search, setSearch] = useState('');
+
+    const jobs = filterJobCosting(report.jobs, search);
+    const totals = search ? sumJobCosting(jobs) : report.totals;
+    const techsWithoutRate = getTechsWithoutRate(jobs);
+
+    const dateInput = (id, label, field, value) => (
+        <div className="flex flex-col">
+            <label htmlFor={id} className="text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <input
+                type="date"
+                id={id}
+                className="p-2 border border-gray-300 rounded-md"
+                value={value}
+                onChange={(e) => e.target.value && onRangeChange({ startDate, endDate, [field]: e.target.value })}
+            />
+        </div>
+    );
+
+    return (
+        <section aria-labelledby="jobCostingHeading" className="mt-8 bg-purple-50 p-6 rounded-lg shadow-inner border border-purple-200">
+            <h2 id="jobCostingHeading" className="text-xl font-bold text-purple-700 mb-4">Job Costing by Job Number</h2>
+            <p className="text-sm text-gray-600 mb-4">
+                Every crew member's job rows in the range, grouped by job number and location. Travel is travel start to work start plus work finish to travel home; on-site is work start to work finish. Rows without work times are counted as unsplit. Labour cost uses the rates in Settings &gt; Crew Roster.
+            </p>
+            <div className="flex flex-wrap items-end gap-3 mb-4">
+                {dateInput('jobCostingStartDate', 'From', 'startDate', startDate)}
+                {dateInput('jobCostingEndDate', 'To', 'endDate', endDate)}
+                <div className="flex flex-col">
+                    <label htmlFor="jobCostingSearch" className="text-sm font-medium text-gray-700 mb-1">Job Number or Location</label>
+                    <input
+                        type="search"
+                        id="jobCostingSearch"
+                        className="p-2 border border-gray-300 rounded-md"
+                        placeholder="e.g. 4471"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                    />
+                </div>
+            </div>
+
+            {jobs.length === 0 ? (
+                <p className="text-sm text-gray-600 mb-4">No job hours {search ? `matching "${search}" ` : ''}between {startDate} and {endDate}.</p>
+            ) : (
+                <div className="overflow-x-auto border border-gray-200 rounded-lg mb-4">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm bg-white">
+                        <thead className="bg-purple-100">
+                            <tr>
+                                <th className={HEADER_CLASS}>Job Number</th>
+                                <th className={HEADER_CLASS}>Location</th>
+                                <th className={HEADER_CLASS}>Days</th>
+                                <th className={HEADER_CLASS}>Techs</th>
+                                <th className={HEADER_CLASS}>Travel Hrs</th>
+                                <th className={HEADER_CLASS}>On-Site Hrs</th>
+                                <th className={HEADER_CLASS}>Unsplit Hrs</th>
+                                <th className={HEADER_CLASS}>Total Hrs</th>
+                                <th className={HEADER_CLASS}>Labour Cost</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {jobs.map(job => (
+                                <tr key={`${job.jobNumber}\n${job.jobLocation}`}>
+                                    <td className="px-3 py-2 font-medium">{job.jobNumber || 'N/A'}</td>
+                                    <td className="px-3 py-2">{job.jobLocation}</td>
+                                    <td className="px-3 py-2" title={job.dates.join(', ')}>
+                                        {job.dates.length} ({job.dates[0]}{job.dates.length > 1 ? ` to ${job.dates[job.dates.length - 1]}` : ''})
+                                    </td>
+                                    <td className="px-3 py-2">
+                                        {job.techs.map(tech => `${tech.name} ${formatDecimalHours(tech.totalMinutes)}`).join(', ')}
+                                    </td>
+                                    <td className="px-3 py-2">{formatDecimalHours(job.travelMinutes)}</td>
+                                    <td className="px-3 py-2">{formatDecimalHours(job.onSiteMinutes)}</td>
+                                    <td className="px-3 py-2">{formatDecimalHours(job.unsplitMinutes)}</td>
+                                    <td className="px-3 py-2">{formatDecimalHours(job.totalMinutes)}</td>
+                                    <td className="px-3 py-2">${formatCost(job.labourCost)}</td>
+                                </tr>
+                            ))}
+                            <tr className="bg-purple-50 font-bold">
+                                <td className="px-3 py-2" colSpan={4}>Total ({jobs.length} job{jobs.length === 1 ? '' : 's'})</td>
+                                <td className="px-3 py-2">{formatDecimalHours(totals.travelMinutes)}</td>
+                                <td className="px-3 py-2">{formatDecimalHours(totals.onSiteMinutes)}</td>
+                                <td className="px-3 py-2">{formatDecimalHours(totals.unsplitMinutes)}</td>
+                                <td className="px-3 py-2">{formatDecimalHours(totals.totalMinutes)}</td>
+                                <td className="px-3 py-2">${formatCost(totals.labourCost)}</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {techsWithoutRate.length > 0 && (
+                <p className="text-sm text-yellow-800 mb-4">
+                    No labour rate set for {techsWithoutRate.join(', ')}; their hours are costed at $0.00.
+                </p>
+            )}
+            <div className="flex justify-center">
+                <button
+                    type="button"
+                    onClick={() => onDownloadCsv(search, jobs, totals)}
+                    disabled={jobs.length === 0}
+                    className="bg-purple-700 hover:bg-purple-800 text-white font-bold py-2 px-4 rounded-lg shadow-md text-sm w-full sm:w-auto disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    ⬇️ Download Job Costing as CSV
+                </button>
+            </div>
+        </section>
+    );
+};
+
+export default JobCostingPanel;
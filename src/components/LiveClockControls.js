@@ -0,0 +1,37 @@
+import React, { useEffect, useState } from 'react';
+import { formatElapsed, getNextLiveStage, getSessionStageLabel } from '../liveClock';
+
+// Running H:MM:SS counter since an ISO timestamp, ticking once a second
+const ElapsedTimer = ({ since }) => {
+    const [now, setNow] = useState(Date.now());
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+    return <span className="font-mono">{formatElapsed(now - new Date(since).getTime())}</span>;
+};
+
+// Live mode controls for one job row: the button for the next stage and the running timer
+const LiveClockControls = ({ job, session, onStamp }) => {
+    const nextStage = getNextLiveStage(job);
+    return (
+        <div className="flex flex-col items-start gap-1 mt-1">
+            {session && (
+                <span className="text-xs text-green-800 bg-green-100 px-2 py-0.5 rounded">
+                    ⏱ {getSessionStageLabel(session)} <ElapsedTimer since={session.stampedAt} />
+                </span>
+            )}
+            {nextStage && (
+                <button
+                    type="button"
+                    onClick={() => onStamp(nextStage.field)}
+                    className="bg-green-600 hover:bg-green-700 text-white font-bold py-1 px-2 rounded-md text-xs"
+                >
+                    {nextStage.buttonLabel}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default LiveClockControls;
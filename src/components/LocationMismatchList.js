@@ -0,0 +1,20 @@
+import React from 'react';
+
+// Warning listing jobs whose location differs from the job catalogue; shown before reports are generated
+const LocationMismatchList = ({ mismatches }) => {
+    if (mismatches.length === 0) return null;
+    return (
+        <div className="mb-4 bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded" role="status">
+            <strong className="font-bold">Check job locations before generating the report:</strong>
+            <ul className="list-disc list-inside text-sm mt-1">
+                {mismatches.map(mismatch => (
+                    <li key={`${mismatch.employeeName || ''}-${mismatch.date}-${mismatch.jobId}`}>
+                        {mismatch.employeeName ? `${mismatch.employeeName}, ` : ''}{mismatch.date}: Job {mismatch.jobNumber} is entered at "{mismatch.jobLocation}" but the catalogue has "{mismatch.knownLocation}"
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default LocationMismatchList;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { formatDateTime } from '../dateUtils';
+import { OUTBOX_STATUS_LABELS } from '../outbox';
+
+const STATUS_CLASSES = {
+    pending: 'bg-blue-100 text-blue-800',
+    conflict: 'bg-orange-100 text-orange-800',
+    failed: 'bg-red-100 text-red-800',
+    sent: 'bg-green-100 text-green-800',
+};
+
+// Submitted periods waiting to be sent, with what went wrong on the last try.
+// Conflicts can be sent anyway (replacing the server's copy) or removed from the outbox.
+const OutboxPanel = ({ outbox, isOnline, hasEndpoint, onRetry, onSendAnyway, onRemove }) => {
+    const waitingItems = outbox.filter(item => item.status !== 'sent');
+    const lastSentItem = outbox.filter(item => item.status === 'sent').pop();
+
+    return (
+        <div className="mb-6 p-4 bg-white rounded-md shadow-sm border border-gray-200 text-sm text-gray-700">
+            <div className="flex flex-wrap items-center gap-3 mb-2">
+                <h3 className="text-lg font-semibold text-gray-800">Outbox</h3>
+                <span className={`font-bold px-2 py-0.5 rounded ${isOnline ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-800'}`}>
+                    {isOnline ? 'Online' : 'Offline'}
+                </span>
+            </div>
+            {!hasEndpoint && (
+                <p className="mb-2">Submitted periods stay on this device until a timesheet endpoint is set in Settings.</p>
+            )}
+            {waitingItems.length === 0 ? (
+                <p className="text-gray-600">
+                    Nothing waiting to be sent.
+                    {lastSentItem && ` Last sent: ${lastSentItem.employeeName || 'Employee'}, ${lastSentItem.startDate} to ${lastSentItem.endDate} on ${formatDateTime(lastSentItem.sentAt)}.`}
+                </p>
+            ) : (
+                <ul className="divide-y divide-gray-100">
+                    {waitingItems.map(item => (
+                        <li key={item.id} className="py-2">
+                            <div className="flex flex-wrap items-center gap-2">
+                                <span className={`text-xs font-bold px-2 py-0.5 rounded ${STATUS_CLASSES[item.status]}`}>{OUTBOX_STATUS_LABELS[item.status]}</span>
+                                <span className="font-medium">{item.employeeName || 'Employee'}: {item.startDate} to {item.endDate}</span>
+                                <span className="text-gray-500">submitted {formatDateTime(item.createdAt)}</span>
+                            </div>
+                            {item.lastError && (
+                                <p className="mt-1 text-gray-600">
+                                    {item.lastError}
+                                    {item.status === 'pending' && ` Trying again at ${formatDateTime(new Date(item.nextAttemptAt).toISOString())}.`}
+                                </p>
+                            )}
+                            <div className="flex flex-wrap gap-2 mt-2">
+                                {item.status === 'conflict' ? (
+                                    <button
+                                        type="button"
+                                        onClick={() => onSendAnyway(item.id)}
+                                        className="bg-orange-500 hover:bg-orange-600 text-white font-bold py-1 px-2 rounded-md text-xs"
+                                    >
+                                        Send Anyway (Replace Server Copy)
+                                    </button>
+                                ) : (
+                                    <button
+                                        type="button"
+                                        onClick={() => onRetry(item.id)}
+                                        disabled={!isOnline || !hasEndpoint}
+                                        className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-2 rounded-md text-xs disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        Send Now
+                                    </button>
+                                )}
+                                <button
+                                    type="button"
+                                    onClick={() => onRemove(item.id)}
+                                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-2 rounded-md text-xs"
+                                >
+                                    Remove from Outbox
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default OutboxPanel;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { PAY_CATEGORIES } from '../payCalculations';
+import { formatDecimalHours } from '../timeCalculations';
+
+// Row of pay-category totals shown in the Daily and Weekly Summary sections
+const PayBreakdownSummary = ({ breakdown, title }) => {
+    return (
+        <div className="mt-4">
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">{title}</h3>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 text-sm">
+                {PAY_CATEGORIES.map(category => (
+                    <div key={category.key} className="flex justify-between items-center bg-white p-2 rounded-md shadow-sm">
+                        <span className="text-gray-600">{category.label}:</span>
+                        <span className="font-bold text-gray-800">{formatDecimalHours(breakdown[category.key])} Hrs</span>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default PayBreakdownSummary;
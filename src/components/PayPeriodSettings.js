@@ -0,0 +1,48 @@
+import React from 'react';
+import { getPayPeriod, PAY_PERIOD_TYPES } from '../payPeriods';
+
+// Settings section for the pay period length and the date periods are counted from
+const PayPeriodSettings = ({ settings, onChange }) => {
+    const example = getPayPeriod(settings.anchorDate, settings);
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Pay Period</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Sets the range of the weekly report section, its CSV downloads and the Previous/Next Period buttons. Weekly overtime is still counted per calendar week (Monday to Sunday) inside longer periods.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div className="flex flex-col">
+                    <label htmlFor="payPeriodType" className="text-sm font-medium text-gray-700 mb-1">Period Length</label>
+                    <select
+                        id="payPeriodType"
+                        className="p-2 border border-gray-300 rounded-md"
+                        value={settings.type}
+                        onChange={(e) => onChange({ ...settings, type: e.target.value })}
+                    >
+                        {PAY_PERIOD_TYPES.map(type => (
+                            <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="flex flex-col">
+                    <label htmlFor="payPeriodAnchor" className="text-sm font-medium text-gray-700 mb-1">A Period Starts On</label>
+                    <input
+                        type="date"
+                        id="payPeriodAnchor"
+                        className="p-2 border border-gray-300 rounded-md disabled:bg-gray-100"
+                        value={settings.anchorDate}
+                        disabled={settings.type === 'semiMonthly'}
+                        onChange={(e) => e.target.value && onChange({ ...settings, anchorDate: e.target.value })}
+                    />
+                </div>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+                {settings.type === 'semiMonthly'
+                    ? 'Semi-monthly periods always run from the 1st to the 15th and from the 16th to the end of the month.'
+                    : `Example period: ${example.startDate} to ${example.endDate}`}
+            </p>
+        </div>
+    );
+};
+
+export default PayPeriodSettings;
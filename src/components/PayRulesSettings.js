@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { DEFAULT_PAY_RULES } from '../payCalculations';
+
+// Settings section for overtime, double time and on-call thresholds
+const PayRulesSettings = ({ payRules, onChange }) => {
+    const [newHoliday, setNewHoliday] = useState('');
+
+    const updateHours = (field, value) => {
+        onChange({ ...payRules, [field]: Math.max(0, Math.round((Number(value) || 0) * 60)) });
+    };
+
+    const addHoliday = () => {
+        if (!newHoliday || payRules.holidays.includes(newHoliday)) return;
+        onChange({ ...payRules, holidays: [...payRules.holidays, newHoliday].sort() });
+        setNewHoliday('');
+    };
+
+    const removeHoliday = (date) => {
+        onChange({ ...payRules, holidays: payRules.holidays.filter(holiday => holiday !== date) });
+    };
+
+    const hoursInput = (field, label) => (
+        <div className="flex flex-col">
+            <label htmlFor={field} className="text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <input
+                type="number"
+                id={field}
+                min="0"
+                step="0.25"
+                className="p-2 border border-gray-300 rounded-md"
+                value={payRules[field] / 60}
+                onChange={(e) => updateHours(field, e.target.value)}
+            />
+        </div>
+    );
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Overtime & Premiums</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Net Working Hours are split into pay categories. Weekly overtime is counted per calendar week (Monday to Sunday).
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                {hoursInput('dailyOvertimeAfterMinutes', 'Daily Overtime After (Hrs)')}
+                {hoursInput('weeklyOvertimeAfterMinutes', 'Weekly Overtime After (Hrs)')}
+                {hoursInput('onCallMinimumMinutes', 'On-Call Callout Minimum (Hrs)')}
+            </div>
+            <div className="mt-4 flex items-center">
+                <input
+                    type="checkbox"
+                    id="doubleTimeOnSundays"
+                    className="mr-2 h-4 w-4"
+                    checked={payRules.doubleTimeOnSundays}
+                    onChange={(e) => onChange({ ...payRules, doubleTimeOnSundays: e.target.checked })}
+                />
+                <label htmlFor="doubleTimeOnSundays" className="text-sm font-medium text-gray-700">Pay Sundays at double time</label>
+            </div>
+            <div className="mt-4">
+                <h4 className="text-sm font-medium text-gray-700 mb-1">Statutory Holidays (paid at double time)</h4>
+                <div className="flex gap-2">
+                    <input
+                        type="date"
+                        className="p-2 border border-gray-300 rounded-md"
+                        value={newHoliday}
+                        onChange={(e) => setNewHoliday(e.target.value)}
+                        aria-label="Holiday date"
+                    />
+                    <button
+                        type="button"
+                        onClick={addHoliday}
+                        className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-md text-sm"
+                    >
+                        Add Holiday
+                    </button>
+                </div>
+                <ul className="mt-2 text-sm">
+                    {payRules.holidays.map(date => (
+                        <li key={date} className="flex items-center gap-2 py-1">
+                            <span>{date}</span>
+                            <button
+                                type="button"
+                                onClick={() => removeHoliday(date)}
+                                className="text-red-600 hover:underline text-xs"
+                            >
+                                Remove
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+            <button
+                type="button"
+                onClick={() => onChange(DEFAULT_PAY_RULES)}
+                className="mt-3 bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded-md text-sm"
+            >
+                Restore Defaults
+            </button>
+        </div>
+    );
+};
+
+export default PayRulesSettings;
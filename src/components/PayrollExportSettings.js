@@ -0,0 +1,82 @@
+import React from 'react';
+import { PAY_CATEGORIES } from '../payCalculations';
+import { DEFAULT_PAYROLL_EXPORT_SETTINGS, PAYROLL_EXPORTERS } from '../payrollExports';
+
+// Settings section for the payroll exports: the earnings code each payroll system uses for
+// each pay category, and the ADP company code and batch
+const PayrollExportSettings = ({ settings, onChange }) => {
+    const updateCode = (exporterId, category, value) => {
+        onChange({
+            ...settings,
+            earningsCodes: {
+                ...settings.earningsCodes,
+                [exporterId]: { ...settings.earningsCodes[exporterId], [category]: value },
+            },
+        });
+    };
+
+    const textInput = (field, label) => (
+        <div className="flex flex-col">
+            <label htmlFor={field} className="text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <input
+                type="text"
+                id={field}
+                className="p-2 border border-gray-300 rounded-md"
+                value={settings[field]}
+                onChange={(e) => onChange({ ...settings, [field]: e.target.value.trim() })}
+            />
+        </div>
+    );
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Payroll Export</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Earnings codes the payroll export uses for each pay category. Use the names of the payroll items in QuickBooks and the earnings codes set up in ADP. Each crew member's payroll ID is set in the Crew Roster.
+            </p>
+            <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">Pay Category</th>
+                            {PAYROLL_EXPORTERS.map(exporter => (
+                                <th key={exporter.id} className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase tracking-wider">{exporter.label}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {PAY_CATEGORIES.map(category => (
+                            <tr key={category.key}>
+                                <td className="px-3 py-2 font-medium text-gray-800">{category.label}</td>
+                                {PAYROLL_EXPORTERS.map(exporter => (
+                                    <td key={exporter.id} className="px-3 py-2">
+                                        <input
+                                            type="text"
+                                            aria-label={`${exporter.label} code for ${category.label}`}
+                                            className="w-40 p-1 border border-gray-300 rounded-md"
+                                            value={settings.earningsCodes[exporter.id][category.key]}
+                                            onChange={(e) => updateCode(exporter.id, category.key, e.target.value)}
+                                        />
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4">
+                {textInput('adpCompanyCode', 'ADP Company Code')}
+                {textInput('adpBatchId', 'ADP Batch ID')}
+            </div>
+            <button
+                type="button"
+                onClick={() => onChange({ ...DEFAULT_PAYROLL_EXPORT_SETTINGS, format: settings.format })}
+                className="mt-3 bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded-md text-sm"
+            >
+                Restore Defaults
+            </button>
+        </div>
+    );
+};
+
+export default PayrollExportSettings;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { APPROVAL_STATUS_LABELS, applyApprovalAction, canApplyApprovalAction } from '../approvals';
+import { formatDateTime } from '../dateUtils';
+
+const STATUS_CLASSES = {
+    draft: 'bg-gray-200 text-gray-800',
+    submitted: 'bg-blue-100 text-blue-800',
+    approved: 'bg-green-100 text-green-800',
+    rejected: 'bg-red-100 text-red-800',
+};
+
+const ACTION_LABELS = {
+    submit: 'Submitted',
+    approve: 'Approved',
+    reject: 'Rejected',
+    unlock: 'Unlocked',
+};
+
+// Approval of the report range: the tech submits it, a supervisor approves or rejects it with
+// a comment, and an approved period has to be unlocked (with a reason) before it can change
+const PeriodApprovalPanel = ({ approval, employeeName, onChange }) => {
+    const [reviewerName, setReviewerName] = useState('');
+    const [comment, setComment] = useState('');
+    const [error, setError] = useState('');
+
+    const takeAction = (action, by) => {
+        try {
+            onChange(applyApprovalAction(approval, action, { by, comment }));
+            setComment('');
+            setError('');
+        } catch (actionError) {
+            setError(actionError.message);
+        }
+    };
+
+    const isReviewing = approval.status === 'submitted' || approval.status === 'approved';
+
+    return (
+        <div className="mb-6 p-4 bg-white rounded-md shadow-sm border border-gray-200">
+            <div className="flex flex-wrap items-center gap-3 mb-2">
+                <h3 className="text-lg font-semibold text-gray-800">Approval</h3>
+                <span className={`text-sm font-bold px-2 py-0.5 rounded ${STATUS_CLASSES[approval.status]}`}>
+                    {APPROVAL_STATUS_LABELS[approval.status]}
+                </span>
+                {approval.reviewedBy && (
+                    <span className="text-sm text-gray-700">
+                        by {approval.reviewedBy} on {formatDateTime(approval.reviewedAt)}
+                    </span>
+                )}
+            </div>
+            {approval.comment && (
+                <p className="text-sm text-gray-700 mb-2">Reviewer comment: <span className="italic">{approval.comment}</span></p>
+            )}
+            {approval.status === 'approved' && (
+                <p className="text-sm text-gray-600 mb-2">
+                    Days in this period are locked. Unlock the period to make a correction; it will need to be approved again.
+                </p>
+            )}
+
+            {isReviewing && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-3">
+                    <div className="flex flex-col">
+                        <label htmlFor="reviewerName" className="text-sm font-medium text-gray-700 mb-1">Reviewer Name</label>
+                        <input
+                            type="text"
+                            id="reviewerName"
+                            className="p-2 border border-gray-300 rounded-md"
+                            value={reviewerName}
+                            onChange={(e) => setReviewerName(e.target.value)}
+                        />
+                    </div>
+                    <div className="flex flex-col">
+                        <label htmlFor="approvalComment" className="text-sm font-medium text-gray-700 mb-1">
+                            {approval.status === 'approved' ? 'Reason for Unlocking' : 'Comment'}
+                        </label>
+                        <input
+                            type="text"
+                            id="approvalComment"
+                            className="p-2 border border-gray-300 rounded-md"
+                            value={comment}
+                            onChange={(e) => setComment(e.target.value)}
+                        />
+                    </div>
+                </div>
+            )}
+
+            <div className="flex flex-wrap gap-2">
+                {canApplyApprovalAction(approval, 'submit') && (
+                    <button
+                        type="button"
+                        onClick={() => takeAction('submit', employeeName || '')}
+                        className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md text-sm"
+                    >
+                        Submit for Approval
+                    </button>
+                )}
+                {canApplyApprovalAction(approval, 'approve') && (
+                    <button
+                        type="button"
+                        onClick={() => takeAction('approve', reviewerName)}
+                        className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-md text-sm"
+                    >
+                        Approve
+                    </button>
+                )}
+                {canApplyApprovalAction(approval, 'reject') && (
+                    <button
+                        type="button"
+                        onClick={() => takeAction('reject', reviewerName)}
+                        className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-md text-sm"
+                    >
+                        Reject
+                    </button>
+                )}
+                {canApplyApprovalAction(approval, 'unlock') && (
+                    <button
+                        type="button"
+                        onClick={() => takeAction('unlock', reviewerName)}
+                        className="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded-md text-sm"
+                    >
+                        🔓 Unlock for Correction
+                    </button>
+                )}
+            </div>
+            {error && <p className="text-sm text-red-700 mt-2">{error}</p>}
+
+            {approval.history.length > 0 && (
+                <details className="mt-3 text-sm text-gray-700">
+                    <summary className="cursor-pointer font-medium">History ({approval.history.length})</summary>
+                    <ul className="mt-2 space-y-1">
+                        {approval.history.map((entry, index) => (
+                            <li key={index}>
+                                {formatDateTime(entry.at)}: {ACTION_LABELS[entry.action]}{entry.by ? ` by ${entry.by}` : ''}
+                                {entry.comment ? ` - "${entry.comment}"` : ''}
+                            </li>
+                        ))}
+                    </ul>
+                </details>
+            )}
+            {(approval.emails || []).length > 0 && (
+                <details className="mt-3 text-sm text-gray-700">
+                    <summary className="cursor-pointer font-medium">Reports Emailed ({approval.emails.length})</summary>
+                    <ul className="mt-2 space-y-1">
+                        {approval.emails.map((email, index) => (
+                            <li key={index}>
+                                {formatDateTime(email.sentAt)}: {email.kind === 'daily' ? 'Daily' : 'Period'} report to {email.to.join(', ')}
+                                {email.cc.length > 0 ? ` (CC ${email.cc.join(', ')})` : ''}
+                            </li>
+                        ))}
+                    </ul>
+                </details>
+            )}
+        </div>
+    );
+};
+
+export default PeriodApprovalPanel;
@@ -0,0 +1,60 @@
+import React from 'react';
+
+// Recipients and the Send button for emailing a generated report with its CSV and PDF.
+// The addresses are shared by the daily and weekly reports and saved on the device.
+// Without a timesheet server the report can still be opened in the device's mail app.
+const ReportEmailPanel = ({ idPrefix, settings, onChange, canSend, status, onSend, onOpenMailApp }) => {
+    return (
+        <div className="mt-4 pt-4 border-t border-gray-200">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <div className="flex flex-col">
+                    <label htmlFor={`${idPrefix}EmailTo`} className="text-sm font-medium text-gray-700 mb-1">Email To</label>
+                    <input
+                        type="text"
+                        id={`${idPrefix}EmailTo`}
+                        placeholder="payroll@office.com, office@office.com"
+                        className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm"
+                        value={settings.to}
+                        onChange={(e) => onChange({ ...settings, to: e.target.value })}
+                    />
+                </div>
+                <div className="flex flex-col">
+                    <label htmlFor={`${idPrefix}EmailCc`} className="text-sm font-medium text-gray-700 mb-1">CC (Supervisor)</label>
+                    <input
+                        type="text"
+                        id={`${idPrefix}EmailCc`}
+                        placeholder="supervisor@office.com"
+                        className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm"
+                        value={settings.cc}
+                        onChange={(e) => onChange({ ...settings, cc: e.target.value })}
+                    />
+                </div>
+            </div>
+            <div className="mt-3 flex flex-col sm:flex-row items-center justify-center gap-3">
+                <button
+                    type="button"
+                    onClick={onSend}
+                    disabled={!canSend || status.isBusy}
+                    className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-200 ease-in-out transform hover:scale-105 flex items-center justify-center text-sm w-full sm:w-auto disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {status.isBusy ? 'Sending…' : '📧 Send Email with CSV and PDF'}
+                </button>
+                <button
+                    type="button"
+                    onClick={onOpenMailApp}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-lg text-sm w-full sm:w-auto"
+                >
+                    Open in Mail App (no attachments)
+                </button>
+            </div>
+            {!canSend && (
+                <p className="mt-2 text-sm text-gray-600">Set the timesheet server and this crew member's token in Settings to send the report with attachments.</p>
+            )}
+            {!status.isBusy && status.message && (
+                <p className={`mt-2 text-sm ${status.isError ? 'text-red-700' : 'text-green-700'}`}>{status.message}</p>
+            )}
+        </div>
+    );
+};
+
+export default ReportEmailPanel;
@@ -0,0 +1,83 @@
+import React from 'react';
+import { REPORT_PROVIDERS } from '../reportProviders';
+
+// Settings section for choosing and configuring the report provider
+const ReportProviderSettings = ({ settings, onChange }) => {
+    const updateConfig = (providerId, field, value) => {
+        onChange({ ...settings, [providerId]: { ...settings[providerId], [field]: value } });
+    };
+
+    const textInput = (providerId, field, label, type = 'text', placeholder = '') => (
+        <div className="flex flex-col">
+            <label htmlFor={`${providerId}-${field}`} className="text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <input
+                type={type}
+                id={`${providerId}-${field}`}
+                className="p-2 border border-gray-300 rounded-md"
+                value={settings[providerId][field]}
+                placeholder={placeholder}
+                autoComplete="off"
+                onChange={(e) => updateConfig(providerId, field, e.target.value)}
+            />
+        </div>
+    );
+
+    const rememberKeyCheckbox = (providerId) => (
+        <div className="flex items-center col-span-full">
+            <input
+                type="checkbox"
+                id={`${providerId}-rememberApiKey`}
+                className="mr-2 h-4 w-4"
+                checked={settings[providerId].rememberApiKey}
+                onChange={(e) => updateConfig(providerId, 'rememberApiKey', e.target.checked)}
+            />
+            <label htmlFor={`${providerId}-rememberApiKey`} className="text-sm text-gray-700">
+                Remember API key on this device (otherwise it is cleared when the page is closed)
+            </label>
+        </div>
+    );
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Report Provider</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Choose how the daily and weekly summaries are written. The built-in template works offline and needs no key.
+            </p>
+            <div className="flex flex-col gap-2 mb-4">
+                {REPORT_PROVIDERS.map(provider => (
+                    <label key={provider.id} className="flex items-center text-sm text-gray-700">
+                        <input
+                            type="radio"
+                            name="reportProvider"
+                            className="mr-2"
+                            value={provider.id}
+                            checked={settings.provider === provider.id}
+                            onChange={() => onChange({ ...settings, provider: provider.id })}
+                        />
+                        {provider.label}
+                    </label>
+                ))}
+            </div>
+
+            {settings.provider === 'gemini' && (
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    {textInput('gemini', 'apiKey', 'API Key', 'password')}
+                    {textInput('gemini', 'model', 'Model')}
+                    {textInput('gemini', 'baseUrl', 'API Base URL')}
+                    {rememberKeyCheckbox('gemini')}
+                </div>
+            )}
+
+            {settings.provider === 'openai' && (
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    {textInput('openai', 'baseUrl', 'Server URL', 'text', 'http://localhost:11434/v1')}
+                    {textInput('openai', 'model', 'Model')}
+                    {textInput('openai', 'apiKey', 'API Key (optional)', 'password')}
+                    {rememberKeyCheckbox('openai')}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ReportProviderSettings;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { DEFAULT_REPORT_TEMPLATES, TEMPLATE_FIELDS } from '../reportTemplates';
+
+const TEMPLATE_LABELS = { daily: 'Daily Report Template', weekly: 'Weekly Report Template', crew: 'Crew Report Template' };
+
+// Settings section for editing the offline report templates
+const ReportTemplateSettings = ({ templates, onChange }) => {
+    const fieldList = (names) => names.map(name => (name.startsWith('#') ? `{{${name}}}...{{/${name.slice(1)}}}` : `{{${name}}}`)).join(' ');
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Report Templates</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Used by the built-in template provider and whenever the online provider can't be reached. Use {'{{field}}'} to insert a value, {'{{#jobs}}...{{/jobs}}'} to repeat a block for each job and {'{{^jobs}}...{{/jobs}}'} for text shown when there are none.
+            </p>
+            {Object.keys(TEMPLATE_LABELS).map(kind => (
+                <div key={kind} className="mb-6">
+                    <div className="flex justify-between items-center mb-1">
+                        <label htmlFor={`template-${kind}`} className="text-sm font-medium text-gray-700">{TEMPLATE_LABELS[kind]}</label>
+                        <button
+                            type="button"
+                            onClick={() => onChange({ ...templates, [kind]: DEFAULT_REPORT_TEMPLATES[kind] })}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded-md text-xs"
+                        >
+                            Restore Default
+                        </button>
+                    </div>
+                    <textarea
+                        id={`template-${kind}`}
+                        rows={12}
+                        className="w-full p-2 border border-gray-300 rounded-md font-mono text-xs"
+                        value={templates[kind]}
+                        onChange={(e) => onChange({ ...templates, [kind]: e.target.value })}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Fields: {fieldList(TEMPLATE_FIELDS[kind])}</p>
+                    {kind === 'weekly' && (
+                        <p className="text-xs text-gray-500 mt-1">Inside {'{{#days}}'}: {fieldList(TEMPLATE_FIELDS.days)}</p>
+                    )}
+                    {kind === 'crew' ? (
+                        <p className="text-xs text-gray-500 mt-1">Inside {'{{#members}}'}: {fieldList(TEMPLATE_FIELDS.members)}</p>
+                    ) : (
+                        <p className="text-xs text-gray-500 mt-1">Inside {'{{#jobs}}'}: {fieldList(TEMPLATE_FIELDS.jobs)}</p>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default ReportTemplateSettings;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { formatDateTime } from '../dateUtils';
+
+// Push and Pull buttons for the timesheet server, with the result of the last one
+const ServerSyncPanel = ({ isConfigured, isOnline, status, onPush, onPull }) => {
+    const isDisabled = !isConfigured || !isOnline || status.isBusy;
+
+    return (
+        <div className="mb-6 p-4 bg-white rounded-md shadow-sm border border-gray-200 text-sm text-gray-700">
+            <div className="flex flex-wrap items-center gap-3">
+                <h3 className="text-lg font-semibold text-gray-800">Timesheet Server</h3>
+                <button
+                    type="button"
+                    onClick={onPush}
+                    disabled={isDisabled}
+                    className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-md text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    Push to Server
+                </button>
+                <button
+                    type="button"
+                    onClick={onPull}
+                    disabled={isDisabled}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded-md text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    Pull from Server
+                </button>
+            </div>
+            {!isConfigured && (
+                <p className="mt-2">Set the server URL and this crew member's token in Settings to keep their days on the office's server.</p>
+            )}
+            {status.isBusy && <p className="mt-2">Talking to the server…</p>}
+            {!status.isBusy && status.message && (
+                <p className={`mt-2 ${status.isError ? 'text-red-700' : 'text-gray-600'}`} role="status">
+                    {status.message}
+                    {status.at && ` (${formatDateTime(status.at)})`}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default ServerSyncPanel;
@@ -0,0 +1,43 @@
+import React from 'react';
+
+// Settings section for the timesheet server (see src/serverSync.js): its address, and the
+// access token of the crew member currently selected
+const ServerSyncSettings = ({ settings, employee, onChange }) => {
+    const employeeLabel = employee.name || 'this crew member';
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Timesheet Server</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Push this device's days to the office's timesheet server, or pull them back onto a new device. Reports are also emailed through it. The office gives each crew member their own token.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div className="flex flex-col">
+                    <label htmlFor="serverUrl" className="text-sm font-medium text-gray-700 mb-1">Server URL</label>
+                    <input
+                        type="url"
+                        id="serverUrl"
+                        className="p-2 border border-gray-300 rounded-md"
+                        placeholder="https://office.example.com"
+                        value={settings.url}
+                        onChange={(e) => onChange({ ...settings, url: e.target.value.trim() })}
+                    />
+                </div>
+                <div className="flex flex-col">
+                    <label htmlFor="serverToken" className="text-sm font-medium text-gray-700 mb-1">Server Token for {employeeLabel}</label>
+                    <input
+                        type="password"
+                        id="serverToken"
+                        className="p-2 border border-gray-300 rounded-md"
+                        autoComplete="off"
+                        value={settings.tokens[employee.id] || ''}
+                        onChange={(e) => onChange({ ...settings, tokens: { ...settings.tokens, [employee.id]: e.target.value.trim() } })}
+                    />
+                </div>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">Tokens are saved on this device. Switch crew members to enter each one's token.</p>
+        </div>
+    );
+};
+
+export default ServerSyncSettings;
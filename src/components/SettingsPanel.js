@@ -0,0 +1,28 @@
+import React from 'react';
+
+// Container for the settings screen; each settings section is passed in as a child
+const SettingsPanel = ({ onClose, children }) => {
+    return (
+        <div className="bg-gray-50 p-6 rounded-lg shadow-inner border border-gray-200 mb-8">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-bold text-gray-700">Settings</h2>
+                <button
+                    type="button"
+                    onClick={onClose}
+                    className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-1 px-3 rounded-md text-sm"
+                >
+                    Close Settings
+                </button>
+            </div>
+            <div className="space-y-8">
+                {React.Children.map(children, child => child && (
+                    <section className="bg-white p-4 rounded-md shadow-sm border border-gray-200">
+                        {child}
+                    </section>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default SettingsPanel;
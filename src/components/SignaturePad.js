@@ -0,0 +1,77 @@
+import React, { useEffect, useRef } from 'react';
+
+const CANVAS_WIDTH = 600;
+const CANVAS_HEIGHT = 200;
+
+// Draw strokes of points given as fractions (0 to 1) of the canvas width and height
+const drawStrokes = (context, strokes) => {
+    context.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    context.lineWidth = 3;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#111827';
+    strokes.forEach(stroke => {
+        context.beginPath();
+        stroke.forEach((point, index) => {
+            const x = point.x * CANVAS_WIDTH;
+            const y = point.y * CANVAS_HEIGHT;
+            if (index === 0) context.moveTo(x, y);
+            context.lineTo(x, y); // A single point still leaves a dot
+        });
+        context.stroke();
+    });
+};
+
+// Finger or mouse signature box. Strokes are lists of { x, y } points, stored as fractions
+// of the box so they can be redrawn at any size (e.g. on the PDF).
+const SignaturePad = ({ strokes, onChange }) => {
+    const canvasRef = useRef(null);
+    const currentStrokeRef = useRef(null);
+
+    useEffect(() => {
+        drawStrokes(canvasRef.current.getContext('2d'), strokes);
+    }, [strokes]);
+
+    const getPoint = (event) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        return {
+            x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+            y: Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height)),
+        };
+    };
+
+    const handlePointerDown = (event) => {
+        event.preventDefault();
+        canvasRef.current.setPointerCapture(event.pointerId);
+        currentStrokeRef.current = [getPoint(event)];
+        drawStrokes(canvasRef.current.getContext('2d'), [...strokes, currentStrokeRef.current]);
+    };
+
+    const handlePointerMove = (event) => {
+        if (!currentStrokeRef.current) return;
+        currentStrokeRef.current.push(getPoint(event));
+        drawStrokes(canvasRef.current.getContext('2d'), [...strokes, currentStrokeRef.current]);
+    };
+
+    const handlePointerUp = () => {
+        if (!currentStrokeRef.current) return;
+        const stroke = currentStrokeRef.current;
+        currentStrokeRef.current = null;
+        onChange([...strokes, stroke]);
+    };
+
+    return (
+        <canvas
+            ref={canvasRef}
+            width={CANVAS_WIDTH}
+            height={CANVAS_HEIGHT}
+            className="w-full max-w-md aspect-[3/1] bg-white border-2 border-dashed border-gray-400 rounded-md touch-none cursor-crosshair"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+        />
+    );
+};
+
+export default SignaturePad;
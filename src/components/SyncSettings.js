@@ -0,0 +1,40 @@
+import React from 'react';
+
+// Settings section for the endpoint that submitted pay periods are sent to (see src/outbox.js)
+const SyncSettings = ({ settings, onChange }) => {
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Sending Submitted Periods</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Periods submitted for approval are queued on this device and sent to this address whenever there is a connection. Leave it blank to keep submissions on the device only. For testing, run <code>npm run mock-sync-server</code> and use http://localhost:4010/timesheets.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div className="flex flex-col">
+                    <label htmlFor="syncEndpoint" className="text-sm font-medium text-gray-700 mb-1">Timesheet Endpoint URL</label>
+                    <input
+                        type="url"
+                        id="syncEndpoint"
+                        className="p-2 border border-gray-300 rounded-md"
+                        placeholder="https://office.example.com/api/timesheets"
+                        value={settings.endpoint}
+                        onChange={(e) => onChange({ ...settings, endpoint: e.target.value.trim() })}
+                    />
+                </div>
+                <div className="flex flex-col">
+                    <label htmlFor="syncAuthToken" className="text-sm font-medium text-gray-700 mb-1">Access Token (optional)</label>
+                    <input
+                        type="password"
+                        id="syncAuthToken"
+                        className="p-2 border border-gray-300 rounded-md"
+                        autoComplete="off"
+                        value={settings.authToken}
+                        onChange={(e) => onChange({ ...settings, authToken: e.target.value.trim() })}
+                    />
+                </div>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">The token is saved on this device and sent as a Bearer token with each submission.</p>
+        </div>
+    );
+};
+
+export default SyncSettings;
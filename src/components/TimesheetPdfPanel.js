@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import SignaturePad from './SignaturePad';
+
+// Signed PDF timesheet for the report range: the employee signs on the device, then the PDF
+// is downloaded or opened to print. The supervisor signs the printed copy.
+const TimesheetPdfPanel = ({ signature, onSignatureChange, onDownloadPdf, onOpenPdf }) => {
+    const [isSigning, setIsSigning] = useState(false);
+    const [strokes, setStrokes] = useState([]);
+
+    const startSigning = () => {
+        setStrokes([]);
+        setIsSigning(true);
+    };
+
+    const finishSigning = () => {
+        onSignatureChange(strokes.length > 0 ? { strokes, signedAt: new Date().toISOString() } : null);
+        setIsSigning(false);
+    };
+
+    return (
+        <div className="mt-6 pt-4 border-t border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Signed Timesheet (PDF)</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                A printable timesheet for the report range with the job table for each day, deduction and overtime totals, and employee and supervisor signature lines. It is made on this device and works offline.
+            </p>
+
+            {isSigning ? (
+                <div className="mb-4">
+                    <p className="text-sm font-medium text-gray-700 mb-2">Sign in the box below:</p>
+                    <SignaturePad strokes={strokes} onChange={setStrokes} />
+                    <div className="flex gap-2 mt-2">
+                        <button
+                            type="button"
+                            onClick={() => setStrokes([])}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded-md text-sm"
+                        >
+                            Clear
+                        </button>
+                        <button
+                            type="button"
+                            onClick={finishSigning}
+                            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-md text-sm"
+                        >
+                            Done
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <div className="flex flex-wrap items-center gap-2 mb-4">
+                    {signature ? (
+                        <>
+                            <span className="text-sm font-semibold text-green-700">✓ Signed by the employee</span>
+                            <button
+                                type="button"
+                                onClick={() => onSignatureChange(null)}
+                                className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded-md text-sm"
+                            >
+                                Remove Signature
+                            </button>
+                        </>
+                    ) : (
+                        <span className="text-sm text-gray-600">Not signed yet. The signature line will be left blank.</span>
+                    )}
+                    <button
+                        type="button"
+                        onClick={startSigning}
+                        className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-md text-sm"
+                    >
+                        ✍️ {signature ? 'Sign Again' : 'Sign as Employee'}
+                    </button>
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <button
+                    type="button"
+                    onClick={onDownloadPdf}
+                    className="w-full bg-gray-700 hover:bg-gray-800 text-white font-bold py-3 px-4 rounded-lg shadow-md transition duration-200 ease-in-out"
+                >
+                    ⬇️ Download Timesheet PDF
+                </button>
+                <button
+                    type="button"
+                    onClick={onOpenPdf}
+                    className="w-full bg-gray-700 hover:bg-gray-800 text-white font-bold py-3 px-4 rounded-lg shadow-md transition duration-200 ease-in-out"
+                >
+                    🖨️ Open PDF to Print
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default TimesheetPdfPanel;
@@ -0,0 +1,20 @@
+import React from 'react';
+
+// Timesheet warnings (see src/timesheetValidation.js) listed before a report or CSV download
+const TimesheetWarningList = ({ warnings }) => {
+    if (warnings.length === 0) return null;
+    return (
+        <div className="mb-4 bg-orange-100 border border-orange-400 text-orange-800 px-4 py-3 rounded" role="status">
+            <strong className="font-bold">Timesheet warnings:</strong>
+            <ul className="list-disc list-inside text-sm mt-1">
+                {warnings.map((warning, index) => (
+                    <li key={index}>
+                        {warning.employeeName ? `${warning.employeeName}, ` : ''}{warning.date ? `${warning.date}: ` : ''}{warning.message}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default TimesheetWarningList;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { DEFAULT_VALIDATION_RULES } from '../timesheetValidation';
+
+// Settings section for the limits used by the timesheet warnings
+const ValidationSettings = ({ rules, onChange }) => {
+    const updateHours = (field, value) => {
+        onChange({ ...rules, [field]: Math.max(0, Math.round((Number(value) || 0) * 60)) });
+    };
+
+    const hoursInput = (field, label) => (
+        <div className="flex flex-col">
+            <label htmlFor={field} className="text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <input
+                type="number"
+                id={field}
+                min="0"
+                step="0.25"
+                className="p-2 border border-gray-300 rounded-md"
+                value={rules[field] / 60}
+                onChange={(e) => updateHours(field, e.target.value)}
+            />
+        </div>
+    );
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Timesheet Warnings</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Job rows are checked for times out of order, jobs that overlap, job numbers without times, long gaps between jobs and very long days. Warnings never block saving; they are listed before reports and CSV downloads.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {hoursInput('maxGapMinutes', 'Warn About Gaps Between Jobs Over (Hrs)')}
+                {hoursInput('maxDayMinutes', 'Warn About Days Over (Hrs)')}
+            </div>
+            <button
+                type="button"
+                onClick={() => onChange(DEFAULT_VALIDATION_RULES)}
+                className="mt-3 bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded-md text-sm"
+            >
+                Restore Defaults
+            </button>
+        </div>
+    );
+};
+
+export default ValidationSettings;
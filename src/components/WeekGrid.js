@@ -0,0 +1,55 @@
+import React from 'react';
+import { getDayOfWeek } from '../dateUtils';
+import { formatDecimalHours } from '../timeCalculations';
+import { hasJobData } from '../timesheetModel';
+
+// Week-at-a-glance grid: one column per date in the report range. Empty days and days with
+// warnings are highlighted; clicking a day opens it in the daily editor.
+const WeekGrid = ({ dates, weeklyData, problemCounts, selectedDate, onSelectDate }) => {
+    return (
+        <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-2 mb-4">
+            {dates.map(date => {
+                const dayData = weeklyData[date];
+                const jobCount = (dayData?.jobs || []).filter(hasJobData).length;
+                const isEmpty = jobCount === 0 && !(dayData?.totalHours > 0);
+                const problemCount = problemCounts[date] || 0;
+                const dayName = getDayOfWeek(date, 'short');
+
+                let colorClasses = 'bg-white border-gray-200';
+                if (problemCount > 0) colorClasses = 'bg-orange-50 border-orange-400';
+                else if (isEmpty) colorClasses = 'bg-gray-100 border-dashed border-gray-400';
+
+                return (
+                    <button
+                        key={date}
+                        type="button"
+                        onClick={() => onSelectDate(date)}
+                        className={`text-left p-2 rounded-md border-2 shadow-sm hover:shadow-md transition ${colorClasses} ${date === selectedDate ? 'ring-2 ring-blue-500' : ''}`}
+                    >
+                        <div className="flex justify-between items-center">
+                            <span className="font-bold text-gray-800">{dayName}</span>
+                            {dayData?.isOnCall && (
+                                <span className="text-xs bg-purple-600 text-white px-1 rounded">On-Call</span>
+                            )}
+                        </div>
+                        <div className="text-xs text-gray-500 mb-1">{date}</div>
+                        {isEmpty ? (
+                            <div className="text-xs font-semibold text-gray-500">No data</div>
+                        ) : (
+                            <div className="text-xs text-gray-700 space-y-0.5">
+                                <div>{jobCount} job(s)</div>
+                                <div>Total: <span className="font-semibold">{formatDecimalHours(dayData?.totalHours || 0)}</span></div>
+                                <div>Net: <span className="font-semibold text-green-700">{formatDecimalHours(dayData?.netHours || 0)}</span></div>
+                            </div>
+                        )}
+                        {problemCount > 0 && (
+                            <div className="text-xs font-semibold text-orange-700 mt-1">⚠️ {problemCount} warning(s)</div>
+                        )}
+                    </button>
+                );
+            })}
+        </div>
+    );
+};
+
+export default WeekGrid;
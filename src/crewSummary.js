@@ -0,0 +1,40 @@
+// Crew-level totals: every roster member's hours for one report range, side by side.
+
+import { addBreakdowns, calculatePayBreakdown, createEmptyBreakdown } from './payCalculations';
+
+// Name shown for a roster member who has not been given one yet
+export const getEmployeeLabel = (employee, index) => employee.name || `Employee ${index + 1}`;
+
+// Sorted dates of one employee's days that fall inside the range
+export const getDatesInRange = (days, startDate, endDate) => {
+    return Object.keys(days || {}).filter(date => date >= startDate && date <= endDate).sort();
+};
+
+// Per-member hours and pay categories for the range, plus crew totals
+export const buildCrewSummary = ({ roster, timesheets, startDate, endDate, payRules }) => {
+    const members = roster.map((employee, index) => {
+        const weeklyData = timesheets[employee.id] || {};
+        const dates = getDatesInRange(weeklyData, startDate, endDate);
+        return {
+            employeeId: employee.id,
+            employeeName: getEmployeeLabel(employee, index),
+            truckNumber: employee.defaultTruck || '',
+            weeklyData,
+            dates,
+            weeklyPay: calculatePayBreakdown(weeklyData, dates, payRules),
+            totalMinutes: dates.reduce((sum, date) => sum + (weeklyData[date].totalHours || 0), 0),
+            netMinutes: dates.reduce((sum, date) => sum + (weeklyData[date].netHours || 0), 0),
+            daysWorked: dates.filter(date => weeklyData[date].totalHours > 0).length,
+        };
+    });
+
+    return {
+        members,
+        totals: {
+            totalMinutes: members.reduce((sum, member) => sum + member.totalMinutes, 0),
+            netMinutes: members.reduce((sum, member) => sum + member.netMinutes, 0),
+            daysWorked: members.reduce((sum, member) => sum + member.daysWorked, 0),
+            pay: members.reduce((sum, member) => addBreakdowns(sum, member.weeklyPay.totals), createEmptyBreakdown()),
+        },
+    };
+};
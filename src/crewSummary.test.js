@@ -0,0 +1,71 @@
+import { buildCrewSummary, getEmployeeLabel } from './crewSummary';
+import { DEFAULT_PAY_RULES } from './payCalculations';
+import { makeDay } from './testFixtures';
+
+const HOUR = 60;
+const day = (totalHours, netHours, isOnCall = false) => makeDay([], { totalHours, netHours, isOnCall });
+
+const roster = [
+    { id: 'sam', name: 'Sam Lee', defaultTruck: 'T-7' },
+    { id: 'alex', name: '', defaultTruck: 'T-9' },
+    { id: 'jo', name: 'Jo Park', defaultTruck: '' },
+];
+
+const timesheets = {
+    sam: {
+        '2024-06-09': day(8 * HOUR, 8 * HOUR), // Sunday of the previous week
+        '2024-06-10': day(11 * HOUR, 10 * HOUR),
+        '2024-06-11': day(0, 0), // Opened but nothing entered
+        '2024-06-16': day(4 * HOUR, 4 * HOUR), // Sunday, double time
+    },
+    alex: {
+        '2024-06-12': day(HOUR, HOUR, true), // A short on-call callout, topped up to the minimum
+    },
+};
+
+const buildSummary = () => buildCrewSummary({ roster, timesheets, startDate: '2024-06-10', endDate: '2024-06-16', payRules: DEFAULT_PAY_RULES });
+
+describe('buildCrewSummary', () => {
+    test('totals each crew member\'s days inside the range', () => {
+        const [sam] = buildSummary().members;
+        expect(sam).toMatchObject({
+            employeeId: 'sam',
+            employeeName: 'Sam Lee',
+            truckNumber: 'T-7',
+            dates: ['2024-06-10', '2024-06-11', '2024-06-16'],
+            totalMinutes: 15 * HOUR,
+            netMinutes: 14 * HOUR,
+            daysWorked: 2,
+        });
+        expect(sam.weeklyPay.totals).toEqual({ regular: 8 * HOUR, overtime: 2 * HOUR, doubleTime: 4 * HOUR, onCallPremium: 0 });
+    });
+
+    test('labels unnamed crew members by their place on the roster', () => {
+        const [, alex] = buildSummary().members;
+        expect(alex).toMatchObject({ employeeId: 'alex', employeeName: 'Employee 2', truckNumber: 'T-9', daysWorked: 1 });
+        expect(getEmployeeLabel({ name: '' }, 0)).toBe('Employee 1');
+        expect(getEmployeeLabel({ name: 'Jo Park' }, 2)).toBe('Jo Park');
+    });
+
+    test('includes crew members without a timesheet at zero', () => {
+        const [, , jo] = buildSummary().members;
+        expect(jo).toMatchObject({ employeeId: 'jo', employeeName: 'Jo Park', truckNumber: '', weeklyData: {}, dates: [], totalMinutes: 0, netMinutes: 0, daysWorked: 0 });
+        expect(jo.weeklyPay.totals).toEqual({ regular: 0, overtime: 0, doubleTime: 0, onCallPremium: 0 });
+    });
+
+    test('adds up hours, days worked and pay categories across the crew', () => {
+        expect(buildSummary().totals).toEqual({
+            totalMinutes: 16 * HOUR,
+            netMinutes: 15 * HOUR,
+            daysWorked: 3,
+            pay: { regular: 9 * HOUR, overtime: 2 * HOUR, doubleTime: 4 * HOUR, onCallPremium: 2 * HOUR },
+        });
+    });
+
+    test('gives an empty crew zero totals', () => {
+        expect(buildCrewSummary({ roster: [], timesheets: {}, startDate: '2024-06-10', endDate: '2024-06-16', payRules: DEFAULT_PAY_RULES })).toEqual({
+            members: [],
+            totals: { totalMinutes: 0, netMinutes: 0, daysWorked: 0, pay: { regular: 0, overtime: 0, doubleTime: 0, onCallPremium: 0 } },
+        });
+    });
+});
@@ -0,0 +1,75 @@
+// RFC 4180 CSV writer.
+// Rows are arrays of values; fields containing commas, quotes, line breaks or leading/trailing
+// spaces are quoted, with embedded quotes doubled. Lines end in CRLF. Downloads start with a
+// UTF-8 byte order mark so Excel detects the encoding.
+
+import { downloadBlob } from './download';
+
+const UTF8_BOM = '\uFEFF';
+const NEEDS_QUOTING = /[",\r\n]|^\s|\s$/;
+
+// Escape a single field
+export const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    if (!NEEDS_QUOTING.test(text)) return text;
+    return `"${text.replace(/"/g, '""')}"`;
+};
+
+// Serialize rows to CSV text
+export const toCsv = (rows) => {
+    return rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+};
+
+// Rows as a .csv file's contents, e.g. to download or attach to an email
+export const toCsvBlob = (rows) => new Blob([UTF8_BOM + toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+
+// Download rows as a .csv file
+export const downloadCsv = (filename, rows) => {
+    downloadBlob(toCsvBlob(rows), filename);
+};
+
+// Parse CSV text into rows of strings. Accepts quoted fields with embedded commas,
+// doubled quotes and line breaks, CRLF or LF line endings and a leading byte order mark.
+export const parseCsv = (text) => {
+    const input = text.startsWith(UTF8_BOM) ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // Last line without a trailing line break
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // A single empty field is a blank line
+    return rows.map(r => (r.length === 1 && r[0] === '' ? [] : r));
+};
@@ -0,0 +1,259 @@
+// Row layouts for the CSV downloads. Each builder returns rows for csv.js to serialize.
+
+import { describeApproval } from './approvals';
+import { AUDIT_ACTION_LABELS, AUDIT_FIELD_LABELS, formatAuditValue } from './auditTrail';
+import { COMPANY_NAME } from './company';
+import { formatDateTime } from './dateUtils';
+import { formatAppliedDeductions, summarizeDeductions } from './deductionRules';
+import { formatCost } from './jobCosting';
+import { PAY_CATEGORIES } from './payCalculations';
+import { hasJobData } from './timesheetModel';
+import { formatDecimalHours, formatJobTime } from './timeCalculations';
+
+const JOB_COLUMNS = ['Job Number', 'Job Location', 'Travel Start', 'Work Start', 'Work Finish', 'Travel Home Arrival', 'Job Hours'];
+
+// Times after midnight carry the "(next day)" marker so an import can restore overnight jobs
+const jobValues = (job) => [
+    job.jobNumber || '',
+    job.jobLocation || '',
+    formatJobTime(job, 'travelStartTime'),
+    formatJobTime(job, 'workStartTime'),
+    formatJobTime(job, 'workFinishTime'),
+    formatJobTime(job, 'travelHomeTime'),
+    formatDecimalHours(job.totalTimeWorkedMinutes),
+];
+
+// Daily timesheet: header block, one row per job, then the day's totals
+export const buildDailyCsvRows = ({ employeeName, truckNumber, date, dayData }) => {
+    const jobs = dayData?.jobs || [];
+    const rows = [
+        [`Daily Timesheet for ${COMPANY_NAME}`],
+        ['Employee Name:', employeeName || ''],
+        ['Truck Number:', truckNumber || ''],
+        ['Date:', date || ''],
+        ['Day of Week:', dayData?.dayOfWeek || ''],
+        ['On-Call Day:', dayData?.isOnCall ? 'Yes' : 'No'],
+        [],
+        JOB_COLUMNS,
+    ];
+
+    if (!jobs.some(hasJobData)) {
+        rows.push(['No job entries for this day.']);
+    } else {
+        jobs.forEach(job => rows.push(jobValues(job)));
+    }
+
+    rows.push(
+        [],
+        ['Total Hours for All Jobs:', formatDecimalHours(dayData?.totalHours || 0)],
+        ['Net Working Hours:', formatDecimalHours(dayData?.netHours || 0)],
+        ['Deductions Applied:', formatAppliedDeductions(dayData?.appliedDeductions)],
+    );
+    return rows;
+};
+
+// Weekly timesheet: one row per job, with the day's totals on the first job row of each day.
+// The header includes the period's approval status and reviewer when an approval is given.
+// Job IDs let a merge import update the jobs it came from rather than adding copies.
+export const buildWeeklyCsvRows = ({ employeeName, truckNumber, startDate, endDate, weeklyData, dates, weeklyPay, approval }) => {
+    const rows = [
+        [`Weekly Timesheet for ${COMPANY_NAME}`],
+        ['Employee Name:', employeeName || ''],
+        ['Truck Number:', truckNumber || ''],
+        ['Week of:', `${startDate} to ${endDate}`],
+        ...(approval ? describeApproval(approval) : []),
+        [],
+        [
+            'Day', 'Date', 'Total Daily Hours', 'Net Daily Hours', 'On-Call', 'Deductions',
+            ...PAY_CATEGORIES.map(category => `${category.label} Hours`),
+            'Job ID',
+            ...JOB_COLUMNS,
+        ],
+    ];
+
+    if (dates.length === 0) {
+        rows.push(['No timesheet data entered for the selected week.']);
+    }
+
+    dates.forEach(date => {
+        const dayData = weeklyData[date];
+        const dayValues = [
+            dayData.dayOfWeek || '',
+            date,
+            formatDecimalHours(dayData.totalHours || 0),
+            formatDecimalHours(dayData.netHours || 0),
+            dayData.isOnCall ? 'Yes' : 'No',
+            formatAppliedDeductions(dayData.appliedDeductions),
+            ...PAY_CATEGORIES.map(category => formatDecimalHours(weeklyPay.days[date][category.key])),
+        ];
+
+        if (!dayData.jobs.some(hasJobData)) {
+            rows.push([...dayValues, '', ...JOB_COLUMNS.map(() => '')]);
+        } else {
+            dayData.jobs.forEach((job, index) => {
+                const isFirstJobOfDay = index === 0;
+                rows.push([...(isFirstJobOfDay ? dayValues : dayValues.map(() => '')), job.id, ...jobValues(job)]);
+            });
+        }
+    });
+
+    const totalWeeklyHours = dates.reduce((sum, date) => sum + (weeklyData[date]?.totalHours || 0), 0);
+    const totalWeeklyNetHours = dates.reduce((sum, date) => sum + (weeklyData[date]?.netHours || 0), 0);
+    rows.push(
+        [],
+        ['Total Weekly Hours:', formatDecimalHours(totalWeeklyHours)],
+        ['Total Weekly Net Hours:', formatDecimalHours(totalWeeklyNetHours)],
+        ['Total Weekly Deductions:', formatAppliedDeductions(summarizeDeductions(dates.map(date => weeklyData[date])))],
+        ...PAY_CATEGORIES.map(category => [`Total ${category.label} Hours:`, formatDecimalHours(weeklyPay.totals[category.key])]),
+    );
+    return rows;
+};
+
+export const FLAT_JOB_COLUMNS = [
+    'Employee Name', 'Truck Number', 'Date', 'Day', 'On-Call', 'Job ID',
+    ...JOB_COLUMNS,
+];
+
+// Flat payroll-import layout: a single header row, then one row per job with the
+// employee and date repeated on every row. Blank job rows are left out.
+export const buildFlatJobCsvRows = ({ employeeName, truckNumber, weeklyData, dates }) => {
+    const rows = [FLAT_JOB_COLUMNS];
+    dates.forEach(date => {
+        const dayData = weeklyData[date];
+        (dayData?.jobs || []).filter(hasJobData).forEach(job => {
+            rows.push([
+                employeeName || '',
+                truckNumber || '',
+                date,
+                dayData.dayOfWeek || '',
+                dayData.isOnCall ? 'Yes' : 'No',
+                job.id,
+                ...jobValues(job),
+            ]);
+        });
+    });
+    return rows;
+};
+
+// Crew weekly timesheet: one row per employee per day in the range, then a totals row
+// per employee and one for the whole crew
+export const buildCrewWeeklyCsvRows = ({ startDate, endDate, crew }) => {
+    const hourColumns = [
+        'Total Hours', 'Net Hours',
+        ...PAY_CATEGORIES.map(category => `${category.label} Hours`),
+    ];
+    const rows = [
+        [`Crew Weekly Timesheet for ${COMPANY_NAME}`],
+        ['Week of:', `${startDate} to ${endDate}`],
+        ['Crew Members:', String(crew.members.length)],
+        [],
+        ['Employee Name', 'Truck Number', 'Day', 'Date', 'On-Call', 'Deductions', ...hourColumns, 'Jobs'],
+    ];
+
+    crew.members.forEach(member => {
+        member.dates.forEach(date => {
+            const dayData = member.weeklyData[date];
+            rows.push([
+                member.employeeName,
+                member.truckNumber,
+                dayData.dayOfWeek || '',
+                date,
+                dayData.isOnCall ? 'Yes' : 'No',
+                formatAppliedDeductions(dayData.appliedDeductions),
+                formatDecimalHours(dayData.totalHours || 0),
+                formatDecimalHours(dayData.netHours || 0),
+                ...PAY_CATEGORIES.map(category => formatDecimalHours(member.weeklyPay.days[date][category.key])),
+                (dayData.jobs || []).filter(hasJobData).map(job => job.jobNumber || 'N/A').join('; '),
+            ]);
+        });
+    });
+
+    rows.push(
+        [],
+        ['Employee Name', 'Truck Number', 'Days Worked', ...hourColumns],
+        ...crew.members.map(member => [
+            member.employeeName,
+            member.truckNumber,
+            String(member.daysWorked),
+            formatDecimalHours(member.totalMinutes),
+            formatDecimalHours(member.netMinutes),
+            ...PAY_CATEGORIES.map(category => formatDecimalHours(member.weeklyPay.totals[category.key])),
+        ]),
+        [
+            'Crew Total',
+            '',
+            String(crew.totals.daysWorked),
+            formatDecimalHours(crew.totals.totalMinutes),
+            formatDecimalHours(crew.totals.netMinutes),
+            ...PAY_CATEGORIES.map(category => formatDecimalHours(crew.totals.pay[category.key])),
+        ],
+    );
+    return rows;
+};
+
+export const AUDIT_COLUMNS = ['Changed At', 'Employee Name', 'Date', 'Job ID', 'Job Number', 'Change', 'Field', 'Old Value', 'New Value', 'Entry ID', 'Reverts Entry ID'];
+
+// Change history: one row per logged change, oldest first (see src/auditTrail.js).
+// For a crew's entries, employeeNames maps each employee id to the name shown.
+export const buildAuditCsvRows = ({ employeeName, employeeNames = {}, entries }) => {
+    const rows = [AUDIT_COLUMNS];
+    entries.forEach(entry => {
+        const isEdit = entry.action === 'edit';
+        rows.push([
+            formatDateTime(entry.at),
+            employeeNames[entry.employeeId] || employeeName || '',
+            entry.date,
+            entry.jobId || '',
+            entry.jobNumber || '',
+            AUDIT_ACTION_LABELS[entry.action],
+            isEdit ? AUDIT_FIELD_LABELS[entry.field] || entry.field : '',
+            isEdit ? formatAuditValue(entry.field, entry.oldValue) : '',
+            isEdit ? formatAuditValue(entry.field, entry.newValue) : '',
+            entry.id,
+            entry.revertOf || '',
+        ]);
+    });
+    return rows;
+};
+
+export const JOB_COSTING_COLUMNS = ['Job Number', 'Job Location', 'Days', 'First Date', 'Last Date', 'Techs', 'Travel Hours', 'On-Site Hours', 'Unsplit Hours', 'Total Hours', 'Labour Cost'];
+
+// Job costing: header block, one row per job (see src/jobCosting.js), then the totals.
+// Techs are listed with their hours on the job, e.g. "Sam Lee 6.00; Pat 2.50".
+export const buildJobCostingCsvRows = ({ startDate, endDate, search, jobs, totals }) => {
+    const rows = [
+        [`Job Costing for ${COMPANY_NAME}`],
+        ['Dates:', `${startDate} to ${endDate}`],
+    ];
+    if (search) rows.push(['Jobs Matching:', search]);
+    rows.push([], JOB_COSTING_COLUMNS);
+    jobs.forEach(job => {
+        rows.push([
+            job.jobNumber || 'N/A',
+            job.jobLocation,
+            String(job.dates.length),
+            job.dates[0],
+            job.dates[job.dates.length - 1],
+            job.techs.map(tech => `${tech.name} ${formatDecimalHours(tech.totalMinutes)}`).join('; '),
+            formatDecimalHours(job.travelMinutes),
+            formatDecimalHours(job.onSiteMinutes),
+            formatDecimalHours(job.unsplitMinutes),
+            formatDecimalHours(job.totalMinutes),
+            formatCost(job.labourCost),
+        ]);
+    });
+    rows.push([
+        'Total',
+        '',
+        '',
+        '',
+        '',
+        '',
+        formatDecimalHours(totals.travelMinutes),
+        formatDecimalHours(totals.onSiteMinutes),
+        formatDecimalHours(totals.unsplitMinutes),
+        formatDecimalHours(totals.totalMinutes),
+        formatCost(totals.labourCost),
+    ]);
+    return rows;
+};
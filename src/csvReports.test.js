@@ -0,0 +1,139 @@
+import { parseCsv, toCsv } from './csv';
+import { createAuditEntry } from './auditTrail';
+import { AUDIT_COLUMNS, buildAuditCsvRows, buildDailyCsvRows, buildFlatJobCsvRows, buildJobCostingCsvRows, buildWeeklyCsvRows, FLAT_JOB_COLUMNS, JOB_COSTING_COLUMNS } from './csvReports';
+import { calculatePayBreakdown, DEFAULT_PAY_RULES } from './payCalculations';
+import { makeJob } from './testFixtures';
+
+const job = (id, jobNumber, jobLocation, travelStartTime, travelHomeTime, totalTimeWorkedMinutes) => makeJob({ id, jobNumber, jobLocation, travelStartTime, travelHomeTime, totalTimeWorkedMinutes });
+
+const blankJob = makeJob({ id: 'blank' });
+
+const weeklyData = {
+    '2024-06-10': {
+        dayOfWeek: 'Monday',
+        jobs: [job('a', 'J-100', 'Main St, Unit 4', '07:00', '12:00', 300), job('b', 'J-101', 'Depot', '12:30', '16:30', 240)],
+        totalHours: 540,
+        netHours: 450,
+        isOnCall: false,
+        appliedDeductions: [{ ruleId: 'travel', label: 'Travel', minutes: 60 }, { ruleId: 'lunch', label: 'Lunch', minutes: 30 }],
+    },
+    '2024-06-11': {
+        dayOfWeek: 'Tuesday',
+        jobs: [blankJob],
+        totalHours: 0,
+        netHours: 0,
+        isOnCall: true,
+        appliedDeductions: [],
+    },
+};
+const dates = Object.keys(weeklyData).sort();
+
+describe('buildDailyCsvRows', () => {
+    test('lists the jobs and the day totals', () => {
+        const rows = buildDailyCsvRows({ employeeName: 'Sam', truckNumber: 'T-7', date: '2024-06-10', dayData: weeklyData['2024-06-10'] });
+        expect(rows).toContainEqual(['J-100', 'Main St, Unit 4', '07:00', '', '', '12:00', '5.00']);
+        expect(rows.slice(-3)).toEqual([
+            ['Total Hours for All Jobs:', '9.00'],
+            ['Net Working Hours:', '7.50'],
+            ['Deductions Applied:', 'Travel -1.00, Lunch -0.50'],
+        ]);
+    });
+
+    test('says when a day has no jobs', () => {
+        const rows = buildDailyCsvRows({ employeeName: 'Sam', truckNumber: '', date: '2024-06-11', dayData: weeklyData['2024-06-11'] });
+        expect(rows).toContainEqual(['No job entries for this day.']);
+        expect(rows).toContainEqual(['On-Call Day:', 'Yes']);
+    });
+});
+
+describe('buildWeeklyCsvRows', () => {
+    const weeklyPay = calculatePayBreakdown(weeklyData, dates, DEFAULT_PAY_RULES);
+    const rows = buildWeeklyCsvRows({ employeeName: 'Sam', truckNumber: 'T-7', startDate: '2024-06-10', endDate: '2024-06-16', weeklyData, dates, weeklyPay });
+
+    test('puts the day totals on the first job row only', () => {
+        const mondayRows = rows.filter(row => row.includes('J-100') || row.includes('J-101'));
+        expect(mondayRows[0].slice(0, 6)).toEqual(['Monday', '2024-06-10', '9.00', '7.50', 'No', 'Travel -1.00, Lunch -0.50']);
+        expect(mondayRows[1].slice(0, 6)).toEqual(['', '', '', '', '', '']);
+    });
+
+    test('keeps a row for a day without jobs and totals the week', () => {
+        expect(rows.find(row => row[1] === '2024-06-11').slice(0, 5)).toEqual(['Tuesday', '2024-06-11', '0.00', '0.00', 'Yes']);
+        expect(rows).toContainEqual(['Total Weekly Hours:', '9.00']);
+        expect(rows).toContainEqual(['Total Weekly Net Hours:', '7.50']);
+        expect(rows).toContainEqual(['Total Regular Hours:', '7.50']);
+    });
+
+    test('shows the approval status and who approved the week', () => {
+        const approval = {
+            startDate: '2024-06-10',
+            endDate: '2024-06-16',
+            status: 'approved',
+            reviewedBy: 'Pat',
+            reviewedAt: '2024-06-17T16:00:00.000Z',
+            comment: '',
+            history: [],
+        };
+        const approvedRows = buildWeeklyCsvRows({ employeeName: 'Sam', truckNumber: 'T-7', startDate: '2024-06-10', endDate: '2024-06-16', weeklyData, dates, weeklyPay, approval });
+        expect(approvedRows.slice(4, 6)).toEqual([
+            ['Approval Status:', 'Approved'],
+            ['Approved By:', 'Pat on 2024-06-17 09:00'],
+        ]);
+    });
+
+    test('says when the week has no data', () => {
+        const emptyRows = buildWeeklyCsvRows({ employeeName: '', truckNumber: '', startDate: '2024-06-17', endDate: '2024-06-23', weeklyData, dates: [], weeklyPay: calculatePayBreakdown(weeklyData, [], DEFAULT_PAY_RULES) });
+        expect(emptyRows).toContainEqual(['No timesheet data entered for the selected week.']);
+    });
+});
+
+describe('buildFlatJobCsvRows', () => {
+    test('writes one row per entered job and survives a CSV round trip', () => {
+        const rows = buildFlatJobCsvRows({ employeeName: 'Sam', truckNumber: 'T-7', weeklyData, dates });
+        expect(rows[0]).toEqual(FLAT_JOB_COLUMNS);
+        expect(rows).toHaveLength(3);
+        expect(parseCsv(toCsv(rows))).toEqual(rows);
+    });
+});
+
+describe('buildAuditCsvRows', () => {
+    test('writes one row per change', () => {
+        const edit = createAuditEntry({ employeeId: 'e1', date: '2024-06-10', jobId: 'a', jobNumber: 'J-100', field: 'travelStartTime', oldValue: '07:15', newValue: '07:00', at: '2024-06-10T15:30:00.000Z' });
+        const removal = createAuditEntry({ employeeId: 'e1', date: '2024-06-10', action: 'removeJob', jobId: 'b', jobNumber: 'J-101', oldValue: job('b', 'J-101', '', '', '', 0), index: 1, at: '2024-06-10T15:31:00.000Z' });
+        const rows = buildAuditCsvRows({ employeeName: 'Sam', entries: [edit, removal] });
+        expect(rows[0]).toEqual(AUDIT_COLUMNS);
+        expect(rows[1]).toEqual(['2024-06-10 08:30', 'Sam', '2024-06-10', 'a', 'J-100', 'Edited', 'Travel Start', '07:15', '07:00', edit.id, '']);
+        expect(rows[2].slice(2, 9)).toEqual(['2024-06-10', 'b', 'J-101', 'Removed Job Row', '', '', '']);
+        expect(parseCsv(toCsv(rows))).toEqual(rows);
+    });
+
+    test('names the crew member of each change', () => {
+        const entries = ['e1', 'e2'].map(employeeId => createAuditEntry({ employeeId, date: '2024-06-10', jobId: 'a', field: 'jobNumber', oldValue: '', newValue: 'J-100' }));
+        const rows = buildAuditCsvRows({ employeeNames: { e1: 'Sam', e2: 'Alex' }, entries });
+        expect(rows.slice(1).map(row => row[1])).toEqual(['Sam', 'Alex']);
+    });
+});
+
+describe('buildJobCostingCsvRows', () => {
+    test('writes a row per job with its techs and a totals row', () => {
+        const jobs = [{
+            jobNumber: '4471',
+            jobLocation: 'Main St',
+            dates: ['2024-06-03', '2024-06-04'],
+            techs: [{ name: 'Sam Lee', totalMinutes: 420 }, { name: 'Pat', totalMinutes: 180 }],
+            travelMinutes: 120,
+            onSiteMinutes: 360,
+            unsplitMinutes: 120,
+            totalMinutes: 600,
+            labourCost: 280,
+        }];
+        const totals = { travelMinutes: 120, onSiteMinutes: 360, unsplitMinutes: 120, totalMinutes: 600, labourCost: 280 };
+
+        const rows = parseCsv(toCsv(buildJobCostingCsvRows({ startDate: '2024-06-01', endDate: '2024-06-30', search: '4471', jobs, totals })));
+
+        expect(rows[1]).toEqual(['Dates:', '2024-06-01 to 2024-06-30']);
+        expect(rows[2]).toEqual(['Jobs Matching:', '4471']);
+        expect(rows[4]).toEqual(JOB_COSTING_COLUMNS);
+        expect(rows[5]).toEqual(['4471', 'Main St', '2', '2024-06-03', '2024-06-04', 'Sam Lee 7.00; Pat 3.00', '2.00', '6.00', '2.00', '10.00', '280.00']);
+        expect(rows[6]).toEqual(['Total', '', '', '', '', '', '2.00', '6.00', '2.00', '10.00', '280.00']);
+    });
+});
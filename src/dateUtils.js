@@ -0,0 +1,91 @@
+// Calendar dates in the user's local timezone.
+// Dates are passed around as YYYY-MM-DD strings ("date keys"). They are always built from
+// local year/month/day parts, never from toISOString(), which gives the UTC date and so
+// jumps a day ahead in the evening west of Greenwich. Day arithmetic goes through the Date
+// constructor's day field, so days that are 23 or 25 hours long around daylight-saving
+// changes still count as one day.
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD for a Date, using its local calendar date
+export const formatDateKey = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Local date and time of a Date or ISO timestamp, e.g. "2024-06-14 18:30"
+export const formatDateTime = (value) => {
+    const date = new Date(value);
+    return `${formatDateKey(date)} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+// Local midnight (or the first valid time after it) of a YYYY-MM-DD date
+export const parseDateKey = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Whether a string is a real YYYY-MM-DD calendar date
+export const isValidDateKey = (value) => {
+    const match = DATE_KEY_PATTERN.exec(value || '');
+    if (!match) return false;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+};
+
+// Today's local date
+export const getTodayDate = (now = new Date()) => formatDateKey(now);
+
+// The date a number of days before (negative) or after a date
+export const addDays = (dateKey, days) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return formatDateKey(new Date(year, month - 1, day + days));
+};
+
+export const getNextDate = (dateKey) => addDays(dateKey, 1);
+
+export const getPreviousDate = (dateKey) => addDays(dateKey, -1);
+
+// Whole calendar days from one date to another (negative if `to` is earlier)
+export const daysBetween = (from, to) => {
+    const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+    const [toYear, toMonth, toDay] = to.split('-').map(Number);
+    return Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / MS_PER_DAY);
+};
+
+// 0 for Sunday through 6 for Saturday
+export const getWeekdayIndex = (dateKey) => parseDateKey(dateKey).getDay();
+
+// Day name, e.g. "Monday" ("Mon" with the 'short' format)
+export const getDayOfWeek = (dateKey, format = 'long') => {
+    if (!isValidDateKey(dateKey)) return '';
+    return new Intl.DateTimeFormat('en-US', { weekday: format }).format(parseDateKey(dateKey));
+};
+
+export const isWeekendDate = (dateKey) => {
+    const weekday = getWeekdayIndex(dateKey);
+    return weekday === 0 || weekday === 6;
+};
+
+// First day of the week containing a date; weeks start on Monday unless told otherwise
+export const getWeekStart = (dateKey, weekStartsOn = 1) => {
+    return addDays(dateKey, -((getWeekdayIndex(dateKey) - weekStartsOn + 7) % 7));
+};
+
+export const getWeekEnd = (dateKey, weekStartsOn = 1) => addDays(getWeekStart(dateKey, weekStartsOn), 6);
+
+// Number of days in a month (monthIndex 0 for January)
+export const getDaysInMonth = (year, monthIndex) => new Date(year, monthIndex + 1, 0).getDate();
+
+// Every date from start to end inclusive, stopping after maxDays dates
+export const listDatesInRange = (startDate, endDate, maxDays = Infinity) => {
+    const dates = [];
+    if (!isValidDateKey(startDate) || !isValidDateKey(endDate)) return dates;
+    for (let date = startDate; date <= endDate && dates.length < maxDays; date = getNextDate(date)) {
+        dates.push(date);
+    }
+    return dates;
+};
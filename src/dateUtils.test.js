@@ -0,0 +1,111 @@
+import {
+    addDays,
+    daysBetween,
+    formatDateKey,
+    formatDateTime,
+    getDayOfWeek,
+    getDaysInMonth,
+    getTodayDate,
+    getWeekEnd,
+    getWeekStart,
+    isValidDateKey,
+    isWeekendDate,
+    listDatesInRange,
+    parseDateKey,
+} from './dateUtils';
+
+// The timezone is pinned to America/Los_Angeles through TZ by the Jest global setup
+// (src/testTimezone.js); Node reads TZ when the worker starts, not when a test changes it.
+describe('in America/Los_Angeles', () => {
+    test('runs in Pacific time', () => {
+        expect(process.env.TZ).toBe('America/Los_Angeles');
+        expect(new Date(2024, 0, 15).getTimezoneOffset()).toBe(480);
+        expect(new Date(2024, 6, 15).getTimezoneOffset()).toBe(420);
+    });
+
+    test('today is the local date after 5pm, when UTC is already on the next day', () => {
+        const evening = new Date('2024-06-15T01:30:00Z'); // 6:30pm on the 14th in Pacific time
+        expect(evening.toISOString().split('T')[0]).toBe('2024-06-15');
+        expect(getTodayDate(evening)).toBe('2024-06-14');
+    });
+
+    test('a Sunday evening stays in the week that started on Monday', () => {
+        const sundayEvening = new Date('2024-06-17T04:00:00Z'); // 9pm Sunday 16th in Pacific time
+        const today = getTodayDate(sundayEvening);
+        expect(today).toBe('2024-06-16');
+        expect(getDayOfWeek(today)).toBe('Sunday');
+        expect(getWeekStart(today)).toBe('2024-06-10');
+        expect(getWeekEnd(today)).toBe('2024-06-16');
+    });
+
+    test('weeks can start on another day', () => {
+        expect(getWeekStart('2024-06-16', 0)).toBe('2024-06-16');
+        expect(getWeekEnd('2024-06-16', 0)).toBe('2024-06-22');
+        expect(getWeekStart('2024-06-10', 0)).toBe('2024-06-09');
+    });
+
+    test('adds days across the spring-forward change', () => {
+        expect(addDays('2024-03-09', 1)).toBe('2024-03-10');
+        expect(addDays('2024-03-10', 1)).toBe('2024-03-11');
+        expect(addDays('2024-03-11', -1)).toBe('2024-03-10');
+        expect(daysBetween('2024-03-09', '2024-03-12')).toBe(3);
+    });
+
+    test('adds days across the fall-back change', () => {
+        expect(addDays('2024-11-02', 1)).toBe('2024-11-03');
+        expect(addDays('2024-11-03', 1)).toBe('2024-11-04');
+        expect(addDays('2024-11-04', -2)).toBe('2024-11-02');
+        expect(daysBetween('2024-11-04', '2024-11-01')).toBe(-3);
+    });
+
+    test('lists each date once through both daylight-saving changes', () => {
+        expect(listDatesInRange('2024-03-08', '2024-03-12')).toEqual([
+            '2024-03-08', '2024-03-09', '2024-03-10', '2024-03-11', '2024-03-12',
+        ]);
+        expect(listDatesInRange('2024-11-02', '2024-11-04')).toEqual(['2024-11-02', '2024-11-03', '2024-11-04']);
+        expect(getWeekStart('2024-11-03')).toBe('2024-10-28');
+        expect(getWeekStart('2024-03-10')).toBe('2024-03-04');
+    });
+
+    test('parses a date key to its local midnight and back', () => {
+        const date = parseDateKey('2024-11-03');
+        expect(date.getHours()).toBe(0);
+        expect(date.getDate()).toBe(3);
+        expect(formatDateKey(date)).toBe('2024-11-03');
+    });
+
+    test('formats a timestamp in local time', () => {
+        expect(formatDateTime('2024-06-15T01:30:00Z')).toBe('2024-06-14 18:30');
+        expect(formatDateTime(new Date(2024, 10, 3, 1, 5))).toBe('2024-11-03 01:05');
+    });
+
+    test('limits and rejects ranges', () => {
+        expect(listDatesInRange('2024-01-01', '2024-12-31', 3)).toEqual(['2024-01-01', '2024-01-02', '2024-01-03']);
+        expect(listDatesInRange('2024-01-05', '2024-01-01')).toEqual([]);
+        expect(listDatesInRange('', '2024-01-01')).toEqual([]);
+    });
+});
+
+describe('date keys', () => {
+    test('validates real calendar dates', () => {
+        expect(isValidDateKey('2024-02-29')).toBe(true);
+        expect(isValidDateKey('2023-02-29')).toBe(false);
+        expect(isValidDateKey('2024-13-01')).toBe(false);
+        expect(isValidDateKey('2024-1-01')).toBe(false);
+        expect(isValidDateKey(undefined)).toBe(false);
+    });
+
+    test('names weekdays and weekends', () => {
+        expect(getDayOfWeek('2024-06-15')).toBe('Saturday');
+        expect(getDayOfWeek('2024-06-15', 'short')).toBe('Sat');
+        expect(getDayOfWeek('not a date')).toBe('');
+        expect(isWeekendDate('2024-06-15')).toBe(true);
+        expect(isWeekendDate('2024-06-17')).toBe(false);
+    });
+
+    test('counts days in a month', () => {
+        expect(getDaysInMonth(2024, 1)).toBe(29);
+        expect(getDaysInMonth(2023, 1)).toBe(28);
+        expect(getDaysInMonth(2024, 11)).toBe(31);
+    });
+});
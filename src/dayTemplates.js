@@ -0,0 +1,45 @@
+// Filling a day's job rows from another day or from a saved day template.
+// Templates are named lists of jobs, e.g. "Tuesday maintenance route":
+// { id, name, includeTimes, jobs: [{ jobNumber, jobLocation, travelStartTime, ... }] }
+// Without times only the job numbers and locations are kept.
+
+import { createInitialJob, hasJobData } from './timesheetModel';
+import { calculateJobTotal, JOB_TIME_FIELDS } from './timeCalculations';
+
+// Job rows with data, as new rows with their own ids. Without times the rows only keep the
+// job number and location.
+export const copyJobs = (jobs, { includeTimes = true } = {}) => {
+    return (jobs || []).filter(job => (includeTimes ? hasJobData(job) : job.jobNumber || job.jobLocation)).map(job => {
+        const copiedJob = {
+            ...createInitialJob(),
+            jobNumber: job.jobNumber || '',
+            jobLocation: job.jobLocation || '',
+        };
+        if (includeTimes) {
+            JOB_TIME_FIELDS.forEach(field => {
+                copiedJob[field] = job[field] || '';
+            });
+            copiedJob.nextDayFields = [...(job.nextDayFields || [])];
+        }
+        copiedJob.totalTimeWorkedMinutes = calculateJobTotal(copiedJob);
+        return copiedJob;
+    });
+};
+
+// The latest date before `date` that has any job data, or null
+export const findPreviousWorkedDate = (weeklyData, date) => {
+    return Object.keys(weeklyData)
+        .filter(otherDate => otherDate < date && (weeklyData[otherDate]?.jobs || []).some(hasJobData))
+        .sort()
+        .pop() || null;
+};
+
+export const createDayTemplate = (name, jobs, { includeTimes = false } = {}) => ({
+    id: crypto.randomUUID(),
+    name: name.trim(),
+    includeTimes,
+    jobs: copyJobs(jobs, { includeTimes }).map(({ id, totalTimeWorkedMinutes, ...job }) => job),
+});
+
+// Job rows for a day filled from a template
+export const applyDayTemplate = (template) => copyJobs(template.jobs, { includeTimes: template.includeTimes });
@@ -0,0 +1,58 @@
+import { applyDayTemplate, copyJobs, createDayTemplate, findPreviousWorkedDate } from './dayTemplates';
+import { makeJob } from './testFixtures';
+
+const job = (id, jobNumber, travelStartTime = '', travelHomeTime = '', nextDayFields = []) => makeJob({
+    id, jobNumber, jobLocation: jobNumber ? `Site ${jobNumber}` : '', travelStartTime, travelHomeTime, nextDayFields,
+});
+
+const jobs = [job('a', 'J-100', '07:00', '12:00'), job('b', '', '', ''), job('c', 'J-101', '22:00', '02:00', ['travelHomeTime'])];
+
+describe('copyJobs', () => {
+    test('copies the filled-in rows with new ids and their totals', () => {
+        const copied = copyJobs(jobs);
+        expect(copied.map(j => j.jobNumber)).toEqual(['J-100', 'J-101']);
+        expect(copied[0].id).not.toBe('a');
+        expect(copied.map(j => j.totalTimeWorkedMinutes)).toEqual([300, 240]);
+        expect(copied[1].nextDayFields).toEqual(['travelHomeTime']);
+    });
+
+    test('leaves the times out when asked', () => {
+        const copied = copyJobs([...jobs, job('d', '', '08:00', '09:00')], { includeTimes: false });
+        expect(copied).toHaveLength(2);
+        expect(copied[0]).toMatchObject({ jobNumber: 'J-100', jobLocation: 'Site J-100', travelStartTime: '', travelHomeTime: '', totalTimeWorkedMinutes: 0, nextDayFields: [] });
+    });
+});
+
+describe('day templates', () => {
+    test('saves the route without times and fills a day from it', () => {
+        const template = createDayTemplate('  Tuesday maintenance route ', jobs);
+        expect(template.name).toBe('Tuesday maintenance route');
+        expect(template.jobs).toEqual([
+            expect.objectContaining({ jobNumber: 'J-100', jobLocation: 'Site J-100', travelStartTime: '' }),
+            expect.objectContaining({ jobNumber: 'J-101', jobLocation: 'Site J-101', travelStartTime: '' }),
+        ]);
+        expect(template.jobs[0]).not.toHaveProperty('id');
+
+        const filled = applyDayTemplate(template);
+        expect(filled.map(j => j.jobNumber)).toEqual(['J-100', 'J-101']);
+        expect(filled[0].id).toEqual(expect.any(String));
+    });
+
+    test('keeps the times when the template has them', () => {
+        const template = createDayTemplate('Early start', jobs, { includeTimes: true });
+        expect(applyDayTemplate(template)[0]).toMatchObject({ travelStartTime: '07:00', travelHomeTime: '12:00', totalTimeWorkedMinutes: 300 });
+    });
+});
+
+describe('findPreviousWorkedDate', () => {
+    test('finds the latest earlier date with jobs entered', () => {
+        const weeklyData = {
+            '2024-06-07': { jobs: [jobs[0]] },
+            '2024-06-09': { jobs: [jobs[1]] },
+            '2024-06-10': { jobs: [jobs[0]] },
+            '2024-06-11': { jobs: [jobs[0]] },
+        };
+        expect(findPreviousWorkedDate(weeklyData, '2024-06-10')).toBe('2024-06-07');
+        expect(findPreviousWorkedDate(weeklyData, '2024-06-07')).toBeNull();
+    });
+});
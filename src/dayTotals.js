@@ -0,0 +1,50 @@
+// Keeping each day's stored totals in step with its jobs.
+// A date's totals include the minutes carried in from the previous date's overnight jobs,
+// so totalling a date also refreshes what it carries into the following date.
+
+import { calculateDayTotals } from './deductionRules';
+import { getDayOfWeek, getNextDate, isWeekendDate } from './dateUtils';
+import { calculateCarryOverMinutes, calculateJobTotal } from './timeCalculations';
+import { createEmptyDay } from './timesheetModel';
+
+const getDayContext = (day, date) => ({ isOnCall: day.isOnCall, isWeekend: isWeekendDate(date) });
+
+// Total one date of weeklyData from its jobs and carried-in minutes, then update the
+// following date if the overnight minutes carried into it have changed
+export const updateDayTotals = (weeklyData, date, deductionRules) => {
+    const day = weeklyData[date] || createEmptyDay(date);
+    const carriedInMinutes = day.carriedInMinutes || 0;
+    const updatedWeeklyData = {
+        ...weeklyData,
+        [date]: {
+            ...day,
+            dayOfWeek: getDayOfWeek(date),
+            carriedInMinutes,
+            ...calculateDayTotals(day.jobs, carriedInMinutes, getDayContext(day, date), deductionRules),
+        },
+    };
+
+    const carryOverMinutes = calculateCarryOverMinutes(day.jobs);
+    const nextDate = getNextDate(date);
+    const nextDayData = weeklyData[nextDate];
+    if ((nextDayData?.carriedInMinutes || 0) !== carryOverMinutes) {
+        const nextDay = nextDayData || createEmptyDay(nextDate);
+        updatedWeeklyData[nextDate] = {
+            ...nextDay,
+            carriedInMinutes: carryOverMinutes,
+            ...calculateDayTotals(nextDay.jobs, carryOverMinutes, getDayContext(nextDay, nextDate), deductionRules),
+        };
+    }
+
+    return updatedWeeklyData;
+};
+
+// Recalculate job and day totals for the given dates, in date order so each day's
+// overnight minutes reach the following date before that date is totalled
+export const recalculateDates = (weeklyData, dates, deductionRules) => {
+    return [...dates].sort().reduce((updatedWeeklyData, date) => {
+        const day = updatedWeeklyData[date];
+        const jobs = day.jobs.map(job => ({ ...job, totalTimeWorkedMinutes: calculateJobTotal(job) }));
+        return updateDayTotals({ ...updatedWeeklyData, [date]: { ...day, jobs } }, date, deductionRules);
+    }, weeklyData);
+};
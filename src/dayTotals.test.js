@@ -0,0 +1,63 @@
+import { DEFAULT_DEDUCTION_RULES } from './deductionRules';
+import { recalculateDates, updateDayTotals } from './dayTotals';
+import { makeDay, makeJob } from './testFixtures';
+
+const travel = (travelStartTime, travelHomeTime) => makeJob({ travelStartTime, travelHomeTime });
+
+describe('updateDayTotals', () => {
+    test('totals a weekday and applies the deductions', () => {
+        const updated = updateDayTotals({ '2024-06-12': makeDay([travel('07:00', '16:00')]) }, '2024-06-12', DEFAULT_DEDUCTION_RULES);
+        expect(updated['2024-06-12']).toMatchObject({
+            dayOfWeek: 'Wednesday',
+            totalHours: 540,
+            netHours: 450,
+        });
+        expect(updated['2024-06-13']).toBeUndefined();
+    });
+
+    test('skips the travel deduction on an on-call day', () => {
+        const weeklyData = { '2024-06-12': makeDay([travel('07:00', '16:00')], { isOnCall: true }) };
+        expect(updateDayTotals(weeklyData, '2024-06-12', DEFAULT_DEDUCTION_RULES)['2024-06-12'].netHours).toBe(510);
+    });
+
+    test('carries overnight minutes into the following date', () => {
+        const weeklyData = {
+            '2024-06-12': makeDay([travel('20:00', '02:00')]),
+            '2024-06-13': makeDay([travel('08:00', '11:00')]),
+        };
+        const updated = updateDayTotals(weeklyData, '2024-06-12', DEFAULT_DEDUCTION_RULES);
+        expect(updated['2024-06-12'].totalHours).toBe(240);
+        expect(updated['2024-06-13']).toMatchObject({ carriedInMinutes: 120, totalHours: 300, netHours: 270 });
+    });
+
+    test('creates the following date when an overnight job spills into it', () => {
+        const updated = updateDayTotals({ '2024-06-15': makeDay([travel('22:00', '01:00')]) }, '2024-06-15', DEFAULT_DEDUCTION_RULES);
+        expect(updated['2024-06-16']).toMatchObject({ dayOfWeek: 'Sunday', carriedInMinutes: 60, totalHours: 60 });
+        expect(updated['2024-06-16'].jobs).toHaveLength(3);
+    });
+
+    test('clears the carry when the overnight job is shortened', () => {
+        const weeklyData = {
+            '2024-06-12': makeDay([travel('20:00', '23:00')]),
+            '2024-06-13': makeDay([], { carriedInMinutes: 120, totalHours: 120, netHours: 120 }),
+        };
+        expect(updateDayTotals(weeklyData, '2024-06-12', DEFAULT_DEDUCTION_RULES)['2024-06-13']).toMatchObject({
+            carriedInMinutes: 0,
+            totalHours: 0,
+        });
+    });
+});
+
+describe('recalculateDates', () => {
+    test('recalculates job totals and carries in date order', () => {
+        const weeklyData = {
+            '2024-06-13': makeDay([travel('08:00', '12:00')]),
+            '2024-06-12': makeDay([travel('21:00', '01:00')]),
+        };
+        const updated = recalculateDates(weeklyData, ['2024-06-13', '2024-06-12'], DEFAULT_DEDUCTION_RULES);
+        expect(updated['2024-06-12'].jobs[0].totalTimeWorkedMinutes).toBe(240);
+        expect(updated['2024-06-12'].totalHours).toBe(180);
+        expect(updated['2024-06-13'].jobs[0].totalTimeWorkedMinutes).toBe(240);
+        expect(updated['2024-06-13']).toMatchObject({ carriedInMinutes: 60, totalHours: 300 });
+    });
+});
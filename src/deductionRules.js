@@ -0,0 +1,130 @@
+// Payroll deduction rules applied to a day's total hours to get net working hours.
+// Rules are plain data so they can be edited in settings when the union agreement changes.
+//
+// Each rule deducts amountMinutes when the day's total exceeds thresholdMinutes and its
+// conditions match. Conditions are 'any', 'only' or 'exclude' for on-call days and for
+// weekend days. Rules run in ascending `order`; a deduction never takes net hours below zero.
+
+import { calculateDayMinutes, formatDecimalHours } from './timeCalculations';
+
+export const CONDITION_OPTIONS = ['any', 'only', 'exclude'];
+
+// The rules the app has always applied
+export const DEFAULT_DEDUCTION_RULES = [
+    {
+        id: 'travel',
+        label: 'Travel',
+        enabled: true,
+        order: 1,
+        thresholdMinutes: 6 * 60,
+        amountMinutes: 60,
+        conditions: { onCall: 'exclude', weekend: 'any' },
+    },
+    {
+        id: 'lunch',
+        label: 'Lunch',
+        enabled: true,
+        order: 2,
+        thresholdMinutes: 4 * 60,
+        amountMinutes: 30,
+        conditions: { onCall: 'any', weekend: 'any' },
+    },
+];
+
+// Blank rule for the settings screen
+export const createDeductionRule = (order) => ({
+    id: crypto.randomUUID(),
+    label: 'New deduction',
+    enabled: true,
+    order,
+    thresholdMinutes: 0,
+    amountMinutes: 0,
+    conditions: { onCall: 'any', weekend: 'any' },
+});
+
+const conditionMatches = (condition, isTrue) => {
+    if (condition === 'only') return isTrue;
+    if (condition === 'exclude') return !isTrue;
+    return true;
+};
+
+// Rules sorted into the order they are applied
+export const sortDeductionRules = (rules) => {
+    return [...rules].sort((a, b) => (a.order || 0) - (b.order || 0));
+};
+
+// Whether a rule applies to a day with the given total and context
+export const ruleApplies = (rule, totalMinutes, { isOnCall, isWeekend }) => {
+    if (!rule.enabled) return false;
+    if (!(totalMinutes > (rule.thresholdMinutes || 0))) return false;
+    const conditions = rule.conditions || {};
+    return conditionMatches(conditions.onCall, !!isOnCall) && conditionMatches(conditions.weekend, !!isWeekend);
+};
+
+// Apply the rules to a day's total minutes.
+// Returns the net minutes and the deductions actually taken, in the order applied.
+export const applyDeductionRules = (totalMinutes, dayContext, rules) => {
+    let netMinutes = totalMinutes;
+    const appliedDeductions = [];
+
+    sortDeductionRules(rules).forEach(rule => {
+        if (!ruleApplies(rule, totalMinutes, dayContext)) return;
+        const minutes = Math.min(rule.amountMinutes || 0, netMinutes);
+        if (minutes <= 0) return;
+        netMinutes -= minutes;
+        appliedDeductions.push({ ruleId: rule.id, label: rule.label, minutes });
+    });
+
+    return { netMinutes: Math.max(0, netMinutes), appliedDeductions };
+};
+
+// Calculate a day's total minutes, net minutes and the deductions applied
+export const calculateDayTotals = (jobs, carriedInMinutes, dayContext, rules) => {
+    const totalHours = calculateDayMinutes(jobs, carriedInMinutes);
+    const { netMinutes, appliedDeductions } = applyDeductionRules(totalHours, dayContext, rules);
+    return { totalHours, netHours: netMinutes, appliedDeductions };
+};
+
+const describeCondition = (condition, onlyText, excludeText) => {
+    if (condition === 'only') return onlyText;
+    if (condition === 'exclude') return excludeText;
+    return null;
+};
+
+// Human readable description of a rule, e.g. for the notes in reports
+export const describeDeductionRule = (rule) => {
+    const conditions = rule.conditions || {};
+    const qualifiers = [
+        describeCondition(conditions.onCall, 'on-call days only', 'not on on-call days'),
+        describeCondition(conditions.weekend, 'weekends only', 'weekdays only'),
+    ].filter(Boolean);
+    let text = `${rule.label}: deduct ${formatDecimalHours(rule.amountMinutes)} Hrs when the workday exceeds ${formatDecimalHours(rule.thresholdMinutes)} Hrs`;
+    if (qualifiers.length > 0) {
+        text += ` (${qualifiers.join(', ')})`;
+    }
+    return text;
+};
+
+// One-line summary of the deductions taken on a day, e.g. "Travel -1.00, Lunch -0.50"
+export const formatAppliedDeductions = (appliedDeductions) => {
+    if (!appliedDeductions || appliedDeductions.length === 0) return 'None';
+    return appliedDeductions
+        .map(deduction => `${deduction.label} -${formatDecimalHours(deduction.minutes)}`)
+        .join(', ');
+};
+
+// Total each kind of deduction across several days, in the order first seen
+export const summarizeDeductions = (days) => {
+    const totals = [];
+    days.forEach(day => {
+        (day?.appliedDeductions || []).forEach(deduction => {
+            const existing = totals.find(total => total.ruleId === deduction.ruleId);
+            if (existing) {
+                existing.minutes += deduction.minutes;
+            } else {
+                totals.push({ ...deduction });
+            }
+        });
+    });
+    return totals;
+};
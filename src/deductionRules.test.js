@@ -0,0 +1,97 @@
+import {
+    applyDeductionRules,
+    calculateDayTotals,
+    DEFAULT_DEDUCTION_RULES,
+    describeDeductionRule,
+    formatAppliedDeductions,
+    summarizeDeductions,
+} from './deductionRules';
+import { makeJob } from './testFixtures';
+
+const weekday = { isOnCall: false, isWeekend: false };
+const HOUR = 60;
+
+describe('default deduction rules', () => {
+    test('take travel and lunch off a day over six hours', () => {
+        const { netMinutes, appliedDeductions } = applyDeductionRules(9 * HOUR, weekday, DEFAULT_DEDUCTION_RULES);
+        expect(netMinutes).toBe(7.5 * HOUR);
+        expect(appliedDeductions).toEqual([
+            { ruleId: 'travel', label: 'Travel', minutes: 60 },
+            { ruleId: 'lunch', label: 'Lunch', minutes: 30 },
+        ]);
+    });
+
+    test('take only lunch off a day between four and six hours', () => {
+        expect(applyDeductionRules(5 * HOUR, weekday, DEFAULT_DEDUCTION_RULES).netMinutes).toBe(4.5 * HOUR);
+    });
+
+    test('take nothing at or below four hours', () => {
+        expect(applyDeductionRules(4 * HOUR, weekday, DEFAULT_DEDUCTION_RULES)).toEqual({ netMinutes: 4 * HOUR, appliedDeductions: [] });
+    });
+
+    test('skip the travel deduction on on-call days', () => {
+        const { netMinutes, appliedDeductions } = applyDeductionRules(9 * HOUR, { isOnCall: true, isWeekend: false }, DEFAULT_DEDUCTION_RULES);
+        expect(netMinutes).toBe(8.5 * HOUR);
+        expect(appliedDeductions.map(d => d.ruleId)).toEqual(['lunch']);
+    });
+});
+
+describe('custom deduction rules', () => {
+    const rule = (overrides) => ({
+        id: 'rule',
+        label: 'Rule',
+        enabled: true,
+        order: 1,
+        thresholdMinutes: 0,
+        amountMinutes: 30,
+        conditions: { onCall: 'any', weekend: 'any' },
+        ...overrides,
+    });
+
+    test('apply weekend-only rules on weekends', () => {
+        const rules = [rule({ conditions: { onCall: 'any', weekend: 'only' } })];
+        expect(applyDeductionRules(HOUR, weekday, rules).netMinutes).toBe(HOUR);
+        expect(applyDeductionRules(HOUR, { isOnCall: false, isWeekend: true }, rules).netMinutes).toBe(30);
+    });
+
+    test('run in order and never go below zero', () => {
+        const rules = [
+            rule({ id: 'second', label: 'Second', order: 2, amountMinutes: 60 }),
+            rule({ id: 'first', label: 'First', order: 1, amountMinutes: 30 }),
+        ];
+        const { netMinutes, appliedDeductions } = applyDeductionRules(45, weekday, rules);
+        expect(netMinutes).toBe(0);
+        expect(appliedDeductions).toEqual([
+            { ruleId: 'first', label: 'First', minutes: 30 },
+            { ruleId: 'second', label: 'Second', minutes: 15 },
+        ]);
+    });
+
+    test('ignore disabled rules', () => {
+        expect(applyDeductionRules(HOUR, weekday, [rule({ enabled: false })]).netMinutes).toBe(HOUR);
+    });
+});
+
+describe('day totals', () => {
+    test('combine the jobs, carried-in minutes and deductions', () => {
+        const jobs = [makeJob({ travelStartTime: '07:00', travelHomeTime: '14:00' })];
+        expect(calculateDayTotals(jobs, 60, weekday, DEFAULT_DEDUCTION_RULES)).toEqual({
+            totalHours: 8 * HOUR,
+            netHours: 6.5 * HOUR,
+            appliedDeductions: [
+                { ruleId: 'travel', label: 'Travel', minutes: 60 },
+                { ruleId: 'lunch', label: 'Lunch', minutes: 30 },
+            ],
+        });
+    });
+
+    test('describe the deductions for reports', () => {
+        expect(describeDeductionRule(DEFAULT_DEDUCTION_RULES[0])).toBe('Travel: deduct 1.00 Hrs when the workday exceeds 6.00 Hrs (not on on-call days)');
+        expect(formatAppliedDeductions([])).toBe('None');
+        const days = [
+            { appliedDeductions: [{ ruleId: 'lunch', label: 'Lunch', minutes: 30 }] },
+            { appliedDeductions: [{ ruleId: 'lunch', label: 'Lunch', minutes: 30 }] },
+        ];
+        expect(summarizeDeductions(days)).toEqual([{ ruleId: 'lunch', label: 'Lunch', minutes: 60 }]);
+    });
+});
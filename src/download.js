@@ -0,0 +1,27 @@
+// Save generated content as a file on the device
+
+// Trigger a browser download of a Blob under the given filename
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    document.body.appendChild(link); // Required for Firefox
+    link.click();
+    document.body.removeChild(link); // Clean up
+    // Give the browser a moment to start the download before releasing the object URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Open a Blob in a new tab, e.g. a PDF to print from the browser's own viewer
+export const openBlob = (blob) => {
+    const url = URL.createObjectURL(blob);
+    window.open(url, '_blank');
+    // The new tab has loaded its copy well before this; release the URL afterwards
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+};
+
+// Helper function to sanitize a string for use in a filename
+export const sanitizeFilename = (name) => {
+    return name.replace(/[^a-z0-9_.-]/gi, '_'); // Replace non-alphanumeric, non-underscore, non-dot, non-dash with underscore
+};
@@ -1,6 +1,7 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App'; // Import your App component
+import { register as registerServiceWorker } from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -8,3 +9,6 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Install the app for offline use (production builds only)
+registerServiceWorker();
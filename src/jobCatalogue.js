@@ -0,0 +1,109 @@
+// Job catalogue: every job number and location entered so far plus any imported job list,
+// used to autocomplete job rows and to flag locations that don't match a known job.
+
+import { parseCsv } from './csv';
+
+// Job numbers and locations are compared ignoring case and surrounding spaces
+const normalizeKey = (value) => (value || '').trim().toLowerCase();
+
+// Build the catalogue from every employee's days and the imported job list.
+// An imported entry decides a job number's location; otherwise the location entered most
+// often for that number is used, with the most recent one breaking ties.
+export const buildJobCatalogue = (timesheets, importedEntries = []) => {
+    const locationCounts = {}; // normalized job number -> { location -> { count, lastDate } }
+    const jobNumbers = new Map(); // normalized -> as typed
+    const locations = new Map();
+
+    Object.values(timesheets).forEach(days => {
+        Object.keys(days).forEach(date => {
+            (days[date].jobs || []).forEach(job => {
+                const jobNumber = (job.jobNumber || '').trim();
+                const jobLocation = (job.jobLocation || '').trim();
+                // The first spelling seen is the one offered for autocomplete
+                if (jobNumber && !jobNumbers.has(normalizeKey(jobNumber))) jobNumbers.set(normalizeKey(jobNumber), jobNumber);
+                if (jobLocation && !locations.has(normalizeKey(jobLocation))) locations.set(normalizeKey(jobLocation), jobLocation);
+                if (!jobNumber || !jobLocation) return;
+
+                const key = normalizeKey(jobNumber);
+                locationCounts[key] = locationCounts[key] || {};
+                const counts = locationCounts[key];
+                const entry = counts[jobLocation] || { count: 0, lastDate: '' };
+                counts[jobLocation] = { count: entry.count + 1, lastDate: date > entry.lastDate ? date : entry.lastDate };
+            });
+        });
+    });
+
+    const locationByJobNumber = {};
+    Object.keys(locationCounts).forEach(key => {
+        const [bestLocation] = Object.entries(locationCounts[key]).sort(([, a], [, b]) => (
+            b.count - a.count || b.lastDate.localeCompare(a.lastDate)
+        ))[0];
+        locationByJobNumber[key] = bestLocation;
+    });
+
+    importedEntries.forEach(entry => {
+        const jobNumber = (entry.jobNumber || '').trim();
+        const jobLocation = (entry.jobLocation || '').trim();
+        if (!jobNumber) return;
+        jobNumbers.set(normalizeKey(jobNumber), jobNumber);
+        if (jobLocation) {
+            locations.set(normalizeKey(jobLocation), jobLocation);
+            locationByJobNumber[normalizeKey(jobNumber)] = jobLocation;
+        }
+    });
+
+    const sortValues = (map) => Array.from(map.values()).sort((a, b) => a.localeCompare(b));
+    return {
+        jobNumbers: sortValues(jobNumbers),
+        locations: sortValues(locations),
+        locationByJobNumber,
+    };
+};
+
+// Known location for a job number, or '' if the number has none
+export const findKnownLocation = (catalogue, jobNumber) => {
+    return catalogue.locationByJobNumber[normalizeKey(jobNumber)] || '';
+};
+
+// Whether a job's location differs from the location known for its job number
+export const isLocationMismatch = (catalogue, job) => {
+    const knownLocation = findKnownLocation(catalogue, job.jobNumber);
+    return !!(knownLocation && job.jobLocation && normalizeKey(job.jobLocation) !== normalizeKey(knownLocation));
+};
+
+// Jobs on the given dates whose location doesn't match the catalogue
+export const findLocationMismatches = (catalogue, weeklyData, dates) => {
+    const mismatches = [];
+    dates.forEach(date => {
+        (weeklyData[date]?.jobs || []).forEach(job => {
+            if (isLocationMismatch(catalogue, job)) {
+                mismatches.push({
+                    date,
+                    jobId: job.id,
+                    jobNumber: job.jobNumber,
+                    jobLocation: job.jobLocation,
+                    knownLocation: findKnownLocation(catalogue, job.jobNumber),
+                });
+            }
+        });
+    });
+    return mismatches;
+};
+
+// Read a job list: a CSV (or one job per line) with the job number first and the location
+// second. A header row naming the columns is skipped.
+export const parseJobList = (text) => {
+    const entries = [];
+    const errors = [];
+    parseCsv(text).forEach((row, index) => {
+        if (row.length === 0 || row.every(cell => !cell.trim())) return;
+        const [jobNumber = '', jobLocation = ''] = row.map(cell => cell.trim());
+        if (index === 0 && normalizeKey(jobNumber) === 'job number') return;
+        if (!jobNumber) {
+            errors.push(`Line ${index + 1}: missing job number`);
+            return;
+        }
+        entries.push({ jobNumber, jobLocation });
+    });
+    return { entries, errors };
+};
@@ -0,0 +1,88 @@
+import { buildJobCatalogue, findKnownLocation, findLocationMismatches, isLocationMismatch, parseJobList } from './jobCatalogue';
+import { makeDay, makeJob } from './testFixtures';
+
+const job = (jobNumber, jobLocation, fields = {}) => makeJob({ jobNumber, jobLocation, ...fields });
+
+// Two crew members' days
+const timesheets = {
+    sam: {
+        '2024-06-10': makeDay([job('J-100', 'Main St'), job('J-200', 'Depot')]),
+        '2024-06-11': makeDay([job('J-100', 'Main St'), job('J-300', 'Plant')]),
+        '2024-06-12': makeDay([job('J-300', 'Warehouse'), job('', 'Yard')]),
+    },
+    alex: {
+        '2024-06-10': makeDay([job('J-100', 'Oak Ave'), job(' j-200 ', '')]),
+    },
+};
+
+describe('buildJobCatalogue', () => {
+    test('lists every job number and location once, in the first spelling seen', () => {
+        const catalogue = buildJobCatalogue(timesheets);
+        expect(catalogue.jobNumbers).toEqual(['J-100', 'J-200', 'J-300']);
+        expect(catalogue.locations).toEqual(['Depot', 'Main St', 'Oak Ave', 'Plant', 'Warehouse', 'Yard']);
+    });
+
+    test('uses the location entered most often, the most recent one breaking ties', () => {
+        const catalogue = buildJobCatalogue(timesheets);
+        expect(catalogue.locationByJobNumber).toEqual({ 'j-100': 'Main St', 'j-200': 'Depot', 'j-300': 'Warehouse' });
+    });
+
+    test('lets the imported job list decide a job number\'s location', () => {
+        const catalogue = buildJobCatalogue(timesheets, [
+            { jobNumber: 'j-100 ', jobLocation: ' Oak Ave' },
+            { jobNumber: 'J-400', jobLocation: '' },
+            { jobNumber: '', jobLocation: 'Nowhere' },
+        ]);
+        expect(catalogue.locationByJobNumber['j-100']).toBe('Oak Ave');
+        expect(catalogue.jobNumbers).toEqual(['j-100', 'J-200', 'J-300', 'J-400']);
+        expect(catalogue.locations).not.toContain('Nowhere');
+        expect(findKnownLocation(catalogue, 'J-400')).toBe('');
+    });
+});
+
+describe('location mismatches', () => {
+    const catalogue = buildJobCatalogue(timesheets);
+
+    test('finds the known location ignoring case and surrounding spaces', () => {
+        expect(findKnownLocation(catalogue, '  j-100 ')).toBe('Main St');
+        expect(isLocationMismatch(catalogue, job('J-100', ' main st '))).toBe(false);
+        expect(isLocationMismatch(catalogue, job('J-100', 'Oak Ave'))).toBe(true);
+    });
+
+    test('leaves job numbers without a known location and rows without a location alone', () => {
+        expect(isLocationMismatch(catalogue, job('J-999', 'Anywhere'))).toBe(false);
+        expect(isLocationMismatch(catalogue, job('J-100', ''))).toBe(false);
+    });
+
+    test('lists the mismatched jobs on the given dates', () => {
+        const weeklyData = {
+            '2024-06-17': makeDay([job('J-100', 'Oak Ave', { id: 'a' }), job('J-200', 'Depot', { id: 'b' })]),
+            '2024-06-18': makeDay([job('J-300', 'Plant', { id: 'c' })]),
+        };
+        expect(findLocationMismatches(catalogue, weeklyData, ['2024-06-17', '2024-06-18', '2024-06-19'])).toEqual([
+            { date: '2024-06-17', jobId: 'a', jobNumber: 'J-100', jobLocation: 'Oak Ave', knownLocation: 'Main St' },
+            { date: '2024-06-18', jobId: 'c', jobNumber: 'J-300', jobLocation: 'Plant', knownLocation: 'Warehouse' },
+        ]);
+    });
+});
+
+describe('parseJobList', () => {
+    test('reads job numbers and locations, skipping the header and blank lines', () => {
+        const text = 'Job Number,Job Location\r\nJ-100, Main St\r\n\r\n"J-200","Depot, Bay 2"\r\nJ-300\r\n';
+        expect(parseJobList(text)).toEqual({
+            entries: [
+                { jobNumber: 'J-100', jobLocation: 'Main St' },
+                { jobNumber: 'J-200', jobLocation: 'Depot, Bay 2' },
+                { jobNumber: 'J-300', jobLocation: '' },
+            ],
+            errors: [],
+        });
+    });
+
+    test('keeps a first row that is a job, and reports rows without a job number', () => {
+        expect(parseJobList('J-100,Main St\n,Depot\n')).toEqual({
+            entries: [{ jobNumber: 'J-100', jobLocation: 'Main St' }],
+            errors: ['Line 2: missing job number'],
+        });
+    });
+});
@@ -0,0 +1,96 @@
+// Job costing: hours per job number over a date range, across the whole crew.
+// Each job row's time is split into travel (travel start to work start, and work finish to
+// travel home) and on-site time (work start to work finish). Rows missing a work time can't be
+// split; their time is kept as unsplit so the totals still match the job hours on timesheets.
+// Labour cost is each tech's hours at their labour rate from the crew roster.
+
+import { getEmployeeLabel } from './crewSummary';
+import { calculateJobTotal, getJobTimeline } from './timeCalculations';
+
+// Job numbers and locations are grouped ignoring case and surrounding spaces
+const normalizeKey = (value) => (value || '').trim().toLowerCase();
+
+// A job row's minutes split into { travelMinutes, onSiteMinutes, unsplitMinutes }
+export const splitJobTime = (job) => {
+    const points = Object.fromEntries(getJobTimeline(job).map(point => [point.field, point.minutes]));
+    const between = (from, to) => (points[from] !== undefined && points[to] !== undefined ? points[to] - points[from] : 0);
+    const travelMinutes = between('travelStartTime', 'workStartTime') + between('workFinishTime', 'travelHomeTime');
+    const onSiteMinutes = between('workStartTime', 'workFinishTime');
+    return {
+        travelMinutes,
+        onSiteMinutes,
+        unsplitMinutes: Math.max(0, calculateJobTotal(job) - travelMinutes - onSiteMinutes),
+    };
+};
+
+const createTotals = () => ({ travelMinutes: 0, onSiteMinutes: 0, unsplitMinutes: 0, totalMinutes: 0, labourCost: 0 });
+
+const addToTotals = (totals, time, cost) => {
+    totals.travelMinutes += time.travelMinutes;
+    totals.onSiteMinutes += time.onSiteMinutes;
+    totals.unsplitMinutes += time.unsplitMinutes;
+    totals.totalMinutes += time.totalMinutes;
+    totals.labourCost += cost;
+};
+
+// Totals of a list of jobs, e.g. the ones left after filtering
+export const sumJobCosting = (jobs) => {
+    const totals = createTotals();
+    jobs.forEach(job => addToTotals(totals, job, job.labourCost));
+    return totals;
+};
+
+// Every job row with time in the range, grouped by job number and location. Jobs are sorted
+// by job number (J-2 before J-10) and list the techs and dates that worked on them.
+// Returns { jobs, totals }.
+export const buildJobCostingReport = ({ roster, timesheets, startDate, endDate }) => {
+    const groups = new Map();
+
+    roster.forEach((employee, index) => {
+        const days = timesheets[employee.id] || {};
+        const techName = getEmployeeLabel(employee, index);
+        const rate = Number(employee.labourRate) || 0;
+        Object.keys(days).filter(date => date >= startDate && date <= endDate).forEach(date => {
+            (days[date].jobs || []).forEach(job => {
+                const totalMinutes = calculateJobTotal(job);
+                if (totalMinutes <= 0) return;
+                const time = { ...splitJobTime(job), totalMinutes };
+                const cost = (totalMinutes / 60) * rate;
+
+                const key = `${normalizeKey(job.jobNumber)}\n${normalizeKey(job.jobLocation)}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { jobNumber: (job.jobNumber || '').trim(), jobLocation: (job.jobLocation || '').trim(), ...createTotals(), techs: new Map(), dates: new Set() });
+                }
+                const group = groups.get(key);
+                addToTotals(group, time, cost);
+                group.dates.add(date);
+                const tech = group.techs.get(employee.id) || { employeeId: employee.id, name: techName, hasRate: rate > 0, totalMinutes: 0, labourCost: 0 };
+                tech.totalMinutes += totalMinutes;
+                tech.labourCost += cost;
+                group.techs.set(employee.id, tech);
+            });
+        });
+    });
+
+    const jobs = [...groups.values()]
+        .map(group => ({ ...group, techs: [...group.techs.values()], dates: [...group.dates].sort() }))
+        .sort((a, b) => a.jobNumber.localeCompare(b.jobNumber, undefined, { numeric: true, sensitivity: 'base' })
+            || a.jobLocation.localeCompare(b.jobLocation, undefined, { sensitivity: 'base' }));
+
+    return { jobs, totals: sumJobCosting(jobs) };
+};
+
+// Jobs whose number or location contains the search text
+export const filterJobCosting = (jobs, search) => {
+    const text = normalizeKey(search);
+    if (!text) return jobs;
+    return jobs.filter(job => normalizeKey(job.jobNumber).includes(text) || normalizeKey(job.jobLocation).includes(text));
+};
+
+// Names of the techs on these jobs who have no labour rate, so their hours cost nothing
+export const getTechsWithoutRate = (jobs) => {
+    return [...new Set(jobs.flatMap(job => job.techs.filter(tech => !tech.hasRate).map(tech => tech.name)))];
+};
+
+// Money as shown in the report and CSV, e.g. "1234.50"
+export const formatCost = (amount) => (Math.round(amount * 100) / 100).toFixed(2);
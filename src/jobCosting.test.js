@@ -0,0 +1,71 @@
+import { buildJobCostingReport, filterJobCosting, getTechsWithoutRate, splitJobTime } from './jobCosting';
+import { makeJob } from './testFixtures';
+
+const job = (jobNumber, jobLocation, [travelStartTime = '', workStartTime = '', workFinishTime = '', travelHomeTime = '']) => makeJob({
+    jobNumber, jobLocation, travelStartTime, workStartTime, workFinishTime, travelHomeTime,
+});
+
+const roster = [
+    { id: 'sam', name: 'Sam Lee', labourRate: 40 },
+    { id: 'pat', name: '', labourRate: 0 },
+];
+
+const timesheets = {
+    sam: {
+        '2024-06-03': { jobs: [job('4471', 'Main St', ['07:00', '07:30', '11:30', '12:00']), job('J-10', 'Depot', ['12:30', '13:00', '15:00', ''])] },
+        '2024-06-04': { jobs: [job(' 4471 ', 'main st', ['07:00', '', '', '09:00']), job('', '', [])] },
+        '2024-07-01': { jobs: [job('4471', 'Main St', ['07:00', '07:30', '11:30', '12:00'])] },
+    },
+    pat: {
+        '2024-06-03': { jobs: [job('4471', 'Main St', ['08:00', '08:30', '10:30', '11:00']), job('J-2', 'Shop', ['22:00', '22:30', '01:30', '02:00'])] },
+    },
+};
+
+describe('splitJobTime', () => {
+    test('splits travel each way from the time on site', () => {
+        expect(splitJobTime(job('1', '', ['07:00', '07:30', '11:30', '12:15']))).toEqual({ travelMinutes: 75, onSiteMinutes: 240, unsplitMinutes: 0 });
+    });
+
+    test('follows jobs past midnight', () => {
+        expect(splitJobTime(job('1', '', ['22:00', '22:30', '01:30', '02:00']))).toEqual({ travelMinutes: 60, onSiteMinutes: 180, unsplitMinutes: 0 });
+    });
+
+    test('keeps time it cannot split as unsplit', () => {
+        expect(splitJobTime(job('1', '', ['07:00', '', '', '09:00']))).toEqual({ travelMinutes: 0, onSiteMinutes: 0, unsplitMinutes: 120 });
+        expect(splitJobTime(job('1', '', ['12:30', '13:00', '15:00', '']))).toEqual({ travelMinutes: 30, onSiteMinutes: 120, unsplitMinutes: 0 });
+    });
+});
+
+describe('buildJobCostingReport', () => {
+    const report = buildJobCostingReport({ roster, timesheets, startDate: '2024-06-01', endDate: '2024-06-30' });
+
+    test('groups the crew\'s job rows by job number and location, in job number order', () => {
+        expect(report.jobs.map(entry => entry.jobNumber)).toEqual(['J-2', 'J-10', '4471'].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })));
+        const mainStreet = report.jobs.find(entry => entry.jobNumber === '4471');
+        expect(mainStreet).toMatchObject({
+            jobLocation: 'Main St',
+            dates: ['2024-06-03', '2024-06-04'],
+            travelMinutes: 60 + 60,
+            onSiteMinutes: 240 + 120,
+            unsplitMinutes: 120,
+            totalMinutes: 300 + 120 + 180,
+            labourCost: 7 * 40,
+        });
+        expect(mainStreet.techs).toEqual([
+            { employeeId: 'sam', name: 'Sam Lee', hasRate: true, totalMinutes: 420, labourCost: 280 },
+            { employeeId: 'pat', name: 'Employee 2', hasRate: false, totalMinutes: 180, labourCost: 0 },
+        ]);
+    });
+
+    test('totals every job and names the techs without a labour rate', () => {
+        expect(report.totals).toMatchObject({ totalMinutes: 600 + 150 + 240, labourCost: (420 + 150) / 60 * 40 });
+        expect(getTechsWithoutRate(report.jobs)).toEqual(['Employee 2']);
+        expect(getTechsWithoutRate(filterJobCosting(report.jobs, 'depot'))).toEqual([]);
+    });
+
+    test('finds jobs by number or location', () => {
+        expect(filterJobCosting(report.jobs, '447').map(entry => entry.jobNumber)).toEqual(['4471']);
+        expect(filterJobCosting(report.jobs, 'SHOP').map(entry => entry.jobNumber)).toEqual(['J-2']);
+        expect(filterJobCosting(report.jobs, '')).toBe(report.jobs);
+    });
+});
@@ -0,0 +1,75 @@
+// Live clock-in mode: job times stamped from the clock as the tech goes through the day.
+// A live session records which job is in progress and when its current stage began, so a
+// running timer can be shown and picked up again after a reload. Sessions are kept per
+// employee: { [employeeId]: { date, jobId, field, stampedAt } }.
+
+import { getNextDate, getTodayDate } from './dateUtils';
+import { isJobTimeOnNextDay, JOB_TIME_FIELDS } from './timeCalculations';
+
+// The stamp buttons in the order they are pressed, and the stage each one starts
+export const LIVE_STAGES = [
+    { field: 'travelStartTime', buttonLabel: 'Leave for job', activeLabel: 'Travelling to job' },
+    { field: 'workStartTime', buttonLabel: 'Arrive / start work', activeLabel: 'On site' },
+    { field: 'workFinishTime', buttonLabel: 'Finish work', activeLabel: 'Travelling' },
+    { field: 'travelHomeTime', buttonLabel: 'Arrive home', activeLabel: null }, // Ends the session
+];
+
+// HH:MM in local time, the format of the time inputs
+export const formatClockTime = (date) => {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+// The next stage to stamp for a job: the first one after the last time already entered,
+// or null once the job is complete
+export const getNextLiveStage = (job) => {
+    const lastFilledIndex = JOB_TIME_FIELDS.reduce((last, field, index) => (job[field] ? index : last), -1);
+    return LIVE_STAGES[lastFilledIndex + 1] || null;
+};
+
+// The session for a job, if it is the one in progress and its stamped time is still entered
+export const getJobSession = (session, date, job) => {
+    if (!session || session.date !== date || session.jobId !== job.id || !job[session.field]) return null;
+    return session;
+};
+
+// Label for the stage a session is in, e.g. "On site"
+export const getSessionStageLabel = (session) => {
+    const stage = LIVE_STAGES.find(s => s.field === session.field);
+    return stage ? stage.activeLabel : '';
+};
+
+// Elapsed time as H:MM:SS
+export const formatElapsed = (milliseconds) => {
+    const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
+
+// Times to stamp for a stage pressed now. Leaving for a job right after finishing the
+// previous one starts the travel at that finish time, carrying the running timer over.
+export const buildStamp = ({ now, field, previousJob, previousSession }) => {
+    const previousFinished = field === 'travelStartTime'
+        && previousJob
+        && previousJob.workFinishTime
+        && !previousJob.travelHomeTime;
+    if (previousFinished) {
+        const carriesTimer = previousSession && previousSession.jobId === previousJob.id && previousSession.field === 'workFinishTime';
+        return {
+            value: previousJob.workFinishTime,
+            stampedAt: carriesTimer ? previousSession.stampedAt : now.toISOString(),
+        };
+    }
+    return { value: formatClockTime(now), stampedAt: now.toISOString() };
+};
+
+// Whether a time stamped now into a job on `date` has to be marked as next day: the job began
+// with an earlier time on its date and the clock has since passed midnight into the following
+// date, but the order of the times does not already put the stamp after midnight. Stamps made
+// on an older date are never marked.
+export const isStampOnNextDay = ({ job, field, value, date, now }) => {
+    if (getTodayDate(now) !== getNextDate(date) || (job.nextDayFields || []).includes(field)) return false;
+    const hasEarlierTime = JOB_TIME_FIELDS.slice(0, JOB_TIME_FIELDS.indexOf(field)).some(earlierField => job[earlierField]);
+    return hasEarlierTime && !isJobTimeOnNextDay({ ...job, [field]: value }, field);
+};
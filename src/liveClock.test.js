@@ -0,0 +1,96 @@
+import {
+    buildStamp,
+    formatClockTime,
+    formatElapsed,
+    getJobSession,
+    getNextLiveStage,
+    getSessionStageLabel,
+    isStampOnNextDay,
+} from './liveClock';
+import { makeJob } from './testFixtures';
+
+// Local times, like the clock on the tech's phone
+const at = (date, hours, minutes) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+};
+
+describe('stages', () => {
+    test('goes through the job times in order and stops once the job is complete', () => {
+        expect(getNextLiveStage(makeJob()).field).toBe('travelStartTime');
+        expect(getNextLiveStage(makeJob({ travelStartTime: '07:00', workStartTime: '07:30' })).field).toBe('workFinishTime');
+        // A gap left earlier in the row does not send the tech back to it
+        expect(getNextLiveStage(makeJob({ workStartTime: '07:30' })).field).toBe('workFinishTime');
+        expect(getNextLiveStage(makeJob({ travelStartTime: '07:00', travelHomeTime: '12:00' }))).toBeNull();
+    });
+
+    test('labels the stage a session is in', () => {
+        expect(getSessionStageLabel({ field: 'workStartTime' })).toBe('On site');
+        expect(getSessionStageLabel({ field: 'unknown' })).toBe('');
+    });
+});
+
+describe('getJobSession', () => {
+    const job = makeJob({ id: 'a', travelStartTime: '07:00' });
+    const session = { date: '2024-06-10', jobId: 'a', field: 'travelStartTime', stampedAt: '2024-06-10T14:00:00.000Z' };
+
+    test('finds the session of the job in progress', () => {
+        expect(getJobSession(session, '2024-06-10', job)).toBe(session);
+    });
+
+    test('ignores sessions for another date or job, or whose time was cleared', () => {
+        expect(getJobSession(session, '2024-06-11', job)).toBeNull();
+        expect(getJobSession(session, '2024-06-10', { ...job, id: 'b' })).toBeNull();
+        expect(getJobSession(session, '2024-06-10', { ...job, travelStartTime: '' })).toBeNull();
+        expect(getJobSession(undefined, '2024-06-10', job)).toBeNull();
+    });
+});
+
+describe('formatting', () => {
+    test('formats the clock as HH:MM and elapsed time as H:MM:SS', () => {
+        expect(formatClockTime(at('2024-06-10', 7, 5))).toBe('07:05');
+        expect(formatElapsed(((2 * 60 + 3) * 60 + 9) * 1000 + 999)).toBe('2:03:09');
+        expect(formatElapsed(-5000)).toBe('0:00:00');
+    });
+});
+
+describe('buildStamp', () => {
+    const now = at('2024-06-10', 13, 20);
+
+    test('stamps the current time', () => {
+        expect(buildStamp({ now, field: 'workStartTime' })).toEqual({ value: '13:20', stampedAt: now.toISOString() });
+    });
+
+    test('starts travel to the next job at the previous job\'s finish, carrying its timer', () => {
+        const previousJob = makeJob({ id: 'a', travelStartTime: '07:00', workStartTime: '07:30', workFinishTime: '12:45' });
+        const previousSession = { date: '2024-06-10', jobId: 'a', field: 'workFinishTime', stampedAt: '2024-06-10T19:45:00.000Z' };
+        expect(buildStamp({ now, field: 'travelStartTime', previousJob, previousSession })).toEqual({ value: '12:45', stampedAt: previousSession.stampedAt });
+        expect(buildStamp({ now, field: 'travelStartTime', previousJob })).toEqual({ value: '12:45', stampedAt: now.toISOString() });
+        expect(buildStamp({ now, field: 'travelStartTime', previousJob: { ...previousJob, travelHomeTime: '13:00' } }).value).toBe('13:20');
+    });
+});
+
+describe('isStampOnNextDay', () => {
+    const dayJob = makeJob({ travelStartTime: '08:00', workStartTime: '08:30' });
+
+    test('marks a stamp after midnight that the order of the times would put on the job\'s date', () => {
+        // On site since 08:30 the day before, finishing at 09:00 the next morning
+        expect(isStampOnNextDay({ job: dayJob, field: 'workFinishTime', value: '09:00', date: '2024-06-10', now: at('2024-06-11', 9, 0) })).toBe(true);
+    });
+
+    test('leaves times the order already puts after midnight unmarked', () => {
+        const nightJob = makeJob({ travelStartTime: '22:00', workStartTime: '22:30' });
+        expect(isStampOnNextDay({ job: nightJob, field: 'workFinishTime', value: '01:15', date: '2024-06-10', now: at('2024-06-11', 1, 15) })).toBe(false);
+    });
+
+    test('does not mark stamps on the job\'s own date, on an older date or for the first time of a job', () => {
+        expect(isStampOnNextDay({ job: dayJob, field: 'workFinishTime', value: '15:00', date: '2024-06-10', now: at('2024-06-10', 15, 0) })).toBe(false);
+        expect(isStampOnNextDay({ job: dayJob, field: 'workFinishTime', value: '15:00', date: '2024-06-03', now: at('2024-06-10', 15, 0) })).toBe(false);
+        expect(isStampOnNextDay({ job: makeJob(), field: 'travelStartTime', value: '00:30', date: '2024-06-10', now: at('2024-06-11', 0, 30) })).toBe(false);
+    });
+
+    test('does not mark a time twice', () => {
+        const marked = { ...dayJob, nextDayFields: ['workFinishTime'] };
+        expect(isStampOnNextDay({ job: marked, field: 'workFinishTime', value: '09:00', date: '2024-06-10', now: at('2024-06-11', 9, 0) })).toBe(false);
+    });
+});
@@ -0,0 +1,151 @@
+// Outbox of submitted pay periods waiting to be sent to the office's timesheet endpoint.
+// Submitting a period for approval queues it here; the queue is sent whenever the device is
+// online, so a week submitted in a basement goes out once there is signal again.
+//
+// Items are { id, employeeId, employeeName, startDate, endDate, payload, status, attempts,
+// nextAttemptAt, lastError, createdAt, sentAt, serverVersion, force }, where status is:
+//   pending  - waiting to be sent, or to be retried at nextAttemptAt after a network/server error
+//   conflict - the server has a different version of the period (another device sent it)
+//   failed   - the server refused the submission; it needs attention before retrying
+//   sent     - accepted; serverVersion is the server's version of the period
+//
+// The endpoint receives the payload as a JSON POST. It answers 2xx with { version } when the
+// submission is stored, or 409 with { version } when its copy of the period is not the one this
+// device last sent (payload.baseVersion). An item retried with force overwrites the server's copy.
+
+export const DEFAULT_SYNC_SETTINGS = {
+    endpoint: '', // e.g. https://office.example.com/api/timesheets
+    authToken: '', // Sent as a Bearer token when set
+};
+
+export const OUTBOX_STATUS_LABELS = {
+    pending: 'Waiting to Send',
+    conflict: 'Conflict',
+    failed: 'Failed',
+    sent: 'Sent',
+};
+
+// Whether submissions have somewhere to go: an http(s) address with a host
+export const hasSyncEndpoint = (settings) => /^https?:\/\/[^/\s]+/.test(settings.endpoint || '');
+
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const MAX_SENT_ITEMS = 20; // Sent items kept for their server versions and as a record
+
+const isSamePeriod = (item, employeeId, startDate, endDate) => (
+    item.employeeId === employeeId && item.startDate === startDate && item.endDate === endDate
+);
+
+// Wait before the next try after `attempts` failed ones: 30s, 1m, 2m, ... up to an hour
+export const getRetryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+
+// The server's version of a period as of the last submission this device sent, or null
+export const getSentVersion = (outbox, employeeId, startDate, endDate) => {
+    const sentItems = outbox.filter(item => item.status === 'sent' && isSamePeriod(item, employeeId, startDate, endDate));
+    return sentItems.length > 0 ? sentItems[sentItems.length - 1].serverVersion : null;
+};
+
+// What is sent for a submitted period: the employee, the period's days and totals, and its approval
+export const buildSubmissionPayload = ({ employeeId, employeeName, truckNumber, startDate, endDate, weeklyData, dates, weeklyPay, approval, baseVersion = null, submittedAt = new Date().toISOString() }) => ({
+    employee: { id: employeeId, name: employeeName || '', truckNumber: truckNumber || '' },
+    period: { startDate, endDate },
+    submittedAt,
+    baseVersion,
+    days: dates.map(date => ({ date, ...weeklyData[date] })),
+    payTotals: weeklyPay.totals,
+    approval,
+});
+
+// Queue a submission. A period still waiting in the outbox is replaced by the newer submission.
+export const enqueueSubmission = (outbox, { employeeId, employeeName, startDate, endDate, payload, now = Date.now() }) => {
+    const item = {
+        id: crypto.randomUUID(),
+        employeeId,
+        employeeName: employeeName || '',
+        startDate,
+        endDate,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: '',
+        createdAt: new Date(now).toISOString(),
+        sentAt: '',
+        serverVersion: null,
+        force: false,
+    };
+    return [
+        ...outbox.filter(existing => existing.status === 'sent' || !isSamePeriod(existing, employeeId, startDate, endDate)),
+        item,
+    ];
+};
+
+// Items that should be sent now
+export const getDueItems = (outbox, now = Date.now()) => {
+    return outbox.filter(item => item.status === 'pending' && item.nextAttemptAt <= now);
+};
+
+// When the next pending item is due, or null if none is waiting
+export const getNextAttemptAt = (outbox) => {
+    const times = outbox.filter(item => item.status === 'pending').map(item => item.nextAttemptAt);
+    return times.length > 0 ? Math.min(...times) : null;
+};
+
+// Send one item and return it with its new status. Never throws: network errors and server
+// errors are recorded on the item and retried later.
+export const sendOutboxItem = async (item, settings, { fetchImpl = fetch, now = Date.now } = {}) => {
+    const headers = { 'Content-Type': 'application/json', 'Idempotency-Key': item.id };
+    if (settings.authToken) {
+        headers.Authorization = `Bearer ${settings.authToken}`;
+    }
+
+    const retryLater = (message) => ({
+        ...item,
+        status: 'pending',
+        attempts: item.attempts + 1,
+        nextAttemptAt: now() + getRetryDelay(item.attempts + 1),
+        lastError: message,
+    });
+
+    let response;
+    try {
+        response = await fetchImpl(settings.endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ ...item.payload, submissionId: item.id, force: item.force }),
+        });
+    } catch (error) {
+        return retryLater(`Could not reach the server: ${error.message}`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (response.ok) {
+        return { ...item, status: 'sent', attempts: item.attempts + 1, lastError: '', sentAt: new Date(now()).toISOString(), serverVersion: body.version ?? null };
+    }
+    if (response.status === 409) {
+        return { ...item, status: 'conflict', attempts: item.attempts + 1, lastError: body.error || 'The server has a different version of this period.', serverVersion: body.version ?? null };
+    }
+    // Busy or failing servers and rate limits are retried; anything else needs a person to look at it
+    if (response.status >= 500 || response.status === 408 || response.status === 429) {
+        return retryLater(`Server error ${response.status}${body.error ? `: ${body.error}` : ''}`);
+    }
+    return { ...item, status: 'failed', attempts: item.attempts + 1, lastError: `Server refused the submission (${response.status})${body.error ? `: ${body.error}` : ''}` };
+};
+
+// Put an item back in the queue to be sent straight away, e.g. after fixing the endpoint.
+// With force, a conflicting item overwrites the server's copy when it is sent.
+export const retryOutboxItem = (outbox, itemId, { force = false, now = Date.now() } = {}) => {
+    return outbox.map(item => (item.id === itemId
+        ? { ...item, status: 'pending', nextAttemptAt: now, force: item.force || force }
+        : item));
+};
+
+// Store the result of sending an item, dropping the oldest sent items beyond the ones kept
+export const updateOutboxItem = (outbox, updatedItem) => {
+    const updated = outbox.map(item => (item.id === updatedItem.id ? updatedItem : item));
+    const sentIds = updated.filter(item => item.status === 'sent').map(item => item.id);
+    const droppedIds = sentIds.slice(0, Math.max(sentIds.length - MAX_SENT_ITEMS, 0));
+    return updated.filter(item => !droppedIds.includes(item.id));
+};
+
+export const removeOutboxItem = (outbox, itemId) => outbox.filter(item => item.id !== itemId);
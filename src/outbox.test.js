@@ -0,0 +1,173 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { createMockSyncServer } from '../scripts/mockSyncServer';
+import {
+    enqueueSubmission,
+    getDueItems,
+    getNextAttemptAt,
+    getRetryDelay,
+    getSentVersion,
+    hasSyncEndpoint,
+    retryOutboxItem,
+    sendOutboxItem,
+    updateOutboxItem,
+} from './outbox';
+import { jsonResponse } from './testFixtures';
+
+const payload = (employeeId = 'e1', baseVersion = null) => ({
+    employee: { id: employeeId, name: 'Sam', truckNumber: 'T-7' },
+    period: { startDate: '2024-06-10', endDate: '2024-06-16' },
+    submittedAt: '2024-06-16T22:00:00.000Z',
+    baseVersion,
+    days: [],
+    payTotals: {},
+    approval: { status: 'submitted' },
+});
+
+const queue = (outbox = [], employeeId = 'e1', baseVersion = null, now = 1000) => enqueueSubmission(outbox, {
+    employeeId,
+    employeeName: 'Sam',
+    startDate: '2024-06-10',
+    endDate: '2024-06-16',
+    payload: payload(employeeId, baseVersion),
+    now,
+});
+
+const settings = { endpoint: 'https://office.example.com/api/timesheets', authToken: 'secret' };
+
+describe('queue', () => {
+    test('replaces a waiting submission of the same period but keeps sent ones', () => {
+        const [first] = queue();
+        const sent = { ...first, status: 'sent', serverVersion: 3 };
+        const outbox = queue(queue([sent]));
+        expect(outbox).toHaveLength(2);
+        expect(outbox[0]).toBe(sent);
+        expect(getSentVersion(outbox, 'e1', '2024-06-10', '2024-06-16')).toBe(3);
+        expect(queue(queue(), 'e2')).toHaveLength(2);
+    });
+
+    test('waits longer after each failed try, up to an hour', () => {
+        expect([1, 2, 3, 10].map(getRetryDelay)).toEqual([30000, 60000, 120000, 3600000]);
+    });
+
+    test('knows which items are due and when the next one is', () => {
+        const outbox = [{ ...queue()[0], nextAttemptAt: 5000 }, { ...queue([], 'e2')[0], nextAttemptAt: 9000 }];
+        expect(getDueItems(outbox, 6000)).toHaveLength(1);
+        expect(getNextAttemptAt(outbox)).toBe(5000);
+        expect(retryOutboxItem(outbox, outbox[1].id, { now: 6000 })[1].nextAttemptAt).toBe(6000);
+    });
+
+    test('only sends to an http address', () => {
+        expect(hasSyncEndpoint({ endpoint: 'http://localhost:4010/timesheets' })).toBe(true);
+        expect(hasSyncEndpoint({ endpoint: 'http://' })).toBe(false);
+        expect(hasSyncEndpoint({ endpoint: '' })).toBe(false);
+    });
+});
+
+describe('sendOutboxItem', () => {
+    const [item] = queue();
+    const now = () => 100000;
+
+    test('posts the submission with the token and marks it sent', async () => {
+        const fetchImpl = jest.fn(() => jsonResponse(201, { version: 1 }));
+        const sent = await sendOutboxItem(item, settings, { fetchImpl, now });
+        expect(sent).toMatchObject({ status: 'sent', attempts: 1, serverVersion: 1 });
+        const [url, request] = fetchImpl.mock.calls[0];
+        expect(url).toBe(settings.endpoint);
+        expect(request.headers).toMatchObject({ Authorization: 'Bearer secret', 'Idempotency-Key': item.id });
+        expect(JSON.parse(request.body)).toMatchObject({ submissionId: item.id, force: false, employee: { id: 'e1' } });
+    });
+
+    test('retries later when offline or when the server fails', async () => {
+        const offline = await sendOutboxItem(item, settings, { fetchImpl: () => Promise.reject(new Error('Failed to fetch')), now });
+        expect(offline).toMatchObject({ status: 'pending', attempts: 1, nextAttemptAt: 130000, lastError: 'Could not reach the server: Failed to fetch' });
+        const busy = await sendOutboxItem(offline, settings, { fetchImpl: () => jsonResponse(503, { error: 'Down for maintenance' }), now });
+        expect(busy).toMatchObject({ status: 'pending', attempts: 2, nextAttemptAt: 160000, lastError: 'Server error 503: Down for maintenance' });
+    });
+
+    test('stops on a conflict or a refused submission', async () => {
+        const conflict = await sendOutboxItem(item, settings, { fetchImpl: () => jsonResponse(409, { version: 4 }), now });
+        expect(conflict).toMatchObject({ status: 'conflict', serverVersion: 4 });
+        const refused = await sendOutboxItem(item, settings, { fetchImpl: () => jsonResponse(401, { error: 'Bad token' }), now });
+        expect(refused).toMatchObject({ status: 'failed', lastError: 'Server refused the submission (401): Bad token' });
+    });
+});
+
+// Minimal fetch for Node, enough for sendOutboxItem
+const nodeFetch = (url, { method, headers, body }) => new Promise((resolve, reject) => {
+    const request = http.request(url, { method, headers }, response => {
+        let data = '';
+        response.on('data', chunk => {
+            data += chunk;
+        });
+        response.on('end', () => resolve({
+            ok: response.statusCode >= 200 && response.statusCode < 300,
+            status: response.statusCode,
+            json: () => Promise.resolve(JSON.parse(data)),
+        }));
+    });
+    request.on('error', reject);
+    request.end(body);
+});
+
+describe('against the mock server', () => {
+    let server;
+    let serverSettings;
+
+    beforeEach(async () => {
+        server = createMockSyncServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        serverSettings = { endpoint: `http://127.0.0.1:${server.address().port}/timesheets`, authToken: '' };
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    // Send whatever is due, the way the app does, and return the updated outbox
+    const sendDue = async (outbox, now) => {
+        let updated = outbox;
+        for (const item of getDueItems(outbox, now)) {
+            updated = updateOutboxItem(updated, await sendOutboxItem(item, serverSettings, { fetchImpl: nodeFetch, now: () => now }));
+        }
+        return updated;
+    };
+
+    test('keeps retrying through server failures until the submission is stored', async () => {
+        server.state.failNext = 2;
+        let outbox = await sendDue(queue(), 1000);
+        expect(outbox[0]).toMatchObject({ status: 'pending', attempts: 1, nextAttemptAt: 31000 });
+        outbox = await sendDue(outbox, 20000);
+        expect(outbox[0].attempts).toBe(1);
+        outbox = await sendDue(outbox, 31000);
+        outbox = await sendDue(outbox, getNextAttemptAt(outbox));
+        expect(outbox[0]).toMatchObject({ status: 'sent', attempts: 3, serverVersion: 1 });
+        expect(server.state.periods.size).toBe(1);
+    });
+
+    test('answers a repeated submission the same way, so a lost response does no harm', async () => {
+        const [item] = queue();
+        const first = await sendOutboxItem(item, serverSettings, { fetchImpl: nodeFetch });
+        const again = await sendOutboxItem(item, serverSettings, { fetchImpl: nodeFetch });
+        expect([first.serverVersion, again.serverVersion]).toEqual([1, 1]);
+    });
+
+    test('reports a conflict when another device sent the period, and can overwrite it', async () => {
+        const [otherDevice] = queue();
+        await sendOutboxItem(otherDevice, serverSettings, { fetchImpl: nodeFetch });
+
+        let outbox = await sendDue(queue(), 1000);
+        expect(outbox[0]).toMatchObject({ status: 'conflict', serverVersion: 1 });
+        expect(getDueItems(outbox, 99999999)).toEqual([]);
+
+        outbox = await sendDue(retryOutboxItem(outbox, outbox[0].id, { force: true, now: 2000 }), 2000);
+        expect(outbox[0]).toMatchObject({ status: 'sent', serverVersion: 2 });
+
+        // Resubmitting from this device after its own send is not a conflict
+        const baseVersion = getSentVersion(outbox, 'e1', '2024-06-10', '2024-06-16');
+        outbox = await sendDue(queue(outbox, 'e1', baseVersion, 3000), 3000);
+        expect(outbox.map(item => [item.status, item.serverVersion])).toEqual([['sent', 2], ['sent', 3]]);
+    });
+});
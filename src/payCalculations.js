@@ -0,0 +1,116 @@
+// Pay-category breakdown of net working hours for payroll.
+// Net minutes of each day are split into regular, overtime, double time and an on-call
+// callout premium. Overtime starts after a daily limit or once regular time for the
+// calendar week (Monday to Sunday) passes a weekly limit; Sundays and statutory holidays
+// are paid entirely at double time.
+
+import { getWeekEnd, getWeekStart, getWeekdayIndex } from './dateUtils';
+import { formatDecimalHours } from './timeCalculations';
+
+export const DEFAULT_PAY_RULES = {
+    dailyOvertimeAfterMinutes: 8 * 60,
+    weeklyOvertimeAfterMinutes: 40 * 60,
+    doubleTimeOnSundays: true,
+    holidays: [], // YYYY-MM-DD dates paid at double time
+    onCallMinimumMinutes: 3 * 60, // Minimum paid for an on-call day with any work
+};
+
+// Pay categories in the order they are shown and exported
+export const PAY_CATEGORIES = [
+    { key: 'regular', label: 'Regular' },
+    { key: 'overtime', label: 'Overtime' },
+    { key: 'doubleTime', label: 'Double Time' },
+    { key: 'onCallPremium', label: 'On-Call Minimum Top-Up' },
+];
+
+export const createEmptyBreakdown = () => ({
+    regular: 0,
+    overtime: 0,
+    doubleTime: 0,
+    onCallPremium: 0,
+});
+
+export const addBreakdowns = (a, b) => ({
+    regular: a.regular + b.regular,
+    overtime: a.overtime + b.overtime,
+    doubleTime: a.doubleTime + b.doubleTime,
+    onCallPremium: a.onCallPremium + b.onCallPremium,
+});
+
+// Total paid minutes of a breakdown
+export const totalPaidMinutes = (breakdown) => {
+    return PAY_CATEGORIES.reduce((sum, category) => sum + (breakdown[category.key] || 0), 0);
+};
+
+// Monday of the calendar week containing the given date
+export const getCalendarWeekStart = (dateString) => getWeekStart(dateString);
+
+// Whether a whole day is paid at double time
+export const isDoubleTimeDate = (dateString, payRules) => {
+    if ((payRules.holidays || []).includes(dateString)) return true;
+    return !!payRules.doubleTimeOnSundays && getWeekdayIndex(dateString) === 0;
+};
+
+// Break down one day's net minutes, given the regular minutes already worked earlier
+// in the same calendar week. Returns the breakdown and the updated weekly regular total.
+const breakDownDay = (dateString, dayData, regularSoFar, payRules) => {
+    const breakdown = createEmptyBreakdown();
+    const netMinutes = dayData?.netHours || 0;
+
+    if (isDoubleTimeDate(dateString, payRules)) {
+        breakdown.doubleTime = netMinutes;
+    } else {
+        const dailyLimit = payRules.dailyOvertimeAfterMinutes;
+        const weeklyRoom = Math.max(0, payRules.weeklyOvertimeAfterMinutes - regularSoFar);
+        const withinDailyLimit = dailyLimit > 0 ? Math.min(netMinutes, dailyLimit) : netMinutes;
+        breakdown.regular = Math.min(withinDailyLimit, weeklyRoom);
+        breakdown.overtime = netMinutes - breakdown.regular;
+    }
+
+    if (dayData?.isOnCall && netMinutes > 0 && netMinutes < payRules.onCallMinimumMinutes) {
+        breakdown.onCallPremium = payRules.onCallMinimumMinutes - netMinutes;
+    }
+
+    return { breakdown, regularSoFar: regularSoFar + breakdown.regular };
+};
+
+// Calculate the pay breakdown for a set of dates.
+// Weekly overtime always counts every entered day of each date's calendar week, so the
+// result for a date does not depend on where the requested range happens to start.
+export const calculatePayBreakdown = (weeklyData, dates, payRules) => {
+    const requested = new Set(dates);
+    const weekStarts = Array.from(new Set(dates.map(getCalendarWeekStart))).sort();
+    const days = {};
+    let totals = createEmptyBreakdown();
+
+    weekStarts.forEach(weekStart => {
+        const weekEndString = getWeekEnd(weekStart);
+        const weekDates = Object.keys(weeklyData)
+            .filter(date => date >= weekStart && date <= weekEndString)
+            .sort();
+
+        let regularSoFar = 0;
+        weekDates.forEach(date => {
+            const result = breakDownDay(date, weeklyData[date], regularSoFar, payRules);
+            regularSoFar = result.regularSoFar;
+            if (requested.has(date)) {
+                days[date] = result.breakdown;
+                totals = addBreakdowns(totals, result.breakdown);
+            }
+        });
+    });
+
+    dates.forEach(date => {
+        if (!days[date]) days[date] = createEmptyBreakdown();
+    });
+
+    return { days, totals };
+};
+
+// One-line summary, e.g. "Regular 8.00, Overtime 1.50"
+export const formatPayBreakdown = (breakdown) => {
+    const parts = PAY_CATEGORIES
+        .filter(category => breakdown[category.key] > 0)
+        .map(category => `${category.label} ${formatDecimalHours(breakdown[category.key])}`);
+    return parts.length > 0 ? parts.join(', ') : 'None';
+};
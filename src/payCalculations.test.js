@@ -0,0 +1,61 @@
+import { getDatesInRange } from './crewSummary';
+import { calculatePayBreakdown, DEFAULT_PAY_RULES, formatPayBreakdown } from './payCalculations';
+import { makeDay } from './testFixtures';
+
+const HOUR = 60;
+const day = (netHours, isOnCall = false) => makeDay([], { netHours, isOnCall });
+
+describe('week filtering', () => {
+    const weeklyData = {
+        '2024-06-09': day(2 * HOUR), // Sunday of the previous week
+        '2024-06-10': day(8 * HOUR),
+        '2024-06-12': day(8 * HOUR),
+        '2024-06-16': day(4 * HOUR),
+        '2024-06-17': day(8 * HOUR), // Monday of the next week
+    };
+
+    test('keeps only the dates inside the range, in order', () => {
+        expect(getDatesInRange(weeklyData, '2024-06-10', '2024-06-16')).toEqual(['2024-06-10', '2024-06-12', '2024-06-16']);
+        expect(getDatesInRange(weeklyData, '2024-06-20', '2024-06-26')).toEqual([]);
+        expect(getDatesInRange(undefined, '2024-06-10', '2024-06-16')).toEqual([]);
+    });
+
+    test('pays Sundays at double time', () => {
+        const { days, totals } = calculatePayBreakdown(weeklyData, getDatesInRange(weeklyData, '2024-06-10', '2024-06-16'), DEFAULT_PAY_RULES);
+        expect(days['2024-06-16']).toMatchObject({ regular: 0, doubleTime: 4 * HOUR });
+        expect(totals).toMatchObject({ regular: 16 * HOUR, overtime: 0, doubleTime: 4 * HOUR });
+    });
+});
+
+describe('overtime', () => {
+    test('starts after the daily limit', () => {
+        const { days } = calculatePayBreakdown({ '2024-06-10': day(10 * HOUR) }, ['2024-06-10'], DEFAULT_PAY_RULES);
+        expect(days['2024-06-10']).toMatchObject({ regular: 8 * HOUR, overtime: 2 * HOUR });
+        expect(formatPayBreakdown(days['2024-06-10'])).toBe('Regular 8.00, Overtime 2.00');
+    });
+
+    test('counts the whole calendar week even when the range starts midweek', () => {
+        const weeklyData = {
+            '2024-06-10': day(8 * HOUR),
+            '2024-06-11': day(8 * HOUR),
+            '2024-06-12': day(8 * HOUR),
+            '2024-06-13': day(8 * HOUR),
+            '2024-06-14': day(8 * HOUR),
+            '2024-06-15': day(4 * HOUR),
+        };
+        const { days } = calculatePayBreakdown(weeklyData, ['2024-06-15'], DEFAULT_PAY_RULES);
+        expect(days['2024-06-15']).toMatchObject({ regular: 0, overtime: 4 * HOUR });
+    });
+});
+
+describe('on-call minimum', () => {
+    test('tops a short on-call day up to the minimum', () => {
+        const { days } = calculatePayBreakdown({ '2024-06-11': day(HOUR, true) }, ['2024-06-11'], DEFAULT_PAY_RULES);
+        expect(days['2024-06-11']).toMatchObject({ regular: HOUR, onCallPremium: 2 * HOUR });
+    });
+
+    test('adds nothing to an on-call day with no work', () => {
+        const { days } = calculatePayBreakdown({ '2024-06-11': day(0, true) }, ['2024-06-11'], DEFAULT_PAY_RULES);
+        expect(days['2024-06-11'].onCallPremium).toBe(0);
+    });
+});
@@ -0,0 +1,79 @@
+// Pay periods: the date range a timesheet report covers.
+// Weekly and biweekly periods repeat every 7 or 14 days from the anchor date. Semi-monthly
+// periods run from the 1st to the 15th and from the 16th to the end of the month. Monthly
+// periods start on the anchor's day of the month (or the month's last day if it is shorter).
+// Weekly overtime is not affected: it is always counted per calendar week (payCalculations.js).
+
+import { addDays, daysBetween, formatDateKey, getDaysInMonth } from './dateUtils';
+
+export const PAY_PERIOD_TYPES = [
+    { value: 'weekly', label: 'Weekly' },
+    { value: 'biweekly', label: 'Biweekly' },
+    { value: 'semiMonthly', label: 'Semi-Monthly' },
+    { value: 'monthly', label: 'Monthly' },
+];
+
+export const DEFAULT_PAY_PERIOD_SETTINGS = {
+    type: 'weekly',
+    anchorDate: '2024-01-01', // A Monday, so the default is the Monday to Sunday week
+};
+
+// Start of the monthly period for the given year and month, clamped to the month's length
+const monthlyStart = (year, monthIndex, anchorDay) => {
+    return formatDateKey(new Date(year, monthIndex, Math.min(anchorDay, getDaysInMonth(year, monthIndex))));
+};
+
+const getFixedLengthPeriod = (dateString, anchorDate, length) => {
+    const daysFromAnchor = daysBetween(anchorDate, dateString);
+    const periodIndex = Math.floor(daysFromAnchor / length);
+    const startDate = addDays(anchorDate, periodIndex * length);
+    return { startDate, endDate: addDays(startDate, length - 1) };
+};
+
+const getSemiMonthlyPeriod = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const monthPrefix = `${year}-${String(month).padStart(2, '0')}`;
+    if (day <= 15) {
+        return { startDate: `${monthPrefix}-01`, endDate: `${monthPrefix}-15` };
+    }
+    return { startDate: `${monthPrefix}-16`, endDate: `${monthPrefix}-${getDaysInMonth(year, month - 1)}` };
+};
+
+const getMonthlyPeriod = (dateString, anchorDate) => {
+    const anchorDay = Number(anchorDate.split('-')[2]);
+    const [year, month] = dateString.split('-').map(Number);
+    let startDate = monthlyStart(year, month - 1, anchorDay);
+    if (startDate > dateString) {
+        startDate = monthlyStart(month === 1 ? year - 1 : year, month === 1 ? 11 : month - 2, anchorDay);
+    }
+    const [startYear, startMonth] = startDate.split('-').map(Number);
+    const nextStart = monthlyStart(startMonth === 12 ? startYear + 1 : startYear, startMonth === 12 ? 0 : startMonth, anchorDay);
+    return { startDate, endDate: addDays(nextStart, -1) };
+};
+
+// The pay period containing a date: { startDate, endDate }
+export const getPayPeriod = (dateString, settings = DEFAULT_PAY_PERIOD_SETTINGS) => {
+    const anchorDate = settings.anchorDate || DEFAULT_PAY_PERIOD_SETTINGS.anchorDate;
+    switch (settings.type) {
+        case 'biweekly':
+            return getFixedLengthPeriod(dateString, anchorDate, 14);
+        case 'semiMonthly':
+            return getSemiMonthlyPeriod(dateString);
+        case 'monthly':
+            return getMonthlyPeriod(dateString, anchorDate);
+        case 'weekly':
+        default:
+            return getFixedLengthPeriod(dateString, anchorDate, 7);
+    }
+};
+
+// The period before (direction -1) or after (direction 1) the one starting on startDate
+export const shiftPayPeriod = (startDate, endDate, direction, settings) => {
+    return getPayPeriod(direction < 0 ? addDays(startDate, -1) : addDays(endDate, 1), settings);
+};
+
+// Label for the configured period length, e.g. "Biweekly"
+export const getPayPeriodLabel = (settings) => {
+    const type = PAY_PERIOD_TYPES.find(t => t.value === settings.type);
+    return type ? type.label : 'Weekly';
+};
@@ -0,0 +1,64 @@
+import { DEFAULT_PAY_PERIOD_SETTINGS, getPayPeriod, getPayPeriodLabel, shiftPayPeriod } from './payPeriods';
+
+const weekly = DEFAULT_PAY_PERIOD_SETTINGS;
+const biweekly = { type: 'biweekly', anchorDate: '2024-01-01' };
+const semiMonthly = { type: 'semiMonthly', anchorDate: '2024-01-01' };
+const monthlyFrom = (anchorDate) => ({ type: 'monthly', anchorDate });
+
+describe('getPayPeriod', () => {
+    test('weekly periods run Monday to Sunday from the default anchor', () => {
+        expect(getPayPeriod('2024-06-10', weekly)).toEqual({ startDate: '2024-06-10', endDate: '2024-06-16' });
+        expect(getPayPeriod('2024-06-16', weekly)).toEqual({ startDate: '2024-06-10', endDate: '2024-06-16' });
+        expect(getPayPeriod('2023-12-31', weekly)).toEqual({ startDate: '2023-12-25', endDate: '2023-12-31' });
+    });
+
+    test('fixed-length periods keep their length across daylight saving changes', () => {
+        expect(getPayPeriod('2024-03-12', weekly)).toEqual({ startDate: '2024-03-11', endDate: '2024-03-17' });
+        expect(getPayPeriod('2024-11-03', biweekly)).toEqual({ startDate: '2024-10-21', endDate: '2024-11-03' });
+    });
+
+    test('biweekly periods repeat every 14 days from the anchor, also before it', () => {
+        expect(getPayPeriod('2024-01-14', biweekly)).toEqual({ startDate: '2024-01-01', endDate: '2024-01-14' });
+        expect(getPayPeriod('2024-01-15', biweekly)).toEqual({ startDate: '2024-01-15', endDate: '2024-01-28' });
+        expect(getPayPeriod('2023-12-20', biweekly)).toEqual({ startDate: '2023-12-18', endDate: '2023-12-31' });
+    });
+
+    test('semi-monthly periods split the month after the 15th', () => {
+        expect(getPayPeriod('2024-02-15', semiMonthly)).toEqual({ startDate: '2024-02-01', endDate: '2024-02-15' });
+        expect(getPayPeriod('2024-02-16', semiMonthly)).toEqual({ startDate: '2024-02-16', endDate: '2024-02-29' });
+        expect(getPayPeriod('2023-02-20', semiMonthly)).toEqual({ startDate: '2023-02-16', endDate: '2023-02-28' });
+        expect(getPayPeriod('2024-12-31', semiMonthly)).toEqual({ startDate: '2024-12-16', endDate: '2024-12-31' });
+    });
+
+    test('monthly periods start on the anchor day, reaching back into the previous month and year', () => {
+        expect(getPayPeriod('2024-01-15', monthlyFrom('2024-03-15'))).toEqual({ startDate: '2024-01-15', endDate: '2024-02-14' });
+        expect(getPayPeriod('2024-01-10', monthlyFrom('2024-03-15'))).toEqual({ startDate: '2023-12-15', endDate: '2024-01-14' });
+    });
+
+    test('monthly periods anchored late in the month start on the last day of shorter months', () => {
+        const endOfMonth = monthlyFrom('2024-01-31');
+        expect(getPayPeriod('2024-02-10', endOfMonth)).toEqual({ startDate: '2024-01-31', endDate: '2024-02-28' });
+        expect(getPayPeriod('2024-02-29', endOfMonth)).toEqual({ startDate: '2024-02-29', endDate: '2024-03-30' });
+        expect(getPayPeriod('2024-03-31', endOfMonth)).toEqual({ startDate: '2024-03-31', endDate: '2024-04-29' });
+    });
+
+    test('falls back to the default anchor and to weekly periods', () => {
+        expect(getPayPeriod('2024-06-12', { type: 'weekly', anchorDate: '' })).toEqual({ startDate: '2024-06-10', endDate: '2024-06-16' });
+        expect(getPayPeriod('2024-06-12', { type: 'fortnightly', anchorDate: '2024-01-03' })).toEqual({ startDate: '2024-06-12', endDate: '2024-06-18' });
+    });
+});
+
+describe('shiftPayPeriod', () => {
+    test('moves to the neighbouring periods', () => {
+        expect(shiftPayPeriod('2024-06-10', '2024-06-16', 1, weekly)).toEqual({ startDate: '2024-06-17', endDate: '2024-06-23' });
+        expect(shiftPayPeriod('2024-03-01', '2024-03-15', -1, semiMonthly)).toEqual({ startDate: '2024-02-16', endDate: '2024-02-29' });
+        expect(shiftPayPeriod('2024-01-31', '2024-02-28', 1, monthlyFrom('2024-01-31'))).toEqual({ startDate: '2024-02-29', endDate: '2024-03-30' });
+    });
+});
+
+describe('getPayPeriodLabel', () => {
+    test('names the period type', () => {
+        expect(getPayPeriodLabel(semiMonthly)).toBe('Semi-Monthly');
+        expect(getPayPeriodLabel({ type: 'unknown' })).toBe('Weekly');
+    });
+});
@@ -0,0 +1,172 @@
+// Exports of paid hours in the layouts payroll systems import, so nothing has to be re-keyed
+// from the timesheet CSV. Every exporter takes the same lines: one per day and pay category
+// with hours, tagged with the payroll system's earnings code for that category. Exporters
+// only lay those lines out; add one by describing it below and listing it in PAYROLL_EXPORTERS.
+//
+// Settings are { format, adpCompanyCode, adpBatchId, earningsCodes: { [exporterId]: { [payCategory]: code } } }.
+// A category with hours but no earnings code stops the export, so hours are never dropped silently.
+
+import { COMPANY_NAME } from './company';
+import { getDatesInRange } from './crewSummary';
+import { toCsv } from './csv';
+import { calculatePayBreakdown, createEmptyBreakdown, PAY_CATEGORIES } from './payCalculations';
+import { hasJobData } from './timesheetModel';
+import { formatDecimalHours } from './timeCalculations';
+import schema from './payrollExportSchema.json';
+
+export const PAYROLL_EXPORT_SCHEMA = schema;
+
+// QuickBooks Desktop time activities (File > Utilities > Import > IIF Files). Each line is a
+// TIMEACT for the employee named exactly as in QuickBooks, with the earnings code as its payroll
+// item. A day with one job number is put on that customer:job; otherwise the jobs go in the note.
+const quickBooksIifExporter = {
+    id: 'quickbooks',
+    label: 'QuickBooks Desktop (IIF time activities)',
+    extension: 'iif',
+    mimeType: 'text/plain;charset=utf-8',
+    defaultEarningsCodes: { regular: 'Hourly Regular', overtime: 'Hourly Overtime', doubleTime: 'Hourly Double Time', onCallPremium: 'On-Call Premium' },
+    build: (data) => {
+        // IIF fields are tab-separated, so tabs and line breaks inside values are replaced
+        const field = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+        const formatDate = (date) => {
+            const [year, month, day] = date.split('-');
+            return `${month}/${day}/${year}`;
+        };
+        const formatDuration = (minutes) => `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+        const rows = [
+            ['!TIMEACT', 'DATE', 'JOB', 'EMP', 'ITEM', 'PITEM', 'DURATION', 'PROJ', 'NOTE', 'XFERTOPAYROLL', 'BILLINGSTATUS'],
+            ...data.lines.map(line => [
+                'TIMEACT',
+                formatDate(line.date),
+                line.jobNumbers.length === 1 ? line.jobNumbers[0] : '',
+                data.employee.name,
+                '',
+                line.earningsCode,
+                formatDuration(line.minutes),
+                '',
+                line.jobNumbers.length > 1 ? `Jobs ${line.jobNumbers.join(', ')}` : '',
+                'Y',
+                '0',
+            ]),
+        ];
+        return rows.map(row => row.map(field).join('\t')).join('\r\n') + '\r\n';
+    },
+};
+
+// Earnings import in the style of ADP's payroll batch files: one row per day and earnings code,
+// keyed by company code, batch and the employee's file number (their payroll ID)
+const adpCsvExporter = {
+    id: 'adp',
+    label: 'ADP-style earnings CSV',
+    extension: 'csv',
+    mimeType: 'text/csv;charset=utf-8',
+    defaultEarningsCodes: { regular: 'REG', overtime: 'OT', doubleTime: 'DT', onCallPremium: 'ONC' },
+    validate: (data) => (data.employee.payrollId ? null : `Set ${data.employee.name || 'the employee'}'s payroll ID (the ADP file number) under Settings > Crew Roster.`),
+    build: (data, settings) => toCsv([
+        ['Co Code', 'Batch ID', 'File #', 'Employee Name', 'Work Date', 'Earnings Code', 'Hours'],
+        ...data.lines.map(line => [
+            settings.adpCompanyCode || '',
+            settings.adpBatchId || '',
+            data.employee.payrollId,
+            data.employee.name,
+            line.date,
+            line.earningsCode,
+            formatDecimalHours(line.minutes),
+        ]),
+    ]),
+};
+
+// The lines as JSON, described by payrollExportSchema.json, for systems with their own importer
+const jsonExporter = {
+    id: 'json',
+    label: 'JSON (documented schema)',
+    extension: 'json',
+    mimeType: 'application/json',
+    defaultEarningsCodes: { regular: 'regular', overtime: 'overtime', doubleTime: 'doubleTime', onCallPremium: 'onCallPremium' },
+    build: (data) => JSON.stringify(buildPayrollJson(data), null, 2),
+};
+
+export const PAYROLL_EXPORTERS = [quickBooksIifExporter, adpCsvExporter, jsonExporter];
+
+export const getPayrollExporter = (id) => PAYROLL_EXPORTERS.find(exporter => exporter.id === id) || adpCsvExporter;
+
+export const DEFAULT_PAYROLL_EXPORT_SETTINGS = {
+    format: 'adp',
+    adpCompanyCode: '',
+    adpBatchId: '',
+    earningsCodes: Object.fromEntries(PAYROLL_EXPORTERS.map(exporter => [exporter.id, { ...exporter.defaultEarningsCodes }])),
+};
+
+// Saved settings with any exporter or pay category added since they were saved
+export const mergePayrollExportSettings = (saved = {}) => ({
+    ...DEFAULT_PAYROLL_EXPORT_SETTINGS,
+    ...saved,
+    earningsCodes: Object.fromEntries(PAYROLL_EXPORTERS.map(exporter => [
+        exporter.id,
+        { ...exporter.defaultEarningsCodes, ...saved.earningsCodes?.[exporter.id] },
+    ])),
+});
+
+const roundHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+// The paid lines of an employee's days in the range: { employee, startDate, endDate, earningsCodes, lines }.
+// Throws an Error with a message for the user when a category with hours has no earnings code.
+export const buildPayrollLines = ({ employee, startDate, endDate, weeklyData, payRules, earningsCodes }) => {
+    const dates = getDatesInRange(weeklyData, startDate, endDate);
+    const pay = calculatePayBreakdown(weeklyData, dates, payRules);
+    const lines = [];
+    dates.forEach(date => {
+        const jobNumbers = [...new Set((weeklyData[date].jobs || []).filter(hasJobData).map(job => (job.jobNumber || '').trim()).filter(Boolean))];
+        PAY_CATEGORIES.forEach(category => {
+            const minutes = pay.days[date][category.key];
+            if (!minutes) return;
+            const earningsCode = (earningsCodes[category.key] || '').trim();
+            if (!earningsCode) {
+                throw new Error(`Set the earnings code for ${category.label} hours under Settings > Payroll Export.`);
+            }
+            lines.push({ date, payCategory: category.key, earningsCode, minutes, jobNumbers });
+        });
+    });
+    return {
+        employee: {
+            id: employee.id,
+            name: employee.name || '',
+            payrollId: (employee.payrollId || '').trim(),
+            truckNumber: employee.defaultTruck || '',
+        },
+        startDate,
+        endDate,
+        earningsCodes,
+        lines,
+    };
+};
+
+// The JSON export's document (see payrollExportSchema.json)
+export const buildPayrollJson = (data, generatedAt = new Date().toISOString()) => {
+    const byPayCategory = createEmptyBreakdown();
+    data.lines.forEach(line => {
+        byPayCategory[line.payCategory] += line.minutes;
+    });
+    const minutes = data.lines.reduce((sum, line) => sum + line.minutes, 0);
+    return {
+        schemaVersion: 1,
+        generatedAt,
+        company: COMPANY_NAME,
+        employee: data.employee,
+        period: { startDate: data.startDate, endDate: data.endDate },
+        earningsCodes: Object.fromEntries(PAY_CATEGORIES.map(category => [category.key, data.earningsCodes[category.key] || ''])),
+        lines: data.lines.map(line => ({ ...line, hours: roundHours(line.minutes) })),
+        totals: { minutes, hours: roundHours(minutes), byPayCategory },
+    };
+};
+
+// Build an export file: { content, mimeType, extension }.
+// Throws an Error with a message for the user when the export can't be made.
+export const createPayrollExport = ({ settings, employee, startDate, endDate, weeklyData, payRules }) => {
+    const exporter = getPayrollExporter(settings.format);
+    const data = buildPayrollLines({ employee, startDate, endDate, weeklyData, payRules, earningsCodes: settings.earningsCodes[exporter.id] || {} });
+    const problem = exporter.validate ? exporter.validate(data) : null;
+    if (problem) throw new Error(problem);
+    if (data.lines.length === 0) throw new Error(`No paid hours between ${startDate} and ${endDate} to export.`);
+    return { content: exporter.build(data, settings), mimeType: exporter.mimeType, extension: exporter.extension };
+};
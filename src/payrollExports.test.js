@@ -0,0 +1,119 @@
+import { DEFAULT_PAY_RULES } from './payCalculations';
+import {
+    buildPayrollJson,
+    buildPayrollLines,
+    createPayrollExport,
+    DEFAULT_PAYROLL_EXPORT_SETTINGS,
+    mergePayrollExportSettings,
+    PAYROLL_EXPORT_SCHEMA,
+} from './payrollExports';
+import { makeDay, makeJob } from './testFixtures';
+
+const HOUR = 60;
+const day = (netHours, jobNumbers, isOnCall = false) => makeDay(jobNumbers.map(jobNumber => makeJob({ jobNumber, travelStartTime: '07:00', travelHomeTime: '12:00' })), { netHours, isOnCall });
+
+const employee = { id: 'e1', name: 'Sam Lee', defaultTruck: 'T-7', payrollId: '001234' };
+const weeklyData = {
+    '2024-06-10': day(10 * HOUR, ['J-100', 'J-101', 'J-100']), // Monday: 8 regular, 2 overtime
+    '2024-06-11': day(2 * HOUR, ['J-200'], true), // On-call: 2 regular plus a 1 hour top-up
+    '2024-06-16': day(4 * HOUR, ['J-300']), // Sunday: double time
+    '2024-06-17': day(8 * HOUR, ['J-400']), // Outside the range
+};
+
+const exportAs = (format, settings = {}) => createPayrollExport({
+    settings: { ...DEFAULT_PAYROLL_EXPORT_SETTINGS, format, ...settings },
+    employee,
+    startDate: '2024-06-10',
+    endDate: '2024-06-16',
+    weeklyData,
+    payRules: DEFAULT_PAY_RULES,
+});
+
+describe('buildPayrollLines', () => {
+    test('has a line per day and pay category with hours, tagged with its earnings code', () => {
+        const data = buildPayrollLines({
+            employee,
+            startDate: '2024-06-10',
+            endDate: '2024-06-16',
+            weeklyData,
+            payRules: DEFAULT_PAY_RULES,
+            earningsCodes: DEFAULT_PAYROLL_EXPORT_SETTINGS.earningsCodes.adp,
+        });
+
+        expect(data.lines).toEqual([
+            { date: '2024-06-10', payCategory: 'regular', earningsCode: 'REG', minutes: 8 * HOUR, jobNumbers: ['J-100', 'J-101'] },
+            { date: '2024-06-10', payCategory: 'overtime', earningsCode: 'OT', minutes: 2 * HOUR, jobNumbers: ['J-100', 'J-101'] },
+            { date: '2024-06-11', payCategory: 'regular', earningsCode: 'REG', minutes: 2 * HOUR, jobNumbers: ['J-200'] },
+            { date: '2024-06-11', payCategory: 'onCallPremium', earningsCode: 'ONC', minutes: 1 * HOUR, jobNumbers: ['J-200'] },
+            { date: '2024-06-16', payCategory: 'doubleTime', earningsCode: 'DT', minutes: 4 * HOUR, jobNumbers: ['J-300'] },
+        ]);
+    });
+
+    test('stops when a category with hours has no earnings code', () => {
+        expect(() => exportAs('adp', { earningsCodes: { adp: { ...DEFAULT_PAYROLL_EXPORT_SETTINGS.earningsCodes.adp, overtime: ' ' } } }))
+            .toThrow('Set the earnings code for Overtime hours under Settings > Payroll Export.');
+    });
+});
+
+describe('QuickBooks IIF export', () => {
+    test('writes a tab-separated time activity per line, on the job when the day has one', () => {
+        const { content, extension } = exportAs('quickbooks');
+        const rows = content.trimEnd().split('\r\n').map(row => row.split('\t'));
+
+        expect(extension).toBe('iif');
+        expect(rows[0]).toEqual(['!TIMEACT', 'DATE', 'JOB', 'EMP', 'ITEM', 'PITEM', 'DURATION', 'PROJ', 'NOTE', 'XFERTOPAYROLL', 'BILLINGSTATUS']);
+        expect(rows[1]).toEqual(['TIMEACT', '06/10/2024', '', 'Sam Lee', '', 'Hourly Regular', '8:00', '', 'Jobs J-100, J-101', 'Y', '0']);
+        expect(rows[5]).toEqual(['TIMEACT', '06/16/2024', 'J-300', 'Sam Lee', '', 'Hourly Double Time', '4:00', '', '', 'Y', '0']);
+        expect(rows).toHaveLength(6);
+    });
+});
+
+describe('ADP-style CSV export', () => {
+    test('writes a row per day and earnings code under the company code and file number', () => {
+        const { content } = exportAs('adp', { adpCompanyCode: 'PAM', adpBatchId: '24' });
+
+        expect(content.split('\r\n').slice(0, 3)).toEqual([
+            'Co Code,Batch ID,File #,Employee Name,Work Date,Earnings Code,Hours',
+            'PAM,24,001234,Sam Lee,2024-06-10,REG,8.00',
+            'PAM,24,001234,Sam Lee,2024-06-10,OT,2.00',
+        ]);
+    });
+
+    test('needs the employee\'s payroll ID', () => {
+        expect(() => createPayrollExport({
+            settings: DEFAULT_PAYROLL_EXPORT_SETTINGS,
+            employee: { ...employee, payrollId: '' },
+            startDate: '2024-06-10',
+            endDate: '2024-06-16',
+            weeklyData,
+            payRules: DEFAULT_PAY_RULES,
+        })).toThrow("Set Sam Lee's payroll ID (the ADP file number) under Settings > Crew Roster.");
+    });
+});
+
+describe('JSON export', () => {
+    test('has every field the schema requires, with totals per pay category', () => {
+        const document = JSON.parse(exportAs('json').content);
+
+        PAYROLL_EXPORT_SCHEMA.required.forEach(field => expect(document).toHaveProperty(field));
+        PAYROLL_EXPORT_SCHEMA.properties.lines.items.required.forEach(field => expect(document.lines[0]).toHaveProperty(field));
+        expect(Object.keys(document).sort()).toEqual(Object.keys(PAYROLL_EXPORT_SCHEMA.properties).sort());
+        expect(document.employee).toEqual({ id: 'e1', name: 'Sam Lee', payrollId: '001234', truckNumber: 'T-7' });
+        expect(document.lines[1]).toMatchObject({ payCategory: 'overtime', earningsCode: 'overtime', hours: 2 });
+        expect(document.totals).toEqual({ minutes: 17 * HOUR, hours: 17, byPayCategory: { regular: 10 * HOUR, overtime: 2 * HOUR, doubleTime: 4 * HOUR, onCallPremium: 1 * HOUR } });
+    });
+
+    test('rounds hours to two decimals', () => {
+        const data = { employee, startDate: '2024-06-10', endDate: '2024-06-10', earningsCodes: {}, lines: [{ date: '2024-06-10', payCategory: 'regular', earningsCode: 'REG', minutes: 100, jobNumbers: [] }] };
+        expect(buildPayrollJson(data, '2024-06-17T00:00:00.000Z').lines[0].hours).toBe(1.67);
+    });
+});
+
+describe('mergePayrollExportSettings', () => {
+    test('keeps saved codes and fills in the rest from the defaults', () => {
+        const merged = mergePayrollExportSettings({ format: 'quickbooks', earningsCodes: { adp: { overtime: 'OT1' } } });
+        expect(merged.format).toBe('quickbooks');
+        expect(merged.earningsCodes.adp).toEqual({ regular: 'REG', overtime: 'OT1', doubleTime: 'DT', onCallPremium: 'ONC' });
+        expect(merged.earningsCodes.json).toEqual(DEFAULT_PAYROLL_EXPORT_SETTINGS.earningsCodes.json);
+    });
+});
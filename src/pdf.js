@@ -0,0 +1,129 @@
+// Minimal PDF 1.4 writer for printable documents made on the device.
+// Pages are US Letter and hold text in the standard Helvetica fonts, lines, strokes and filled
+// boxes. Standard fonts are built into every PDF viewer, so nothing is embedded or fetched.
+// Coordinates are points measured from the top-left corner of the page; PDF itself measures
+// from the bottom-left, so the writer flips y.
+
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+// Average Helvetica character width as a fraction of the font size, for fitting text to a column
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+// The standard fonts use WinAnsiEncoding; anything outside printable Latin-1 is shown as '?'
+const toWinAnsi = (text) => String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escapeText = (text) => toWinAnsi(text).replace(/[\\()]/g, '\\$&');
+
+// Shorten text so it fits in the given width at the given font size
+export const fitText = (text, width, size) => {
+    const value = String(text || '');
+    const maxChars = Math.floor(width / (size * AVERAGE_CHAR_WIDTH));
+    if (value.length <= maxChars) return value;
+    return maxChars > 3 ? `${value.slice(0, maxChars - 3)}...` : value.slice(0, maxChars);
+};
+
+// Start a new document. Drawing calls go to the current page; call addPage() first.
+export const createPdfDocument = ({ title = '' } = {}) => {
+    const pages = [];
+    let currentPage = null;
+
+    const draw = (operators) => {
+        currentPage.push(operators);
+    };
+
+    const doc = {
+        addPage: () => {
+            currentPage = [];
+            pages.push(currentPage);
+            return doc;
+        },
+
+        // Draw on an earlier page again, e.g. to add "Page 1 of 3" once the page count is known
+        setPage: (index) => {
+            currentPage = pages[index];
+            return doc;
+        },
+
+        getPageCount: () => pages.length,
+
+        // Text with its baseline at y
+        text: (x, y, text, { size = 10, bold = false } = {}) => {
+            draw(`BT /${bold ? FONTS.bold : FONTS.regular} ${size} Tf ${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y)} Td (${escapeText(text)}) Tj ET`);
+            return doc;
+        },
+
+        line: (x1, y1, x2, y2, { width = 0.5 } = {}) => {
+            draw(`${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`);
+            return doc;
+        },
+
+        // Connected line through the points, with round ends and joins (used for signatures)
+        polyline: (points, { width = 1 } = {}) => {
+            if (points.length === 0) return doc;
+            // A single point is drawn as a dot
+            const path = (points.length === 1 ? [points[0], points[0]] : points)
+                .map((point, index) => `${formatNumber(point.x)} ${formatNumber(PAGE_HEIGHT - point.y)} ${index === 0 ? 'm' : 'l'}`)
+                .join(' ');
+            draw(`q 1 J 1 j ${formatNumber(width)} w ${path} S Q`);
+            return doc;
+        },
+
+        // Box filled with a shade of grey (0 is black, 1 is white)
+        fillRect: (x, y, width, height, { gray = 0.9 } = {}) => {
+            draw(`q ${gray} g ${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y - height)} ${formatNumber(width)} ${formatNumber(height)} re f Q`);
+            return doc;
+        },
+
+        // The finished file as a string of single-byte characters (see pdfToBytes)
+        output: () => {
+            const objects = [];
+            const addObject = (body) => {
+                objects.push(body);
+                return objects.length;
+            };
+
+            const catalogId = addObject(null); // Filled in once the page tree id is known
+            const pagesId = addObject(null);
+            const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+            const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+            const infoId = addObject(`<< /Title (${escapeText(title)}) /Producer (Pro-Air Timesheet) >>`);
+            const pageIds = pages.map(operators => {
+                const content = operators.join('\n');
+                const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+                return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /${FONTS.regular} ${regularFontId} 0 R /${FONTS.bold} ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+            });
+            objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+            objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+            let file = '%PDF-1.4\n';
+            const offsets = objects.map((body, index) => {
+                const offset = file.length;
+                file += `${index + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+            const xrefOffset = file.length;
+            file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            offsets.forEach(offset => {
+                file += `${String(offset).padStart(10, '0')} 00000 n \n`;
+            });
+            file += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+            return file;
+        },
+    };
+
+    return doc;
+};
+
+// Bytes of a PDF built by output(); every character is a single byte
+export const pdfToBytes = (file) => {
+    const bytes = new Uint8Array(file.length);
+    for (let i = 0; i < file.length; i++) {
+        bytes[i] = file.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+};
@@ -0,0 +1,65 @@
+import { createPdfDocument, fitText, pdfToBytes } from './pdf';
+
+// Check every cross-reference entry points at the start of its object
+const expectValidXref = (file) => {
+    const xrefOffset = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(file)[1]);
+    expect(file.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+    const [, count] = /^xref\n0 (\d+)\n/.exec(file.slice(xrefOffset));
+    const entries = file.slice(xrefOffset).split('\n').slice(3, 2 + Number(count));
+    entries.forEach((entry, index) => {
+        expect(entry).toMatch(/^\d{10} 00000 n $/);
+        expect(file.slice(Number(entry.slice(0, 10))).startsWith(`${index + 1} 0 obj\n`)).toBe(true);
+    });
+};
+
+describe('createPdfDocument', () => {
+    test('writes a PDF with a valid cross-reference table', () => {
+        const doc = createPdfDocument({ title: 'Test' });
+        doc.addPage().text(40, 40, 'Hello').line(40, 50, 200, 50);
+        doc.addPage().fillRect(40, 40, 100, 20).polyline([{ x: 40, y: 100 }, { x: 60, y: 110 }]);
+        const file = doc.output();
+
+        expect(file.startsWith('%PDF-1.4\n')).toBe(true);
+        expect(file).toContain('/Count 2');
+        expect(file).toContain('BT /F1 10 Tf 40 752 Td (Hello) Tj ET');
+        expect(file).toContain('40 692 m 60 682 l S');
+        expectValidXref(file);
+    });
+
+    test('gives each content stream its exact length', () => {
+        const doc = createPdfDocument();
+        doc.addPage().text(10, 10, 'Café (north) \\ yard', { bold: true });
+        const file = doc.output();
+        const [, length, content] = /<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/.exec(file);
+        expect(content.length).toBe(Number(length));
+        expect(content).toContain('(Café \\(north\\) \\\\ yard)');
+        expect(content).toContain('/F2');
+    });
+
+    test('replaces characters the standard fonts cannot show', () => {
+        const doc = createPdfDocument();
+        doc.addPage().text(10, 10, 'Crew — \u{1F69A}');
+        const file = doc.output();
+        expect(file).toContain('(Crew ? ??)');
+        expect(Array.from(pdfToBytes(file)).every(byte => byte < 256)).toBe(true);
+        expectValidXref(file);
+    });
+
+    test('draws on an earlier page after more pages were added', () => {
+        const doc = createPdfDocument();
+        doc.addPage();
+        doc.addPage();
+        doc.setPage(0).text(10, 10, 'First page footer');
+        const streams = doc.output().match(/stream\n[\s\S]*?\nendstream/g);
+        expect(streams[0]).toContain('First page footer');
+        expect(streams[1]).not.toContain('First page footer');
+    });
+});
+
+describe('fitText', () => {
+    test('shortens text that is too wide for its column', () => {
+        expect(fitText('Short', 100, 10)).toBe('Short');
+        expect(fitText('A very long job location name', 60, 10)).toBe('A very lo...');
+        expect(fitText(undefined, 60, 10)).toBe('');
+    });
+});
@@ -0,0 +1,64 @@
+// Emailing the daily or weekly report through the timesheet server's SMTP relay (see
+// server/src/mailer.js), with the report's CSV and PDF attached. Unlike a mailto: link the
+// whole report arrives, and each send is logged on its pay period (see recordReportEmail in
+// src/approvals.js).
+//
+// Settings are the addresses the report goes to: { to, cc }, each a list separated by commas,
+// semicolons or spaces, with cc normally the supervisor.
+
+import { requestServer } from './serverSync';
+
+export const DEFAULT_REPORT_EMAIL_SETTINGS = {
+    to: '',
+    cc: '',
+};
+
+const EMAIL_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+
+// Split a typed list of addresses: { addresses, invalid }
+export const parseEmailList = (text) => {
+    const entries = (text || '').split(/[\s,;]+/).filter(Boolean);
+    return {
+        addresses: [...new Set(entries.filter(entry => EMAIL_PATTERN.test(entry)))],
+        invalid: entries.filter(entry => !EMAIL_PATTERN.test(entry)),
+    };
+};
+
+// The recipients of a report email, or an Error with a message for the user
+export const getReportRecipients = (settings) => {
+    const to = parseEmailList(settings.to);
+    const cc = parseEmailList(settings.cc);
+    const invalid = [...to.invalid, ...cc.invalid];
+    if (invalid.length > 0) {
+        throw new Error(`These are not email addresses: ${invalid.join(', ')}`);
+    }
+    if (to.addresses.length === 0) {
+        throw new Error('Enter at least one recipient email address.');
+    }
+    return { to: to.addresses, cc: cc.addresses.filter(address => !to.addresses.includes(address)) };
+};
+
+// A file's contents as base64, for sending as an attachment
+export const blobToBase64 = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+// Subject line of a report email
+export const getReportEmailSubject = ({ kind, periodLabel, employeeName, startDate, endDate }) => {
+    return kind === 'daily'
+        ? `Daily Timesheet Report - ${employeeName || 'N/A'} - ${startDate}`
+        : `${periodLabel} Timesheet Report - ${employeeName || 'N/A'} - ${startDate} to ${endDate}`;
+};
+
+// Send a report email; files are [{ filename, blob }]. Resolves to the server's { sentAt, ... }.
+export const sendReportEmail = async (connection, { to, cc, subject, text, files }, options) => {
+    const attachments = await Promise.all(files.map(async ({ filename, blob }) => ({
+        filename,
+        contentType: blob.type.split(';')[0],
+        content: await blobToBase64(blob),
+    })));
+    return requestServer(connection, 'POST', '/reports/email', { ...options, body: { to, cc, subject, text, attachments } });
+};
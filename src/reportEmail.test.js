@@ -0,0 +1,60 @@
+import { getReportEmailSubject, getReportRecipients, parseEmailList, sendReportEmail } from './reportEmail';
+
+describe('parseEmailList', () => {
+    test('splits on commas, semicolons and spaces and sets aside entries that are not addresses', () => {
+        expect(parseEmailList('payroll@office.com; office@office.com,  pat@office.com payroll@office.com nobody')).toEqual({
+            addresses: ['payroll@office.com', 'office@office.com', 'pat@office.com'],
+            invalid: ['nobody'],
+        });
+        expect(parseEmailList('')).toEqual({ addresses: [], invalid: [] });
+    });
+});
+
+describe('getReportRecipients', () => {
+    test('returns the recipients and the CC, leaving out anyone already in To', () => {
+        expect(getReportRecipients({ to: 'payroll@office.com', cc: 'pat@office.com, payroll@office.com' })).toEqual({
+            to: ['payroll@office.com'],
+            cc: ['pat@office.com'],
+        });
+    });
+
+    test('needs a recipient and only addresses', () => {
+        expect(() => getReportRecipients({ to: '', cc: 'pat@office.com' })).toThrow('Enter at least one recipient email address.');
+        expect(() => getReportRecipients({ to: 'payroll@office.com', cc: 'pat' })).toThrow('These are not email addresses: pat');
+    });
+});
+
+describe('getReportEmailSubject', () => {
+    test('names the report, employee and dates', () => {
+        expect(getReportEmailSubject({ kind: 'daily', employeeName: 'Sam', startDate: '2024-06-10', endDate: '2024-06-10' }))
+            .toBe('Daily Timesheet Report - Sam - 2024-06-10');
+        expect(getReportEmailSubject({ kind: 'weekly', periodLabel: 'Biweekly', employeeName: '', startDate: '2024-06-10', endDate: '2024-06-23' }))
+            .toBe('Biweekly Timesheet Report - N/A - 2024-06-10 to 2024-06-23');
+    });
+});
+
+describe('sendReportEmail', () => {
+    test('posts the email to the server with its files in base64', async () => {
+        const fetchImpl = jest.fn().mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ sentAt: '2024-06-16T22:00:00.000Z' }) });
+        const connection = { url: 'https://office.example.com', token: 'sam-token' };
+
+        const result = await sendReportEmail(connection, {
+            to: ['payroll@office.com'],
+            cc: ['pat@office.com'],
+            subject: 'Daily Timesheet Report - Sam - 2024-06-10',
+            text: 'Report',
+            files: [{ filename: 'Sam.csv', blob: new Blob(['Date,Hours\r\n'], { type: 'text/csv;charset=utf-8' }) }],
+        }, { fetchImpl });
+
+        expect(result.sentAt).toBe('2024-06-16T22:00:00.000Z');
+        const [url, request] = fetchImpl.mock.calls[0];
+        expect(url).toBe('https://office.example.com/api/reports/email');
+        expect(JSON.parse(request.body)).toEqual({
+            to: ['payroll@office.com'],
+            cc: ['pat@office.com'],
+            subject: 'Daily Timesheet Report - Sam - 2024-06-10',
+            text: 'Report',
+            attachments: [{ filename: 'Sam.csv', contentType: 'text/csv', content: Buffer.from('Date,Hours\r\n').toString('base64') }],
+        });
+    });
+});
@@ -0,0 +1,156 @@
+// Report providers turn a report request into summary text.
+// A request has `instructions` (guidance for a language model), `body` (the timesheet
+// data as plain text), and the `template` and `view` the offline template provider renders
+// (see reportTemplates.js). HTTP providers describe how to build their request and read their
+// response; generateReportText runs the one shared request/parse/error path for all of them.
+
+import { renderTemplate } from './reportTemplates';
+
+export const DEFAULT_REPORT_PROVIDER_SETTINGS = {
+    provider: 'template',
+    gemini: {
+        baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        model: 'gemini-2.0-flash',
+        apiKey: '', // Supplied at runtime in settings; only saved when rememberApiKey is set
+        rememberApiKey: false,
+    },
+    openai: {
+        baseUrl: 'http://localhost:11434/v1', // Ollama default; llama.cpp server uses http://localhost:8080/v1
+        model: 'llama3',
+        apiKey: '',
+        rememberApiKey: false,
+    },
+};
+
+// Join the model instructions and the data into a single prompt
+export const buildPromptText = ({ instructions, body }) => `${instructions}\n\n${body}`;
+
+const geminiProvider = {
+    id: 'gemini',
+    label: 'Google Gemini',
+    validate: (config) => {
+        if (!config.apiKey) return 'Gemini API key is not set. Enter it under Settings > Report Provider.';
+        return null;
+    },
+    buildRequest: (config, request) => ({
+        url: `${config.baseUrl.replace(/\/+$/, '')}/models/${encodeURIComponent(config.model)}:generateContent`,
+        options: {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-goog-api-key': config.apiKey,
+            },
+            body: JSON.stringify({
+                contents: [{ role: 'user', parts: [{ text: buildPromptText(request) }] }],
+            }),
+        },
+    }),
+    parseResponse: (result) => result?.candidates?.[0]?.content?.parts?.[0]?.text || null,
+};
+
+// Any server exposing the OpenAI chat completions API (llama.cpp server, Ollama, etc.)
+const openAiCompatibleProvider = {
+    id: 'openai',
+    label: 'OpenAI-compatible (local server)',
+    validate: (config) => {
+        if (!config.baseUrl) return 'Local report server URL is not set. Enter it under Settings > Report Provider.';
+        return null;
+    },
+    buildRequest: (config, request) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) {
+            headers.Authorization = `Bearer ${config.apiKey}`;
+        }
+        return {
+            url: `${config.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+            options: {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: config.model,
+                    messages: [
+                        { role: 'system', content: request.instructions },
+                        { role: 'user', content: request.body },
+                    ],
+                    stream: false,
+                }),
+            },
+        };
+    },
+    parseResponse: (result) => result?.choices?.[0]?.message?.content || null,
+};
+
+// Render a request with its editable template; used by the template provider and as the
+// fallback when a network provider fails
+export const renderOfflineReport = (request) => {
+    const text = request.template && request.view ? renderTemplate(request.template, request.view) : request.body;
+    return text.trim();
+};
+
+// Deterministic, offline provider
+const templateProvider = {
+    id: 'template',
+    label: 'Built-in template (offline)',
+    render: renderOfflineReport,
+};
+
+export const REPORT_PROVIDERS = [templateProvider, geminiProvider, openAiCompatibleProvider];
+
+export const getReportProvider = (providerId) => {
+    return REPORT_PROVIDERS.find(provider => provider.id === providerId) || templateProvider;
+};
+
+// Generate report text with the provider chosen in settings.
+// Throws an Error with a user-facing message when the provider is misconfigured,
+// the request fails or the response has no text.
+export const generateReportText = async (settings, request) => {
+    const provider = getReportProvider(settings.provider);
+    if (provider.render) {
+        return provider.render(request);
+    }
+
+    const config = settings[provider.id] || {};
+    const configError = provider.validate(config);
+    if (configError) {
+        throw new Error(configError);
+    }
+
+    const { url, options } = provider.buildRequest(config, request);
+    const response = await fetch(url, options);
+    let result = null;
+    try {
+        result = await response.json();
+    } catch (e) {
+        result = null;
+    }
+
+    if (!response.ok) {
+        const detail = result?.error?.message || response.statusText || 'no details';
+        throw new Error(`${provider.label} request failed (HTTP ${response.status}): ${detail}`);
+    }
+
+    const text = provider.parseResponse(result);
+    if (!text) {
+        console.error(`${provider.label} response structure unexpected or empty content:`, result);
+        throw new Error('Unexpected API response structure or empty content.');
+    }
+    return text;
+};
+
+// Settings as they should be saved: API keys are dropped unless the user asked to remember them
+export const getPersistableProviderSettings = (settings) => {
+    const strip = (config) => (config.rememberApiKey ? config : { ...config, apiKey: '' });
+    return {
+        ...settings,
+        gemini: strip(settings.gemini),
+        openai: strip(settings.openai),
+    };
+};
+
+// Merge saved settings over the defaults so newly added fields are always present
+export const mergeProviderSettings = (saved) => ({
+    ...DEFAULT_REPORT_PROVIDER_SETTINGS,
+    ...saved,
+    gemini: { ...DEFAULT_REPORT_PROVIDER_SETTINGS.gemini, ...saved?.gemini },
+    openai: { ...DEFAULT_REPORT_PROVIDER_SETTINGS.openai, ...saved?.openai },
+});
@@ -0,0 +1,100 @@
+import {
+    DEFAULT_REPORT_PROVIDER_SETTINGS,
+    generateReportText,
+    getPersistableProviderSettings,
+    getReportProvider,
+    mergeProviderSettings,
+} from './reportProviders';
+import { jsonResponse } from './testFixtures';
+
+const request = { instructions: 'Summarise the day.', body: '  Job J-100: 5.00 hours  ' };
+
+const withProvider = (provider, config) => ({
+    ...DEFAULT_REPORT_PROVIDER_SETTINGS,
+    provider,
+    [provider]: { ...DEFAULT_REPORT_PROVIDER_SETTINGS[provider], ...config },
+});
+
+beforeEach(() => {
+    global.fetch = jest.fn();
+});
+
+afterEach(() => {
+    delete global.fetch;
+});
+
+describe('getReportProvider', () => {
+    test('falls back to the offline template provider', () => {
+        expect(getReportProvider('gemini').id).toBe('gemini');
+        expect(getReportProvider('retired-provider').id).toBe('template');
+    });
+});
+
+describe('generateReportText', () => {
+    test('renders the offline report without a request', async () => {
+        expect(await generateReportText(DEFAULT_REPORT_PROVIDER_SETTINGS, request)).toBe('Job J-100: 5.00 hours');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('asks Gemini with the key in a header and reads the first candidate', async () => {
+        global.fetch.mockReturnValue(jsonResponse(200, { candidates: [{ content: { parts: [{ text: 'All done.' }] } }] }));
+        const text = await generateReportText(withProvider('gemini', { apiKey: 'key-1', baseUrl: 'https://gemini.example.com/v1beta/' }), request);
+
+        expect(text).toBe('All done.');
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toBe('https://gemini.example.com/v1beta/models/gemini-2.0-flash:generateContent');
+        expect(options.headers['x-goog-api-key']).toBe('key-1');
+        expect(JSON.parse(options.body).contents[0].parts[0].text).toBe(`${request.instructions}\n\n${request.body}`);
+    });
+
+    test('sends the instructions as the system message to an OpenAI-compatible server', async () => {
+        global.fetch.mockReturnValue(jsonResponse(200, { choices: [{ message: { content: 'Local summary' } }] }));
+        const text = await generateReportText(withProvider('openai', { apiKey: 'local-key' }), request);
+
+        expect(text).toBe('Local summary');
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toBe('http://localhost:11434/v1/chat/completions');
+        expect(options.headers.Authorization).toBe('Bearer local-key');
+        expect(JSON.parse(options.body).messages).toEqual([
+            { role: 'system', content: request.instructions },
+            { role: 'user', content: request.body },
+        ]);
+    });
+
+    test('refuses a provider that is not set up', async () => {
+        await expect(generateReportText(withProvider('gemini', { apiKey: '' }), request)).rejects.toThrow('Gemini API key is not set');
+        await expect(generateReportText(withProvider('openai', { baseUrl: '' }), request)).rejects.toThrow('Local report server URL is not set');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('reports the status and message of a failed request', async () => {
+        global.fetch.mockReturnValue(jsonResponse(403, { error: { message: 'API key not valid' } }));
+        await expect(generateReportText(withProvider('gemini', { apiKey: 'bad' }), request))
+            .rejects.toThrow('Google Gemini request failed (HTTP 403): API key not valid');
+    });
+
+    test('rejects a reply without text', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        global.fetch.mockReturnValue(jsonResponse(200, { choices: [] }));
+        await expect(generateReportText(withProvider('openai'), request)).rejects.toThrow('Unexpected API response structure or empty content.');
+        consoleError.mockRestore();
+    });
+});
+
+describe('saved provider settings', () => {
+    test('only keeps the API keys the user asked to remember', () => {
+        const settings = withProvider('gemini', { apiKey: 'kept', rememberApiKey: true });
+        settings.openai = { ...settings.openai, apiKey: 'dropped' };
+        const saved = getPersistableProviderSettings(settings);
+        expect(saved.gemini.apiKey).toBe('kept');
+        expect(saved.openai.apiKey).toBe('');
+    });
+
+    test('fills in fields missing from older saved settings', () => {
+        const merged = mergeProviderSettings({ provider: 'openai', openai: { model: 'qwen2' } });
+        expect(merged.provider).toBe('openai');
+        expect(merged.openai).toEqual({ ...DEFAULT_REPORT_PROVIDER_SETTINGS.openai, model: 'qwen2' });
+        expect(merged.gemini).toEqual(DEFAULT_REPORT_PROVIDER_SETTINGS.gemini);
+        expect(mergeProviderSettings(undefined)).toEqual(DEFAULT_REPORT_PROVIDER_SETTINGS);
+    });
+});
@@ -0,0 +1,273 @@
+// Built-in text templates for the daily and weekly summaries.
+// Templates use a small Mustache-style syntax:
+//   {{field}}                      insert a value
+//   {{#list}}...{{/list}}          repeat for each item of a list, or show if a value is set
+//   {{^list}}...{{/list}}          show only if a list is empty or a value is not set
+// A section tag alone on its line does not leave a blank line behind. Rendering is pure,
+// so the same data always produces the same text.
+
+import { APPROVAL_STATUS_LABELS } from './approvals';
+import { formatDateTime } from './dateUtils';
+import { formatAppliedDeductions, summarizeDeductions } from './deductionRules';
+import { formatPayBreakdown } from './payCalculations';
+import { hasJobData } from './timesheetModel';
+import { formatDecimalHours, formatJobTime } from './timeCalculations';
+
+export const DEFAULT_DAILY_TEMPLATE = `Employee Name: {{employeeName}}
+Truck Number: {{truckNumber}}
+Date: {{date}}
+Day of Week: {{dayOfWeek}}
+On-Call Day: {{onCall}}
+
+Job Details:
+{{#jobs}}
+- Job Number: {{jobNumber}}
+  Location: {{jobLocation}}
+  Travel Start: {{travelStartTime}}
+  Work Start: {{workStartTime}}
+  Work Finish: {{workFinishTime}}
+  Travel Home Arrival: {{travelHomeTime}}
+  Total Time for Job: {{jobHours}} Hrs
+
+{{/jobs}}
+{{^jobs}}
+No job entries for this day.
+{{/jobs}}
+
+Summary for {{dayOfWeek}}, {{date}}:
+Total Hours for All Jobs: {{totalHours}} Hrs
+Net Working Hours: {{netHours}} Hrs
+Deductions Applied: {{deductions}}
+Pay Categories: {{payCategories}}
+{{#carriedInHours}}
+Includes {{carriedInHours}} Hrs after midnight from the previous day's overnight job(s).
+{{/carriedInHours}}
+`;
+
+export const DEFAULT_WEEKLY_TEMPLATE = `Employee Name: {{employeeName}}
+Truck Number: {{truckNumber}}
+Week of: {{startDate}} to {{endDate}}
+Approval Status: {{approvalStatus}}
+{{#reviewedBy}}
+{{approvalStatus}} By: {{reviewedBy}} on {{reviewedAt}}
+{{/reviewedBy}}
+{{#reviewerComment}}
+Reviewer Comment: {{reviewerComment}}
+{{/reviewerComment}}
+
+--- Daily Breakdown ---
+{{#days}}
+
+{{dayOfWeek}}, {{date}}:
+  Total Hours: {{totalHours}} Hrs
+  Net Working Hours: {{netHours}} Hrs
+  On-Call Day: {{onCall}}
+  Deductions Applied: {{deductions}}
+  Pay Categories: {{payCategories}}
+{{#carriedInHours}}
+  Includes {{carriedInHours}} Hrs after midnight from the previous day's overnight job(s)
+{{/carriedInHours}}
+{{#hasJobs}}
+  Jobs:
+{{/hasJobs}}
+{{#jobs}}
+    - Job Number: {{jobNumber}}
+      Location: {{jobLocation}}
+      Travel Start: {{travelStartTime}}
+      Work Start: {{workStartTime}}
+      Work Finish: {{workFinishTime}}
+      Travel Home Arrival: {{travelHomeTime}}
+      Total for job: {{jobHours}} Hrs
+{{/jobs}}
+{{^jobs}}
+  Jobs: No job entries recorded.
+{{/jobs}}
+{{/days}}
+{{^days}}
+No timesheet data entered for the selected week.
+{{/days}}
+
+--- Overall Weekly Summary ---
+Total Hours for the Week: {{totalHours}} Hrs
+Total Net Working Hours for the Week: {{netHours}} Hrs
+Total Deductions for the Week: {{deductions}}
+Pay Categories for the Week: {{payCategories}}
+`;
+
+export const DEFAULT_CREW_TEMPLATE = `Crew Weekly Summary
+Week of: {{startDate}} to {{endDate}}
+Crew Members: {{memberCount}}
+{{#members}}
+
+{{employeeName}} (Truck: {{truckNumber}}):
+  Days Worked: {{daysWorked}}
+  Total Hours: {{totalHours}} Hrs
+  Net Working Hours: {{netHours}} Hrs
+  Deductions Applied: {{deductions}}
+  Pay Categories: {{payCategories}}
+{{/members}}
+
+--- Crew Totals ---
+Total Hours for the Crew: {{totalHours}} Hrs
+Total Net Working Hours for the Crew: {{netHours}} Hrs
+Pay Categories for the Crew: {{payCategories}}
+`;
+
+export const DEFAULT_REPORT_TEMPLATES = {
+    daily: DEFAULT_DAILY_TEMPLATE,
+    weekly: DEFAULT_WEEKLY_TEMPLATE,
+    crew: DEFAULT_CREW_TEMPLATE,
+};
+
+// Fields available to templates, listed in the settings screen
+export const TEMPLATE_FIELDS = {
+    daily: ['employeeName', 'truckNumber', 'date', 'dayOfWeek', 'onCall', 'totalHours', 'netHours', 'deductions', 'payCategories', 'carriedInHours', 'hasJobs', '#jobs'],
+    weekly: ['employeeName', 'truckNumber', 'startDate', 'endDate', 'approvalStatus', 'reviewedBy', 'reviewedAt', 'reviewerComment', 'totalHours', 'netHours', 'deductions', 'payCategories', '#days'],
+    jobs: ['jobNumber', 'jobLocation', 'travelStartTime', 'workStartTime', 'workFinishTime', 'travelHomeTime', 'jobHours'],
+    days: ['date', 'dayOfWeek', 'onCall', 'totalHours', 'netHours', 'deductions', 'payCategories', 'carriedInHours', 'hasJobs', '#jobs'],
+    crew: ['startDate', 'endDate', 'memberCount', 'totalHours', 'netHours', 'payCategories', '#members'],
+    members: ['employeeName', 'truckNumber', 'daysWorked', 'totalHours', 'netHours', 'deductions', 'payCategories'],
+};
+
+const SECTION_PATTERN = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/;
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const STANDALONE_SECTION_TAG = /^[ \t]*(\{\{[#^/]\s*[\w.]+\s*\}\})[ \t]*\r?\n/gm;
+
+// Find a value in the innermost context that has it
+const lookup = (contextStack, name) => {
+    for (let i = contextStack.length - 1; i >= 0; i--) {
+        const context = contextStack[i];
+        if (context !== null && typeof context === 'object' && name in context) {
+            return context[name];
+        }
+    }
+    return undefined;
+};
+
+const isEmptyValue = (value) => {
+    return value === undefined || value === null || value === false || value === '' || (Array.isArray(value) && value.length === 0);
+};
+
+const renderWithContext = (template, contextStack) => {
+    let output = '';
+    let remaining = template;
+    let match = SECTION_PATTERN.exec(remaining);
+
+    while (match) {
+        const [whole, type, name, inner] = match;
+        output += renderVariables(remaining.slice(0, match.index), contextStack);
+
+        const value = lookup(contextStack, name);
+        if (type === '^') {
+            if (isEmptyValue(value)) {
+                output += renderWithContext(inner, contextStack);
+            }
+        } else if (Array.isArray(value)) {
+            for (const item of value) {
+                output += renderWithContext(inner, [...contextStack, item]);
+            }
+        } else if (!isEmptyValue(value)) {
+            const nextStack = typeof value === 'object' ? [...contextStack, value] : contextStack;
+            output += renderWithContext(inner, nextStack);
+        }
+
+        remaining = remaining.slice(match.index + whole.length);
+        match = SECTION_PATTERN.exec(remaining);
+    }
+
+    return output + renderVariables(remaining, contextStack);
+};
+
+const renderVariables = (text, contextStack) => {
+    return text.replace(VARIABLE_PATTERN, (tag, name) => {
+        const value = lookup(contextStack, name);
+        return isEmptyValue(value) ? '' : String(value);
+    });
+};
+
+// Render a template with the given data
+export const renderTemplate = (template, view) => {
+    const normalized = (template || '').replace(STANDALONE_SECTION_TAG, '$1');
+    return renderWithContext(normalized, [view]);
+};
+
+const buildJobView = (job) => ({
+    jobNumber: job.jobNumber || 'N/A',
+    jobLocation: job.jobLocation || 'N/A',
+    travelStartTime: formatJobTime(job, 'travelStartTime') || 'N/A',
+    workStartTime: formatJobTime(job, 'workStartTime') || 'N/A',
+    workFinishTime: formatJobTime(job, 'workFinishTime') || 'N/A',
+    travelHomeTime: formatJobTime(job, 'travelHomeTime') || 'N/A',
+    jobHours: formatDecimalHours(job.totalTimeWorkedMinutes),
+});
+
+const buildDayView = (date, dayData, payBreakdown) => {
+    const jobs = (dayData?.jobs || []).filter(hasJobData).map(buildJobView);
+    return {
+        date,
+        dayOfWeek: dayData?.dayOfWeek || '',
+        onCall: dayData?.isOnCall ? 'Yes' : 'No',
+        totalHours: formatDecimalHours(dayData?.totalHours || 0),
+        netHours: formatDecimalHours(dayData?.netHours || 0),
+        deductions: formatAppliedDeductions(dayData?.appliedDeductions),
+        payCategories: formatPayBreakdown(payBreakdown),
+        carriedInHours: dayData?.carriedInMinutes > 0 ? formatDecimalHours(dayData.carriedInMinutes) : '',
+        hasJobs: jobs.length > 0,
+        jobs,
+    };
+};
+
+// Data for the daily template
+export const buildDailyReportView = ({ employeeName, truckNumber, date, dayData, payBreakdown }) => ({
+    employeeName: employeeName || 'N/A',
+    truckNumber: truckNumber || 'N/A',
+    ...buildDayView(date || 'N/A', dayData, payBreakdown),
+});
+
+// Data for the weekly template; `dates` are the sorted dates with data in the report range
+// and `approval` is the period's approval record (see approvals.js)
+export const buildWeeklyReportView = ({ employeeName, truckNumber, startDate, endDate, weeklyData, dates, weeklyPay, approval }) => {
+    const totalMinutes = dates.reduce((sum, date) => sum + (weeklyData[date]?.totalHours || 0), 0);
+    const netMinutes = dates.reduce((sum, date) => sum + (weeklyData[date]?.netHours || 0), 0);
+    return {
+        employeeName: employeeName || 'N/A',
+        truckNumber: truckNumber || 'N/A',
+        startDate,
+        endDate,
+        approvalStatus: APPROVAL_STATUS_LABELS[approval?.status || 'draft'],
+        reviewedBy: approval?.reviewedBy || '',
+        reviewedAt: approval?.reviewedAt ? formatDateTime(approval.reviewedAt) : '',
+        reviewerComment: approval?.comment || '',
+        days: dates.map(date => buildDayView(date, weeklyData[date], weeklyPay.days[date])),
+        totalHours: formatDecimalHours(totalMinutes),
+        netHours: formatDecimalHours(netMinutes),
+        deductions: formatAppliedDeductions(summarizeDeductions(dates.map(date => weeklyData[date]))),
+        payCategories: formatPayBreakdown(weeklyPay.totals),
+    };
+};
+
+// Data for the crew template, from buildCrewSummary
+export const buildCrewReportView = ({ startDate, endDate, crew }) => ({
+    startDate,
+    endDate,
+    memberCount: crew.members.length,
+    members: crew.members.map(member => ({
+        employeeName: member.employeeName,
+        truckNumber: member.truckNumber || 'N/A',
+        daysWorked: member.daysWorked,
+        totalHours: formatDecimalHours(member.totalMinutes),
+        netHours: formatDecimalHours(member.netMinutes),
+        deductions: formatAppliedDeductions(summarizeDeductions(member.dates.map(date => member.weeklyData[date]))),
+        payCategories: formatPayBreakdown(member.weeklyPay.totals),
+    })),
+    totalHours: formatDecimalHours(crew.totals.totalMinutes),
+    netHours: formatDecimalHours(crew.totals.netMinutes),
+    payCategories: formatPayBreakdown(crew.totals.pay),
+});
+
+// Merge saved templates over the defaults; a blank template falls back to the default
+export const mergeReportTemplates = (saved) => ({
+    daily: saved?.daily || DEFAULT_DAILY_TEMPLATE,
+    weekly: saved?.weekly || DEFAULT_WEEKLY_TEMPLATE,
+    crew: saved?.crew || DEFAULT_CREW_TEMPLATE,
+});
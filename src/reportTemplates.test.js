@@ -0,0 +1,246 @@
+import { buildCrewSummary } from './crewSummary';
+import { DEFAULT_DEDUCTION_RULES } from './deductionRules';
+import { recalculateDates } from './dayTotals';
+import { calculatePayBreakdown, DEFAULT_PAY_RULES } from './payCalculations';
+import {
+    buildCrewReportView,
+    buildDailyReportView,
+    buildWeeklyReportView,
+    DEFAULT_CREW_TEMPLATE,
+    DEFAULT_DAILY_TEMPLATE,
+    DEFAULT_WEEKLY_TEMPLATE,
+    mergeReportTemplates,
+    renderTemplate,
+} from './reportTemplates';
+import { makeDay, makeJob } from './testFixtures';
+
+const dates = ['2024-06-10', '2024-06-11'];
+
+// Monday: a day job, and a night job running past midnight into Tuesday. Tuesday: a short job.
+const weeklyData = recalculateDates({
+    '2024-06-10': makeDay([
+        makeJob({ id: 'a', jobNumber: 'J-100', jobLocation: 'Main St', travelStartTime: '07:00', workStartTime: '07:30', workFinishTime: '11:30', travelHomeTime: '12:00' }),
+        makeJob({ id: 'b', jobNumber: 'J-101', travelStartTime: '22:00', travelHomeTime: '02:00' }),
+        makeJob({ id: 'blank' }),
+    ], { dayOfWeek: 'Monday' }),
+    '2024-06-11': makeDay([makeJob({ id: 'c', jobNumber: 'J-200', jobLocation: 'Depot', travelStartTime: '08:00', travelHomeTime: '10:00' })], { dayOfWeek: 'Tuesday' }),
+}, dates, DEFAULT_DEDUCTION_RULES);
+
+const weeklyPay = calculatePayBreakdown(weeklyData, dates, DEFAULT_PAY_RULES);
+
+describe('default templates', () => {
+    test('render the daily report', () => {
+        const view = buildDailyReportView({ employeeName: 'Sam Lee', truckNumber: 'T-7', date: '2024-06-11', dayData: weeklyData['2024-06-11'], payBreakdown: weeklyPay.days['2024-06-11'] });
+        expect(renderTemplate(DEFAULT_DAILY_TEMPLATE, view)).toBe(`Employee Name: Sam Lee
+Truck Number: T-7
+Date: 2024-06-11
+Day of Week: Tuesday
+On-Call Day: No
+
+Job Details:
+- Job Number: J-200
+  Location: Depot
+  Travel Start: 08:00
+  Work Start: N/A
+  Work Finish: N/A
+  Travel Home Arrival: 10:00
+  Total Time for Job: 2.00 Hrs
+
+
+Summary for Tuesday, 2024-06-11:
+Total Hours for All Jobs: 4.00 Hrs
+Net Working Hours: 4.00 Hrs
+Deductions Applied: None
+Pay Categories: Regular 4.00
+Includes 2.00 Hrs after midnight from the previous day's overnight job(s).
+`);
+    });
+
+    test('render the daily report of a day without jobs', () => {
+        const view = buildDailyReportView({ employeeName: '', truckNumber: '', date: '2024-06-12', dayData: makeDay([makeJob()], { dayOfWeek: 'Wednesday' }), payBreakdown: {} });
+        expect(renderTemplate(DEFAULT_DAILY_TEMPLATE, view)).toBe(`Employee Name: N/A
+Truck Number: N/A
+Date: 2024-06-12
+Day of Week: Wednesday
+On-Call Day: No
+
+Job Details:
+No job entries for this day.
+
+Summary for Wednesday, 2024-06-12:
+Total Hours for All Jobs: 0.00 Hrs
+Net Working Hours: 0.00 Hrs
+Deductions Applied: None
+Pay Categories: None
+`);
+    });
+
+    test('render the weekly report', () => {
+        const approval = { status: 'approved', reviewedBy: 'Pat Office', reviewedAt: '2024-06-17T16:00:00.000Z', comment: 'Thanks' };
+        const view = buildWeeklyReportView({ employeeName: 'Sam Lee', truckNumber: 'T-7', startDate: '2024-06-10', endDate: '2024-06-16', weeklyData, dates, weeklyPay, approval });
+        expect(renderTemplate(DEFAULT_WEEKLY_TEMPLATE, view)).toBe(`Employee Name: Sam Lee
+Truck Number: T-7
+Week of: 2024-06-10 to 2024-06-16
+Approval Status: Approved
+Approved By: Pat Office on 2024-06-17 09:00
+Reviewer Comment: Thanks
+
+--- Daily Breakdown ---
+
+Monday, 2024-06-10:
+  Total Hours: 7.00 Hrs
+  Net Working Hours: 5.50 Hrs
+  On-Call Day: No
+  Deductions Applied: Travel -1.00, Lunch -0.50
+  Pay Categories: Regular 5.50
+  Jobs:
+    - Job Number: J-100
+      Location: Main St
+      Travel Start: 07:00
+      Work Start: 07:30
+      Work Finish: 11:30
+      Travel Home Arrival: 12:00
+      Total for job: 5.00 Hrs
+    - Job Number: J-101
+      Location: N/A
+      Travel Start: 22:00
+      Work Start: N/A
+      Work Finish: N/A
+      Travel Home Arrival: 02:00 (next day)
+      Total for job: 4.00 Hrs
+
+Tuesday, 2024-06-11:
+  Total Hours: 4.00 Hrs
+  Net Working Hours: 4.00 Hrs
+  On-Call Day: No
+  Deductions Applied: None
+  Pay Categories: Regular 4.00
+  Includes 2.00 Hrs after midnight from the previous day's overnight job(s)
+  Jobs:
+    - Job Number: J-200
+      Location: Depot
+      Travel Start: 08:00
+      Work Start: N/A
+      Work Finish: N/A
+      Travel Home Arrival: 10:00
+      Total for job: 2.00 Hrs
+
+--- Overall Weekly Summary ---
+Total Hours for the Week: 11.00 Hrs
+Total Net Working Hours for the Week: 9.50 Hrs
+Total Deductions for the Week: Travel -1.00, Lunch -0.50
+Pay Categories for the Week: Regular 9.50
+`);
+    });
+
+    test('render the weekly report of an empty draft week', () => {
+        const view = buildWeeklyReportView({ employeeName: 'Sam Lee', truckNumber: 'T-7', startDate: '2024-06-17', endDate: '2024-06-23', weeklyData, dates: [], weeklyPay: calculatePayBreakdown(weeklyData, [], DEFAULT_PAY_RULES) });
+        expect(renderTemplate(DEFAULT_WEEKLY_TEMPLATE, view)).toBe(`Employee Name: Sam Lee
+Truck Number: T-7
+Week of: 2024-06-17 to 2024-06-23
+Approval Status: Draft
+
+--- Daily Breakdown ---
+No timesheet data entered for the selected week.
+
+--- Overall Weekly Summary ---
+Total Hours for the Week: 0.00 Hrs
+Total Net Working Hours for the Week: 0.00 Hrs
+Total Deductions for the Week: None
+Pay Categories for the Week: None
+`);
+    });
+
+    test('render the crew report', () => {
+        const crew = buildCrewSummary({
+            roster: [{ id: 'sam', name: 'Sam Lee', defaultTruck: 'T-7' }, { id: 'new', name: '', defaultTruck: '' }],
+            timesheets: { sam: weeklyData },
+            startDate: '2024-06-10',
+            endDate: '2024-06-16',
+            payRules: DEFAULT_PAY_RULES,
+        });
+        expect(renderTemplate(DEFAULT_CREW_TEMPLATE, buildCrewReportView({ startDate: '2024-06-10', endDate: '2024-06-16', crew }))).toBe(`Crew Weekly Summary
+Week of: 2024-06-10 to 2024-06-16
+Crew Members: 2
+
+Sam Lee (Truck: T-7):
+  Days Worked: 2
+  Total Hours: 11.00 Hrs
+  Net Working Hours: 9.50 Hrs
+  Deductions Applied: Travel -1.00, Lunch -0.50
+  Pay Categories: Regular 9.50
+
+Employee 2 (Truck: N/A):
+  Days Worked: 0
+  Total Hours: 0.00 Hrs
+  Net Working Hours: 0.00 Hrs
+  Deductions Applied: None
+  Pay Categories: None
+
+--- Crew Totals ---
+Total Hours for the Crew: 11.00 Hrs
+Total Net Working Hours for the Crew: 9.50 Hrs
+Pay Categories for the Crew: Regular 9.50
+`);
+    });
+
+    test('render the same text every time', () => {
+        const view = buildWeeklyReportView({ employeeName: 'Sam Lee', truckNumber: 'T-7', startDate: '2024-06-10', endDate: '2024-06-16', weeklyData, dates, weeklyPay });
+        expect(renderTemplate(DEFAULT_WEEKLY_TEMPLATE, view)).toBe(renderTemplate(DEFAULT_WEEKLY_TEMPLATE, view));
+    });
+});
+
+describe('renderTemplate', () => {
+    test('leaves missing values blank', () => {
+        expect(renderTemplate('Name: {{name}}. Truck: {{ truck }}.', { name: 'Sam' })).toBe('Name: Sam. Truck: .');
+        expect(renderTemplate('{{missing}}', {})).toBe('');
+        expect(renderTemplate(undefined, {})).toBe('');
+    });
+
+    test('skips sections for empty lists and falsy values, and shows their inverted sections', () => {
+        const template = '{{#items}}[{{name}}]{{/items}}{{^items}}none{{/items}}';
+        expect(renderTemplate(template, { items: [] })).toBe('none');
+        [undefined, null, false, ''].forEach(items => {
+            expect(renderTemplate(template, { items })).toBe('none');
+        });
+        // Zero is a value, not an empty one
+        expect(renderTemplate('{{#count}}Count: {{count}}{{/count}}{{^count}}none{{/count}}', { count: 0 })).toBe('Count: 0');
+    });
+
+    test('repeats sections for lists and looks names up through the enclosing data', () => {
+        const view = { crew: 'North', members: [{ name: 'Sam' }, { name: 'Alex', crew: 'South' }] };
+        expect(renderTemplate('{{#members}}{{name}} ({{crew}}); {{/members}}', view)).toBe('Sam (North); Alex (South); ');
+        expect(renderTemplate('{{#lead}}Lead: {{name}}{{/lead}}', { lead: { name: 'Pat' } })).toBe('Lead: Pat');
+        expect(renderTemplate('{{#approved}}Approved{{/approved}}', { approved: true })).toBe('Approved');
+    });
+
+    test('does not leave blank lines for section tags alone on their line', () => {
+        const template = 'Jobs:\n  {{#jobs}}  \n- {{jobNumber}}\n{{/jobs}}\r\n{{^jobs}}\nNone\n{{/jobs}}\nEnd';
+        expect(renderTemplate(template, { jobs: [{ jobNumber: 'J-1' }, { jobNumber: 'J-2' }] })).toBe('Jobs:\n- J-1\n- J-2\nEnd');
+        expect(renderTemplate(template, { jobs: [] })).toBe('Jobs:\nNone\nEnd');
+        // Tags sharing a line with text keep the line
+        expect(renderTemplate('Jobs: {{#jobs}}{{jobNumber}} {{/jobs}}\nEnd', { jobs: [{ jobNumber: 'J-1' }] })).toBe('Jobs: J-1 \nEnd');
+    });
+
+    test('renders a template edited in settings', () => {
+        const edited = `{{employeeName}} - {{date}}
+{{#jobs}}
+* {{jobNumber}} @ {{jobLocation}}: {{travelStartTime}}-{{travelHomeTime}} ({{jobHours}} h)
+{{/jobs}}
+Net: {{netHours}} h{{#carriedInHours}} (incl. {{carriedInHours}} h from last night){{/carriedInHours}}
+`;
+        const view = buildDailyReportView({ employeeName: 'Sam Lee', truckNumber: 'T-7', date: '2024-06-10', dayData: weeklyData['2024-06-10'], payBreakdown: weeklyPay.days['2024-06-10'] });
+        expect(renderTemplate(edited, view)).toBe(`Sam Lee - 2024-06-10
+* J-100 @ Main St: 07:00-12:00 (5.00 h)
+* J-101 @ N/A: 22:00-02:00 (next day) (4.00 h)
+Net: 5.50 h
+`);
+    });
+});
+
+describe('mergeReportTemplates', () => {
+    test('falls back to the default for templates that are missing or blank', () => {
+        expect(mergeReportTemplates({ daily: 'Mine', weekly: '' })).toEqual({ daily: 'Mine', weekly: DEFAULT_WEEKLY_TEMPLATE, crew: DEFAULT_CREW_TEMPLATE });
+        expect(mergeReportTemplates(undefined).daily).toBe(DEFAULT_DAILY_TEMPLATE);
+    });
+});
@@ -0,0 +1,63 @@
+// Pushing and pulling days to and from the timesheet server (see server/), the office's one
+// copy of every crew member's timesheets that dashboards and payroll exports read from.
+// Each crew member on this device has their own access token, which tells the server whose
+// records these are, so the roster's local ids do not need to match the server's.
+//
+// Settings are { url, tokens: { [rosterEmployeeId]: token } }.
+
+export const DEFAULT_SERVER_SETTINGS = {
+    url: '', // e.g. https://office.example.com
+    tokens: {},
+};
+
+// The server address and the crew member's token, or null when either is missing
+export const getServerConnection = (settings, employeeId) => {
+    const url = (settings.url || '').replace(/\/+$/, '');
+    const token = settings.tokens?.[employeeId] || '';
+    return /^https?:\/\/[^/\s]+/.test(url) && token ? { url, token } : null;
+};
+
+// Call the server's API; throws an Error with the server's message when the call fails
+export const requestServer = async (connection, method, path, { body, fetchImpl = fetch } = {}) => {
+    let response;
+    try {
+        response = await fetchImpl(`${connection.url}/api${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${connection.token}` },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+    } catch (error) {
+        throw new Error(`Could not reach the timesheet server: ${error.message}`);
+    }
+    const responseBody = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`The timesheet server answered ${response.status}${responseBody.error ? `: ${responseBody.error}` : ''}`);
+    }
+    return responseBody;
+};
+
+// The server's record of the token's crew member: { id, name, defaultTruck }.
+// The office's admin token belongs to no crew member (the server answers { admin: true }),
+// so it cannot say whose days to push or pull.
+const getServerProfile = async (connection, options) => {
+    const profile = await requestServer(connection, 'GET', '/me', options);
+    if (!profile.id) {
+        throw new Error('That is the office admin token. Enter the crew member\'s own server token in Settings.');
+    }
+    return profile;
+};
+
+// Send every day on this device to the server, replacing the server's copy of those days.
+// Returns the server's profile and how many days were saved.
+export const pushServerDays = async (connection, weeklyData, options) => {
+    const profile = await getServerProfile(connection, options);
+    const { saved } = await requestServer(connection, 'PUT', `/employees/${encodeURIComponent(profile.id)}/days`, { ...options, body: { days: weeklyData } });
+    return { profile, saved };
+};
+
+// Fetch the crew member's days from the server: { profile, days } with days in the weeklyData shape
+export const pullServerDays = async (connection, options) => {
+    const profile = await getServerProfile(connection, options);
+    const days = await requestServer(connection, 'GET', `/employees/${encodeURIComponent(profile.id)}/days`, options);
+    return { profile, days };
+};
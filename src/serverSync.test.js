@@ -0,0 +1,60 @@
+import { getServerConnection, pullServerDays, pushServerDays } from './serverSync';
+import { jsonResponse } from './testFixtures';
+
+const connection = { url: 'https://office.example.com', token: 'sam-token' };
+const profile = { id: 'server-emp-1', name: 'Sam Lee', defaultTruck: 'T-12' };
+const weeklyData = { '2024-01-08': { jobs: [{ id: 'j1', jobNumber: 'J-100' }], isOnCall: false } };
+
+describe('getServerConnection', () => {
+    test('needs an http(s) address and a token for the crew member', () => {
+        const settings = { url: 'https://office.example.com/', tokens: { e1: 'sam-token' } };
+        expect(getServerConnection(settings, 'e1')).toEqual(connection);
+        expect(getServerConnection(settings, 'e2')).toBeNull();
+        expect(getServerConnection({ ...settings, url: 'office.example.com' }, 'e1')).toBeNull();
+    });
+});
+
+describe('pushServerDays', () => {
+    test('saves the days under the token\'s employee on the server', async () => {
+        const fetchImpl = jest.fn()
+            .mockReturnValueOnce(jsonResponse(200, profile))
+            .mockReturnValueOnce(jsonResponse(200, { saved: 1 }));
+
+        await expect(pushServerDays(connection, weeklyData, { fetchImpl })).resolves.toEqual({ profile, saved: 1 });
+
+        expect(fetchImpl.mock.calls[0][0]).toBe('https://office.example.com/api/me');
+        const [url, request] = fetchImpl.mock.calls[1];
+        expect(url).toBe('https://office.example.com/api/employees/server-emp-1/days');
+        expect(request.method).toBe('PUT');
+        expect(request.headers.Authorization).toBe('Bearer sam-token');
+        expect(JSON.parse(request.body)).toEqual({ days: weeklyData });
+    });
+
+    test('reports the server\'s error message', async () => {
+        const fetchImpl = jest.fn().mockReturnValue(jsonResponse(401, { error: 'The access token is not valid.' }));
+        await expect(pushServerDays(connection, weeklyData, { fetchImpl })).rejects.toThrow('The timesheet server answered 401: The access token is not valid.');
+    });
+
+    test('reports an unreachable server', async () => {
+        const fetchImpl = jest.fn().mockRejectedValue(new Error('Failed to fetch'));
+        await expect(pushServerDays(connection, weeklyData, { fetchImpl })).rejects.toThrow('Could not reach the timesheet server: Failed to fetch');
+    });
+
+    test('refuses the office admin token, which belongs to no crew member', async () => {
+        const fetchImpl = jest.fn().mockReturnValue(jsonResponse(200, { admin: true }));
+        await expect(pushServerDays(connection, weeklyData, { fetchImpl })).rejects.toThrow('That is the office admin token.');
+        await expect(pullServerDays(connection, { fetchImpl })).rejects.toThrow('That is the office admin token.');
+        expect(fetchImpl.mock.calls.map(([url]) => url)).toEqual(['https://office.example.com/api/me', 'https://office.example.com/api/me']);
+    });
+});
+
+describe('pullServerDays', () => {
+    test('returns the profile and the days in the weeklyData shape', async () => {
+        const fetchImpl = jest.fn()
+            .mockReturnValueOnce(jsonResponse(200, profile))
+            .mockReturnValueOnce(jsonResponse(200, weeklyData));
+
+        await expect(pullServerDays(connection, { fetchImpl })).resolves.toEqual({ profile, days: weeklyData });
+        expect(fetchImpl.mock.calls[1][1].method).toBe('GET');
+    });
+});
@@ -0,0 +1,63 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker that lets the app open and run with no signal.
+// The build's files are precached when the app is installed, and navigations are answered with
+// the cached index.html. index.html loads Tailwind and the Inter font from CDNs, so those are
+// cached the first time they load online and served from the cache afterwards.
+// Create React App compiles this file and fills in self.__WB_MANIFEST at build time.
+
+import { clientsClaim } from 'workbox-core';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every page navigation gets the app shell, except URLs of files such as /manifest.json
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+    ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !fileExtensionRegexp.test(url.pathname),
+    createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Tailwind's script and the font stylesheet are loaded cross-origin without CORS, so their
+// responses are opaque (status 0) and have to be allowed into the cache explicitly
+registerRoute(
+    ({ url }) => url.origin === 'https://cdn.tailwindcss.com',
+    new StaleWhileRevalidate({
+        cacheName: 'tailwind',
+        plugins: [new CacheableResponsePlugin({ statuses: [0, 200] })],
+    })
+);
+
+registerRoute(
+    ({ url }) => url.origin === 'https://fonts.googleapis.com',
+    new StaleWhileRevalidate({
+        cacheName: 'google-fonts-stylesheets',
+        plugins: [new CacheableResponsePlugin({ statuses: [0, 200] })],
+    })
+);
+
+registerRoute(
+    ({ url }) => url.origin === 'https://fonts.gstatic.com',
+    new CacheFirst({
+        cacheName: 'google-fonts-webfonts',
+        plugins: [
+            new CacheableResponsePlugin({ statuses: [0, 200] }),
+            new ExpirationPlugin({ maxEntries: 30, maxAgeSeconds: 365 * 24 * 60 * 60 }),
+        ],
+    })
+);
+
+// Icons and other images from public/ that are not part of the build
+registerRoute(
+    ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.png'),
+    new StaleWhileRevalidate({
+        cacheName: 'images',
+        plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+    })
+);
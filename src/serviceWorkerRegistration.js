@@ -0,0 +1,17 @@
+// Registers the service worker built from src/service-worker.js, which makes the app
+// installable and lets it open offline. Only production builds register it, so the development
+// server never serves files from an old cache. A new version is installed in the background
+// and takes over the next time the app is opened after every tab of it has been closed.
+
+export const register = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    // A service worker can only control pages on its own origin
+    const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+    if (publicUrl.origin !== window.location.origin) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(error => {
+            console.error("Failed to register the service worker:", error);
+        });
+    });
+};
@@ -0,0 +1,7 @@
+// Runs before every test file (Create React App picks this file up by name)
+import '@testing-library/jest-dom';
+import { randomUUID } from 'crypto';
+
+// jsdom has no crypto.randomUUID, which the models use for job and employee ids
+if (!global.crypto) global.crypto = {};
+if (!global.crypto.randomUUID) global.crypto.randomUUID = randomUUID;
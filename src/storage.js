@@ -0,0 +1,255 @@
+// Local persistence for timesheet data.
+// Each day is saved as its own record keyed by employee and date, in IndexedDB when the
+// browser provides it and in localStorage otherwise. Records carry the schema version they
+// were written with so older weeks are migrated forward when the day/job shape changes.
+
+import { createEmployee, normalizeJob } from './timesheetModel';
+import { applyDeductionRules, DEFAULT_DEDUCTION_RULES } from './deductionRules';
+
+// Version of the day record shape. Bump this and add a migration below whenever
+// createInitialJob or the per-day fields change.
+export const SCHEMA_VERSION = 3;
+
+const DB_NAME = 'pro-air-timesheet';
+const DB_VERSION = 1; // IndexedDB object store layout, independent of SCHEMA_VERSION
+const DAYS_STORE = 'days';
+const META_STORE = 'meta';
+const LOCAL_STORAGE_PREFIX = 'pro-air-timesheet';
+
+// Migrations keyed by the schema version they upgrade a day TO.
+// Records saved before versioning existed are treated as version 0.
+const dayMigrations = {
+    1: (day) => ({
+        ...day,
+        jobs: Array.isArray(day.jobs) ? day.jobs.map(normalizeJob) : [],
+        totalHours: Number(day.totalHours) || 0,
+        netHours: Number(day.netHours) || 0,
+        isOnCall: !!day.isOnCall,
+    }),
+    // Overnight jobs: jobs gain nextDayFields, days gain minutes carried in from the night before
+    2: (day) => ({
+        ...day,
+        jobs: day.jobs.map(job => ({ ...job, nextDayFields: Array.isArray(job.nextDayFields) ? job.nextDayFields : [] })),
+        carriedInMinutes: Number(day.carriedInMinutes) || 0,
+    }),
+    // Configurable deductions: record what the previously hard-coded rules deducted
+    3: (day) => ({
+        ...day,
+        appliedDeductions: Array.isArray(day.appliedDeductions)
+            ? day.appliedDeductions
+            : applyDeductionRules(day.totalHours, { isOnCall: day.isOnCall, isWeekend: false }, DEFAULT_DEDUCTION_RULES).appliedDeductions,
+    }),
+};
+
+// Bring a stored day record up to SCHEMA_VERSION
+export const migrateDayRecord = (record) => {
+    let version = record.schemaVersion || 0;
+    let day = record.day || {};
+    while (version < SCHEMA_VERSION) {
+        version += 1;
+        const migrate = dayMigrations[version];
+        if (migrate) {
+            day = migrate(day);
+        }
+    }
+    return { ...record, schemaVersion: SCHEMA_VERSION, day };
+};
+
+const getDayRecordKey = (employeeId, date) => `${employeeId}|${date}`;
+
+const createDayRecord = (employeeId, date, day) => ({
+    key: getDayRecordKey(employeeId, date),
+    employeeId,
+    date,
+    schemaVersion: SCHEMA_VERSION,
+    day,
+});
+
+// Wrap an IDBRequest in a promise
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(DAYS_STORE)) {
+            db.createObjectStore(DAYS_STORE, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+            db.createObjectStore(META_STORE);
+        }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab.'));
+});
+
+const createIndexedDbAdapter = (db) => {
+    const store = (name, mode) => db.transaction(name, mode).objectStore(name);
+    return {
+        name: 'indexedDB',
+        getAllDayRecords: () => promisifyRequest(store(DAYS_STORE, 'readonly').getAll()),
+        putDayRecord: (record) => promisifyRequest(store(DAYS_STORE, 'readwrite').put(record)),
+        deleteDayRecord: (key) => promisifyRequest(store(DAYS_STORE, 'readwrite').delete(key)),
+        getMeta: (key) => promisifyRequest(store(META_STORE, 'readonly').get(key)),
+        putMeta: (key, value) => promisifyRequest(store(META_STORE, 'readwrite').put(value, key)),
+    };
+};
+
+// localStorage fallback: one entry per day plus one entry per meta key
+const createLocalStorageAdapter = (storage) => {
+    const dayPrefix = `${LOCAL_STORAGE_PREFIX}:day:`;
+    const metaPrefix = `${LOCAL_STORAGE_PREFIX}:meta:`;
+    const readJson = (itemKey) => {
+        const raw = storage.getItem(itemKey);
+        if (raw === null) return undefined;
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            console.error("Discarding unreadable stored entry:", itemKey, e);
+            return undefined;
+        }
+    };
+    return {
+        name: 'localStorage',
+        getAllDayRecords: async () => {
+            const records = [];
+            for (let i = 0; i < storage.length; i++) {
+                const itemKey = storage.key(i);
+                if (itemKey && itemKey.startsWith(dayPrefix)) {
+                    const record = readJson(itemKey);
+                    if (record) records.push(record);
+                }
+            }
+            return records;
+        },
+        putDayRecord: async (record) => storage.setItem(dayPrefix + record.key, JSON.stringify(record)),
+        deleteDayRecord: async (key) => storage.removeItem(dayPrefix + key),
+        getMeta: async (key) => readJson(metaPrefix + key),
+        putMeta: async (key, value) => storage.setItem(metaPrefix + key, JSON.stringify(value)),
+    };
+};
+
+// Last resort when neither IndexedDB nor localStorage can be used (e.g. some private modes)
+const createMemoryAdapter = () => {
+    const days = new Map();
+    const meta = new Map();
+    return {
+        name: 'memory',
+        getAllDayRecords: async () => Array.from(days.values()),
+        putDayRecord: async (record) => { days.set(record.key, record); },
+        deleteDayRecord: async (key) => { days.delete(key); },
+        getMeta: async (key) => meta.get(key),
+        putMeta: async (key, value) => { meta.set(key, value); },
+    };
+};
+
+const isLocalStorageUsable = () => {
+    try {
+        const testKey = `${LOCAL_STORAGE_PREFIX}:test`;
+        window.localStorage.setItem(testKey, '1');
+        window.localStorage.removeItem(testKey);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+let adapterPromise = null;
+
+// Pick the best available backend once and reuse it for every call
+const getAdapter = () => {
+    if (!adapterPromise) {
+        adapterPromise = (async () => {
+            if (typeof window !== 'undefined' && window.indexedDB) {
+                try {
+                    return createIndexedDbAdapter(await openDatabase());
+                } catch (e) {
+                    console.error("IndexedDB unavailable, falling back to localStorage:", e);
+                }
+            }
+            if (typeof window !== 'undefined' && isLocalStorageUsable()) {
+                return createLocalStorageAdapter(window.localStorage);
+            }
+            console.error("No persistent storage available; timesheet data will not survive a reload.");
+            return createMemoryAdapter();
+        })();
+    }
+    return adapterPromise;
+};
+
+// The roster, or a one-person roster made from the single-employee profile saved
+// before crew mode existed
+const loadRoster = async (adapter) => {
+    const roster = await adapter.getMeta('roster');
+    if (Array.isArray(roster) && roster.length > 0) return roster;
+    const profile = (await adapter.getMeta('profile')) || {};
+    const legacyRoster = [createEmployee(profile.employeeName || '', profile.truckNumber || '')];
+    await adapter.putMeta('roster', legacyRoster);
+    return legacyRoster;
+};
+
+// Load the roster and every saved day (migrated to the current schema), grouped by employee id
+export const loadTimesheet = async () => {
+    const adapter = await getAdapter();
+    const roster = await loadRoster(adapter);
+    const records = await adapter.getAllDayRecords();
+    const timesheets = {};
+    for (const record of records) {
+        let migrated = migrateDayRecord(record);
+        if (!migrated.employeeId) {
+            // Days saved before crew mode were keyed by date alone; they belong to the first employee
+            migrated = createDayRecord(roster[0].id, migrated.date, migrated.day);
+            await adapter.putDayRecord(migrated);
+            await adapter.deleteDayRecord(record.key);
+        } else if (migrated.schemaVersion !== record.schemaVersion) {
+            await adapter.putDayRecord(migrated);
+        }
+        timesheets[migrated.employeeId] = timesheets[migrated.employeeId] || {};
+        timesheets[migrated.employeeId][migrated.date] = migrated.day;
+    }
+    const savedActiveEmployeeId = await adapter.getMeta('activeEmployeeId');
+    const activeEmployeeId = roster.some(employee => employee.id === savedActiveEmployeeId)
+        ? savedActiveEmployeeId
+        : roster[0].id;
+    return { timesheets, roster, activeEmployeeId };
+};
+
+// Save a single day's data for one employee
+export const saveDay = async (employeeId, date, day) => {
+    const adapter = await getAdapter();
+    await adapter.putDayRecord(createDayRecord(employeeId, date, day));
+};
+
+// Remove a single day's data for one employee
+export const deleteDay = async (employeeId, date) => {
+    const adapter = await getAdapter();
+    await adapter.deleteDayRecord(getDayRecordKey(employeeId, date));
+};
+
+// Save the crew roster (each employee's name and default truck)
+export const saveRoster = async (roster) => {
+    const adapter = await getAdapter();
+    await adapter.putMeta('roster', roster.map(employee => ({
+        id: employee.id,
+        name: employee.name || '',
+        defaultTruck: employee.defaultTruck || '',
+        payrollId: employee.payrollId || '',
+        labourRate: Number(employee.labourRate) || 0,
+    })));
+};
+
+// Generic key/value access for app-wide settings
+export const loadMeta = async (key, fallback) => {
+    const adapter = await getAdapter();
+    const value = await adapter.getMeta(key);
+    return value === undefined ? fallback : value;
+};
+
+export const saveMeta = async (key, value) => {
+    const adapter = await getAdapter();
+    await adapter.putMeta(key, value);
+};
@@ -0,0 +1,197 @@
+// Storage runs on localStorage here: jsdom has no IndexedDB.
+
+const DAY_PREFIX = 'pro-air-timesheet:day:';
+const META_PREFIX = 'pro-air-timesheet:meta:';
+
+// storage.js picks its backend once per page load, so each load gets a fresh copy of the module
+const openStorage = () => {
+    let storage;
+    jest.isolateModules(() => {
+        storage = require('./storage');
+    });
+    return storage;
+};
+
+const putItem = (key, value) => window.localStorage.setItem(key, JSON.stringify(value));
+const readItem = (key) => JSON.parse(window.localStorage.getItem(key));
+const readAllItems = () => Object.fromEntries(Object.keys(window.localStorage).map(key => [key, window.localStorage.getItem(key)]));
+
+const oldJob = { id: 'j1', jobNumber: 'J-100', travelStartTime: '07:00', travelHomeTime: '15:00', totalTimeWorkedMinutes: 480 };
+const migratedJob = {
+    id: 'j1',
+    jobNumber: 'J-100',
+    jobLocation: '',
+    travelStartTime: '07:00',
+    workStartTime: '',
+    workFinishTime: '',
+    travelHomeTime: '15:00',
+    totalTimeWorkedMinutes: 480,
+    nextDayFields: [],
+};
+const TRAVEL_AND_LUNCH = [{ ruleId: 'travel', label: 'Travel', minutes: 60 }, { ruleId: 'lunch', label: 'Lunch', minutes: 30 }];
+
+const sam = { id: 'sam', name: 'Sam Lee', defaultTruck: 'T-7', payrollId: '', labourRate: 0 };
+
+beforeEach(() => {
+    window.localStorage.clear();
+});
+
+describe('migrating saved days', () => {
+    beforeEach(() => {
+        putItem(`${META_PREFIX}roster`, [sam]);
+    });
+
+    test('brings a record from before versioning up to the current schema', async () => {
+        putItem(`${DAY_PREFIX}sam|2024-01-08`, { key: 'sam|2024-01-08', employeeId: 'sam', date: '2024-01-08', day: { jobs: [oldJob], totalHours: '480', isOnCall: 0 } });
+
+        const { timesheets } = await openStorage().loadTimesheet();
+
+        const expectedDay = { jobs: [migratedJob], totalHours: 480, netHours: 0, isOnCall: false, carriedInMinutes: 0, appliedDeductions: TRAVEL_AND_LUNCH };
+        expect(timesheets).toEqual({ sam: { '2024-01-08': expectedDay } });
+        expect(readItem(`${DAY_PREFIX}sam|2024-01-08`)).toEqual({ key: 'sam|2024-01-08', employeeId: 'sam', date: '2024-01-08', schemaVersion: 3, day: expectedDay });
+    });
+
+    test('adds next-day times and carried-in minutes to version 1 days', async () => {
+        const day = { jobs: [{ ...migratedJob, nextDayFields: undefined, travelHomeTime: '12:00', totalTimeWorkedMinutes: 300 }], totalHours: 300, netHours: 270, isOnCall: true };
+        putItem(`${DAY_PREFIX}sam|2024-01-09`, { key: 'sam|2024-01-09', employeeId: 'sam', date: '2024-01-09', schemaVersion: 1, day });
+
+        const { timesheets } = await openStorage().loadTimesheet();
+
+        // On call, so only lunch is deducted
+        expect(timesheets.sam['2024-01-09']).toEqual({
+            ...day,
+            jobs: [{ ...migratedJob, travelHomeTime: '12:00', totalTimeWorkedMinutes: 300 }],
+            carriedInMinutes: 0,
+            appliedDeductions: [{ ruleId: 'lunch', label: 'Lunch', minutes: 30 }],
+        });
+        expect(readItem(`${DAY_PREFIX}sam|2024-01-09`).schemaVersion).toBe(3);
+    });
+
+    test('records the deductions the old fixed rules took on version 2 days', async () => {
+        const day = { jobs: [{ ...migratedJob, nextDayFields: ['travelHomeTime'] }], totalHours: 480, netHours: 390, isOnCall: false, carriedInMinutes: 60 };
+        putItem(`${DAY_PREFIX}sam|2024-01-10`, { key: 'sam|2024-01-10', employeeId: 'sam', date: '2024-01-10', schemaVersion: 2, day });
+
+        const { timesheets } = await openStorage().loadTimesheet();
+
+        expect(timesheets.sam['2024-01-10']).toEqual({ ...day, appliedDeductions: TRAVEL_AND_LUNCH });
+    });
+
+    test('leaves current records as they are', async () => {
+        const day = { jobs: [migratedJob], totalHours: 480, netHours: 480, isOnCall: false, carriedInMinutes: 0, appliedDeductions: [] };
+        putItem(`${DAY_PREFIX}sam|2024-01-11`, { key: 'sam|2024-01-11', employeeId: 'sam', date: '2024-01-11', schemaVersion: 3, day });
+        const saved = window.localStorage.getItem(`${DAY_PREFIX}sam|2024-01-11`);
+        const setItem = jest.spyOn(Storage.prototype, 'setItem');
+
+        const { timesheets } = await openStorage().loadTimesheet();
+
+        expect(timesheets.sam['2024-01-11']).toEqual(day);
+        expect(window.localStorage.getItem(`${DAY_PREFIX}sam|2024-01-11`)).toBe(saved);
+        expect(setItem.mock.calls.filter(([key]) => key.startsWith(DAY_PREFIX))).toEqual([]);
+        setItem.mockRestore();
+    });
+});
+
+describe('loadTimesheet', () => {
+    test('gives the days saved before crew mode to a crew member made from the old profile', async () => {
+        putItem(`${META_PREFIX}profile`, { employeeName: 'Sam Lee', truckNumber: 'T-7' });
+        putItem(`${DAY_PREFIX}2024-01-08`, { key: '2024-01-08', date: '2024-01-08', schemaVersion: 1, day: { jobs: [migratedJob], totalHours: 480, netHours: 390, isOnCall: false } });
+
+        const { timesheets, roster, activeEmployeeId } = await openStorage().loadTimesheet();
+
+        expect(roster).toEqual([{ id: expect.any(String), name: 'Sam Lee', defaultTruck: 'T-7', payrollId: '', labourRate: 0 }]);
+        const [{ id }] = roster;
+        expect(activeEmployeeId).toBe(id);
+        expect(timesheets).toEqual({
+            [id]: { '2024-01-08': { jobs: [migratedJob], totalHours: 480, netHours: 390, isOnCall: false, carriedInMinutes: 0, appliedDeductions: TRAVEL_AND_LUNCH } },
+        });
+        expect(window.localStorage.getItem(`${DAY_PREFIX}2024-01-08`)).toBeNull();
+        expect(readItem(`${DAY_PREFIX}${id}|2024-01-08`)).toMatchObject({ key: `${id}|2024-01-08`, employeeId: id, schemaVersion: 3 });
+        expect(readItem(`${META_PREFIX}roster`)).toEqual(roster);
+    });
+
+    test('starts with one blank crew member on a new device', async () => {
+        const { timesheets, roster, activeEmployeeId } = await openStorage().loadTimesheet();
+        expect(timesheets).toEqual({});
+        expect(roster).toEqual([{ id: activeEmployeeId, name: '', defaultTruck: '', payrollId: '', labourRate: 0 }]);
+    });
+
+    test('returns to the first crew member when the saved one has left the roster', async () => {
+        putItem(`${META_PREFIX}roster`, [sam, { ...sam, id: 'alex', name: 'Alex Kim' }]);
+        putItem(`${META_PREFIX}activeEmployeeId`, 'alex');
+        expect((await openStorage().loadTimesheet()).activeEmployeeId).toBe('alex');
+
+        putItem(`${META_PREFIX}activeEmployeeId`, 'jo');
+        expect((await openStorage().loadTimesheet()).activeEmployeeId).toBe('sam');
+    });
+
+    test('fails without writing anything when the saved data cannot be read', async () => {
+        // The app keeps saving switched off after this (see App.test.js), so nothing is overwritten
+        putItem(`${META_PREFIX}roster`, [sam]);
+        putItem(`${DAY_PREFIX}2024-01-08`, { key: '2024-01-08', date: '2024-01-08', day: { jobs: [oldJob] } });
+        const before = readAllItems();
+        const getItem = jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+            throw new Error('The stored data is unreadable');
+        });
+
+        await expect(openStorage().loadTimesheet()).rejects.toThrow('The stored data is unreadable');
+        getItem.mockRestore();
+        expect(readAllItems()).toEqual(before);
+    });
+});
+
+describe('saveRoster', () => {
+    test('keeps each crew member\'s payroll id through a reload', async () => {
+        await openStorage().saveRoster([{ ...sam, payrollId: '001234' }, { id: 'alex', name: 'Alex Kim' }]);
+
+        const { roster } = await openStorage().loadTimesheet();
+        expect(roster.map(({ id, payrollId }) => ({ id, payrollId }))).toEqual([{ id: 'sam', payrollId: '001234' }, { id: 'alex', payrollId: '' }]);
+    });
+
+    test('keeps each crew member\'s labour rate through a reload', async () => {
+        await openStorage().saveRoster([{ ...sam, payrollId: '001234', labourRate: '42.5' }, { id: 'alex', name: 'Alex Kim', labourRate: 'n/a' }]);
+
+        const { roster } = await openStorage().loadTimesheet();
+        expect(roster).toEqual([
+            { ...sam, payrollId: '001234', labourRate: 42.5 },
+            { id: 'alex', name: 'Alex Kim', defaultTruck: '', payrollId: '', labourRate: 0 },
+        ]);
+    });
+});
+
+describe('choosing where to save', () => {
+    afterEach(() => {
+        delete window.indexedDB;
+    });
+
+    test('falls back to localStorage when IndexedDB cannot be opened', async () => {
+        window.indexedDB = { open: () => { throw new Error('IndexedDB is disabled'); } };
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const storage = openStorage();
+
+        await storage.saveDay('sam', '2024-01-08', { jobs: [] });
+
+        expect(readItem(`${DAY_PREFIX}sam|2024-01-08`)).toMatchObject({ employeeId: 'sam', day: { jobs: [] } });
+        expect(consoleError).toHaveBeenCalledWith('IndexedDB unavailable, falling back to localStorage:', expect.any(Error));
+        consoleError.mockRestore();
+    });
+
+    test('keeps data in memory when localStorage cannot be written either', async () => {
+        const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new Error('QuotaExceededError');
+        });
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const storage = openStorage();
+
+        await storage.saveRoster([sam]);
+        await storage.saveDay('sam', '2024-01-08', { jobs: [] });
+        await storage.saveMeta('payRules', { overtime: true });
+
+        expect(await storage.loadTimesheet()).toEqual({ timesheets: { sam: { '2024-01-08': { jobs: [] } } }, roster: [sam], activeEmployeeId: 'sam' });
+        expect(await storage.loadMeta('payRules')).toEqual({ overtime: true });
+        expect(await storage.loadMeta('missing', 'fallback')).toBe('fallback');
+        expect(window.localStorage.length).toBe(0);
+        expect(consoleError).toHaveBeenCalledWith('No persistent storage available; timesheet data will not survive a reload.');
+        setItem.mockRestore();
+        consoleError.mockRestore();
+    });
+});
@@ -0,0 +1,23 @@
+// Fixtures shared by the unit tests: job rows, days and fetch responses.
+// Pass only the fields a test cares about; everything else gets the blank value a new row has.
+
+import { JOB_TIME_FIELDS } from './timeCalculations';
+
+// A job row. Without an id, one is made from the job number and start time so rows stay distinct.
+export const makeJob = (fields = {}) => {
+    const job = {
+        jobNumber: '',
+        jobLocation: '',
+        ...Object.fromEntries(JOB_TIME_FIELDS.map(field => [field, ''])),
+        totalTimeWorkedMinutes: 0,
+        nextDayFields: [],
+        ...fields,
+    };
+    return { id: `${job.jobNumber}-${job.travelStartTime}`, ...job };
+};
+
+// A day's record with the given job rows
+export const makeDay = (jobs = [], fields = {}) => ({ jobs, isOnCall: false, carriedInMinutes: 0, ...fields });
+
+// What fetch resolves to for a JSON reply with the given status
+export const jsonResponse = (status, body) => Promise.resolve({ ok: status >= 200 && status < 300, status, json: () => Promise.resolve(body) });
@@ -0,0 +1,5 @@
+// Jest global setup: runs before the test workers start, so they all inherit this timezone.
+// Pacific time is where the date bugs showed up: after 5pm the UTC date is already tomorrow.
+module.exports = async () => {
+    process.env.TZ = 'America/Los_Angeles';
+};
@@ -0,0 +1,112 @@
+// Time arithmetic for job rows and days.
+// A job's four times are read in the order they happen; a time earlier than the one
+// before it is taken to be after midnight, and any time can also be marked explicitly
+// as "next day" through the job's nextDayFields.
+
+export const MINUTES_PER_DAY = 24 * 60;
+
+// Job time fields in the order they happen
+export const JOB_TIME_FIELDS = ['travelStartTime', 'workStartTime', 'workFinishTime', 'travelHomeTime'];
+
+// Helper function to convert time string (HH:MM) to minutes from midnight.
+// Returns null for blank or invalid times so that 00:00 is still a usable time.
+export const timeToMinutes = (timeString) => {
+    if (!timeString) return null;
+    const [hours, minutes] = timeString.split(':').map(Number);
+    if (isNaN(hours) || isNaN(minutes)) return null;
+    return hours * 60 + minutes;
+};
+
+// Helper function to format decimal hours to H.HH (e.g., 8.50)
+export const formatDecimalHours = (minutes) => {
+    if (isNaN(minutes) || minutes < 0) return '0.00';
+    const hours = minutes / 60;
+    return hours.toFixed(2);
+};
+
+// Build the ordered list of entered times for a job, as minutes from midnight of the
+// job's own date (values of 1440 and above fall on the following day).
+export const getJobTimeline = (job) => {
+    const explicitNextDayFields = job.nextDayFields || [];
+    const timeline = [];
+    let dayOffset = 0;
+    let previousMinutes = null;
+
+    JOB_TIME_FIELDS.forEach(field => {
+        const minutes = timeToMinutes(job[field]);
+        if (minutes === null) return;
+
+        let absoluteMinutes = minutes + dayOffset;
+        const isExplicitNextDay = explicitNextDayFields.includes(field);
+        if (isExplicitNextDay && absoluteMinutes < MINUTES_PER_DAY) {
+            dayOffset = MINUTES_PER_DAY;
+            absoluteMinutes = minutes + dayOffset;
+        }
+        // Times only move forward, so going backwards means we rolled past midnight
+        if (previousMinutes !== null && absoluteMinutes < previousMinutes) {
+            dayOffset += MINUTES_PER_DAY;
+            absoluteMinutes += MINUTES_PER_DAY;
+        }
+
+        timeline.push({
+            field,
+            minutes: absoluteMinutes,
+            isNextDay: absoluteMinutes >= MINUTES_PER_DAY,
+            isExplicitNextDay,
+        });
+        previousMinutes = absoluteMinutes;
+    });
+
+    return timeline;
+};
+
+// Calculate total time worked for a single job, from its first to its last entered time
+export const calculateJobTotal = (job) => {
+    const timeline = getJobTimeline(job);
+    if (timeline.length < 2) { // Need at least two valid time points to calculate a duration
+        return 0;
+    }
+    return timeline[timeline.length - 1].minutes - timeline[0].minutes;
+};
+
+// Split a job's minutes between its own date and the following date
+export const splitJobAcrossMidnight = (job) => {
+    const timeline = getJobTimeline(job);
+    if (timeline.length < 2) {
+        return { minutesOnDay: 0, minutesOnNextDay: 0 };
+    }
+    const start = timeline[0].minutes;
+    const end = timeline[timeline.length - 1].minutes;
+    return {
+        minutesOnDay: Math.max(0, Math.min(end, MINUTES_PER_DAY) - Math.min(start, MINUTES_PER_DAY)),
+        minutesOnNextDay: Math.max(0, end - Math.max(start, MINUTES_PER_DAY)),
+    };
+};
+
+// Whether a given time field of a job falls on the day after the job's date
+export const isJobTimeOnNextDay = (job, field) => {
+    const entry = getJobTimeline(job).find(point => point.field === field);
+    return !!entry && entry.isNextDay;
+};
+
+// Added to times that fall on the next day in reports and CSV files
+export const NEXT_DAY_SUFFIX = ' (next day)';
+
+// Format a job time for reports, marking times that fall on the next day
+export const formatJobTime = (job, field) => {
+    const value = job[field];
+    if (!value) return '';
+    return isJobTimeOnNextDay(job, field) ? `${value}${NEXT_DAY_SUFFIX}` : value;
+};
+
+// Minutes a day's own jobs spill over past midnight into the following date
+export const calculateCarryOverMinutes = (jobs) => {
+    return jobs.reduce((sum, job) => sum + splitJobAcrossMidnight(job).minutesOnNextDay, 0);
+};
+
+// Calculate the minutes worked on a date: its own jobs up to midnight plus
+// carriedInMinutes, the after-midnight minutes of the previous date's overnight jobs.
+// Net hours come from applying the deduction rules (see deductionRules.js) to this total.
+export const calculateDayMinutes = (jobs, carriedInMinutes) => {
+    return jobs.reduce((sum, job) => sum + splitJobAcrossMidnight(job).minutesOnDay, carriedInMinutes || 0);
+};
@@ -0,0 +1,80 @@
+import {
+    calculateCarryOverMinutes,
+    calculateDayMinutes,
+    calculateJobTotal,
+    formatDecimalHours,
+    formatJobTime,
+    isJobTimeOnNextDay,
+    splitJobAcrossMidnight,
+    timeToMinutes,
+} from './timeCalculations';
+import { makeJob } from './testFixtures';
+
+const job = (travelStartTime, workStartTime, workFinishTime, travelHomeTime, nextDayFields = []) => makeJob({
+    travelStartTime, workStartTime, workFinishTime, travelHomeTime, nextDayFields,
+});
+
+describe('timeToMinutes', () => {
+    test('parses HH:MM into minutes from midnight', () => {
+        expect(timeToMinutes('07:30')).toBe(450);
+        expect(timeToMinutes('23:59')).toBe(1439);
+    });
+
+    test('keeps midnight as a real time', () => {
+        expect(timeToMinutes('00:00')).toBe(0);
+    });
+
+    test('returns null for blank or invalid times', () => {
+        expect(timeToMinutes('')).toBeNull();
+        expect(timeToMinutes(undefined)).toBeNull();
+        expect(timeToMinutes('ab:cd')).toBeNull();
+    });
+});
+
+describe('formatDecimalHours', () => {
+    test('formats minutes as hours with two decimals', () => {
+        expect(formatDecimalHours(510)).toBe('8.50');
+        expect(formatDecimalHours(20)).toBe('0.33');
+    });
+
+    test('shows zero for negative or missing values', () => {
+        expect(formatDecimalHours(-5)).toBe('0.00');
+        expect(formatDecimalHours(NaN)).toBe('0.00');
+    });
+});
+
+describe('calculateJobTotal', () => {
+    test('runs from the first to the last entered time', () => {
+        expect(calculateJobTotal(job('07:00', '07:30', '15:00', '15:45'))).toBe(525);
+        expect(calculateJobTotal(job('', '08:00', '12:15', ''))).toBe(255);
+    });
+
+    test('needs at least two times', () => {
+        expect(calculateJobTotal(job('07:00', '', '', ''))).toBe(0);
+        expect(calculateJobTotal(job('', '', '', ''))).toBe(0);
+    });
+
+    test('treats a time earlier than the one before it as after midnight', () => {
+        const overnight = job('22:00', '22:30', '02:00', '02:30');
+        expect(calculateJobTotal(overnight)).toBe(270);
+        expect(isJobTimeOnNextDay(overnight, 'workStartTime')).toBe(false);
+        expect(isJobTimeOnNextDay(overnight, 'workFinishTime')).toBe(true);
+        expect(formatJobTime(overnight, 'travelHomeTime')).toBe('02:30 (next day)');
+    });
+
+    test('uses the explicit next-day markers', () => {
+        expect(calculateJobTotal(job('23:00', '', '', '23:30', ['travelHomeTime']))).toBe(24 * 60 + 30);
+    });
+});
+
+describe('splitting across midnight', () => {
+    test('puts the minutes after midnight on the next day', () => {
+        expect(splitJobAcrossMidnight(job('22:00', '', '', '01:30'))).toEqual({ minutesOnDay: 120, minutesOnNextDay: 90 });
+    });
+
+    test('adds carried-in minutes to a day and carries out the overnight ones', () => {
+        const jobs = [job('08:00', '', '', '12:00'), job('21:00', '', '', '00:30')];
+        expect(calculateDayMinutes(jobs, 45)).toBe(240 + 180 + 45);
+        expect(calculateCarryOverMinutes(jobs)).toBe(30);
+    });
+});
@@ -0,0 +1,282 @@
+// Reading timesheet data back into the app.
+// Supported inputs: the weekly CSV (buildWeeklyCsvRows), the flat one-row-per-job CSV
+// (buildFlatJobCsvRows) and the full JSON backup (buildJsonBackup). Parsers return the
+// imported days keyed by date plus any row-level errors; rows with errors are skipped.
+
+import { parseCsv } from './csv';
+import { isValidDateKey } from './dateUtils';
+import { migrateDayRecord, SCHEMA_VERSION } from './storage';
+import { createInitialJob, hasJobData, normalizeJob } from './timesheetModel';
+import { isJobTimeOnNextDay, JOB_TIME_FIELDS, NEXT_DAY_SUFFIX } from './timeCalculations';
+
+export const BACKUP_FORMAT = 'pro-air-timesheet-backup';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const TIME_COLUMNS = {
+    travelStartTime: 'Travel Start',
+    workStartTime: 'Work Start',
+    workFinishTime: 'Work Finish',
+    travelHomeTime: 'Travel Home Arrival',
+};
+
+// Whether a string is blank or a valid 24-hour HH:MM time
+export const isValidTime = (value) => !value || TIME_PATTERN.test(value);
+
+// Check a job's times, returning a message per invalid field
+const validateJobTimes = (job) => {
+    return JOB_TIME_FIELDS
+        .filter(field => !isValidTime(job[field]))
+        .map(field => `${TIME_COLUMNS[field]} "${job[field]}" is not a valid HH:MM time`);
+};
+
+const emptyImportedDay = () => ({ jobs: [], isOnCall: false });
+
+// Read a job out of a CSV row using the header positions. Times written with the
+// "(next day)" marker are marked as next day unless the order of the times already puts
+// them after midnight, so overnight jobs come back as they were exported.
+const readJobFromRow = (row, columnIndex) => {
+    const cell = (name) => (columnIndex[name] === undefined ? '' : (row[columnIndex[name]] || '').trim());
+    const job = {
+        jobNumber: cell('Job Number'),
+        jobLocation: cell('Job Location'),
+        nextDayFields: [],
+    };
+    JOB_TIME_FIELDS.forEach(field => {
+        const value = cell(TIME_COLUMNS[field]);
+        const isMarkedNextDay = value.toLowerCase().endsWith(NEXT_DAY_SUFFIX);
+        job[field] = isMarkedNextDay ? value.slice(0, -NEXT_DAY_SUFFIX.length).trim() : value;
+        if (isMarkedNextDay && !isJobTimeOnNextDay(job, field)) {
+            job.nextDayFields = [...job.nextDayFields, field];
+        }
+    });
+    const id = cell('Job ID');
+    if (id) job.id = id;
+    return job;
+};
+
+const indexColumns = (headerRow) => {
+    const columnIndex = {};
+    headerRow.forEach((name, index) => {
+        columnIndex[name.trim()] = index;
+    });
+    return columnIndex;
+};
+
+// Value from a "Label:,value" row in the CSV header block
+const findHeaderValue = (rows, label) => {
+    const row = rows.find(r => (r[0] || '').trim() === label);
+    return row ? (row[1] || '').trim() : '';
+};
+
+const parseWeeklyCsv = (rows, headerIndex) => {
+    const columnIndex = indexColumns(rows[headerIndex]);
+    const days = {};
+    const errors = [];
+    let currentDate = null;
+
+    for (let i = headerIndex + 1; i < rows.length; i++) {
+        const row = rows[i];
+        if (row.length === 0) break; // The totals block starts after a blank line
+        const lineNumber = i + 1;
+        const date = (row[columnIndex['Date']] || '').trim();
+
+        if (date) {
+            if (!isValidDateKey(date)) {
+                errors.push(`Line ${lineNumber}: "${date}" is not a valid YYYY-MM-DD date`);
+                currentDate = null;
+                continue;
+            }
+            currentDate = date;
+            days[date] = days[date] || emptyImportedDay();
+            days[date].isOnCall = (row[columnIndex['On-Call']] || '').trim().toLowerCase() === 'yes';
+        }
+        if (!currentDate) continue; // Job rows of a day whose date was rejected, or "no data" notes
+
+        const job = readJobFromRow(row, columnIndex);
+        if (!hasJobData(job)) continue;
+        const jobErrors = validateJobTimes(job);
+        if (jobErrors.length > 0) {
+            jobErrors.forEach(message => errors.push(`Line ${lineNumber}: ${message}`));
+            continue;
+        }
+        days[currentDate].jobs.push(job);
+    }
+
+    return {
+        format: 'weekly-csv',
+        profile: { employeeName: findHeaderValue(rows, 'Employee Name:'), truckNumber: findHeaderValue(rows, 'Truck Number:') },
+        days,
+        errors,
+    };
+};
+
+const parseFlatJobCsv = (rows) => {
+    const columnIndex = indexColumns(rows[0]);
+    const days = {};
+    const errors = [];
+    let profile = { employeeName: '', truckNumber: '' };
+
+    rows.slice(1).forEach((row, offset) => {
+        if (row.length === 0) return;
+        const lineNumber = offset + 2;
+        const date = (row[columnIndex['Date']] || '').trim();
+        if (!isValidDateKey(date)) {
+            errors.push(`Line ${lineNumber}: "${date}" is not a valid YYYY-MM-DD date`);
+            return;
+        }
+        const job = readJobFromRow(row, columnIndex);
+        const jobErrors = validateJobTimes(job);
+        if (jobErrors.length > 0) {
+            jobErrors.forEach(message => errors.push(`Line ${lineNumber}: ${message}`));
+            return;
+        }
+        if (!profile.employeeName) {
+            profile = {
+                employeeName: (row[columnIndex['Employee Name']] || '').trim(),
+                truckNumber: (row[columnIndex['Truck Number']] || '').trim(),
+            };
+        }
+        days[date] = days[date] || emptyImportedDay();
+        days[date].isOnCall = days[date].isOnCall || (row[columnIndex['On-Call']] || '').trim().toLowerCase() === 'yes';
+        if (hasJobData(job)) days[date].jobs.push(job);
+    });
+
+    return { format: 'flat-csv', profile, days, errors };
+};
+
+const parseJsonBackup = (text) => {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (e) {
+        return { format: 'json', profile: {}, days: {}, errors: [`The file is not valid JSON: ${e.message}`] };
+    }
+    if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.days !== 'object') {
+        return { format: 'json', profile: {}, days: {}, errors: ['The JSON file is not a timesheet backup.'] };
+    }
+    if (backup.schemaVersion > SCHEMA_VERSION) {
+        return { format: 'json', profile: {}, days: {}, errors: ['This backup was made by a newer version of the app. Update the app before restoring it.'] };
+    }
+
+    const days = {};
+    const errors = [];
+    Object.keys(backup.days).forEach(date => {
+        if (!isValidDateKey(date)) {
+            errors.push(`Day "${date}" is not a valid YYYY-MM-DD date`);
+            return;
+        }
+        // Bring days from older backups up to the current shape
+        const { day } = migrateDayRecord({ schemaVersion: backup.schemaVersion, day: backup.days[date] });
+        const jobs = [];
+        day.jobs.forEach((job, index) => {
+            const jobErrors = validateJobTimes(job);
+            if (jobErrors.length > 0) {
+                jobErrors.forEach(message => errors.push(`${date}, job ${index + 1}: ${message}`));
+                return;
+            }
+            jobs.push(job);
+        });
+        days[date] = { ...day, jobs };
+    });
+
+    return { format: 'json', profile: backup.profile || {}, days, errors };
+};
+
+// Work out which format a file is in and parse it
+export const parseImportFile = (text, filename = '') => {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    if (filename.toLowerCase().endsWith('.json') || trimmed.startsWith('{')) {
+        return parseJsonBackup(trimmed);
+    }
+
+    const rows = parseCsv(text);
+    const firstRow = (rows[0] || []).map(cell => cell.trim());
+    if (firstRow.includes('Date') && firstRow.includes('Job Number')) {
+        return parseFlatJobCsv(rows);
+    }
+    const weeklyHeaderIndex = rows.findIndex(row => row[0] === 'Day' && row[1] === 'Date');
+    if (weeklyHeaderIndex !== -1) {
+        return parseWeeklyCsv(rows, weeklyHeaderIndex);
+    }
+    return { format: 'unknown', profile: {}, days: {}, errors: ['Unrecognised file. Import a weekly CSV, a one-row-per-job CSV or a JSON backup from this app.'] };
+};
+
+// Jobs without an id (weekly CSVs exported before they had a Job ID column, or files made by
+// hand) are matched to an existing job with the same content so that importing the same
+// file twice does not duplicate them
+const findMatchingJob = (existingJobs, importedJob) => {
+    if (importedJob.id) {
+        return existingJobs.find(job => job.id === importedJob.id);
+    }
+    return existingJobs.find(job => job.jobNumber === importedJob.jobNumber
+        && job.jobLocation === importedJob.jobLocation
+        && JOB_TIME_FIELDS.every(field => (job[field] || '') === (importedJob[field] || '')));
+};
+
+// Describe what applying the import will do to each day
+export const buildImportPreview = (weeklyData, importedDays, mode) => {
+    return Object.keys(importedDays).sort().map(date => {
+        const existingJobs = (weeklyData[date]?.jobs || []).filter(hasJobData);
+        const importedJobs = importedDays[date].jobs;
+        const matched = importedJobs.filter(job => findMatchingJob(existingJobs, job));
+        return {
+            date,
+            isExistingDay: existingJobs.length > 0,
+            existingJobCount: existingJobs.length,
+            importedJobCount: importedJobs.length,
+            updatedJobCount: mode === 'merge' ? matched.length : 0,
+            addedJobCount: mode === 'merge' ? importedJobs.length - matched.length : importedJobs.length,
+            removedJobCount: mode === 'replace' ? existingJobs.length : 0,
+        };
+    });
+};
+
+// Apply imported days to weeklyData.
+// 'replace' swaps each imported day's jobs for the imported ones; 'merge' goes job by job,
+// updating jobs with a matching id and adding the rest. Totals are left for the caller to
+// recalculate.
+export const applyImport = (weeklyData, importedDays, mode) => {
+    const updatedWeeklyData = { ...weeklyData };
+    Object.keys(importedDays).forEach(date => {
+        const imported = importedDays[date];
+        const existingDay = weeklyData[date];
+        const importedJobs = imported.jobs.map(job => normalizeJob(job.id ? job : { ...job, id: createInitialJob().id }));
+
+        let jobs;
+        let isOnCall;
+        if (mode === 'merge' && existingDay) {
+            const existingJobs = existingDay.jobs.filter(hasJobData);
+            jobs = [...existingJobs];
+            imported.jobs.forEach((job, index) => {
+                const match = findMatchingJob(existingJobs, job);
+                if (match) {
+                    jobs = jobs.map(existing => (existing.id === match.id ? { ...importedJobs[index], id: match.id } : existing));
+                } else {
+                    jobs.push(importedJobs[index]);
+                }
+            });
+            isOnCall = existingDay.isOnCall || imported.isOnCall;
+        } else {
+            jobs = importedJobs;
+            isOnCall = imported.isOnCall;
+        }
+
+        updatedWeeklyData[date] = {
+            ...existingDay,
+            ...(mode === 'replace' ? imported : {}),
+            jobs,
+            isOnCall: !!isOnCall,
+        };
+    });
+    return updatedWeeklyData;
+};
+
+// Full backup of everything needed to restore the timesheet on another device
+export const buildJsonBackup = ({ profile, weeklyData }) => ({
+    format: BACKUP_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile,
+    days: weeklyData,
+});
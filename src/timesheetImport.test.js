@@ -0,0 +1,102 @@
+import { toCsv } from './csv';
+import { buildFlatJobCsvRows, buildWeeklyCsvRows } from './csvReports';
+import { DEFAULT_DEDUCTION_RULES } from './deductionRules';
+import { recalculateDates } from './dayTotals';
+import { calculatePayBreakdown, DEFAULT_PAY_RULES } from './payCalculations';
+import { makeDay, makeJob } from './testFixtures';
+import { applyImport, parseImportFile } from './timesheetImport';
+
+const dates = ['2024-06-10', '2024-06-11'];
+
+// Monday: a night job that runs past midnight, and a call-out that starts after midnight
+// and so only counts on Tuesday. Tuesday: a day job.
+const weeklyData = recalculateDates({
+    '2024-06-10': makeDay([
+        makeJob({ id: 'night', jobNumber: 'J-100', jobLocation: 'Plant', travelStartTime: '22:00', travelHomeTime: '02:00' }),
+        makeJob({ id: 'call-out', jobNumber: 'J-101', jobLocation: 'Depot', travelStartTime: '00:30', travelHomeTime: '03:00', nextDayFields: ['travelStartTime'] }),
+    ]),
+    '2024-06-11': makeDay([makeJob({ id: 'day', jobNumber: 'J-200', jobLocation: 'Main St', travelStartTime: '08:00', travelHomeTime: '12:00' })]),
+}, dates, DEFAULT_DEDUCTION_RULES);
+
+const weeklyCsv = (data) => toCsv(buildWeeklyCsvRows({
+    employeeName: 'Sam', truckNumber: 'T-7', startDate: dates[0], endDate: dates[1], weeklyData: data, dates, weeklyPay: calculatePayBreakdown(data, dates, DEFAULT_PAY_RULES),
+}));
+
+const flatCsv = (data) => toCsv(buildFlatJobCsvRows({ employeeName: 'Sam', truckNumber: 'T-7', weeklyData: data, dates }));
+
+// Import a file into the given days the way the app does, totals included
+const importInto = (data, text, mode) => {
+    const { days, errors } = parseImportFile(text);
+    expect(errors).toEqual([]);
+    return recalculateDates(applyImport(data, days, mode), Object.keys(days), DEFAULT_DEDUCTION_RULES);
+};
+
+const summarize = (data) => dates.map(date => ({
+    totalHours: data[date].totalHours,
+    carriedInMinutes: data[date].carriedInMinutes,
+    jobs: data[date].jobs.map(({ jobNumber, totalTimeWorkedMinutes, nextDayFields }) => ({ jobNumber, totalTimeWorkedMinutes, nextDayFields })),
+}));
+
+describe('overnight jobs in CSV files', () => {
+    test('marks the times after midnight', () => {
+        const text = flatCsv(weeklyData);
+        expect(text).toContain('22:00,,,02:00 (next day)');
+        expect(text).toContain('00:30 (next day),,,03:00 (next day)');
+    });
+
+    test.each([['weekly', weeklyCsv], ['one-row-per-job', flatCsv]])('come back from a %s CSV with their hours', (format, toFile) => {
+        const imported = importInto({}, toFile(weeklyData), 'replace');
+        expect(summarize(imported)).toEqual(summarize(weeklyData));
+        expect(imported['2024-06-11'].carriedInMinutes).toBe(120 + 150);
+    });
+
+    test('still reads times without the marker', () => {
+        const { days } = parseImportFile('Date,Job Number,Travel Start,Travel Home Arrival\n2024-06-10,J-100,22:00,02:00\n');
+        expect(days['2024-06-10'].jobs[0]).toMatchObject({ travelStartTime: '22:00', travelHomeTime: '02:00', nextDayFields: [] });
+    });
+});
+
+describe('merging an edited export', () => {
+    // The exported file with J-200's travel home time changed from 12:00 to 13:30
+    const editDayJob = (text) => text.replace('08:00,,,12:00', '08:00,,,13:30');
+
+    test.each([['weekly', weeklyCsv], ['one-row-per-job', flatCsv]])('updates the jobs of a %s CSV in place', (format, toFile) => {
+        const merged = importInto(weeklyData, editDayJob(toFile(weeklyData)), 'merge');
+        expect(merged['2024-06-11'].jobs.map(job => [job.id, job.travelHomeTime])).toEqual([['day', '13:30']]);
+        expect(merged['2024-06-10'].jobs.map(job => job.id)).toEqual(['night', 'call-out']);
+        expect(summarize(importInto(merged, editDayJob(toFile(weeklyData)), 'merge'))).toEqual(summarize(merged));
+    });
+
+    test('matches jobs by content in files without job ids', () => {
+        const text = 'Date,Job Number,Job Location,Travel Start,Travel Home Arrival\n2024-06-11,J-200,Main St,08:00,12:00\n2024-06-11,J-201,Shop,13:00,15:00\n';
+        const merged = importInto(weeklyData, text, 'merge');
+        expect(merged['2024-06-11'].jobs.map(job => job.jobNumber)).toEqual(['J-200', 'J-201']);
+        expect(merged['2024-06-11'].jobs[0].id).toBe('day');
+    });
+
+    test('replaces the imported days and leaves the others alone', () => {
+        const text = 'Date,Job Number,Travel Start,Travel Home Arrival\n2024-06-11,J-300,09:00,10:00\n';
+        const replaced = importInto(weeklyData, text, 'replace');
+        expect(replaced['2024-06-11'].jobs.map(job => job.jobNumber)).toEqual(['J-300']);
+        expect(replaced['2024-06-10']).toBe(weeklyData['2024-06-10']);
+    });
+});
+
+describe('parseImportFile', () => {
+    test('reports rows with bad dates or times and skips them', () => {
+        const { days, errors } = parseImportFile('Date,Job Number,Travel Start\n2024-13-01,J-1,07:00\n2024-06-10,J-2,7am\n2024-06-10,J-3,07:00\n');
+        expect(errors).toEqual([
+            'Line 2: "2024-13-01" is not a valid YYYY-MM-DD date',
+            'Line 3: Travel Start "7am" is not a valid HH:MM time',
+        ]);
+        expect(days['2024-06-10'].jobs.map(job => job.jobNumber)).toEqual(['J-3']);
+    });
+
+    test('reads the profile from the weekly header', () => {
+        expect(parseImportFile(weeklyCsv(weeklyData))).toMatchObject({ format: 'weekly-csv', profile: { employeeName: 'Sam', truckNumber: 'T-7' } });
+    });
+
+    test('refuses files it does not recognise', () => {
+        expect(parseImportFile('hello,world\n').errors).toEqual(['Unrecognised file. Import a weekly CSV, a one-row-per-job CSV or a JSON backup from this app.']);
+    });
+});
@@ -0,0 +1,53 @@
+// Shapes of the records that make up a timesheet day.
+
+import { getDayOfWeek } from './dateUtils';
+import { JOB_TIME_FIELDS } from './timeCalculations';
+
+// Initial structure for a single job entry
+export const createInitialJob = () => ({
+    id: crypto.randomUUID(), // Unique ID for each job
+    jobNumber: '',
+    jobLocation: '',
+    travelStartTime: '',
+    workStartTime: '',
+    workFinishTime: '',
+    travelHomeTime: '',
+    totalTimeWorkedMinutes: 0,
+    nextDayFields: [], // Time fields explicitly marked as falling after midnight
+});
+
+// Fill in any fields missing from a job saved by an older version of the app,
+// keeping the stored id and values where present.
+export const normalizeJob = (job) => {
+    const defaults = createInitialJob();
+    return {
+        ...defaults,
+        ...job,
+        id: job?.id || defaults.id,
+    };
+};
+
+// Whether anything has been entered on a job row; blank rows are left out of reports and exports
+export const hasJobData = (job) => {
+    return !!(job.jobNumber || job.jobLocation || JOB_TIME_FIELDS.some(field => job[field]));
+};
+
+// Blank data for a date that has no entries yet
+export const createEmptyDay = (dateString) => ({
+    jobs: Array(3).fill(null).map(() => createInitialJob()),
+    dayOfWeek: getDayOfWeek(dateString),
+    totalHours: 0,
+    netHours: 0,
+    isOnCall: false,
+    carriedInMinutes: 0,
+    appliedDeductions: [],
+});
+
+// A crew member on the roster. Day records are stored per employee id.
+export const createEmployee = (name = '', defaultTruck = '') => ({
+    id: crypto.randomUUID(),
+    name,
+    defaultTruck, // Truck shown on this employee's reports
+    payrollId: '', // Employee number in the payroll system, used by payroll exports
+    labourRate: 0, // Hourly labour cost, used by the job costing report; 0 when not set
+});
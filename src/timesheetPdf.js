@@ -0,0 +1,158 @@
+// Printable timesheet for payroll: the report range laid out as a signed PDF.
+// The layout has the company header, the employee and truck, a job table per day with its
+// totals and deductions, period totals by pay category, and employee and supervisor signature
+// lines. The employee's signature from the signature pad is drawn onto their line.
+
+import { COMPANY_NAME } from './company';
+import { formatDateTime } from './dateUtils';
+import { formatAppliedDeductions, summarizeDeductions } from './deductionRules';
+import { formatPayBreakdown, PAY_CATEGORIES } from './payCalculations';
+import { createPdfDocument, fitText, PAGE_HEIGHT, PAGE_WIDTH } from './pdf';
+import { hasJobData } from './timesheetModel';
+import { formatDecimalHours, isJobTimeOnNextDay } from './timeCalculations';
+
+const MARGIN = 40;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const FOOTER_HEIGHT = 20;
+const ROW_HEIGHT = 13;
+const SIGNATURE_WIDTH = 180;
+const SIGNATURE_HEIGHT = 60; // The signature pad is three times wider than it is high
+
+// Printed time, with "+1" when it falls after midnight
+const formatTime = (job, field) => {
+    if (!job[field]) return '';
+    return isJobTimeOnNextDay(job, field) ? `${job[field]} +1` : job[field];
+};
+
+const JOB_COLUMNS = [
+    { label: 'Job #', width: 62, value: job => job.jobNumber },
+    { label: 'Location', width: 170, value: job => job.jobLocation },
+    { label: 'Travel Start', width: 58, value: job => formatTime(job, 'travelStartTime') },
+    { label: 'Work Start', width: 58, value: job => formatTime(job, 'workStartTime') },
+    { label: 'Work Finish', width: 58, value: job => formatTime(job, 'workFinishTime') },
+    { label: 'Travel Home', width: 58, value: job => formatTime(job, 'travelHomeTime') },
+    { label: 'Hours', width: 48, value: job => formatDecimalHours(job.totalTimeWorkedMinutes) },
+];
+
+// Build the PDF file for the given dates of weeklyData. `signature` is the employee's
+// { strokes, signedAt } from the signature pad, or null to leave the line blank.
+// Returns the file as a string; see pdfToBytes in pdf.js.
+export const buildTimesheetPdf = ({ employeeName, truckNumber, startDate, endDate, periodLabel, weeklyData, dates, weeklyPay, signature }) => {
+    const doc = createPdfDocument({ title: `${COMPANY_NAME} Timesheet - ${employeeName || 'Employee'} - ${startDate} to ${endDate}` });
+    let y = MARGIN;
+
+    const ensureSpace = (height) => {
+        if (y + height > PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT) {
+            doc.addPage();
+            y = MARGIN;
+        }
+    };
+
+    doc.addPage();
+
+    // Company header
+    doc.text(MARGIN, y + 18, COMPANY_NAME, { size: 18, bold: true });
+    doc.text(MARGIN, y + 36, `${periodLabel || 'Weekly'} Timesheet`, { size: 13, bold: true });
+    doc.text(MARGIN, y + 54, `Employee: ${employeeName || 'N/A'}`, { size: 10 });
+    doc.text(MARGIN + 200, y + 54, `Truck: ${truckNumber || 'N/A'}`, { size: 10 });
+    doc.text(MARGIN + 340, y + 54, `Period: ${startDate} to ${endDate}`, { size: 10 });
+    doc.line(MARGIN, y + 62, MARGIN + CONTENT_WIDTH, y + 62, { width: 1 });
+    y += 76;
+
+    if (dates.length === 0) {
+        doc.text(MARGIN, y + 10, 'No timesheet data entered for the selected period.', { size: 10 });
+        y += 20;
+    }
+
+    // One block per day: heading, job table and the day's totals
+    dates.forEach(date => {
+        const dayData = weeklyData[date];
+        const jobs = (dayData.jobs || []).filter(hasJobData);
+        ensureSpace(18 + ROW_HEIGHT * (Math.max(jobs.length, 1) + 1) + 26);
+
+        doc.fillRect(MARGIN, y, CONTENT_WIDTH, 16);
+        doc.text(MARGIN + 4, y + 11.5, `${dayData.dayOfWeek || ''} ${date}`, { size: 10, bold: true });
+        if (dayData.isOnCall) {
+            doc.text(MARGIN + CONTENT_WIDTH - 50, y + 11.5, 'On-Call', { size: 9, bold: true });
+        }
+        y += 18;
+
+        if (jobs.length === 0) {
+            doc.text(MARGIN + 4, y + 10, 'No job entries for this day.', { size: 9 });
+            y += ROW_HEIGHT;
+        } else {
+            let x = MARGIN + 4;
+            JOB_COLUMNS.forEach(column => {
+                doc.text(x, y + 9, column.label, { size: 8, bold: true });
+                x += column.width;
+            });
+            y += ROW_HEIGHT;
+            jobs.forEach(job => {
+                let columnX = MARGIN + 4;
+                JOB_COLUMNS.forEach(column => {
+                    doc.text(columnX, y + 9, fitText(column.value(job), column.width - 4, 9), { size: 9 });
+                    columnX += column.width;
+                });
+                y += ROW_HEIGHT;
+            });
+        }
+
+        const dayTotals = `Total ${formatDecimalHours(dayData.totalHours || 0)} Hrs    Net ${formatDecimalHours(dayData.netHours || 0)} Hrs    `
+            + `Deductions: ${formatAppliedDeductions(dayData.appliedDeductions)}    Pay: ${formatPayBreakdown(weeklyPay.days[date])}`;
+        doc.line(MARGIN, y + 2, MARGIN + CONTENT_WIDTH, y + 2);
+        doc.text(MARGIN + 4, y + 13, fitText(dayTotals, CONTENT_WIDTH - 8, 9), { size: 9, bold: true });
+        y += 26;
+    });
+
+    // Period totals, including overtime and the other pay categories
+    const totalMinutes = dates.reduce((sum, date) => sum + (weeklyData[date]?.totalHours || 0), 0);
+    const netMinutes = dates.reduce((sum, date) => sum + (weeklyData[date]?.netHours || 0), 0);
+    const totalLines = [
+        ['Total Hours', formatDecimalHours(totalMinutes)],
+        ['Net Hours', formatDecimalHours(netMinutes)],
+        ['Deductions', formatAppliedDeductions(summarizeDeductions(dates.map(date => weeklyData[date])))],
+        ...PAY_CATEGORIES.map(category => [`${category.label} Hours`, formatDecimalHours(weeklyPay.totals[category.key])]),
+    ];
+    ensureSpace(24 + ROW_HEIGHT * totalLines.length);
+    doc.text(MARGIN, y + 14, 'Period Totals', { size: 12, bold: true });
+    y += 22;
+    totalLines.forEach(([label, value]) => {
+        doc.text(MARGIN + 4, y + 9, `${label}:`, { size: 10 });
+        doc.text(MARGIN + 160, y + 9, fitText(value, CONTENT_WIDTH - 164, 10), { size: 10, bold: true });
+        y += ROW_HEIGHT;
+    });
+
+    // Signature lines; the employee's pad signature is drawn above theirs
+    const drawSignatureLine = (label, signedAt) => {
+        const lineY = y + SIGNATURE_HEIGHT;
+        doc.line(MARGIN, lineY, MARGIN + SIGNATURE_WIDTH + 40, lineY, { width: 0.75 });
+        doc.text(MARGIN, lineY + 11, label, { size: 9 });
+        doc.line(MARGIN + 280, lineY, MARGIN + 420, lineY, { width: 0.75 });
+        doc.text(MARGIN + 280, lineY + 11, 'Date', { size: 9 });
+        if (signedAt) {
+            doc.text(MARGIN + 284, lineY - 4, formatDateTime(signedAt), { size: 10 });
+        }
+        y = lineY + 24;
+    };
+
+    ensureSpace(2 * (SIGNATURE_HEIGHT + 24) + 12);
+    y += 12;
+    (signature?.strokes || []).forEach(stroke => {
+        doc.polyline(stroke.map(point => ({
+            x: MARGIN + point.x * SIGNATURE_WIDTH,
+            y: y + point.y * SIGNATURE_HEIGHT,
+        })), { width: 1.2 });
+    });
+    drawSignatureLine('Employee Signature', signature?.signedAt);
+    drawSignatureLine('Supervisor Signature', null);
+
+    // Footer on every page
+    const pageCount = doc.getPageCount();
+    for (let index = 0; index < pageCount; index++) {
+        doc.setPage(index);
+        doc.text(MARGIN, PAGE_HEIGHT - MARGIN + 10, fitText(`${COMPANY_NAME} - ${employeeName || 'Employee'} - ${startDate} to ${endDate}`, CONTENT_WIDTH - 80, 8), { size: 8 });
+        doc.text(PAGE_WIDTH - MARGIN - 50, PAGE_HEIGHT - MARGIN + 10, `Page ${index + 1} of ${pageCount}`, { size: 8 });
+    }
+
+    return doc.output();
+};
@@ -0,0 +1,75 @@
+import { calculatePayBreakdown, DEFAULT_PAY_RULES } from './payCalculations';
+import { makeDay, makeJob } from './testFixtures';
+import { buildTimesheetPdf } from './timesheetPdf';
+
+const job = (jobNumber, jobLocation, travelStartTime, travelHomeTime, totalTimeWorkedMinutes) => makeJob({ jobNumber, jobLocation, travelStartTime, travelHomeTime, totalTimeWorkedMinutes });
+
+const day = (dayOfWeek, jobs, totalHours, netHours, extra = {}) => makeDay(jobs, { dayOfWeek, totalHours, netHours, appliedDeductions: [], ...extra });
+
+const weeklyData = {
+    '2024-06-10': day('Monday', [job('J-100', 'Main St', '07:00', '16:30', 570)], 570, 480, {
+        appliedDeductions: [{ ruleId: 'travel', label: 'Travel', minutes: 60 }, { ruleId: 'lunch', label: 'Lunch', minutes: 30 }],
+    }),
+    '2024-06-11': day('Tuesday', [job('J-200', 'Plant', '22:00', '02:00', 240)], 120, 120, { isOnCall: true }),
+};
+
+const build = (overrides = {}) => {
+    const dates = overrides.dates || Object.keys(weeklyData).sort();
+    const data = overrides.weeklyData || weeklyData;
+    return buildTimesheetPdf({
+        employeeName: 'Sam Lee',
+        truckNumber: 'T-7',
+        startDate: '2024-06-10',
+        endDate: '2024-06-16',
+        periodLabel: 'Weekly',
+        weeklyData: data,
+        dates,
+        weeklyPay: calculatePayBreakdown(data, dates, DEFAULT_PAY_RULES),
+        signature: null,
+        ...overrides,
+    });
+};
+
+describe('buildTimesheetPdf', () => {
+    test('has the company header, employee, jobs and totals', () => {
+        const file = build();
+        expect(file).toContain('(Pro-Air Mechanical)');
+        expect(file).toContain('(Weekly Timesheet)');
+        expect(file).toContain('(Employee: Sam Lee)');
+        expect(file).toContain('(Truck: T-7)');
+        expect(file).toContain('(Monday 2024-06-10)');
+        expect(file).toContain('(J-100)');
+        expect(file).toContain('(02:00 +1)');
+        expect(file).toContain('(On-Call)');
+        expect(file).toContain('Deductions: Travel -1.00, Lunch -0.50');
+        expect(file).toContain('(Overtime Hours:)');
+        expect(file).toContain('(Net Hours:)');
+        expect(file).toContain('(10.00)');
+        expect(file).toContain('(Employee Signature)');
+        expect(file).toContain('(Supervisor Signature)');
+        expect(file).toContain('(Page 1 of 1)');
+    });
+
+    test('draws the signature and the time it was signed', () => {
+        const signedAt = new Date(2024, 5, 14, 18, 30).toISOString();
+        const file = build({ signature: { strokes: [[{ x: 0, y: 0 }, { x: 1, y: 1 }]], signedAt } });
+        expect(file).toMatch(/q 1 J 1 j 1\.2 w 40 [\d.]+ m 220 [\d.]+ l S Q/);
+        expect(file).toContain('(2024-06-14 18:30)');
+    });
+
+    test('moves to a new page when the days do not fit', () => {
+        const manyDays = {};
+        for (let dayOfMonth = 1; dayOfMonth <= 20; dayOfMonth++) {
+            const date = `2024-07-${String(dayOfMonth).padStart(2, '0')}`;
+            manyDays[date] = day('Day', [job(`J-${dayOfMonth}`, 'Site', '08:00', '12:00', 240), job(`K-${dayOfMonth}`, 'Site', '13:00', '16:00', 180)], 420, 390);
+        }
+        const file = build({ weeklyData: manyDays, dates: Object.keys(manyDays) });
+        const pageCount = Number(/\/Count (\d+)/.exec(file)[1]);
+        expect(pageCount).toBeGreaterThan(1);
+        expect(file).toContain(`(Page ${pageCount} of ${pageCount})`);
+    });
+
+    test('says when there is nothing in the range', () => {
+        expect(build({ dates: [] })).toContain('(No timesheet data entered for the selected period.)');
+    });
+});
@@ -0,0 +1,123 @@
+// Checks a day's jobs for entries that are probably mistakes. Nothing here blocks editing;
+// the warnings are shown on the job rows and listed before reports and exports.
+
+import { formatDecimalHours, getJobTimeline, MINUTES_PER_DAY } from './timeCalculations';
+
+export const DEFAULT_VALIDATION_RULES = {
+    maxGapMinutes: 120, // Longest break between one job finishing and the next starting
+    maxDayMinutes: 16 * 60,
+};
+
+const FIELD_LABELS = {
+    travelStartTime: 'Travel Start',
+    workStartTime: 'Work Start',
+    workFinishTime: 'Work Finish',
+    travelHomeTime: 'Travel Home Arrival',
+};
+
+const describeJob = (job, index) => `Job ${index + 1}${job.jobNumber ? ` (${job.jobNumber})` : ''}`;
+
+// Times that went backwards without being marked "+1". They are counted as after midnight,
+// but are more often a typo such as a finish entered before the start.
+const checkTimeOrder = (job, index) => {
+    const warnings = [];
+    const timeline = getJobTimeline(job);
+    timeline.forEach((point, position) => {
+        if (position === 0 || point.isExplicitNextDay) return;
+        const previous = timeline[position - 1];
+        const rolledOver = Math.floor(point.minutes / MINUTES_PER_DAY) > Math.floor(previous.minutes / MINUTES_PER_DAY);
+        if (rolledOver) {
+            warnings.push({
+                type: 'outOfOrder',
+                jobIds: [job.id],
+                message: `${describeJob(job, index)}: ${FIELD_LABELS[point.field]} (${job[point.field]}) is before ${FIELD_LABELS[previous.field]} (${job[previous.field]}). It is counted as after midnight; mark it +1 if that is right.`,
+            });
+        }
+    });
+    return warnings;
+};
+
+const checkMissingTimes = (job, index) => {
+    const hasTimes = Object.keys(FIELD_LABELS).some(field => job[field]);
+    if (!job.jobNumber || hasTimes) return [];
+    return [{
+        type: 'missingTimes',
+        jobIds: [job.id],
+        message: `${describeJob(job, index)} has a job number but no times.`,
+    }];
+};
+
+// First and last entered time of each job that has at least two times
+const getJobSpans = (jobs) => {
+    return jobs
+        .map((job, index) => {
+            const timeline = getJobTimeline(job);
+            if (timeline.length < 2) return null;
+            return { job, index, start: timeline[0].minutes, end: timeline[timeline.length - 1].minutes };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.start - b.start);
+};
+
+const checkOverlapsAndGaps = (jobs, rules) => {
+    const warnings = [];
+    const spans = getJobSpans(jobs);
+
+    spans.forEach((span, position) => {
+        spans.slice(position + 1).forEach(other => {
+            if (other.start < span.end) {
+                warnings.push({
+                    type: 'overlap',
+                    jobIds: [span.job.id, other.job.id],
+                    message: `${describeJob(span.job, span.index)} and ${describeJob(other.job, other.index)} overlap.`,
+                });
+            }
+        });
+    });
+
+    let latestEnd = null;
+    let latestSpan = null;
+    spans.forEach(span => {
+        if (latestSpan && span.start - latestEnd > rules.maxGapMinutes) {
+            warnings.push({
+                type: 'gap',
+                jobIds: [latestSpan.job.id, span.job.id],
+                message: `${formatDecimalHours(span.start - latestEnd)} Hrs gap between ${describeJob(latestSpan.job, latestSpan.index)} and ${describeJob(span.job, span.index)}.`,
+            });
+        }
+        if (latestEnd === null || span.end > latestEnd) {
+            latestEnd = span.end;
+            latestSpan = span;
+        }
+    });
+
+    return warnings;
+};
+
+const checkDayLength = (dayData, rules) => {
+    if ((dayData.totalHours || 0) <= rules.maxDayMinutes) return [];
+    return [{
+        type: 'longDay',
+        jobIds: [],
+        message: `${formatDecimalHours(dayData.totalHours)} Hrs recorded, more than the ${formatDecimalHours(rules.maxDayMinutes)} Hrs limit for one day.`,
+    }];
+};
+
+// All warnings for one day: [{ type, jobIds, message }]. jobIds is empty for day-level warnings.
+export const validateDay = (dayData, rules = DEFAULT_VALIDATION_RULES) => {
+    if (!dayData) return [];
+    const jobs = dayData.jobs || [];
+    return [
+        ...jobs.flatMap((job, index) => [...checkTimeOrder(job, index), ...checkMissingTimes(job, index)]),
+        ...checkOverlapsAndGaps(jobs, rules),
+        ...checkDayLength(dayData, rules),
+    ];
+};
+
+// Warnings for several days, each tagged with its date
+export const validateDays = (weeklyData, dates, rules = DEFAULT_VALIDATION_RULES) => {
+    return dates.flatMap(date => validateDay(weeklyData[date], rules).map(warning => ({ ...warning, date })));
+};
+
+// Warnings that mention a particular job
+export const getJobWarnings = (warnings, jobId) => warnings.filter(warning => warning.jobIds.includes(jobId));
@@ -0,0 +1,68 @@
+import { makeDay, makeJob } from './testFixtures';
+import { DEFAULT_VALIDATION_RULES, getJobWarnings, validateDay, validateDays } from './timesheetValidation';
+
+const job = (id, travelStartTime, travelHomeTime, fields = {}) => makeJob({ id, jobNumber: `J-${id}`, travelStartTime, travelHomeTime, ...fields });
+
+const warningTypes = (dayData, rules) => validateDay(dayData, rules).map(warning => warning.type);
+
+describe('validateDay', () => {
+    test('has nothing to say about a normal day', () => {
+        expect(validateDay(makeDay([job('1', '07:00', '12:00'), job('2', '12:30', '16:30'), makeJob()]))).toEqual([]);
+        expect(validateDay(undefined)).toEqual([]);
+    });
+
+    test('flags a finish before the start unless it is marked +1', () => {
+        const [warning] = validateDay(makeDay([job('1', '16:00', '08:00')]));
+        expect(warning).toEqual({
+            type: 'outOfOrder',
+            jobIds: ['1'],
+            message: 'Job 1 (J-1): Travel Home Arrival (08:00) is before Travel Start (16:00). It is counted as after midnight; mark it +1 if that is right.',
+        });
+        expect(validateDay(makeDay([job('1', '22:00', '02:00', { nextDayFields: ['travelHomeTime'] })]))).toEqual([]);
+    });
+
+    test('flags a job number without times', () => {
+        expect(validateDay(makeDay([job('1', '', '')]))).toEqual([
+            { type: 'missingTimes', jobIds: ['1'], message: 'Job 1 (J-1) has a job number but no times.' },
+        ]);
+    });
+
+    test('flags overlapping jobs once per pair', () => {
+        const warnings = validateDay(makeDay([job('1', '07:00', '12:00'), job('2', '11:00', '15:00'), job('3', '11:30', '11:45')]));
+        expect(warnings.map(warning => warning.jobIds)).toEqual([['1', '2'], ['1', '3'], ['2', '3']]);
+        expect(warnings[0].message).toBe('Job 1 (J-1) and Job 2 (J-2) overlap.');
+    });
+
+    test('measures gaps from the latest finish so far', () => {
+        // Job 2 sits inside job 1, so the gap to job 3 runs from job 1's finish
+        const jobs = [job('1', '07:00', '12:00'), job('2', '08:00', '09:00'), job('3', '14:30', '16:00')];
+        const gaps = validateDay(makeDay(jobs)).filter(warning => warning.type === 'gap');
+        expect(gaps).toEqual([{ type: 'gap', jobIds: ['1', '3'], message: '2.50 Hrs gap between Job 1 (J-1) and Job 3 (J-3).' }]);
+        expect(warningTypes(makeDay([job('1', '07:00', '12:00'), job('2', '14:00', '16:00')]))).toEqual([]);
+    });
+
+    test('uses the configured limits', () => {
+        const longDay = makeDay([job('1', '05:00', '22:00')], { totalHours: 17 * 60 });
+        expect(validateDay(longDay)).toEqual([
+            { type: 'longDay', jobIds: [], message: '17.00 Hrs recorded, more than the 16.00 Hrs limit for one day.' },
+        ]);
+        expect(validateDay(longDay, { ...DEFAULT_VALIDATION_RULES, maxDayMinutes: 18 * 60 })).toEqual([]);
+
+        const splitDay = makeDay([job('1', '07:00', '10:00'), job('2', '11:30', '15:00')]);
+        expect(warningTypes(splitDay, { ...DEFAULT_VALIDATION_RULES, maxGapMinutes: 60 })).toEqual(['gap']);
+    });
+});
+
+describe('validateDays', () => {
+    test('tags each warning with its date and finds the ones for a job', () => {
+        const weeklyData = {
+            '2024-06-10': makeDay([job('a', '07:00', '12:00'), job('b', '11:00', '13:00')]),
+            '2024-06-11': makeDay([job('c', '', '')]),
+            '2024-06-12': makeDay([job('d', '07:00', '08:00')]),
+        };
+        const warnings = validateDays(weeklyData, ['2024-06-10', '2024-06-11', '2024-06-12']);
+        expect(warnings.map(warning => [warning.date, warning.type])).toEqual([['2024-06-10', 'overlap'], ['2024-06-11', 'missingTimes']]);
+        expect(getJobWarnings(warnings, 'b')).toEqual([warnings[0]]);
+        expect(getJobWarnings(warnings, 'd')).toEqual([]);
+    });
+});
@@ -0,0 +1,50 @@
+// Undo and redo for the daily editor.
+// Each employee's date has its own stacks of day snapshots, keyed by getUndoKey:
+// { [key]: { past: [{ day, group, at }], future: [day] } }
+// A snapshot is the whole day as it was before a change. Typing into one field records a step
+// per keystroke, so steps in the same group (such as one job's field) within a short time are
+// kept as a single step.
+
+const GROUP_WINDOW_MS = 2000;
+const MAX_STEPS = 50;
+
+export const getUndoKey = (employeeId, date) => `${employeeId}_${date}`;
+
+const getStacks = (history, key) => history[key] || { past: [], future: [] };
+
+export const canUndo = (history, key) => getStacks(history, key).past.length > 0;
+
+export const canRedo = (history, key) => getStacks(history, key).future.length > 0;
+
+// Record the day as it was before a change. Starting a new change clears the redo stack.
+export const recordUndoStep = (history, key, previousDay, { group = null, at = Date.now() } = {}) => {
+    const { past } = getStacks(history, key);
+    const last = past[past.length - 1];
+    // The same snapshot twice means two changes from one event, e.g. a stamp and its next-day marker
+    if (last && last.day === previousDay) return history;
+    if (last && group && last.group === group && at - last.at < GROUP_WINDOW_MS) {
+        return { ...history, [key]: { past: [...past.slice(0, -1), { ...last, at }], future: [] } };
+    }
+    return { ...history, [key]: { past: [...past, { day: previousDay, group, at }].slice(-MAX_STEPS), future: [] } };
+};
+
+// Step back: returns the day to restore and the updated history, or null if there is nothing to undo
+export const undoStep = (history, key, currentDay) => {
+    const { past, future } = getStacks(history, key);
+    if (past.length === 0) return null;
+    const step = past[past.length - 1];
+    return {
+        day: step.day,
+        history: { ...history, [key]: { past: past.slice(0, -1), future: [...future, currentDay] } },
+    };
+};
+
+// Step forward again after an undo, or null if there is nothing to redo
+export const redoStep = (history, key, currentDay) => {
+    const { past, future } = getStacks(history, key);
+    if (future.length === 0) return null;
+    return {
+        day: future[future.length - 1],
+        history: { ...history, [key]: { past: [...past, { day: currentDay, group: null, at: 0 }], future: future.slice(0, -1) } },
+    };
+};
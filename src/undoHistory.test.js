@@ -0,0 +1,60 @@
+import { canRedo, canUndo, getUndoKey, recordUndoStep, redoStep, undoStep } from './undoHistory';
+
+const key = getUndoKey('e1', '2024-06-10');
+const day = (label) => ({ label, jobs: [] });
+
+describe('undo history', () => {
+    test('undoes and redoes steps in order', () => {
+        const first = day('first');
+        const second = day('second');
+        const third = day('third');
+        let history = recordUndoStep({}, key, first, { at: 1000 });
+        history = recordUndoStep(history, key, second, { at: 5000 });
+        expect(canUndo(history, key)).toBe(true);
+        expect(canRedo(history, key)).toBe(false);
+
+        const undone = undoStep(history, key, third);
+        expect(undone.day).toBe(second);
+        const undoneTwice = undoStep(undone.history, key, second);
+        expect(undoneTwice.day).toBe(first);
+        expect(undoStep(undoneTwice.history, key, first)).toBeNull();
+
+        const redone = redoStep(undoneTwice.history, key, first);
+        expect(redone.day).toBe(second);
+        expect(redoStep(redone.history, key, second).day).toBe(third);
+    });
+
+    test('keeps each employee\'s dates apart', () => {
+        const history = recordUndoStep({}, key, day('first'));
+        expect(canUndo(history, getUndoKey('e1', '2024-06-11'))).toBe(false);
+        expect(canUndo(history, getUndoKey('e2', '2024-06-10'))).toBe(false);
+    });
+
+    test('groups quick changes to the same field into one step', () => {
+        const before = day('before');
+        let history = recordUndoStep({}, key, before, { group: 'a:jobNumber', at: 1000 });
+        history = recordUndoStep(history, key, day('typing'), { group: 'a:jobNumber', at: 1500 });
+        history = recordUndoStep(history, key, day('more typing'), { group: 'a:jobNumber', at: 3000 });
+        expect(history[key].past).toHaveLength(1);
+        expect(undoStep(history, key, day('after')).day).toBe(before);
+
+        history = recordUndoStep(history, key, day('later'), { group: 'a:jobNumber', at: 9000 });
+        history = recordUndoStep(history, key, day('other field'), { group: 'a:jobLocation', at: 9100 });
+        expect(history[key].past).toHaveLength(3);
+    });
+
+    test('records one step for two changes from the same event', () => {
+        const before = day('before');
+        let history = recordUndoStep({}, key, before, { group: 'a:travelStartTime' });
+        history = recordUndoStep(history, key, before, { group: 'a:nextDayFields' });
+        expect(history[key].past).toHaveLength(1);
+    });
+
+    test('a new change clears the redo steps', () => {
+        let history = recordUndoStep({}, key, day('first'), { at: 1000 });
+        history = undoStep(history, key, day('second')).history;
+        expect(canRedo(history, key)).toBe(true);
+        history = recordUndoStep(history, key, day('first'), { at: 9000 });
+        expect(canRedo(history, key)).toBe(false);
+    });
+});